@@ -6,10 +6,36 @@ import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
 import { WordPressInstaller } from '../src/installer.js';
-import { getConfig, setConfig, getConfigValue, addToConfig, removeFromConfig, ensureDefaultConfig } from '../src/config.js';
-import { ensureWpCli, getWpCliCommand } from '../src/wp-cli-manager.js';
-import { isHerdInstalled } from '../src/herd-manager.js';
-import { isValidEmail, normalizeUrl, normalizeDbPrefix, isValidDbName } from '../src/validators.js';
+import {
+    getConfig,
+    setConfig,
+    getConfigValue,
+    addToConfig,
+    removeFromConfig,
+    ensureDefaultConfig,
+    getConfigLayers,
+    getConfigSources,
+    getEnvVarName,
+    CONFIG_KEYS,
+    CONFIG_SCHEMA,
+    toConfigKey,
+    toConfigName,
+    parseConfigValue,
+    getConfigDefault,
+    unsetConfig,
+    resetConfig,
+    listProfiles,
+    createProfile,
+    deleteProfile,
+    useProfile,
+    selectProfile
+} from '../src/config.js';
+import { ensureWpCli, getWpCliCommand, runWpCli } from '../src/wp-cli-manager.js';
+import { isHerdInstalled, herdLink, herdSecure, herdUnlink, herdUnsecure } from '../src/herd-manager.js';
+import { isDockerInstalled, dockerComposeDown } from '../src/docker-manager.js';
+import { loadBlueprint, listBlueprints, saveBlueprint, resolveBlueprintPath, getBlueprintsDir } from '../src/blueprint-manager.js';
+import { exportConfig, loadExport, importConfig, formatChange } from '../src/config-transfer.js';
+import { isValidEmail, normalizeUrl, normalizeDbPrefix, isValidDbName, isValidSlug, parsePluginList } from '../src/validators.js';
 import {
     getCurrentVersion,
     getPackageName,
@@ -20,51 +46,290 @@ import {
     getTimeAgo
 } from '../src/updater.js';
 import { DoctorCheck } from '../src/doctor.js';
-import { listAllSites, getSite, removeSite, getCurrentSite, addSite, siteExists } from '../src/site-registry.js';
+import {
+    listAllSites,
+    getSite,
+    removeSite,
+    getCurrentSite,
+    addSite,
+    siteExists,
+    updateSite,
+    listTrashedSites,
+    getTrashedSite,
+    addSiteTags,
+    removeSiteTags,
+    setSiteNote,
+    listSitesByTag
+} from '../src/site-registry.js';
+import { changeSiteUrl, getHerdName, getHomeUrl, getHost, resolveHost } from '../src/url-manager.js';
+import { renameSite, moveSite } from '../src/site-mover.js';
+import {
+    trashSite,
+    restoreTrashedSite,
+    purgeTrashedSite,
+    emptyTrash,
+    purgeExpiredTrash,
+    getRetentionDays,
+    getPurgeDate,
+    getTrashDir
+} from '../src/trash-manager.js';
 import { getFullSiteInfo, getBasicSiteInfo } from '../src/site-info.js';
+import { createSnapshot, listSnapshots, getSnapshot, restoreSnapshot, getSnapshotsDir, formatBytes } from '../src/snapshot-manager.js';
 import { userExists, createUser, updateUserPassword } from '../src/user-manager.js';
 import { parseWpConfig, getWpSiteInfo } from '../src/wp-config-parser.js';
-import { execa } from 'execa';
+import { runCommand, configureRunner, isTracing } from '../src/command-runner.js';
+import { startLog, writeLog, getCurrentLogPath, listLogs, getLogsDir } from '../src/log-manager.js';
+import { DEFAULT_LOCALE, getCacheDir, listCache, cacheCore, cachePlugin, clearCache, findMissingDownloads } from '../src/download-cache.js';
+import { loadManifest, buildSiteConfig, createSites } from '../src/batch-creator.js';
 
 const program = new Command();
 const currentVersion = getCurrentVersion();
 
+/**
+ * Undo a failed create/clone and report anything that could not be removed
+ * @param {WordPressInstaller} installer - Installer whose side effects should be rolled back
+ * @param {Ora} spinner - Spinner used for progress output
+ */
+async function rollbackInstaller(installer, spinner) {
+    if (installer.sideEffects.length === 0) {
+        return;
+    }
+
+    spinner.start('Rolling back...');
+    const results = await installer.rollback();
+    const failed = results.filter(r => !r.ok);
+
+    if (failed.length === 0) {
+        spinner.succeed('Rolled back all changes');
+        return;
+    }
+
+    spinner.warn('Rollback incomplete');
+    const labels = {
+        directory: `Directory ${installer.cwd}`,
+        database: `Database ${installer.config.dbName}`,
+        docker: 'Docker containers',
+        herdLink: 'Herd link',
+        herdSecure: 'Herd certificate'
+    };
+    failed.forEach(r => {
+        console.log(chalk.yellow(`  • ${labels[r.step]}: ${r.error}`));
+    });
+    console.log(chalk.dim('  Remove these manually before trying again.'));
+}
+
+/**
+ * Whether machine-readable output was requested (wpmax --json list or wpmax list --json)
+ * @param {Object} options - Options of the command being run
+ * @returns {boolean}
+ */
+function isJsonOutput(options) {
+    return Boolean(options.json || program.opts().json);
+}
+
+/**
+ * Whether wpmax may prompt: not with --no-interaction, and not when stdin is not a terminal (scripts, CI, containers)
+ * @param {Object} options - Options of the command being run
+ * @returns {boolean}
+ */
+function isInteractive(options) {
+    return options.interaction !== false && program.opts().interaction !== false && Boolean(process.stdin.isTTY);
+}
+
+/**
+ * Exit because an answer is missing and prompts are disabled
+ * @param {string} message - What is missing and the flag that provides it
+ */
+function exitNonInteractive(message) {
+    console.error(chalk.red(`${message} Prompts are disabled (--no-interaction, or stdin is not a terminal).`));
+    process.exit(1);
+}
+
+/**
+ * Print data as JSON on stdout (no colors, no spinners)
+ * Failures set process.exitCode instead of calling process.exit(), which could cut off piped output.
+ * @param {*} data - Data to print
+ * @param {boolean} [failed=false] - Exit with code 1
+ */
+function printJson(data, failed = false) {
+    console.log(JSON.stringify(data, null, 2));
+    if (failed) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Record a failed operation in the log file and tell the user where to find it
+ * @param {Error} error
+ */
+function logFailure(error) {
+    writeLog(`Error: ${error.stack || error.message}`);
+    const logPath = getCurrentLogPath();
+    if (logPath) {
+        console.log(chalk.dim(`Full log: ${logPath}`));
+    }
+}
+
+/**
+ * Get the arguments wpmax was run with, with password values replaced by ****
+ * Passwords are the values of options (--dbpass, --admin-pass, --password) and arguments named like "pass".
+ * @param {Command} command - Command that is about to run
+ * @returns {string[]}
+ */
+function getMaskedArgv(command) {
+    const options = command.opts();
+    const secrets = [
+        ...command.options
+            .filter(option => option.attributeName().toLowerCase().includes('pass'))
+            .map(option => options[option.attributeName()]),
+        ...command.registeredArguments
+            .map((argument, index) => argument.name().includes('pass') ? command.processedArgs[index] : null)
+    ].filter(secret => typeof secret === 'string' && secret);
+
+    return process.argv.slice(2).map(arg => {
+        const secret = secrets.find(value => arg === value || (arg.startsWith('-') && arg.endsWith(`=${value}`)));
+        if (!secret) {
+            return arg;
+        }
+        return arg === secret ? '****' : `${arg.slice(0, -secret.length)}****`;
+    });
+}
+
+/**
+ * Create a progress spinner
+ * While commands are traced or dry-run, it prints plain lines instead of animating over the trace output.
+ * @param {string} [text] - Spinner text
+ * @returns {Ora}
+ */
+function createSpinner(text) {
+    return ora({ text, isEnabled: isTracing() ? false : undefined });
+}
+
+/**
+ * Add --verbose/--debug and --no-interaction to every subcommand, so they work in any position
+ * (wpmax info my-site --verbose, wpmax delete my-site --yes --no-interaction)
+ * @param {Command} command
+ */
+function addGlobalOptions(command) {
+    command.commands.forEach(subcommand => {
+        subcommand
+            .option('--verbose', 'Print each external command with its working directory, duration and stderr')
+            .option('--debug', 'Alias for --verbose')
+            .option('--no-interaction', 'Never prompt: use flags and defaults, and fail when an answer is missing');
+        addGlobalOptions(subcommand);
+    });
+}
+
 // Set version for --version flag
 program.version(currentVersion, '-v, --version', 'Display current version');
+program.option('--json', 'Output JSON instead of text (list, info, doctor, config --list)');
+program.option('--no-interaction', 'Never prompt: use flags and defaults, and fail when an answer is missing (automatic when stdin is not a terminal)');
+
+// Options after a subcommand belong to that subcommand (wpmax clone a b --url x, wpmax delete x --dry-run)
+program.enablePositionalOptions();
 
 // Config command
-program
+
+/**
+ * Name the layer (project config, profile or environment variable) a config value comes from
+ */
+function describeSource(key, source) {
+    return {
+        project: source.path,
+        profile: `Profile "${source.name}"`,
+        env: getEnvVarName(key)
+    }[source.source] || source.source;
+}
+
+/**
+ * Warn when a layer above the one just changed still sets the key
+ */
+function noteOverride(key, profile) {
+    const source = getConfigSources()[key];
+    if (source && source.source !== (profile ? 'profile' : 'global')) {
+        console.log(chalk.yellow(`Note: ${describeSource(key, source)} also sets ${toConfigName(key)}, which takes precedence here.`));
+    }
+}
+
+/**
+ * Turn a command line key into a schema key, exiting with the list of valid keys if it is unknown
+ */
+function resolveConfigKey(name) {
+    const key = toConfigKey(name);
+    if (!CONFIG_KEYS.includes(key)) {
+        console.error(chalk.red(`Error: Invalid config key "${name}"`));
+        printConfigKeys();
+        process.exit(1);
+    }
+    return key;
+}
+
+function printConfigKeys() {
+    console.log('\nValid keys:');
+    for (const [key, entry] of Object.entries(CONFIG_SCHEMA)) {
+        console.log(`  ${chalk.cyan(toConfigName(key).padEnd(22))} ${chalk.dim(`${entry.description} (${entry.type})`)}`);
+    }
+}
+
+function formatConfigValue(value) {
+    if (Array.isArray(value)) {
+        return value.join(', ');
+    }
+    return value === null ? '' : String(value);
+}
+
+function selectConfigProfile(profile) {
+    if (!profile) {
+        return;
+    }
+    try {
+        selectProfile(profile);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+    }
+}
+
+const configCommand = program
     .command('config')
     .description('Manage wpmax configuration')
     .argument('[key]', 'Config key')
     .argument('[value]', 'Config value')
-    .option('-l, --list', 'List all configuration values')
+    .option('-l, --list', 'List all configuration values, with defaults for the ones not set')
     .option('--set', 'Set a config value (default action)')
-    .option('--add', 'Add to array config value (for public-plugins)')
-    .option('--remove', 'Remove from array config value (for public-plugins)')
+    .option('--add', 'Add to array config value (for public-plugins, public-themes)')
+    .option('--remove', 'Remove from array config value (for public-plugins, public-themes)')
+    .option('--profile <name>', 'Change this profile instead of the global config (with --list: show the config with this profile)')
+    .option('--json', 'Output JSON (with --list)')
     .action(async (key, value, options) => {
+        selectConfigProfile(options.profile);
+
         // List all config
         if (options.list) {
             const config = getConfig();
-            if (Object.keys(config).length === 0) {
-                console.log(chalk.yellow('No configuration set yet.'));
-                console.log('\nAvailable keys:');
-                console.log('  Paths:');
-                console.log('    - default-plugins-path');
-                console.log('    - default-themes-path');
-                console.log('  Database:');
-                console.log('    - dbuser, dbhost, dbprefix');
-                console.log('  Admin:');
-                console.log('    - admin-user, admin-email');
-                console.log('  Plugins:');
-                console.log('    - public-plugins (comma-separated list)');
+            if (isJsonOutput(options)) {
+                // Every schema key with the value wpmax uses, as config get --json prints it
+                printJson(Object.fromEntries(CONFIG_KEYS.map(k => [k, config[k] ?? getConfigDefault(k)])));
                 return;
             }
+            const sources = getConfigSources();
             console.log(chalk.bold('Current configuration:\n'));
-            for (const [k, v] of Object.entries(config)) {
-                const displayValue = Array.isArray(v) ? v.join(', ') : v;
-                console.log(`  ${chalk.cyan(k)}: ${displayValue}`);
+            for (const [k, entry] of Object.entries(CONFIG_SCHEMA)) {
+                if (k in config) {
+                    const source = sources[k].source === 'global' ? 'global' : describeSource(k, sources[k]);
+                    const line = [`${chalk.cyan(toConfigName(k))}:`, formatConfigValue(config[k]), chalk.dim(`(${source})`)];
+                    console.log(`  ${line.filter(Boolean).join(' ')}`);
+                } else {
+                    const line = [`${toConfigName(k)}:`, formatConfigValue(entry.default), '(default)'];
+                    console.log(chalk.dim(`  ${line.filter(Boolean).join(' ')}`));
+                }
+            }
+            console.log('');
+            for (const layer of getConfigLayers().filter(layer => layer.path)) {
+                const label = { global: 'Global config', project: 'Project config', profile: `Profile ${layer.name}` }[layer.source];
+                console.log(chalk.dim(`${label}: ${layer.path}`));
             }
+            console.log(chalk.dim('Environment variables (WPMAX_*) override the config files, CLI flags override everything.'));
             return;
         }
 
@@ -72,69 +337,288 @@ program
             console.error(chalk.red('Error: Both key and value are required.'));
             console.log('\nUsage:');
             console.log('  wpmax config --list');
+            console.log('  wpmax config get <key>');
             console.log('  wpmax config --set <key> <value>');
             console.log('  wpmax config --add public-plugins "woocommerce,yoast-seo"');
             console.log('  wpmax config --remove public-plugins "woocommerce"');
+            console.log('  wpmax config unset <key>');
+            console.log('  wpmax config reset');
             process.exit(1);
         }
 
-        // Convert kebab-case to camelCase for storage
-        const configKey = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
-
-        // Validate key
-        const validKeys = [
-            'defaultPluginsPath',
-            'defaultThemesPath',
-            'dbuser',
-            'dbhost',
-            'dbprefix',
-            'adminUser',
-            'adminEmail',
-            'publicPlugins',
-            'tld'
-        ];
-
-        if (!validKeys.includes(configKey)) {
-            console.error(chalk.red(`Error: Invalid config key "${key}"`));
-            console.log('\nValid keys:');
-            console.log('  - default-plugins-path, default-themes-path');
-            console.log('  - dbuser, dbhost, dbprefix');
-            console.log('  - admin-user, admin-email');
-            console.log('  - public-plugins');
-            process.exit(1);
-        }
+        const configKey = resolveConfigKey(key);
 
-        // Handle operations
+        // Handle operations (values are typed and validated against the schema)
         try {
             if (options.add) {
                 // Add operation (for arrays)
-                addToConfig(configKey, value);
+                addToConfig(configKey, value, options.profile);
                 console.log(chalk.green(`✓ Added to ${chalk.cyan(key)}: ${value}`));
             } else if (options.remove) {
                 // Remove operation (for arrays)
-                removeFromConfig(configKey, value);
+                removeFromConfig(configKey, value, options.profile);
                 console.log(chalk.green(`✓ Removed from ${chalk.cyan(key)}: ${value}`));
             } else {
                 // Set operation (default)
-                // Validate path for path keys
-                const pathKeys = ['defaultPluginsPath', 'defaultThemesPath'];
-                if (pathKeys.includes(configKey)) {
-                    const absolutePath = path.resolve(value);
-                    if (!fs.existsSync(absolutePath)) {
-                        console.error(chalk.red(`Error: Path does not exist: ${absolutePath}`));
-                        process.exit(1);
-                    }
-                    setConfig(configKey, absolutePath);
-                    console.log(chalk.green(`✓ Set ${chalk.cyan(key)} to ${absolutePath}`));
-                } else {
-                    setConfig(configKey, value);
-                    console.log(chalk.green(`✓ Set ${chalk.cyan(key)} to ${value}`));
-                }
+                setConfig(configKey, value, options.profile);
+                console.log(chalk.green(`✓ Set ${chalk.cyan(key)} to ${formatConfigValue(parseConfigValue(configKey, value))}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        // A project config, profile or environment variable above the changed layer still wins
+        noteOverride(configKey, options.profile);
+    });
+
+configCommand
+    .command('get')
+    .description('Print the value wpmax uses for a config key (the default if it is not set)')
+    .argument('<key>', 'Config key')
+    .option('--profile <name>', 'Read the config with this profile')
+    .option('--json', 'Output JSON')
+    .action(async (key, options) => {
+        selectConfigProfile(options.profile);
+        const configKey = resolveConfigKey(key);
+        const value = getConfigValue(configKey) ?? getConfigDefault(configKey);
+
+        if (isJsonOutput(options)) {
+            printJson(value);
+            return;
+        }
+        console.log(formatConfigValue(value));
+    });
+
+configCommand
+    .command('unset')
+    .description('Remove a config key, so its default applies again')
+    .argument('<key>', 'Config key')
+    .option('--profile <name>', 'Remove the key from this profile instead of the global config')
+    .action(async (key, options) => {
+        selectConfigProfile(options.profile);
+        const configKey = resolveConfigKey(key);
+
+        let removed;
+        try {
+            removed = unsetConfig(configKey, options.profile);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        if (!removed) {
+            console.log(chalk.yellow(`${key} is not set${options.profile ? ` in profile ${options.profile}` : ''}.`));
+        } else {
+            console.log(chalk.green(`✓ Unset ${chalk.cyan(key)} (default: ${formatConfigValue(getConfigDefault(configKey)) || 'none'})`));
+        }
+        noteOverride(configKey, options.profile);
+    });
+
+configCommand
+    .command('reset')
+    .description('Remove every config key, so the defaults apply again')
+    .option('--profile <name>', 'Empty this profile instead of the global config')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .action(async (options) => {
+        selectConfigProfile(options.profile);
+        const target = options.profile ? `profile ${options.profile}` : 'the global config';
+
+        if (!options.yes) {
+            if (!isInteractive(options)) {
+                exitNonInteractive('Pass --yes to reset the config.');
+            }
+            const { confirm } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: `Remove every value from ${target}?`,
+                default: false
+            }]);
+            if (!confirm) {
+                console.log(chalk.dim('Reset cancelled.\n'));
+                return;
             }
+        }
+
+        let removed;
+        try {
+            removed = resetConfig(options.profile);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        if (removed.length === 0) {
+            console.log(chalk.yellow(`Nothing to reset, ${target} is already empty.`));
+            return;
+        }
+        console.log(chalk.green(`✓ Reset ${target} (${removed.map(toConfigName).join(', ')})`));
+    });
+
+configCommand
+    .command('export')
+    .description('Export the config as JSON, to share it or move it to another machine')
+    .argument('[file]', 'File to write (default: print to stdout)')
+    .option('--profiles', 'Include the config profiles')
+    .option('--blueprints', 'Include the saved blueprints')
+    .option('-f, --force', 'Overwrite the file if it exists')
+    .action(async (file, options) => {
+        let data;
+        try {
+            data = exportConfig({ profiles: options.profiles, blueprints: options.blueprints });
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        if (!file) {
+            printJson(data);
+            return;
+        }
+
+        const filePath = path.resolve(file);
+        if (fs.existsSync(filePath) && !options.force) {
+            console.error(chalk.red(`Error: ${filePath} already exists. Use --force to overwrite it.`));
+            process.exit(1);
+        }
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+
+        const counts = [`${Object.keys(data.config).length} config values`];
+        if (data.profiles) {
+            counts.push(`${Object.keys(data.profiles).length} profiles`);
+        }
+        if (data.blueprints) {
+            counts.push(`${Object.keys(data.blueprints).length} blueprints`);
+        }
+        console.log(chalk.green(`✓ Exported ${counts.join(', ')} to ${filePath}`));
+        console.log(chalk.dim(`\nImport it with: wpmax config import ${file}\n`));
+    });
+
+configCommand
+    .command('import')
+    .description('Import a config exported with wpmax config export (replaces the config unless --merge)')
+    .argument('<file>', 'Export file')
+    .option('--merge', 'Keep values the file does not set')
+    .action(async (file, options) => {
+        let data;
+        let changes;
+        try {
+            data = loadExport(file);
+            changes = importConfig(data, { merge: options.merge });
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        for (const { scope, key, path: skippedPath } of data.skipped) {
+            const name = scope === 'config' ? toConfigName(key) : `${scope}: ${toConfigName(key)}`;
+            console.log(chalk.yellow(`Skipped ${name}: directory does not exist on this machine (${skippedPath})`));
+        }
+
+        if (changes.length === 0) {
+            console.log(chalk.green('✓ Imported, nothing changed'));
+            return;
+        }
+
+        console.log(chalk.green(`✓ Imported ${file}, ${changes.length} value${changes.length === 1 ? '' : 's'} changed:\n`));
+        for (const change of changes) {
+            const line = formatChange(change);
+            const color = { '+': chalk.green, '-': chalk.red, '~': chalk.yellow }[line[0]];
+            console.log(`  ${color(line)}`);
+        }
+        console.log('');
+    });
+
+// Config profile subcommands
+const profileCommand = configCommand
+    .command('profile')
+    .description('Manage named config profiles (e.g. one per client)');
+
+profileCommand
+    .command('list')
+    .description('List config profiles')
+    .option('--json', 'Output JSON')
+    .action(async (options) => {
+        const profiles = listProfiles();
+
+        if (isJsonOutput(options)) {
+            printJson(profiles);
+            return;
+        }
+
+        if (profiles.length === 0) {
+            console.log(chalk.yellow('\nNo profiles yet. Create one with: wpmax config profile create <name>\n'));
+            return;
+        }
+
+        console.log(chalk.bold(`\nProfiles (${profiles.length} total):\n`));
+        for (const profile of profiles) {
+            const values = Object.entries(profile.values)
+                .map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(',') : v}`)
+                .join(', ');
+            const active = profile.active ? chalk.green(' (active)') : '';
+            console.log(`  ${chalk.cyan('•')} ${chalk.bold(profile.name)}${active}  ${chalk.dim(values || '(empty)')}`);
+        }
+        console.log('');
+    });
+
+profileCommand
+    .command('create')
+    .description('Create a config profile')
+    .argument('<name>', 'Profile name')
+    .option('--copy', 'Start with the values of the global config')
+    .action(async (name, options) => {
+        const globalValues = getConfigLayers().find(layer => layer.source === 'global').values;
+        const values = options.copy
+            ? Object.fromEntries(Object.entries(globalValues).filter(([k]) => CONFIG_KEYS.includes(k)))
+            : {};
+
+        try {
+            createProfile(name, values);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        console.log(chalk.green(`✓ Created profile ${chalk.cyan(name)}`));
+        console.log(chalk.dim(`\nSet values with:  wpmax config <key> <value> --profile ${name}`));
+        console.log(chalk.dim(`Use it with:      wpmax <site> --profile ${name}, or wpmax config profile use ${name}\n`));
+    });
+
+profileCommand
+    .command('use')
+    .description('Use a config profile for every command (until another one is chosen)')
+    .argument('[name]', 'Profile name')
+    .option('--none', 'Stop using a profile')
+    .action(async (name, options) => {
+        if (!name && !options.none) {
+            console.error(chalk.red('Error: Pass a profile name, or --none to stop using a profile.'));
+            process.exit(1);
+        }
+
+        try {
+            useProfile(options.none ? null : name);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        console.log(chalk.green(options.none ? '✓ No profile is used' : `✓ Using profile ${chalk.cyan(name)}`));
+    });
+
+profileCommand
+    .command('delete')
+    .description('Delete a config profile')
+    .argument('<name>', 'Profile name')
+    .action(async (name) => {
+        try {
+            deleteProfile(name);
         } catch (error) {
-            console.error(chalk.red(`Error saving config: ${error.message}`));
+            console.error(chalk.red(`Error: ${error.message}`));
             process.exit(1);
         }
+
+        console.log(chalk.green(`✓ Deleted profile ${chalk.cyan(name)}`));
     });
 
 // Update command
@@ -144,7 +628,7 @@ program
     .option('-c, --check', 'Only check for updates without installing')
     .option('-y, --yes', 'Skip confirmation and update immediately')
     .action(async (options) => {
-        const spinner = ora();
+        const spinner = createSpinner();
         const packageName = getPackageName();
 
         try {
@@ -169,6 +653,9 @@ program
 
             // Prompt for confirmation unless --yes flag
             let shouldUpdate = options.yes;
+            if (!shouldUpdate && !isInteractive(options)) {
+                exitNonInteractive('Pass --yes to install the update.');
+            }
             if (!shouldUpdate) {
                 const answers = await inquirer.prompt([
                     {
@@ -204,8 +691,17 @@ program
 program
     .command('doctor')
     .description('Check system requirements and diagnose issues')
-    .action(async () => {
-        const spinner = ora();
+    .option('--json', 'Output JSON; exits with code 1 if a check fails')
+    .action(async (options) => {
+        if (isJsonOutput(options)) {
+            const doctor = new DoctorCheck();
+            const results = await doctor.runAllChecks();
+            const failedChecks = doctor.getFailedChecks(results);
+            printJson({ ok: failedChecks.length === 0, failedChecks, ...results }, failedChecks.length > 0);
+            return;
+        }
+
+        const spinner = createSpinner();
 
         console.log(chalk.bold('\n🔍 Running diagnostics...\n'));
 
@@ -252,7 +748,20 @@ program
             spinner.info(chalk.dim('Herd: Not installed (optional)'));
         }
 
-        // 5. Check Permissions
+        // 5. Check Docker (optional)
+        spinner.start('Checking Docker...');
+        const dockerStatus = await doctor.checkDocker();
+        if (!dockerStatus.ok) {
+            spinner.fail(chalk.red(`Docker: ${dockerStatus.error}`));
+        } else if (!dockerStatus.installed) {
+            spinner.info(chalk.dim('Docker: Not installed (optional)'));
+        } else if (dockerStatus.stoppedSites.length > 0) {
+            spinner.warn(chalk.yellow(`Docker: ${dockerStatus.stoppedSites.length} site${dockerStatus.stoppedSites.length === 1 ? '' : 's'} with stopped containers`));
+        } else {
+            spinner.succeed(chalk.green(`Docker: Installed${dockerStatus.version ? ` (Compose ${dockerStatus.version})` : ''}`));
+        }
+
+        // 6. Check Permissions
         spinner.start('Checking permissions...');
         const permStatus = await doctor.checkPermissions();
         if (permStatus.ok) {
@@ -261,7 +770,7 @@ program
             spinner.fail(chalk.red(`Permissions: ${permStatus.failedDirs?.length || 0} director${permStatus.failedDirs?.length === 1 ? 'y' : 'ies'} not writable`));
         }
 
-        // 6. Check Config
+        // 7. Check Config
         spinner.start('Checking config...');
         const configStatus = await doctor.checkConfig();
         if (configStatus.ok) {
@@ -299,43 +808,76 @@ program
         }
     });
 
-// List command
-program
-    .command('list')
-    .description('List all WordPress sites created with wpmax')
-    .action(async () => {
-        const sites = listAllSites();
+/**
+ * Print the registered sites (list and ls), optionally only the ones with a tag
+ */
+async function printSiteList(options) {
+    const sites = options.tag ? listSitesByTag(options.tag) : listAllSites();
 
-        if (sites.length === 0) {
-            console.log(chalk.yellow('\nNo sites found. Create one with: wpmax <name>\n'));
-            return;
-        }
+    if (isJsonOutput(options)) {
+        printJson(sites);
+        return;
+    }
 
-        console.log(chalk.bold(`\nMy Sites (${sites.length} total):\n`));
+    if (sites.length === 0) {
+        console.log(options.tag
+            ? chalk.yellow(`\nNo sites tagged "${options.tag}". Tag one with: wpmax tag <site> ${options.tag}\n`)
+            : chalk.yellow('\nNo sites found. Create one with: wpmax <name>\n'));
+        return;
+    }
 
-        // Get basic info for each site (with directory size)
-        for (const site of sites) {
-            const info = await getBasicSiteInfo(site.name);
-            const exists = info.exists ? '' : chalk.red(' (deleted)');
-            const created = new Date(site.created_at);
-            const timeAgo = getTimeAgo(site.created_at);
+    const heading = options.tag ? `Sites tagged "${options.tag}"` : 'My Sites';
+    console.log(chalk.bold(`\n${heading} (${sites.length} total):\n`));
 
-            console.log(`  ${chalk.cyan('•')} ${chalk.bold(site.name).padEnd(20)} ${site.url.padEnd(30)} ${timeAgo.padEnd(15)} ${info.directorySize}${exists}`);
-        }
+    // Get basic info for each site (with directory size)
+    for (const site of sites) {
+        const info = await getBasicSiteInfo(site.name);
+        const exists = info.exists ? '' : chalk.red(' (deleted)');
+        const timeAgo = getTimeAgo(site.created_at);
+        const tags = site.tags ? chalk.magenta(` ${site.tags.map(tag => `#${tag}`).join(' ')}`) : '';
 
-        console.log('');
-    });
+        console.log(`  ${chalk.cyan('•')} ${chalk.bold(site.name).padEnd(20)} ${site.url.padEnd(30)} ${timeAgo.padEnd(15)} ${info.directorySize}${exists}${tags}`);
+    }
+
+    console.log('');
+}
+
+// List command
+program
+    .command('list')
+    .description('List all WordPress sites created with wpmax')
+    .option('--tag <tag>', 'Only list sites with this tag')
+    .option('--json', 'Output JSON')
+    .action(printSiteList);
 
 // Info command
 program
     .command('info')
     .description('Display detailed information about a WordPress site')
     .argument('[name]', 'Name of the site')
-    .action(async (name) => {
+    .option('--json', 'Output JSON')
+    .action(async (name, options) => {
         let siteName = name;
 
+        if (isJsonOutput(options)) {
+            if (!siteName) {
+                printJson({ error: 'A site name is required with --json.' }, true);
+                return;
+            }
+            const info = await getFullSiteInfo(siteName);
+            if (!info) {
+                printJson({ error: `Site "${siteName}" not found.` }, true);
+                return;
+            }
+            printJson(info);
+            return;
+        }
+
         // If no name provided, show interactive list
         if (!siteName) {
+            if (!isInteractive(options)) {
+                exitNonInteractive('A site name is required (wpmax info <name>).');
+            }
             const sites = listAllSites();
             if (sites.length === 0) {
                 console.log(chalk.yellow('\nNo sites found. Create one with: wpmax <name>\n'));
@@ -354,7 +896,7 @@ program
         }
 
         // Get full site info
-        const spinner = ora('Loading site information...').start();
+        const spinner = createSpinner('Loading site information...').start();
         const info = await getFullSiteInfo(siteName);
         spinner.stop();
 
@@ -383,10 +925,26 @@ program
         console.log(`  WordPress:    ${info.wpVersion}`);
         console.log(`  PHP:          ${info.phpVersion}`);
         console.log(`  Database:     ${info.dbName} (${info.dbInfo.tableCount} tables, ${info.dbInfo.size})`);
+        if (info.mode === 'docker') {
+            const containers = Object.entries(info.containers || {});
+            const state = containers.length > 0
+                ? containers.map(([service, status]) => `${service}: ${status}`).join(', ')
+                : 'not running';
+            console.log(`  Docker:       ${state} (web :${info.docker.webPort}, db :${info.docker.dbPort})`);
+        }
         console.log('');
         console.log(`  Admin:        ${info.adminUser}`);
         console.log(`  Email:        ${info.adminEmail}`);
         console.log('');
+        if (info.tags || info.note) {
+            if (info.tags) {
+                console.log(`  Tags:         ${info.tags.join(', ')}`);
+            }
+            if (info.note) {
+                console.log(`  Note:         ${info.note}`);
+            }
+            console.log('');
+        }
 
         if (info.plugins && info.plugins.length > 0) {
             console.log(`  Plugins:      ${info.plugins.length} active`);
@@ -402,20 +960,78 @@ program
         console.log('');
     });
 
+// Tag command
+program
+    .command('tag')
+    .description('Tag a site, e.g. with its client or purpose (list them with wpmax list --tag <tag>)')
+    .argument('<site>', 'Name of the site')
+    .argument('[tags...]', 'Tags to add (letters, numbers and dashes)')
+    .option('--remove', 'Remove the tags instead')
+    .action(async (siteName, tags, options) => {
+        const site = getSite(siteName);
+        if (!site) {
+            console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
+            process.exit(1);
+        }
+
+        if (tags.length === 0) {
+            console.log(site.tags ? site.tags.join(', ') : chalk.dim(`${siteName} has no tags.`));
+            return;
+        }
+
+        let result;
+        try {
+            result = options.remove ? removeSiteTags(siteName, tags) : addSiteTags(siteName, tags);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+
+        console.log(chalk.green(`✓ ${options.remove ? 'Removed tags from' : 'Tagged'} ${chalk.cyan(siteName)}`) + chalk.dim(` (tags: ${result.join(', ') || 'none'})`));
+    });
+
+// Note command
+program
+    .command('note')
+    .description('Add a note to a site (shown by wpmax info)')
+    .argument('<site>', 'Name of the site')
+    .argument('[text]', 'Note text (replaces the current note)')
+    .option('--clear', 'Remove the note')
+    .action(async (siteName, text, options) => {
+        const site = getSite(siteName);
+        if (!site) {
+            console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
+            process.exit(1);
+        }
+
+        if (!text && !options.clear) {
+            console.log(site.note || chalk.dim(`${siteName} has no note.`));
+            return;
+        }
+
+        setSiteNote(siteName, options.clear ? null : text);
+        console.log(chalk.green(options.clear ? `✓ Removed the note of ${chalk.cyan(siteName)}` : `✓ Saved the note of ${chalk.cyan(siteName)}`));
+    });
+
 // Delete command
 program
     .command('delete')
-    .description('Delete a WordPress site (directory, database, and registry)')
+    .alias('rm')
+    .description('Delete a WordPress site (moves directory and database dump to the trash)')
     .argument('[name]', 'Name of the site to delete')
     .option('--yes', 'Skip confirmation prompt')
     .option('--keep-db', 'Keep the database')
     .option('--keep-files', 'Keep the directory')
+    .option('--permanent', 'Delete immediately instead of moving to the trash')
     .option('--dry-run', 'Show what would be deleted without actually deleting')
     .action(async (name, options) => {
         let siteName = name;
 
         // If no name provided, show interactive list
         if (!siteName) {
+            if (!isInteractive(options)) {
+                exitNonInteractive('A site name is required (wpmax delete <name>).');
+            }
             const sites = listAllSites();
             if (sites.length === 0) {
                 console.log(chalk.yellow('\nNo sites found.\n'));
@@ -446,7 +1062,7 @@ program
 
         // Show what will be deleted
         console.log(chalk.bold(`\nAbout to delete: ${siteName}\n`));
-        console.log('The following will be removed:');
+        console.log(options.permanent ? 'The following will be removed permanently:' : 'The following will be moved to the trash:');
 
         if (dirExists && !options.keepFiles) {
             console.log(`  ${chalk.cyan('•')} Directory: ${site.path} (${info?.directorySize || 'Unknown'})`);
@@ -456,14 +1072,24 @@ program
             console.log(`  ${chalk.dim('○')} Directory: ${site.path} ${chalk.yellow('(not found)')}`);
         }
 
+        const isDocker = site.mode === 'docker';
+        const dbLabel = isDocker ? `${site.dbName} (Docker volume)` : site.dbName;
+
         if (!options.keepDb) {
-            console.log(`  ${chalk.cyan('•')} Database: ${site.dbName}`);
+            console.log(`  ${chalk.cyan('•')} Database: ${dbLabel}`);
         } else {
-            console.log(`  ${chalk.dim('○')} Database: ${site.dbName} ${chalk.dim('(keeping)')}`);
+            console.log(`  ${chalk.dim('○')} Database: ${dbLabel} ${chalk.dim('(keeping)')}`);
+        }
+
+        if (isDocker) {
+            console.log(`  ${chalk.cyan('•')} Docker containers`);
         }
 
         console.log(`  ${chalk.cyan('•')} Registry entry`);
         console.log('');
+        if (!options.permanent) {
+            console.log(chalk.dim(`Trashed sites are kept for ${getRetentionDays()} days. Restore with: wpmax trash restore ${siteName}\n`));
+        }
 
         // Dry run mode
         if (options.dryRun) {
@@ -472,6 +1098,9 @@ program
         }
 
         // Confirmation
+        if (!options.yes && !isInteractive(options)) {
+            exitNonInteractive('Pass --yes to delete without confirmation.');
+        }
         if (!options.yes) {
             const answers = await inquirer.prompt([
                 {
@@ -488,28 +1117,71 @@ program
             }
         }
 
-        const spinner = ora();
+        const spinner = createSpinner();
+
+        if (!options.permanent) {
+            try {
+                spinner.start('Moving to trash...');
+                await trashSite(site, { keepFiles: options.keepFiles, keepDb: options.keepDb });
+                spinner.succeed('Moved to trash');
+
+                console.log(chalk.green(`\n✅ Site "${siteName}" moved to the trash.\n`));
+                console.log(chalk.dim(`Restore with: wpmax trash restore ${siteName}\n`));
+
+                purgeExpiredTrash(getRetentionDays());
+            } catch (error) {
+                spinner.fail('Deletion failed');
+                console.error(chalk.red(`\nError: ${error.message}\n`));
+                console.log(chalk.dim('Nothing was deleted. Use --keep-db or --permanent if the database is unreachable.\n'));
+                process.exit(1);
+            }
+            return;
+        }
 
         try {
-            // Delete directory
-            if (dirExists && !options.keepFiles) {
-                spinner.start('Deleting directory...');
-                await execa('rm', ['-rf', site.path]);
-                spinner.succeed('Directory deleted');
+            // Stop Docker containers (the database lives in the volume, so --keep-db keeps it)
+            if (isDocker && dirExists) {
+                spinner.start('Stopping Docker containers...');
+                try {
+                    await dockerComposeDown(site.path, !options.keepDb);
+                    spinner.succeed(options.keepDb ? 'Docker containers stopped' : 'Docker containers and volume removed');
+                } catch (error) {
+                    spinner.warn('Docker containers could not be stopped (may not exist)');
+                }
             }
 
             // Delete database
-            if (!options.keepDb && dirExists) {
+            if (!options.keepDb && dirExists && !isDocker) {
                 spinner.start('Dropping database...');
                 try {
                     const [phpCmd, wpCliPath] = getWpCliCommand();
-                    await execa(phpCmd, [wpCliPath, 'db', 'drop', '--yes', '--quiet'], { cwd: site.path });
+                    await runCommand(phpCmd, [wpCliPath, 'db', 'drop', '--yes', '--quiet'], { cwd: site.path });
                     spinner.succeed('Database dropped');
                 } catch (error) {
                     spinner.warn('Database drop failed (may not exist)');
                 }
             }
 
+            // Remove the Herd link, it would point to a directory that is gone
+            const host = getHost(site.url);
+            if (!isDocker && dirExists && !options.keepFiles && host && await isHerdInstalled()) {
+                spinner.start('Removing Herd link...');
+                try {
+                    await herdUnsecure(site.path, getHerdName(host)).catch(() => {});
+                    await herdUnlink(site.path, getHerdName(host));
+                    spinner.succeed('Herd link removed');
+                } catch (error) {
+                    spinner.warn('Herd link could not be removed (may not exist)');
+                }
+            }
+
+            // Delete directory (after the database, which needs wp-config.php to be dropped)
+            if (dirExists && !options.keepFiles) {
+                spinner.start('Deleting directory...');
+                await runCommand('rm', ['-rf', site.path]);
+                spinner.succeed('Directory deleted');
+            }
+
             // Remove from registry
             spinner.start('Removing from registry...');
             removeSite(siteName);
@@ -529,27 +1201,40 @@ program
     .name('wpmax')
     .description('Lightning-fast WordPress site scaffolding')
     .argument('[name]', 'Name of the site (slug)')
-    .option('-d, --docker', 'Use Docker instead of local MySQL (Coming Soon)', false)
+    .option('-d, --docker', 'Use Docker instead of local MySQL (MariaDB + web container)')
     .option('--no-db', 'Skip database creation (only create wp-config)')
     // WordPress options
-    .option('--with-content', 'Include default WordPress themes and plugins', false)
-    .option('--wp-version <version>', 'WordPress version to install (default: latest)', 'latest')
+    .option('--with-content', 'Include default WordPress themes and plugins')
+    .option('--wp-version <version>', 'WordPress version to install (default: latest)')
+    .option('--locale <locale>', 'WordPress language, e.g. de_DE (default: en_US)')
+    .option('-b, --blueprint <name|path>', 'Create the site from a saved blueprint or blueprint JSON file')
+    .option('--profile <name>', 'Use a config profile for this site')
     // Database options
     .option('--dbname <name>', 'Database name (default: slug with underscores)')
-    .option('--dbuser <user>', 'Database username', 'root')
+    .option('--dbuser <user>', 'Database username (default: root)')
     .option('--dbpass <password>', 'Database password (default: empty/no password)')
     .option('--dbhost <host>', 'Database host (default: auto-detected)')
-    .option('--dbprefix <prefix>', 'Table prefix', 'wp_')
+    .option('--dbprefix <prefix>', 'Table prefix (default: wp_)')
     // WordPress admin options
-    .option('--admin-user <username>', 'WordPress admin username', 'admin')
-    .option('--admin-pass <password>', 'WordPress admin password', 'admin')
-    .option('--admin-email <email>', 'WordPress admin email', 'admin@test.com')
+    .option('--admin-user <username>', 'WordPress admin username (default: admin)')
+    .option('--admin-pass <password>', 'WordPress admin password (default: admin)')
+    .option('--admin-email <email>', 'WordPress admin email (default: admin@test.com)')
     // Site options
     .option('--url <url>', 'Site URL (default: {slug}.test)')
     .option('--title <title>', 'Site title (default: auto-generated from slug)')
+    // Plugin and Herd options (answer the prompts)
+    .option('--plugins <list>', 'Plugins to install: comma-separated WordPress.org slugs and ZIP paths (skips the plugin selection)')
+    .option('--no-plugins', 'Install no plugins')
+    .option('--herd', 'Run "herd link" and "herd secure" without asking')
+    .option('--no-herd', 'Don\'t set up Laravel Herd')
     // Debug options
     .option('--verbose', 'Show detailed output and commands being executed', false)
     .option('--debug', 'Alias for --verbose', false)
+    .option('--keep-on-failure', 'Keep partially created files and database when installation fails (for debugging)', false)
+    .option('--dry-run', 'Print every command that would run without creating anything', false)
+    // Network options
+    .option('--offline', 'Create the site from cached downloads and local ZIPs only (no network access)')
+    .option('--no-offline', 'Allow downloads even if the offline config is set')
     .action(async (name, options) => {
         // Set verbose mode
         const verbose = options.verbose || options.debug;
@@ -557,8 +1242,21 @@ program
         // 1. Ensure default config is set
         ensureDefaultConfig();
 
+        // Config profile for this site (CLI > profile > config)
+        if (options.profile) {
+            try {
+                selectProfile(options.profile);
+            } catch (error) {
+                console.error(chalk.red(error.message));
+                process.exit(1);
+            }
+        }
+
+        // Offline mode (CLI > config)
+        const offline = options.offline ?? ['true', true].includes(getConfigValue('offline'));
+
         // 2. Auto-check for updates (once per day, non-blocking)
-        if (shouldAutoCheck()) {
+        if (shouldAutoCheck(offline)) {
             try {
                 const updateInfo = await checkForUpdate();
                 updateLastCheckTime();
@@ -571,8 +1269,22 @@ program
             }
         }
 
+        // Load blueprint (fails fast before anything is prompted or created)
+        let blueprint = {};
+        if (options.blueprint) {
+            try {
+                blueprint = loadBlueprint(options.blueprint);
+            } catch (error) {
+                console.error(chalk.red(`Blueprint error: ${error.message}`));
+                process.exit(1);
+            }
+        }
+
         // 2. Interactive Prompt if name is missing
         let siteName = name;
+        if (!siteName && !isInteractive(options)) {
+            exitNonInteractive('A site name is required (wpmax <name>).');
+        }
         if (!siteName) {
             const answers = await inquirer.prompt([
                 {
@@ -589,7 +1301,24 @@ program
         let selectedLocalPlugins = [];
         let selectedPublicPlugins = [];
 
-        if (options.db !== false) {
+        if (options.db !== false && options.plugins !== undefined) {
+            // --plugins/--no-plugins replace the blueprint and config selection
+            try {
+                ({ publicPlugins: selectedPublicPlugins, localPlugins: selectedLocalPlugins } = parsePluginList(options.plugins || ''));
+            } catch (error) {
+                console.error(chalk.red(error.message));
+                process.exit(1);
+            }
+            const missingZip = selectedLocalPlugins.find(zipPath => !fs.existsSync(zipPath));
+            if (missingZip) {
+                console.error(chalk.red(`Plugin ZIP not found: ${missingZip}`));
+                process.exit(1);
+            }
+        } else if (options.db !== false && (blueprint.publicPlugins || blueprint.localPlugins)) {
+            // Blueprint defines the exact plugin list - no prompt
+            selectedPublicPlugins = blueprint.publicPlugins || [];
+            selectedLocalPlugins = blueprint.localPlugins || [];
+        } else if (options.db !== false) {
             const pluginChoices = [];
 
             // A. Add local ZIP plugins
@@ -617,9 +1346,9 @@ program
                 });
             }
 
-            // Show selection if there are any plugins
+            // Show selection if there are any plugins (without prompts, all of them are installed)
             if (pluginChoices.length > 0) {
-                const pluginAnswers = await inquirer.prompt([
+                const pluginAnswers = !isInteractive(options) ? { plugins: pluginChoices.map(choice => choice.value) } : await inquirer.prompt([
                     {
                         type: 'checkbox',
                         name: 'plugins',
@@ -639,35 +1368,127 @@ program
             }
         }
 
-        // 3. Configuration Setup - Merge CLI options with config file defaults
-        try {
-            // Load config file defaults
-            const configDefaults = getConfig();
+        // 3. Theme Selection (skip if --no-db is set)
+        let selectedLocalThemes = [];
+        let selectedPublicThemes = [];
+        let activeTheme = blueprint.activeTheme || null;
+
+        if (options.db !== false && (blueprint.publicThemes || blueprint.localThemes)) {
+            // Blueprint defines the exact theme list - no prompt
+            selectedPublicThemes = blueprint.publicThemes || [];
+            selectedLocalThemes = blueprint.localThemes || [];
+        } else if (options.db !== false) {
+            const themeChoices = [];
+
+            // A. Add local ZIP themes
+            const defaultThemesPath = getConfigValue('defaultThemesPath');
+            if (defaultThemesPath && fs.existsSync(defaultThemesPath)) {
+                const files = fs.readdirSync(defaultThemesPath);
+                const themeFiles = files.filter(file => file.endsWith('.zip'));
+
+                for (const file of themeFiles) {
+                    themeChoices.push({
+                        name: `${file} (local)`,
+                        value: { type: 'local', path: path.join(defaultThemesPath, file) },
+                        checked: true
+                    });
+                }
+            }
 
-            // Database settings (CLI > config > built-in defaults)
-            const dbName = options.dbname || siteName.replace(/-/g, '_');
+            // B. Add public themes from config
+            const publicThemes = getConfigValue('publicThemes') || [];
+            for (const slug of publicThemes) {
+                themeChoices.push({
+                    name: `${slug} (WordPress.org)`,
+                    value: { type: 'public', slug: slug },
+                    checked: true
+                });
+            }
+
+            // Show selection if there are any themes (without prompts, all of them are installed)
+            if (themeChoices.length > 0) {
+                const themeAnswers = !isInteractive(options) ? { themes: themeChoices.map(choice => choice.value) } : await inquirer.prompt([
+                    {
+                        type: 'checkbox',
+                        name: 'themes',
+                        message: 'Select themes to install (use space to toggle):',
+                        choices: themeChoices
+                    }
+                ]);
+
+                // Separate local and public themes
+                for (const theme of themeAnswers.themes) {
+                    if (theme.type === 'local') {
+                        selectedLocalThemes.push(theme.path);
+                    } else if (theme.type === 'public') {
+                        selectedPublicThemes.push(theme.slug);
+                    }
+                }
+
+                // Pick the theme to activate (no prompt when there is only one, or the blueprint names one)
+                // Without prompts, the first theme is activated, like the prompt's default
+                const installable = [...selectedLocalThemes, ...selectedPublicThemes];
+                const activeChoices = themeAnswers.themes.map(theme => ({
+                    name: theme.type === 'local' ? `${path.basename(theme.path)} (local)` : theme.slug,
+                    value: theme.type === 'local' ? theme.path : theme.slug
+                }));
+                if (!activeTheme && installable.length === 1) {
+                    activeTheme = installable[0];
+                } else if (!activeTheme && installable.length > 1 && !isInteractive(options)) {
+                    activeTheme = activeChoices[0].value;
+                } else if (!activeTheme && installable.length > 1) {
+                    const activeAnswers = await inquirer.prompt([
+                        {
+                            type: 'list',
+                            name: 'activeTheme',
+                            message: 'Which theme should be active?',
+                            choices: activeChoices
+                        }
+                    ]);
+                    activeTheme = activeAnswers.activeTheme;
+                }
+            }
+        }
+
+        // 3. Configuration Setup - Merge CLI options with blueprint and config file defaults
+        try {
+            // Load config file defaults
+            const configDefaults = getConfig();
+
+            // Database settings (CLI > blueprint > config > built-in defaults)
+            const dbName = options.dbname || siteName.replace(/-/g, '_');
             if (!isValidDbName(dbName)) {
                 throw new Error(`Invalid database name: ${dbName}. Must be alphanumeric with underscores, max 64 chars.`);
             }
 
-            const dbUser = options.dbuser || configDefaults.dbuser || 'root';
-            const dbHost = options.dbhost || configDefaults.dbhost || null; // null = auto-detect
-            const dbPrefix = normalizeDbPrefix(options.dbprefix || configDefaults.dbprefix || 'wp_');
+            const dbUser = options.dbuser || blueprint.dbuser || configDefaults.dbuser || 'root';
+            const dbHost = options.dbhost || blueprint.dbhost || configDefaults.dbhost || null; // null = auto-detect
+            const dbPrefix = normalizeDbPrefix(options.dbprefix || blueprint.dbprefix || configDefaults.dbprefix || 'wp_');
 
-            // Site settings (CLI > config > built-in defaults)
-            const tld = configDefaults.tld || '.test';
-            const url = normalizeUrl(options.url || `${siteName}${tld}`);
-            const title = options.title || siteName.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+            // Site settings (CLI > blueprint > config > built-in defaults)
+            const tld = blueprint.tld || configDefaults.tld || '.test';
+            const url = normalizeUrl(options.url || `${siteName}${tld}`, tld);
+            const title = options.title || blueprint.title || siteName.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+
+            // Admin settings (CLI > blueprint > config > built-in defaults)
+            const adminUser = options.adminUser || blueprint.adminUser || configDefaults.adminUser || 'admin';
+            const adminPass = options.adminPass || blueprint.adminPass || 'admin';
+            const adminEmail = options.adminEmail || blueprint.adminEmail || configDefaults.adminEmail || 'admin@test.com';
 
-            // Admin settings (CLI > config > built-in defaults)
-            const adminUser = options.adminUser || configDefaults.adminUser || 'admin';
-            const adminPass = options.adminPass || 'admin';
-            const adminEmail = options.adminEmail || configDefaults.adminEmail || 'admin@test.com';
+            // WordPress settings (CLI > blueprint > built-in defaults)
+            const wpVersion = options.wpVersion || blueprint.wpVersion || 'latest';
+            const locale = options.locale || blueprint.locale || configDefaults.locale || DEFAULT_LOCALE;
+            const withContent = options.withContent || blueprint.withContent || false;
+            const useDocker = options.docker || blueprint.docker || false;
 
             if (!isValidEmail(adminEmail)) {
                 throw new Error(`Invalid admin email: ${adminEmail}`);
             }
 
+            if (useDocker && options.db === false) {
+                throw new Error('--no-db cannot be used with --docker (the database container is always created).');
+            }
+
             var config = {
                 slug: siteName,
                 // Database settings
@@ -684,22 +1505,61 @@ program
                 adminPass: adminPass,
                 adminEmail: adminEmail,
                 // WordPress settings
-                withContent: options.withContent,
-                wpVersion: options.wpVersion,
+                withContent: withContent,
+                wpVersion: wpVersion,
+                locale: locale,
                 // Flags
-                useDocker: options.docker,
+                useDocker: useDocker,
+                offline: offline,
                 noDb: options.db === false,
                 verbose: verbose,
                 // Plugins
                 selectedLocalPlugins: selectedLocalPlugins,
-                selectedPublicPlugins: selectedPublicPlugins
+                selectedPublicPlugins: selectedPublicPlugins,
+                // Themes
+                selectedPublicThemes: selectedPublicThemes,
+                selectedLocalThemes: selectedLocalThemes,
+                activeTheme: activeTheme,
+                // Blueprint extras
+                wpOptions: blueprint.options || {},
+                wpConstants: blueprint.constants || {},
+                extraUsers: blueprint.users || []
             };
         } catch (error) {
             console.error(chalk.red(`Configuration error: ${error.message}`));
             process.exit(1);
         }
 
-        console.log(`\n🚀  Scaffolding WordPress in ${chalk.bold(config.slug)}...\n`);
+        // Offline: fail before anything is created if a download is missing
+        if (config.offline) {
+            const missing = findMissingDownloads(config);
+            if (missing.length > 0) {
+                console.error(chalk.red('\nOffline mode: these downloads are not available:'));
+                missing.forEach(item => console.error(chalk.red(`  • ${item}`)));
+
+                const warmArgs = [];
+                if (config.wpVersion !== 'latest') {
+                    warmArgs.push(`--wp-version ${config.wpVersion}`);
+                }
+                if (config.locale !== DEFAULT_LOCALE) {
+                    warmArgs.push(`--locale ${config.locale}`);
+                }
+                if (config.withContent) {
+                    warmArgs.push('--with-content');
+                }
+                if (config.selectedPublicPlugins.length > 0) {
+                    warmArgs.push(`--plugins ${config.selectedPublicPlugins.join(',')}`);
+                }
+                console.log(chalk.dim(`\nCache them while online with: wpmax cache warm ${warmArgs.join(' ')}`.trimEnd() + '\n'));
+                process.exit(1);
+            }
+        }
+
+        if (options.dryRun) {
+            console.log(`\n🧪  Dry run for ${chalk.bold(config.slug)} - nothing will be created\n`);
+        } else {
+            console.log(`\n🚀  Scaffolding WordPress in ${chalk.bold(config.slug)}...\n`);
+        }
 
         // Show configuration in verbose mode
         if (verbose) {
@@ -707,27 +1567,51 @@ program
             console.log(chalk.dim(`  slug: ${config.slug}`));
             console.log(chalk.dim(`  dbName: ${config.dbName}`));
             console.log(chalk.dim(`  dbUser: ${config.dbUser}`));
-            console.log(chalk.dim(`  dbHost: ${config.dbHost || 'auto-detect'}`));
+            console.log(chalk.dim(`  dbHost: ${config.useDocker ? 'docker' : (config.dbHost || 'auto-detect')}`));
             console.log(chalk.dim(`  dbPrefix: ${config.dbPrefix}`));
             console.log(chalk.dim(`  url: ${config.url}`));
             console.log(chalk.dim(`  title: ${config.title}`));
             console.log(chalk.dim(`  adminUser: ${config.adminUser}`));
             console.log(chalk.dim(`  adminEmail: ${config.adminEmail}`));
             console.log(chalk.dim(`  wpVersion: ${config.wpVersion}`));
+            console.log(chalk.dim(`  locale: ${config.locale}`));
+            console.log(chalk.dim(`  offline: ${config.offline}`));
             console.log(chalk.dim(`  withContent: ${config.withContent}`));
+            if (options.blueprint) {
+                console.log(chalk.dim(`  blueprint: ${resolveBlueprintPath(options.blueprint)}`));
+            }
             console.log('');
         }
 
-        // 3. Ensure WP-CLI is available
-        const spinner = ora();
-        try {
-            spinner.start('Checking WP-CLI availability...');
-            await ensureWpCli();
+        writeLog(`Configuration:\n${JSON.stringify({
+            ...config,
+            dbPass: config.dbPass ? '****' : '',
+            adminPass: '****',
+            extraUsers: config.extraUsers.map(user => ({ ...user, password: user.password ? '****' : undefined }))
+        }, null, 2)}`);
+
+        // 3. Ensure WP-CLI is available (a dry run does not download it)
+        const spinner = createSpinner();
+        if (!options.dryRun) {
+            try {
+                spinner.start('Checking WP-CLI availability...');
+                await ensureWpCli();
+                spinner.succeed();
+            } catch (error) {
+                spinner.fail('WP-CLI setup failed');
+                console.error(chalk.red(error.message));
+                process.exit(1);
+            }
+        }
+
+        if (config.useDocker) {
+            spinner.start('Checking Docker availability...');
+            if (!await isDockerInstalled()) {
+                spinner.fail('Docker not found');
+                console.error(chalk.red('Docker with the Compose plugin is required for --docker. Install Docker Desktop or Docker Engine.'));
+                process.exit(1);
+            }
             spinner.succeed();
-        } catch (error) {
-            spinner.fail('WP-CLI setup failed');
-            console.error(chalk.red(error.message));
-            process.exit(1);
         }
 
         // 4. Execution with Spinners
@@ -742,10 +1626,16 @@ program
             await installer.downloadCore();
             spinner.succeed();
 
-            spinner.start('Configuring Database...');
+            spinner.start(config.useDocker ? 'Starting Docker containers...' : 'Configuring Database...');
             await installer.configureDatabase();
             spinner.succeed();
 
+            if (Object.keys(config.wpConstants).length > 0) {
+                spinner.start('Setting wp-config constants...');
+                await installer.setConstants();
+                spinner.succeed();
+            }
+
             if (!config.noDb) {
                 spinner.start('Installing WordPress...');
                 await installer.installWordPress();
@@ -755,12 +1645,32 @@ program
                 await installer.installPlugins();
                 spinner.succeed();
 
-                // Check for Laravel Herd
-                const herdAvailable = await isHerdInstalled();
+                if (config.selectedPublicThemes.length > 0 || config.selectedLocalThemes.length > 0 || config.activeTheme) {
+                    spinner.start('Installing Themes...');
+                    await installer.installThemes();
+                    spinner.succeed();
+                }
+
+                if (Object.keys(config.wpOptions).length > 0) {
+                    spinner.start('Updating options...');
+                    await installer.updateOptions();
+                    spinner.succeed();
+                }
+
+                if (config.extraUsers.length > 0) {
+                    spinner.start('Creating users...');
+                    await installer.createUsers();
+                    spinner.succeed();
+                }
+
+                // Check for Laravel Herd (Docker sites are served by their own web container)
+                const herdAvailable = !config.useDocker && await isHerdInstalled();
                 let siteUrl = `http://${config.url}`;
 
                 if (herdAvailable) {
-                    const herdAnswers = await inquirer.prompt([
+                    // --herd/--no-herd answer the prompt; a dry run or no prompts take the default (yes)
+                    const skipPrompt = options.herd !== undefined || options.dryRun || !isInteractive(options);
+                    const herdAnswers = skipPrompt ? { setupHerd: options.herd ?? true } : await inquirer.prompt([
                         {
                             type: 'confirm',
                             name: 'setupHerd',
@@ -775,6 +1685,13 @@ program
                         spinner.succeed();
                         siteUrl = `https://${config.slug}.test`;
                     }
+                } else if (options.herd) {
+                    spinner.warn(config.useDocker ? 'Docker sites are served by their own web container, --herd was ignored' : 'Laravel Herd not found, --herd was ignored');
+                }
+
+                if (options.dryRun) {
+                    console.log(chalk.green(`\n✅  Dry run complete. Run without --dry-run to create ${siteUrl}\n`));
+                    return;
                 }
 
                 // Register site in the registry
@@ -786,9 +1703,9 @@ program
                 console.log(`  ${chalk.cyan(siteUrl)}`);
 
                 // Warn if content was skipped (no theme installed)
-                if (!config.withContent) {
+                if (!config.withContent && !config.activeTheme) {
                     console.log(chalk.yellow('  ⚠️  Frontend is blank (no theme installed)'));
-                    console.log(chalk.yellow('     Install a theme via wp-admin or use --with-content flag'));
+                    console.log(chalk.yellow('     Install a theme via wp-admin, use --with-content, or configure default-themes-path / public-themes'));
                 }
                 console.log('');
 
@@ -797,6 +1714,8 @@ program
                 console.log(chalk.bold('Login Credentials:'));
                 console.log(`  Username: ${chalk.cyan(config.adminUser)}`);
                 console.log(`  Password: ${chalk.cyan(config.adminPass)}\n`);
+            } else if (options.dryRun) {
+                console.log(chalk.green('\n✅  Dry run complete. Run without --dry-run to download WordPress core and create wp-config.\n'));
             } else {
                 console.log(chalk.green('\n✅  Done! WordPress core downloaded and wp-config created.'));
                 console.log(chalk.yellow('⚠  Database not created. Please create the database manually before accessing the site.'));
@@ -806,6 +1725,173 @@ program
         } catch (error) {
             spinner.fail('Installation failed');
             console.error(chalk.red(error.message));
+            logFailure(error);
+
+            // Nothing was created in a dry run, so there is nothing to roll back
+            if (options.dryRun) {
+                process.exit(1);
+            }
+
+            if (options.keepOnFailure) {
+                if (installer.sideEffects.length > 0) {
+                    console.log(chalk.yellow(`\nKeeping partially created site (--keep-on-failure): ${installer.cwd}`));
+                    console.log(chalk.dim(`Remove it manually before running "wpmax ${config.slug}" again.\n`));
+                }
+                process.exit(1);
+            }
+
+            await rollbackInstaller(installer, spinner);
+            process.exit(1);
+        }
+    });
+
+// Clone command
+program
+    .command('clone')
+    .description('Copy a registered site (files and database) into a new site')
+    .argument('<source>', 'Name of the site to clone')
+    .argument('<new-name>', 'Name of the new site (slug)')
+    .option('--dbname <name>', 'Database name for the clone (default: new name with underscores)')
+    .option('--url <url>', 'Site URL (default: {new-name}.test)')
+    .option('--herd', 'Run "herd link" and "herd secure" without asking')
+    .option('--no-herd', 'Don\'t set up Laravel Herd')
+    .option('--keep-on-failure', 'Keep partially created files and database when cloning fails (for debugging)', false)
+    .action(async (sourceName, newName, options) => {
+        const spinner = createSpinner();
+
+        const source = getSite(sourceName);
+        if (!source) {
+            console.log(chalk.red(`\nSite "${sourceName}" not found in registry.\n`));
+            process.exit(1);
+        }
+
+        const sourceConfigPath = path.join(source.path, 'wp-config.php');
+        if (!fs.existsSync(sourceConfigPath)) {
+            console.log(chalk.red(`\nSource site is missing wp-config.php: ${source.path}\n`));
+            process.exit(1);
+        }
+
+        if (siteExists(newName)) {
+            console.log(chalk.red(`\nSite "${newName}" already exists in registry.\n`));
+            process.exit(1);
+        }
+
+        // Same DB settings as create, with user, password and table prefix taken from the source
+        try {
+            const configDefaults = getConfig();
+            const sourceDb = parseWpConfig(sourceConfigPath);
+
+            const dbName = options.dbname || newName.replace(/-/g, '_');
+            if (!isValidDbName(dbName)) {
+                throw new Error(`Invalid database name: ${dbName}. Must be alphanumeric with underscores, max 64 chars.`);
+            }
+            if (dbName === source.dbName) {
+                throw new Error(`Database name ${dbName} is the source site's database. Choose another with --dbname.`);
+            }
+
+            const useDocker = source.mode === 'docker';
+            const tld = configDefaults.tld || '.test';
+
+            var config = {
+                slug: newName,
+                dbName: dbName,
+                dbUser: sourceDb.dbUser || source.dbUser || 'root',
+                dbPass: sourceDb.dbPassword || '',
+                dbHost: useDocker ? null : (source.dbHost || null),
+                dbPrefix: sourceDb.tablePrefix,
+                url: normalizeUrl(options.url || `${newName}${tld}`, tld),
+                adminUser: source.adminUser,
+                adminEmail: source.adminEmail,
+                useDocker: useDocker,
+                noDb: false
+            };
+        } catch (error) {
+            console.error(chalk.red(`Configuration error: ${error.message}`));
+            process.exit(1);
+        }
+
+        console.log(`\n📋  Cloning ${chalk.bold(sourceName)} into ${chalk.bold(newName)}...\n`);
+
+        try {
+            spinner.start('Checking WP-CLI availability...');
+            await ensureWpCli();
+            spinner.succeed();
+        } catch (error) {
+            spinner.fail('WP-CLI setup failed');
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+
+        if (config.useDocker && !await isDockerInstalled()) {
+            console.error(chalk.red('Docker with the Compose plugin is required to clone a Docker site.'));
+            process.exit(1);
+        }
+
+        const installer = new WordPressInstaller(config);
+
+        try {
+            spinner.start('Copying files...');
+            await installer.copyFiles(source.path);
+            spinner.succeed();
+
+            spinner.start(config.useDocker ? 'Starting Docker containers...' : 'Configuring Database...');
+            await installer.configureDatabase();
+            spinner.succeed();
+
+            spinner.start('Copying database...');
+            await installer.importDatabase(source.path);
+            spinner.succeed();
+
+            // Check for Laravel Herd (Docker sites are served by their own web container)
+            const herdAvailable = !config.useDocker && await isHerdInstalled();
+            let siteUrl = `http://${config.url}`;
+
+            if (herdAvailable) {
+                // --herd/--no-herd answer the prompt; without prompts the default (yes) is taken
+                const skipPrompt = options.herd !== undefined || !isInteractive(options);
+                const herdAnswers = skipPrompt ? { setupHerd: options.herd ?? true } : await inquirer.prompt([
+                    {
+                        type: 'confirm',
+                        name: 'setupHerd',
+                        message: 'Laravel Herd detected. Run "herd link" and "herd secure"?',
+                        default: true
+                    }
+                ]);
+
+                if (herdAnswers.setupHerd) {
+                    spinner.start('Setting up Herd...');
+                    await installer.setupHerd();
+                    spinner.succeed();
+                    siteUrl = `https://${config.slug}.test`;
+                }
+            }
+
+            spinner.start('Replacing URLs...');
+            const oldUrl = await installer.replaceSiteUrl(siteUrl);
+            spinner.succeed(`Replaced ${oldUrl} with ${siteUrl}`);
+
+            installer.registerSite();
+
+            console.log(chalk.green(`\n✅  Done! ${newName} is a copy of ${sourceName}.\n`));
+            console.log(chalk.bold('Site URL:'));
+            console.log(`  ${chalk.cyan(siteUrl)}\n`);
+            console.log(chalk.bold('Admin Dashboard:'));
+            console.log(`  ${chalk.cyan(siteUrl + '/wp-admin')}`);
+            console.log(chalk.dim(`  Log in with the same credentials as ${sourceName}.\n`));
+
+        } catch (error) {
+            spinner.fail('Clone failed');
+            console.error(chalk.red(error.message));
+            logFailure(error);
+
+            if (options.keepOnFailure) {
+                if (installer.sideEffects.length > 0) {
+                    console.log(chalk.yellow(`\nKeeping partially created site (--keep-on-failure): ${installer.cwd}\n`));
+                }
+                process.exit(1);
+            }
+
+            await rollbackInstaller(installer, spinner);
             process.exit(1);
         }
     });
@@ -827,142 +1913,145 @@ program
         await program.parseAsync(process.argv);
     });
 
+// Create command: same as wpmax <name>, or several sites from a manifest with --from
 program
-    .command('ls')
-    .description('Alias for list command')
-    .action(async () => {
-        const sites = listAllSites();
-
-        if (sites.length === 0) {
-            console.log(chalk.yellow('\nNo sites found. Create one with: wpmax <name>\n'));
+    .command('create')
+    .description('Create a site (same as wpmax <name>), or every site in a manifest file with --from')
+    .argument('[name]', 'Name of the site (slug)')
+    .option('--from <file>', 'JSON manifest with the sites to create')
+    .option('-c, --concurrency <number>', 'Sites created at the same time (with --from)', '1')
+    .option('--offline', 'Create the sites from cached downloads and local ZIPs only (with --from)')
+    .option('--profile <name>', 'Use a config profile for every site (with --from)')
+    .allowUnknownOption()
+    .action(async (name, options) => {
+        if (!options.from) {
+            // Re-parse with the main command
+            const args = process.argv.slice(2);
+            const index = args.indexOf('create');
+            if (index !== -1) {
+                args.splice(index, 1);
+            }
+            process.argv = [process.argv[0], process.argv[1], ...args];
+            await program.parseAsync(process.argv);
             return;
         }
 
-        console.log(chalk.bold(`\nMy Sites (${sites.length} total):\n`));
-
-        for (const site of sites) {
-            const info = await getBasicSiteInfo(site.name);
-            const exists = info.exists ? '' : chalk.red(' (deleted)');
-            const created = new Date(site.created_at);
-            const timeAgo = getTimeAgo(site.created_at);
-
-            console.log(`  ${chalk.cyan('•')} ${chalk.bold(site.name).padEnd(20)} ${site.url.padEnd(30)} ${timeAgo.padEnd(15)} ${info.directorySize}${exists}`);
+        if (name) {
+            console.error(chalk.red('Pass either a site name or --from, not both.'));
+            process.exit(1);
         }
 
-        console.log('');
-    });
-
-program
-    .command('rm')
-    .description('Alias for delete command')
-    .argument('[name]', 'Name of the site to delete')
-    .option('--yes', 'Skip confirmation prompt')
-    .option('--keep-db', 'Keep the database')
-    .option('--keep-files', 'Keep the directory')
-    .option('--dry-run', 'Show what would be deleted without actually deleting')
-    .action(async (name, options) => {
-        let siteName = name;
+        const concurrency = parseInt(options.concurrency, 10);
+        if (Number.isNaN(concurrency) || concurrency < 1) {
+            console.error(chalk.red(`Invalid concurrency: ${options.concurrency}. Use a number of 1 or more.`));
+            process.exit(1);
+        }
 
-        if (!siteName) {
-            const sites = listAllSites();
-            if (sites.length === 0) {
-                console.log(chalk.yellow('\nNo sites found.\n'));
-                return;
+        ensureDefaultConfig();
+        if (options.profile) {
+            try {
+                selectProfile(options.profile);
+            } catch (error) {
+                console.error(chalk.red(error.message));
+                process.exit(1);
             }
+        }
+        const configDefaults = getConfig();
+        const offline = options.offline ?? ['true', true].includes(configDefaults.offline);
 
-            const answers = await inquirer.prompt([
-                {
-                    type: 'list',
-                    name: 'site',
-                    message: 'Select a site to delete:',
-                    choices: sites.map(s => ({ name: s.name, value: s.name }))
+        // Load and check every site before anything is created
+        let configs;
+        try {
+            const sites = loadManifest(options.from);
+            const problems = [];
+            configs = sites.map(site => {
+                try {
+                    return { ...buildSiteConfig(site, configDefaults), offline };
+                } catch (error) {
+                    problems.push(`${site.name}: ${error.message}`);
+                    return null;
                 }
-            ]);
-            siteName = answers.site;
+            });
+
+            for (const config of configs.filter(config => config && offline)) {
+                findMissingDownloads(config).forEach(item => problems.push(`${config.slug}: ${item} is not available offline`));
+            }
+            if (problems.length > 0) {
+                throw new Error(`Some sites can't be created:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+            }
+        } catch (error) {
+            console.error(chalk.red(`Manifest error: ${error.message}`));
+            process.exit(1);
         }
 
-        const site = getSite(siteName);
-        if (!site) {
-            console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
-            return;
+        const spinner = createSpinner();
+        try {
+            spinner.start('Checking WP-CLI availability...');
+            await ensureWpCli();
+            spinner.succeed();
+        } catch (error) {
+            spinner.fail('WP-CLI setup failed');
+            console.error(chalk.red(error.message));
+            process.exit(1);
         }
 
-        const dirExists = fs.existsSync(site.path);
-        const info = dirExists ? await getBasicSiteInfo(siteName) : null;
+        if (configs.some(config => config.useDocker)) {
+            spinner.start('Checking Docker availability...');
+            if (!await isDockerInstalled()) {
+                spinner.fail('Docker not found');
+                console.error(chalk.red('Docker with the Compose plugin is required for sites with "docker": true.'));
+                process.exit(1);
+            }
+            spinner.succeed();
+        }
 
-        console.log(chalk.bold(`\nAbout to delete: ${siteName}\n`));
-        console.log('The following will be removed:');
+        // Herd is set up without asking, unless a site sets "herd": false
+        const herdAvailable = configs.some(config => !config.useDocker) && await isHerdInstalled();
 
-        if (dirExists && !options.keepFiles) {
-            console.log(`  ${chalk.cyan('•')} Directory: ${site.path} (${info?.directorySize || 'Unknown'})`);
-        } else if (dirExists && options.keepFiles) {
-            console.log(`  ${chalk.dim('○')} Directory: ${site.path} ${chalk.dim('(keeping)')}`);
-        } else {
-            console.log(`  ${chalk.dim('○')} Directory: ${site.path} ${chalk.yellow('(not found)')}`);
-        }
+        console.log(`\n🚀  Creating ${configs.length} site(s), ${concurrency} at a time...\n`);
 
-        if (!options.keepDb) {
-            console.log(`  ${chalk.cyan('•')} Database: ${site.dbName}`);
-        } else {
-            console.log(`  ${chalk.dim('○')} Database: ${site.dbName} ${chalk.dim('(keeping)')}`);
+        const results = await createSites(configs, {
+            concurrency,
+            setupHerd: herdAvailable,
+            onStart: (config) => console.log(chalk.dim(`  … ${config.slug}`)),
+            onFinish: (result) => {
+                if (result.ok) {
+                    console.log(`  ${chalk.green('✔')} ${result.name} ${chalk.dim(`${result.seconds}s`)}`);
+                } else {
+                    console.log(`  ${chalk.red('✖')} ${result.name} ${chalk.dim(`${result.seconds}s`)}`);
+                }
+            }
+        });
+
+        const failed = results.filter(result => !result.ok);
+
+        console.log(chalk.bold('\nSummary:\n'));
+        console.log(chalk.dim(`  ${'Site'.padEnd(25)} ${'Status'.padEnd(8)} ${'Time'.padEnd(8)} URL / Error`));
+        for (const result of results) {
+            const status = result.ok ? chalk.green('ok'.padEnd(8)) : chalk.red('failed'.padEnd(8));
+            const detail = result.ok ? chalk.cyan(result.url) : chalk.red(result.error.split('\n')[0]);
+            console.log(`  ${result.name.padEnd(25)} ${status} ${`${result.seconds}s`.padEnd(8)} ${detail}`);
+            (result.rollbackErrors || []).forEach(error => {
+                console.log(chalk.yellow(`  ${''.padEnd(25)} Rollback incomplete, remove manually: ${error}`));
+            });
         }
 
-        console.log(`  ${chalk.cyan('•')} Registry entry`);
         console.log('');
-
-        if (options.dryRun) {
-            console.log(chalk.dim('Dry run mode - nothing was deleted.\n'));
-            return;
+        if (failed.length > 0) {
+            console.log(chalk.red(`${failed.length} of ${results.length} site(s) failed. Failed sites were rolled back.`));
+            logFailure(new Error(`Batch create failed for: ${failed.map(result => result.name).join(', ')}`));
+            console.log('');
+            process.exit(1);
         }
+        console.log(chalk.green(`✅  All ${results.length} site(s) created. Log in with the admin credentials from the manifest.\n`));
+    });
 
-        if (!options.yes) {
-            const answers = await inquirer.prompt([
-                {
-                    type: 'confirm',
-                    name: 'confirm',
-                    message: 'Are you sure?',
-                    default: false
-                }
-            ]);
-
-            if (!answers.confirm) {
-                console.log(chalk.dim('Deletion cancelled.\n'));
-                return;
-            }
-        }
-
-        const spinner = ora();
-
-        try {
-            if (dirExists && !options.keepFiles) {
-                spinner.start('Deleting directory...');
-                await execa('rm', ['-rf', site.path]);
-                spinner.succeed('Directory deleted');
-            }
-
-            if (!options.keepDb && dirExists) {
-                spinner.start('Dropping database...');
-                try {
-                    const [phpCmd, wpCliPath] = getWpCliCommand();
-                    await execa(phpCmd, [wpCliPath, 'db', 'drop', '--yes', '--quiet'], { cwd: site.path });
-                    spinner.succeed('Database dropped');
-                } catch (error) {
-                    spinner.warn('Database drop failed (may not exist)');
-                }
-            }
-
-            spinner.start('Removing from registry...');
-            removeSite(siteName);
-            spinner.succeed('Registry entry removed');
-
-            console.log(chalk.green(`\n✅ Site "${siteName}" deleted successfully.\n`));
-
-        } catch (error) {
-            spinner.fail('Deletion failed');
-            console.error(chalk.red(`\nError: ${error.message}\n`));
-            process.exit(1);
-        }
-    });
+program
+    .command('ls')
+    .description('Alias for list command')
+    .option('--tag <tag>', 'Only list sites with this tag')
+    .option('--json', 'Output JSON')
+    .action(printSiteList);
 
 // Register command
 program
@@ -970,8 +2059,9 @@ program
     .description('Register an existing WordPress site to wpmax registry')
     .argument('[path]', 'Path to WordPress installation (default: current directory)')
     .option('-n, --name <name>', 'Custom name for the site (default: directory name)')
+    .option('--yes', 'Skip confirmation prompts (updates an existing entry)')
     .action(async (sitePath, options) => {
-        const spinner = ora();
+        const spinner = createSpinner();
 
         try {
             // Determine the site path
@@ -994,8 +2084,11 @@ program
             const siteName = options.name || path.basename(targetPath);
 
             // Check if site already exists in registry
-            if (siteExists(siteName)) {
+            if (siteExists(siteName) && !options.yes) {
                 console.log(chalk.yellow(`\nSite "${siteName}" is already registered.\n`));
+                if (!isInteractive(options)) {
+                    exitNonInteractive('Pass --yes to update the existing entry, or --name to register it under another name.');
+                }
                 const answers = await inquirer.prompt([
                     {
                         type: 'confirm',
@@ -1032,8 +2125,9 @@ program
             console.log(`  Admin:      ${siteInfo.adminUser ? chalk.cyan(siteInfo.adminUser) : chalk.dim('(not detected)')}`);
             console.log(`  Email:      ${siteInfo.adminEmail ? chalk.cyan(siteInfo.adminEmail) : chalk.dim('(not detected)')}\n`);
 
-            // Confirm registration
-            const confirmAnswers = await inquirer.prompt([
+            // Confirm registration (without prompts, the default is taken)
+            const skipConfirm = options.yes || !isInteractive(options);
+            const confirmAnswers = skipConfirm ? { confirm: true } : await inquirer.prompt([
                 {
                     type: 'confirm',
                     name: 'confirm',
@@ -1086,7 +2180,7 @@ userCommand
     .option('-p, --password <password>', 'Password (default: admin)')
     .option('-r, --role <role>', 'User role (default: administrator)', 'administrator')
     .action(async (username, options) => {
-        const spinner = ora();
+        const spinner = createSpinner();
 
         try {
             // Get current site from directory
@@ -1149,7 +2243,7 @@ userCommand
     .argument('<username>', 'Username to update')
     .argument('[password]', 'New password (default: admin)')
     .action(async (username, password) => {
-        const spinner = ora();
+        const spinner = createSpinner();
 
         try {
             // Get current site from directory
@@ -1195,4 +2289,824 @@ userCommand
         }
     });
 
-program.parse();
\ No newline at end of file
+// Blueprint command with subcommands
+const blueprintCommand = program
+    .command('blueprint')
+    .description('Manage site blueprints (reusable create settings)');
+
+// Blueprint list subcommand
+blueprintCommand
+    .command('list')
+    .description('List saved blueprints')
+    .action(() => {
+        const blueprints = listBlueprints();
+
+        if (blueprints.length === 0) {
+            console.log(chalk.yellow('\nNo blueprints found. Save one with: wpmax blueprint save <name>\n'));
+            console.log(chalk.dim(`Blueprints directory: ${getBlueprintsDir()}\n`));
+            return;
+        }
+
+        console.log(chalk.bold(`\nBlueprints (${blueprints.length} total):\n`));
+        for (const blueprint of blueprints) {
+            console.log(`  ${chalk.cyan('•')} ${chalk.bold(blueprint.name).padEnd(20)} ${blueprint.description ? chalk.dim(blueprint.description) : ''}`);
+        }
+        console.log('');
+    });
+
+// Blueprint show subcommand
+blueprintCommand
+    .command('show')
+    .description('Show the contents of a blueprint')
+    .argument('<name>', 'Blueprint name or path to a blueprint JSON file')
+    .action((name) => {
+        try {
+            const blueprint = loadBlueprint(name);
+            console.log(chalk.bold(`\nBlueprint: ${name}`));
+            console.log(chalk.dim(`${resolveBlueprintPath(name)}\n`));
+            console.log(JSON.stringify(blueprint, null, 2));
+            console.log('');
+        } catch (error) {
+            console.error(chalk.red(`\nError: ${error.message}\n`));
+            process.exit(1);
+        }
+    });
+
+// Blueprint save subcommand
+blueprintCommand
+    .command('save')
+    .description('Save a blueprint from your config defaults or from an existing site')
+    .argument('<name>', 'Blueprint name')
+    .option('-s, --site <site>', 'Capture WordPress version, active plugins and theme from a registered site')
+    .option('--description <text>', 'Blueprint description')
+    .option('-f, --force', 'Overwrite an existing blueprint')
+    .action(async (name, options) => {
+        const spinner = createSpinner();
+
+        try {
+            const configDefaults = getConfig();
+            const blueprint = {};
+
+            if (options.description) {
+                blueprint.description = options.description;
+            }
+
+            if (options.site) {
+                const site = getSite(options.site);
+                if (!site) {
+                    console.log(chalk.red(`\nSite "${options.site}" not found in registry.\n`));
+                    process.exit(1);
+                }
+
+                spinner.start(`Reading ${options.site}...`);
+                const info = await getFullSiteInfo(options.site);
+                spinner.stop();
+
+                if (!info.exists) {
+                    console.log(chalk.red(`\nSite directory does not exist: ${site.path}\n`));
+                    process.exit(1);
+                }
+
+                if (info.wpVersion !== 'Unknown') {
+                    blueprint.wpVersion = info.wpVersion;
+                }
+                const wpConfig = parseWpConfig(path.join(site.path, 'wp-config.php'));
+                blueprint.dbprefix = wpConfig.tablePrefix;
+                if (site.adminUser) {
+                    blueprint.adminUser = site.adminUser;
+                }
+                if (site.adminEmail) {
+                    blueprint.adminEmail = site.adminEmail;
+                }
+                blueprint.publicPlugins = info.plugins;
+                if (info.theme && info.theme !== 'Unknown') {
+                    blueprint.publicThemes = [info.theme];
+                    blueprint.activeTheme = info.theme;
+                }
+            } else {
+                // Capture the config defaults that apply to create
+                for (const key of ['dbuser', 'dbhost', 'dbprefix', 'adminUser', 'adminEmail', 'tld', 'locale', 'publicPlugins', 'publicThemes']) {
+                    if (configDefaults[key] !== undefined) {
+                        blueprint[key] = configDefaults[key];
+                    }
+                }
+            }
+
+            const blueprintPath = saveBlueprint(name, blueprint, options.force);
+
+            console.log(chalk.green(`\n✅ Blueprint "${name}" saved to ${blueprintPath}\n`));
+            console.log(chalk.dim('Edit the file to add themes, options, users or constants, then run:'));
+            console.log(chalk.dim(`  wpmax <name> --blueprint ${name}\n`));
+
+        } catch (error) {
+            spinner.stop();
+            console.error(chalk.red(`\nError: ${error.message}\n`));
+            process.exit(1);
+        }
+    });
+
+// Snapshot command with subcommands
+const snapshotCommand = program
+    .command('snapshot')
+    .description('Snapshot a site\'s database (and optionally wp-content)')
+    .argument('<site>', 'Name of the site')
+    .argument('[label]', 'Snapshot label (default: current date and time)')
+    .option('-c, --content', 'Also archive wp-content')
+    .option('-f, --force', 'Overwrite an existing snapshot with the same label')
+    .action(async (siteName, label, options) => {
+        const spinner = createSpinner();
+
+        try {
+            const site = getSite(siteName);
+            if (!site) {
+                console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
+                process.exit(1);
+            }
+
+            if (!fs.existsSync(site.path)) {
+                console.log(chalk.red(`\nSite directory does not exist: ${site.path}\n`));
+                process.exit(1);
+            }
+
+            spinner.start(options.content ? 'Exporting database and wp-content...' : 'Exporting database...');
+            const snapshot = await createSnapshot(site, label, {
+                includeContent: options.content,
+                overwrite: options.force
+            });
+            spinner.succeed();
+
+            console.log(chalk.green(`\n✅ Snapshot "${snapshot.label}" created for ${siteName}\n`));
+            console.log(`  WordPress: ${snapshot.wpVersion}`);
+            console.log(`  Plugins:   ${snapshot.plugins.length} active`);
+            console.log(`  Contents:  ${snapshot.includesContent ? 'database + wp-content' : 'database'}`);
+            console.log(`  Size:      ${formatBytes(snapshot.size)}\n`);
+            console.log(chalk.dim(`Restore with: wpmax restore ${siteName} ${snapshot.label}\n`));
+
+        } catch (error) {
+            spinner.fail('Snapshot failed');
+            console.error(chalk.red(`\nError: ${error.message}\n`));
+            process.exit(1);
+        }
+    });
+
+// Snapshot list subcommand
+snapshotCommand
+    .command('list')
+    .description('List snapshots for a site')
+    .argument('<site>', 'Name of the site')
+    .action((siteName) => {
+        const snapshots = listSnapshots(siteName);
+
+        if (snapshots.length === 0) {
+            console.log(chalk.yellow(`\nNo snapshots found for ${siteName}. Create one with: wpmax snapshot ${siteName}\n`));
+            return;
+        }
+
+        console.log(chalk.bold(`\nSnapshots for ${siteName} (${snapshots.length} total):\n`));
+        for (const snapshot of snapshots) {
+            const contents = snapshot.includesContent ? chalk.dim(' (+ wp-content)') : '';
+            console.log(`  ${chalk.cyan('•')} ${chalk.bold(snapshot.label).padEnd(30)} ${getTimeAgo(snapshot.created_at).padEnd(15)} WP ${String(snapshot.wpVersion).padEnd(8)} ${formatBytes(snapshot.size)}${contents}`);
+        }
+        console.log(chalk.dim(`\n${getSnapshotsDir(siteName)}\n`));
+    });
+
+// Restore command
+program
+    .command('restore')
+    .description('Restore a site from a snapshot')
+    .argument('<site>', 'Name of the site')
+    .argument('<label>', 'Snapshot label')
+    .option('--yes', 'Skip confirmation prompt')
+    .option('--db-only', 'Only restore the database, even if the snapshot includes wp-content')
+    .action(async (siteName, label, options) => {
+        const spinner = createSpinner();
+
+        try {
+            const site = getSite(siteName);
+            if (!site) {
+                console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
+                process.exit(1);
+            }
+
+            if (!fs.existsSync(site.path)) {
+                console.log(chalk.red(`\nSite directory does not exist: ${site.path}\n`));
+                process.exit(1);
+            }
+
+            const existing = getSnapshot(siteName, label);
+            if (!existing) {
+                console.log(chalk.red(`\nSnapshot "${label}" not found for ${siteName}.\n`));
+                console.log(chalk.dim(`See available snapshots with: wpmax snapshot list ${siteName}\n`));
+                process.exit(1);
+            }
+
+            if (!options.yes && !isInteractive(options)) {
+                exitNonInteractive('Pass --yes to restore without confirmation.');
+            }
+            if (!options.yes) {
+                const restoresContent = existing.includesContent && !options.dbOnly;
+                const { confirm } = await inquirer.prompt([
+                    {
+                        type: 'confirm',
+                        name: 'confirm',
+                        message: `Overwrite the database${restoresContent ? ' and wp-content' : ''} of ${siteName} with snapshot "${label}"?`,
+                        default: false
+                    }
+                ]);
+
+                if (!confirm) {
+                    console.log(chalk.yellow('\nRestore cancelled.\n'));
+                    return;
+                }
+            }
+
+            spinner.start(`Restoring ${label}...`);
+            const snapshot = await restoreSnapshot(site, label, { skipContent: options.dbOnly });
+            spinner.succeed();
+
+            console.log(chalk.green(`\n✅ ${siteName} restored from snapshot "${snapshot.label}"\n`));
+
+        } catch (error) {
+            spinner.fail('Restore failed');
+            console.error(chalk.red(`\nError: ${error.message}\n`));
+            process.exit(1);
+        }
+    });
+
+// WP-CLI passthrough command
+program
+    .command('wp')
+    .description('Run a WP-CLI command against a registered site (wpmax wp <site> -- <args>)')
+    .argument('<site>', 'Name of the site')
+    .argument('[args...]', 'WP-CLI arguments (put them after --)')
+    .action(async (siteName, args) => {
+        const site = getSite(siteName);
+        if (!site) {
+            console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
+            process.exit(1);
+        }
+
+        if (!fs.existsSync(site.path)) {
+            console.log(chalk.red(`\nSite directory does not exist: ${site.path}\n`));
+            process.exit(1);
+        }
+
+        try {
+            await ensureWpCli();
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+
+        const exitCode = await runWpCli(site.path, args);
+        process.exit(exitCode);
+    });
+
+// Exec command (WP-CLI across sites)
+program
+    .command('exec')
+    .description('Run a WP-CLI command against every registered site (wpmax exec --all -- <args>)')
+    .argument('[args...]', 'WP-CLI arguments (put them after --)')
+    .option('--all', 'Run on every site in the registry')
+    .action(async (args, options) => {
+        if (!options.all) {
+            console.log(chalk.red('\nSpecify --all to run on every registered site.\n'));
+            console.log(chalk.dim('For a single site use: wpmax wp <site> -- <args>\n'));
+            process.exit(1);
+        }
+
+        if (args.length === 0) {
+            console.log(chalk.red('\nNo WP-CLI command given. Usage: wpmax exec --all -- <args>\n'));
+            process.exit(1);
+        }
+
+        const sites = listAllSites();
+        if (sites.length === 0) {
+            console.log(chalk.yellow('\nNo sites found. Create one with: wpmax <name>\n'));
+            return;
+        }
+
+        try {
+            await ensureWpCli();
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+
+        const results = [];
+        for (const site of sites) {
+            console.log(chalk.bold(`\n── ${site.name} ${'─'.repeat(Math.max(0, 46 - site.name.length))}`));
+
+            if (!fs.existsSync(site.path)) {
+                console.log(chalk.yellow(`Skipped: directory does not exist (${site.path})`));
+                results.push({ name: site.name, skipped: true });
+                continue;
+            }
+
+            const exitCode = await runWpCli(site.path, args);
+            results.push({ name: site.name, exitCode });
+        }
+
+        // Per-site summary
+        const failed = results.filter(r => !r.skipped && r.exitCode !== 0);
+        console.log(chalk.bold(`\nSummary: wp ${args.join(' ')}\n`));
+        for (const result of results) {
+            if (result.skipped) {
+                console.log(`  ${chalk.yellow('-')} ${result.name.padEnd(20)} ${chalk.yellow('skipped (missing)')}`);
+            } else if (result.exitCode === 0) {
+                console.log(`  ${chalk.green('✓')} ${result.name}`);
+            } else {
+                console.log(`  ${chalk.red('✗')} ${result.name.padEnd(20)} ${chalk.red(`exit code ${result.exitCode}`)}`);
+            }
+        }
+        console.log('');
+
+        process.exit(failed.length > 0 ? 1 : 0);
+    });
+
+// URL command
+program
+    .command('url')
+    .description('Change a site\'s URL (search-replace in the database, registry and Herd)')
+    .argument('[site]', 'Name of the site')
+    .argument('[new-url]', 'New URL (default: {site}{tld} from config)')
+    .option('--all', 'Apply the configured TLD to every registered site')
+    .option('--no-herd', 'Skip re-running herd link/secure')
+    .action(async (siteName, newUrl, options) => {
+        let sites;
+        if (options.all) {
+            sites = listAllSites();
+        } else if (siteName) {
+            const site = getSite(siteName);
+            if (!site) {
+                console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
+                process.exit(1);
+            }
+            sites = [site];
+        } else {
+            console.log(chalk.red('\nSpecify a site, or --all to update every registered site.\n'));
+            process.exit(1);
+        }
+
+        const tld = getConfigValue('tld') || '.test';
+
+        try {
+            await ensureWpCli();
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+
+        const herdAvailable = options.herd && await isHerdInstalled();
+        const spinner = createSpinner();
+        let failed = 0;
+
+        for (const site of sites) {
+            if (site.mode === 'docker') {
+                console.log(chalk.yellow(`\n${site.name}: skipped (Docker sites are served on localhost ports)`));
+                continue;
+            }
+            if (!fs.existsSync(site.path)) {
+                console.log(chalk.yellow(`\n${site.name}: skipped (directory does not exist: ${site.path})`));
+                continue;
+            }
+
+            try {
+                const host = resolveHost((!options.all && newUrl) || site.name, tld);
+                const oldHost = getHost(site.url);
+
+                console.log(chalk.bold(`\n${site.name}: ${oldHost || '(unknown)'} → ${host}`));
+
+                // Herd serves the site over HTTPS, otherwise the site keeps the scheme it has now
+                const scheme = herdAvailable
+                    ? 'https'
+                    : ((await getHomeUrl(site.path)).match(/^(https?):/)?.[1] || 'http');
+                const fullUrl = `${scheme}://${host}`;
+
+                // The database goes first: if it fails, Herd still serves the site under its old host
+                spinner.start('Replacing URLs in the database...');
+                const previousUrl = await changeSiteUrl(site.path, fullUrl);
+                spinner.succeed(previousUrl === fullUrl ? `URL already ${fullUrl}` : `Replaced ${previousUrl} with ${fullUrl}`);
+
+                if (herdAvailable) {
+                    spinner.start('Updating Herd...');
+                    if (oldHost && oldHost !== host) {
+                        // Old link may not exist (e.g. Herd was never set up for this site)
+                        await herdUnsecure(site.path, getHerdName(oldHost)).catch(() => {});
+                        await herdUnlink(site.path, getHerdName(oldHost)).catch(() => {});
+                    }
+                    await herdLink(site.path, getHerdName(host));
+                    await herdSecure(site.path, getHerdName(host));
+                    spinner.succeed();
+                }
+
+                updateSite(site.name, { url: host });
+            } catch (error) {
+                spinner.fail(`Failed to update ${site.name}`);
+                console.error(chalk.red(`  ${error.message}`));
+                failed++;
+            }
+        }
+
+        console.log('');
+        if (failed > 0) {
+            process.exit(1);
+        }
+    });
+
+// Rename command
+program
+    .command('rename')
+    .description('Rename a site (registry entry, directory, database and URL)')
+    .argument('<old>', 'Current name of the site')
+    .argument('<new>', 'New name of the site (slug)')
+    .option('--keep-dbname', 'Keep the current database name')
+    .action(async (oldName, newName, options) => {
+        const spinner = createSpinner();
+
+        const site = getSite(oldName);
+        if (!site) {
+            console.log(chalk.red(`\nSite "${oldName}" not found in registry.\n`));
+            process.exit(1);
+        }
+
+        // The name becomes the directory name, so it must not contain a path
+        if (!isValidSlug(newName)) {
+            console.log(chalk.red(`\nInvalid site name: ${newName}. Use lowercase letters, numbers and dashes (e.g. client-shop).\n`));
+            process.exit(1);
+        }
+
+        if (siteExists(newName)) {
+            console.log(chalk.red(`\nSite "${newName}" already exists in registry.\n`));
+            process.exit(1);
+        }
+
+        if (!fs.existsSync(site.path)) {
+            console.log(chalk.red(`\nSite directory does not exist: ${site.path}\n`));
+            console.log(chalk.dim(`If you moved it by hand, run: wpmax move ${oldName} <new-path>\n`));
+            process.exit(1);
+        }
+
+        const newDbName = newName.replace(/-/g, '_');
+        if (!options.keepDbname && !isValidDbName(newDbName)) {
+            console.log(chalk.red(`\nInvalid database name: ${newDbName}. Must be alphanumeric with underscores, max 64 chars.\n`));
+            process.exit(1);
+        }
+
+        try {
+            await ensureWpCli();
+
+            spinner.start(`Renaming ${oldName} to ${newName}...`);
+            const renamed = await renameSite(site, newName, { keepDbName: options.keepDbname });
+            spinner.succeed();
+
+            console.log(chalk.green(`\n✅ Site renamed to ${newName}\n`));
+            console.log(`  Path:     ${renamed.path}`);
+            console.log(`  URL:      ${chalk.cyan(renamed.url)}`);
+            console.log(`  Database: ${renamed.dbName}\n`);
+
+        } catch (error) {
+            spinner.fail('Rename failed');
+            console.error(chalk.red(`\nError: ${error.message}\n`));
+            console.log(chalk.dim('Completed steps are saved in the registry. Check it with: wpmax list\n'));
+            process.exit(1);
+        }
+    });
+
+// Move command
+program
+    .command('move')
+    .alias('mv')
+    .description('Move a site\'s directory and update the registry')
+    .argument('<site>', 'Name of the site')
+    .argument('<new-path>', 'New directory for the site')
+    .action(async (siteName, newPath) => {
+        const spinner = createSpinner();
+
+        const site = getSite(siteName);
+        if (!site) {
+            console.log(chalk.red(`\nSite "${siteName}" not found in registry.\n`));
+            process.exit(1);
+        }
+
+        const targetPath = path.resolve(newPath);
+
+        // Folder already moved by hand: just point the registry at it
+        if (!fs.existsSync(site.path) && fs.existsSync(path.join(targetPath, 'wp-config.php'))) {
+            updateSite(siteName, { path: targetPath });
+            console.log(chalk.green(`\n✅ Registry updated: ${siteName} → ${targetPath}\n`));
+            return;
+        }
+
+        try {
+            spinner.start(`Moving ${siteName}...`);
+            await moveSite(site, targetPath);
+            spinner.succeed();
+
+            console.log(chalk.green(`\n✅ ${siteName} moved to ${targetPath}\n`));
+
+        } catch (error) {
+            spinner.fail('Move failed');
+            console.error(chalk.red(`\nError: ${error.message}\n`));
+            process.exit(1);
+        }
+    });
+
+/**
+ * Restore a site from the trash (shared by `trash restore` and `restore-deleted`)
+ * @param {string} siteName - Name of the trashed site
+ */
+async function restoreFromTrash(siteName) {
+    const spinner = createSpinner();
+
+    try {
+        if (!getTrashedSite(siteName)) {
+            console.log(chalk.red(`\nSite "${siteName}" is not in the trash.\n`));
+            console.log(chalk.dim('See trashed sites with: wpmax trash list\n'));
+            process.exit(1);
+        }
+
+        await ensureWpCli();
+
+        spinner.start(`Restoring ${siteName}...`);
+        const site = await restoreTrashedSite(siteName);
+        spinner.succeed();
+
+        console.log(chalk.green(`\n✅ Site "${siteName}" restored to ${site.path}\n`));
+
+    } catch (error) {
+        spinner.fail('Restore failed');
+        console.error(chalk.red(`\nError: ${error.message}\n`));
+        process.exit(1);
+    }
+}
+
+// Trash command with subcommands
+const trashCommand = program
+    .command('trash')
+    .description('Manage deleted sites');
+
+// Trash list subcommand
+trashCommand
+    .command('list')
+    .description('List sites in the trash')
+    .action(() => {
+        const retentionDays = getRetentionDays();
+        const purged = purgeExpiredTrash(retentionDays);
+        if (purged.length > 0) {
+            console.log(chalk.dim(`\nPurged ${purged.length} site(s) older than ${retentionDays} days: ${purged.join(', ')}`));
+        }
+
+        const sites = listTrashedSites();
+        if (sites.length === 0) {
+            console.log(chalk.yellow('\nTrash is empty.\n'));
+            return;
+        }
+
+        console.log(chalk.bold(`\nTrash (${sites.length} total):\n`));
+        for (const site of sites) {
+            const contents = [site.trash.files && 'files', site.trash.database && 'database'].filter(Boolean).join(' + ') || 'registry entry';
+            const purgeDate = getPurgeDate(site, retentionDays).toISOString().split('T')[0];
+            console.log(`  ${chalk.cyan('•')} ${chalk.bold(site.name).padEnd(20)} ${getTimeAgo(site.trash.trashed_at).padEnd(15)} ${contents.padEnd(18)} ${chalk.dim(`purged ${purgeDate}`)}`);
+        }
+        console.log(chalk.dim(`\n${getTrashDir()}\n`));
+    });
+
+// Trash restore subcommand
+trashCommand
+    .command('restore')
+    .description('Restore a site from the trash')
+    .argument('<site>', 'Name of the trashed site')
+    .action(restoreFromTrash);
+
+// Trash empty subcommand
+trashCommand
+    .command('empty')
+    .description('Permanently delete sites in the trash')
+    .argument('[site]', 'Only delete this site (default: everything)')
+    .option('--yes', 'Skip confirmation prompt')
+    .action(async (siteName, options) => {
+        const sites = siteName ? [getTrashedSite(siteName)].filter(Boolean) : listTrashedSites();
+
+        if (siteName && sites.length === 0) {
+            console.log(chalk.red(`\nSite "${siteName}" is not in the trash.\n`));
+            process.exit(1);
+        }
+        if (sites.length === 0) {
+            console.log(chalk.yellow('\nTrash is already empty.\n'));
+            return;
+        }
+
+        if (!options.yes && !isInteractive(options)) {
+            exitNonInteractive('Pass --yes to empty the trash without confirmation.');
+        }
+        if (!options.yes) {
+            const answers = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: `Permanently delete ${sites.map(s => s.name).join(', ')}? This cannot be undone.`,
+                    default: false
+                }
+            ]);
+
+            if (!answers.confirm) {
+                console.log(chalk.dim('Cancelled.\n'));
+                return;
+            }
+        }
+
+        let purged;
+        if (siteName) {
+            purgeTrashedSite(sites[0]);
+            purged = [siteName];
+        } else {
+            purged = emptyTrash();
+        }
+        console.log(chalk.green(`\n✅ Permanently deleted: ${purged.join(', ')}\n`));
+    });
+
+// Restore-deleted command (shortcut for trash restore)
+program
+    .command('restore-deleted')
+    .description('Restore a deleted site from the trash (same as trash restore)')
+    .argument('<site>', 'Name of the trashed site')
+    .action(restoreFromTrash);
+
+// Logs command
+program
+    .command('logs')
+    .description('List the log files of recent wpmax runs, or show the latest one')
+    .option('--last', 'Print the most recent log')
+    .action((options) => {
+        const logs = listLogs();
+
+        if (logs.length === 0) {
+            console.log(chalk.yellow('\nNo logs yet.\n'));
+            return;
+        }
+
+        if (options.last) {
+            process.stdout.write(fs.readFileSync(logs[0].path, 'utf8'));
+            console.log(chalk.dim(`\n${logs[0].path}`));
+            return;
+        }
+
+        console.log(chalk.bold(`\nLogs (${logs.length}):\n`));
+        logs.forEach(log => {
+            console.log(`  ${chalk.cyan('•')} ${log.name.padEnd(45)} ${getTimeAgo(log.modified.toISOString()).padEnd(15)} ${formatBytes(log.size)}`);
+        });
+        console.log(chalk.dim(`\nStored in ${getLogsDir()}. Show the latest with: wpmax logs --last\n`));
+    });
+
+// Cache command with subcommands
+const cacheCommand = program
+    .command('cache')
+    .description('Manage cached WordPress core and plugin downloads');
+
+// Cache list subcommand
+cacheCommand
+    .command('list')
+    .description('List cached downloads')
+    .option('--json', 'Output JSON')
+    .action((options) => {
+        const cache = listCache();
+
+        if (isJsonOutput(options)) {
+            printJson(cache);
+            return;
+        }
+
+        if (cache.core.length === 0 && cache.plugins.length === 0) {
+            console.log(chalk.yellow('\nCache is empty.'));
+            console.log(chalk.dim('Downloads are cached when sites are created, or run: wpmax cache warm\n'));
+            return;
+        }
+
+        if (cache.core.length > 0) {
+            console.log(chalk.bold('\nWordPress core:\n'));
+            for (const entry of cache.core) {
+                const variant = `${entry.locale}${entry.withContent ? '' : ', no content'}`;
+                console.log(`  ${chalk.cyan('•')} ${chalk.bold(entry.version).padEnd(20)} ${variant.padEnd(20)} ${getTimeAgo(entry.cached_at).padEnd(15)} ${formatBytes(entry.size)}`);
+            }
+        }
+
+        if (cache.plugins.length > 0) {
+            console.log(chalk.bold('\nPlugins:\n'));
+            for (const entry of cache.plugins) {
+                console.log(`  ${chalk.cyan('•')} ${chalk.bold(entry.slug).padEnd(30)} ${entry.version.padEnd(10)} ${getTimeAgo(entry.cached_at).padEnd(15)} ${formatBytes(entry.size)}`);
+            }
+        }
+
+        console.log(chalk.dim(`\n${formatBytes(cache.totalSize)} in ${getCacheDir()}\n`));
+    });
+
+// Cache clear subcommand
+cacheCommand
+    .command('clear')
+    .description('Delete cached downloads')
+    .argument('[type]', 'Only clear core or plugins (default: everything)')
+    .action((type) => {
+        try {
+            const removed = clearCache(type);
+            console.log(chalk.green(`\n✅ Removed ${removed} cached download(s).\n`));
+        } catch (error) {
+            console.error(chalk.red(`\nError: ${error.message}\n`));
+            process.exit(1);
+        }
+    });
+
+// Cache warm subcommand
+cacheCommand
+    .command('warm')
+    .description('Download WordPress core and plugins into the cache ahead of time')
+    .option('--wp-version <version>', 'WordPress version (default: latest)', 'latest')
+    .option('--locale <locale>', 'WordPress language (default: locale config or en_US)')
+    .option('--with-content', 'Cache the download with the default themes and plugins')
+    .option('--plugins <slugs>', 'Comma-separated plugin slugs (default: public-plugins config)')
+    .action(async (options) => {
+        const spinner = createSpinner();
+        const locale = options.locale || getConfigValue('locale') || DEFAULT_LOCALE;
+        const plugins = options.plugins
+            ? options.plugins.split(',').map(slug => slug.trim()).filter(slug => slug)
+            : getConfigValue('publicPlugins') || [];
+
+        try {
+            spinner.start('Checking WP-CLI availability...');
+            await ensureWpCli();
+            spinner.succeed();
+        } catch (error) {
+            spinner.fail('WP-CLI setup failed');
+            console.error(chalk.red(error.message));
+            process.exit(1);
+        }
+
+        try {
+            spinner.start(`Caching WordPress ${options.wpVersion} (${locale})...`);
+            const core = await cacheCore({ version: options.wpVersion, locale, withContent: Boolean(options.withContent) });
+            if (core) {
+                spinner.succeed(`WordPress ${core.version} (${locale}) ${core.hit ? 'already cached' : 'cached'}`);
+            } else {
+                spinner.warn(`WordPress ${options.wpVersion} is not cached (nightly builds change daily)`);
+            }
+        } catch (error) {
+            spinner.fail('Caching WordPress failed');
+            console.error(chalk.red(error.message));
+            logFailure(error);
+            process.exit(1);
+        }
+
+        let failed = 0;
+        for (const slug of plugins) {
+            spinner.start(`Caching ${slug}...`);
+            try {
+                const plugin = await cachePlugin(slug);
+                if (plugin) {
+                    spinner.succeed(`${slug} ${plugin.version} ${plugin.hit ? 'already cached' : 'cached'}`);
+                } else {
+                    spinner.warn(`${slug} not found on WordPress.org`);
+                    failed++;
+                }
+            } catch (error) {
+                spinner.fail(`${slug}: ${error.message}`);
+                failed++;
+            }
+        }
+
+        if (failed > 0) {
+            console.log(chalk.yellow(`\n⚠ ${failed} plugin(s) could not be cached.\n`));
+            process.exit(1);
+        }
+        console.log(chalk.green(`\n✅ Cache is ready (${getCacheDir()})\n`));
+    });
+
+addGlobalOptions(program);
+
+// Configure the command runner from the options of the command that is about to run
+// (wpmax --verbose info my-site sets the root option, wpmax info my-site --verbose the subcommand's)
+// and start the log file for this run
+program.hook('preAction', (_, actionCommand) => {
+    const options = actionCommand.opts();
+    const rootOptions = program.opts();
+    configureRunner({
+        verbose: Boolean(options.verbose || options.debug || rootOptions.verbose || rootOptions.debug),
+        // Only the create command has a command-level dry run (delete --dry-run lists what it would remove)
+        dryRun: actionCommand === program && Boolean(options.dryRun)
+    });
+
+    // Viewing logs doesn't create one; "new" and "create" without --from re-run the main command, which starts its own
+    const reparses = actionCommand.name() === 'new' || (actionCommand.name() === 'create' && !options.from);
+    if (actionCommand.name() !== 'logs' && !reparses) {
+        const names = [];
+        for (let command = actionCommand; command !== program; command = command.parent) {
+            names.unshift(command.name());
+        }
+        startLog(names.join('-') || 'create', { argv: getMaskedArgv(actionCommand), version: currentVersion });
+    }
+});
+
+// Errors a command doesn't handle itself (e.g. a corrupt sites.json) end the run with their message, not a stack trace
+program.parseAsync().catch((error) => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+});
@@ -0,0 +1,352 @@
+// src/batch-creator.js
+import fs from 'fs';
+import path from 'path';
+import { WordPressInstaller } from './installer.js';
+import { loadBlueprint, matchesType } from './blueprint-manager.js';
+import { isValidEmail, isValidSlug, normalizeUrl, normalizeDbPrefix, isValidDbName } from './validators.js';
+import { getSite, getTrashedSite } from './site-registry.js';
+import { DEFAULT_LOCALE } from './download-cache.js';
+import { writeLog } from './log-manager.js';
+
+/**
+ * Keys a site definition in a manifest may contain, with their expected type
+ * CLI-flag settings use the same names as the flags (dbname, adminUser), the rest the blueprint names
+ */
+const SITE_KEYS = {
+    name: 'string',
+    blueprint: 'string',
+    url: 'string',
+    title: 'string',
+    wpVersion: 'string',
+    locale: 'string',
+    withContent: 'boolean',
+    docker: 'boolean',
+    herd: 'boolean',
+    dbname: 'string',
+    dbuser: 'string',
+    dbpass: 'string',
+    dbhost: 'string',
+    dbprefix: 'string',
+    adminUser: 'string',
+    adminPass: 'string',
+    adminEmail: 'string',
+    publicPlugins: 'string[]',
+    localPlugins: 'string[]',
+    publicThemes: 'string[]',
+    localThemes: 'string[]',
+    activeTheme: 'string'
+};
+
+/**
+ * Check the site definitions of a manifest, including that no site is registered under the same name
+ * @param {Object[]} sites - Site definitions (with manifest defaults applied)
+ * @throws {Error} - Listing every problem found
+ */
+export function validateManifest(sites) {
+    const problems = [];
+    const names = new Set();
+    // Database name → site that uses it (buildSiteConfig derives it from the name the same way)
+    const dbNames = new Map();
+
+    sites.forEach((site, index) => {
+        const label = typeof site?.name === 'string' && site.name ? site.name : `sites[${index}]`;
+
+        if (site === null || typeof site !== 'object' || Array.isArray(site)) {
+            problems.push(`${label} must be a JSON object`);
+            return;
+        }
+
+        for (const [key, value] of Object.entries(site)) {
+            const type = SITE_KEYS[key];
+            if (!type) {
+                problems.push(`${label}: unknown key "${key}"`);
+            } else if (!matchesType(value, type)) {
+                problems.push(`${label}: "${key}" must be of type ${type}`);
+            }
+        }
+
+        if (typeof site.name !== 'string' || !site.name) {
+            problems.push(`${label} is missing "name"`);
+        } else if (!/^[a-zA-Z0-9_-]+$/.test(site.name)) {
+            problems.push(`${label}: invalid name, only letters, numbers, dashes and underscores allowed`);
+        } else if (names.has(site.name)) {
+            problems.push(`${label} is defined more than once`);
+        } else {
+            names.add(site.name);
+            if (getSite(site.name)) {
+                problems.push(`${label} already exists. Run: wpmax info ${site.name}`);
+            } else if (getTrashedSite(site.name)) {
+                problems.push(`${label} is in the trash. Restore it with wpmax trash restore ${site.name}, or empty it with wpmax trash empty ${site.name}`);
+            }
+        }
+
+        if (typeof site.name === 'string' && site.name) {
+            const dbName = typeof site.dbname === 'string' && site.dbname ? site.dbname : site.name.replace(/-/g, '_');
+            if (dbNames.has(dbName) && dbNames.get(dbName) !== site.name) {
+                problems.push(`${label}: database ${dbName} is also used by ${dbNames.get(dbName)}. Set a different "dbname".`);
+            } else {
+                dbNames.set(dbName, site.name);
+            }
+        }
+
+        if (typeof site.adminEmail === 'string' && !isValidEmail(site.adminEmail)) {
+            problems.push(`${label}: invalid adminEmail ${site.adminEmail}`);
+        }
+
+        for (const key of ['publicPlugins', 'publicThemes']) {
+            const invalid = Array.isArray(site[key]) ? site[key].filter(slug => typeof slug === 'string' && !isValidSlug(slug)) : [];
+            if (invalid.length > 0) {
+                problems.push(`${label}: invalid ${key} ${invalid.join(', ')}. Use WordPress.org slugs such as query-monitor, and localPlugins/localThemes for ZIP files.`);
+            }
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid manifest:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    }
+}
+
+/**
+ * Load a batch manifest: an array of site definitions, or { "defaults": {...}, "sites": [...] }
+ * Defaults apply to every site. Relative local plugin/theme paths are resolved against the manifest's directory.
+ * @param {string} manifestPath - Path to the JSON file
+ * @returns {Object[]} - Validated site definitions
+ * @throws {Error} - If the file is missing, unreadable or invalid
+ */
+export function loadManifest(manifestPath) {
+    const absolutePath = path.resolve(manifestPath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Manifest not found: ${absolutePath}`);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse manifest ${absolutePath}: ${error.message}`);
+    }
+
+    const defaults = Array.isArray(manifest) ? {} : manifest?.defaults || {};
+    const entries = Array.isArray(manifest) ? manifest : manifest?.sites;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Manifest must be a non-empty array of sites, or an object with a "sites" array');
+    }
+
+    const sites = entries.map(site => (site !== null && typeof site === 'object' && !Array.isArray(site) ? { ...defaults, ...site } : site));
+    validateManifest(sites);
+
+    const baseDir = path.dirname(absolutePath);
+    return sites.map(site => {
+        const resolved = { ...site };
+        for (const key of ['localPlugins', 'localThemes']) {
+            if (resolved[key]) {
+                resolved[key] = resolved[key].map(zipPath => path.resolve(baseDir, zipPath));
+            }
+        }
+        if (resolved.blueprint && (resolved.blueprint.includes('/') || resolved.blueprint.endsWith('.json'))) {
+            resolved.blueprint = path.resolve(baseDir, resolved.blueprint);
+        }
+        return resolved;
+    });
+}
+
+/**
+ * List the ZIP files in a directory (default-plugins-path, default-themes-path)
+ * @param {string} [dirPath]
+ * @returns {string[]}
+ */
+function listZips(dirPath) {
+    if (!dirPath || !fs.existsSync(dirPath)) {
+        return [];
+    }
+    return fs.readdirSync(dirPath)
+        .filter(file => file.endsWith('.zip'))
+        .map(file => path.join(dirPath, file));
+}
+
+/**
+ * Build the installer config for a site definition
+ * Precedence is the same as for wpmax <name>: site > blueprint > config > built-in defaults.
+ * Plugins and themes not set by the site or its blueprint are what the create prompts preselect:
+ * every public-plugins/public-themes slug and every ZIP in default-plugins-path/default-themes-path.
+ * @param {Object} site - Site definition from the manifest
+ * @param {Object} configDefaults - Config file values
+ * @returns {Object} - Config for WordPressInstaller
+ * @throws {Error} - If the blueprint can't be loaded or a value is invalid
+ */
+export function buildSiteConfig(site, configDefaults = {}) {
+    const blueprint = site.blueprint ? loadBlueprint(site.blueprint) : {};
+
+    const dbName = site.dbname || site.name.replace(/-/g, '_');
+    if (!isValidDbName(dbName)) {
+        throw new Error(`Invalid database name: ${dbName}. Must be alphanumeric with underscores, max 64 chars.`);
+    }
+
+    const tld = blueprint.tld || configDefaults.tld || '.test';
+    const adminEmail = site.adminEmail || blueprint.adminEmail || configDefaults.adminEmail || 'admin@test.com';
+    if (!isValidEmail(adminEmail)) {
+        throw new Error(`Invalid admin email: ${adminEmail}`);
+    }
+
+    // [public slugs, local ZIPs] from the first of site, blueprint and config that sets either
+    const pickLists = (publicKey, localKey, zipDirKey) => {
+        for (const source of [site, blueprint]) {
+            if (source[publicKey] || source[localKey]) {
+                return [source[publicKey] || [], source[localKey] || []];
+            }
+        }
+        return [configDefaults[publicKey] || [], listZips(configDefaults[zipDirKey])];
+    };
+
+    const [selectedPublicPlugins, selectedLocalPlugins] = pickLists('publicPlugins', 'localPlugins', 'defaultPluginsPath');
+    const [selectedPublicThemes, selectedLocalThemes] = pickLists('publicThemes', 'localThemes', 'defaultThemesPath');
+    const themes = [...selectedLocalThemes, ...selectedPublicThemes];
+
+    return {
+        slug: site.name,
+        // Database settings
+        dbName,
+        dbUser: site.dbuser || blueprint.dbuser || configDefaults.dbuser || 'root',
+        dbPass: site.dbpass || '',
+        dbHost: site.dbhost || blueprint.dbhost || configDefaults.dbhost || null,
+        dbPrefix: normalizeDbPrefix(site.dbprefix || blueprint.dbprefix || configDefaults.dbprefix || 'wp_'),
+        // Site settings
+        url: normalizeUrl(site.url || `${site.name}${tld}`, tld),
+        title: site.title || blueprint.title || site.name.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '),
+        // Admin settings
+        adminUser: site.adminUser || blueprint.adminUser || configDefaults.adminUser || 'admin',
+        adminPass: site.adminPass || blueprint.adminPass || 'admin',
+        adminEmail,
+        // WordPress settings
+        withContent: site.withContent ?? blueprint.withContent ?? false,
+        wpVersion: site.wpVersion || blueprint.wpVersion || 'latest',
+        locale: site.locale || blueprint.locale || configDefaults.locale || DEFAULT_LOCALE,
+        // Flags
+        useDocker: site.docker ?? blueprint.docker ?? false,
+        herd: site.herd ?? true,
+        noDb: false,
+        verbose: false,
+        // Plugins
+        selectedPublicPlugins,
+        selectedLocalPlugins,
+        // Themes
+        selectedPublicThemes,
+        selectedLocalThemes,
+        activeTheme: site.activeTheme || blueprint.activeTheme || (themes.length === 1 ? themes[0] : null),
+        // Blueprint extras
+        wpOptions: blueprint.options || {},
+        wpConstants: blueprint.constants || {},
+        extraUsers: blueprint.users || []
+    };
+}
+
+/**
+ * Create one site without prompts, rolling back on failure
+ * @param {Object} config - Installer config (see buildSiteConfig)
+ * @param {Object} [options]
+ * @param {boolean} [options.setupHerd=false] - Run herd link and herd secure (unless the site sets herd: false)
+ * @param {function(string): void} [options.onStep] - Called with the name of each step as it starts
+ * @returns {Promise<{name: string, ok: boolean, url?: string, error?: string, rollbackErrors?: string[], seconds: number}>}
+ */
+export async function createSite(config, { setupHerd = false, onStep = () => {} } = {}) {
+    const installer = new WordPressInstaller(config);
+    const startedAt = Date.now();
+    const elapsed = () => Math.round((Date.now() - startedAt) / 100) / 10;
+
+    try {
+        onStep('Creating directory');
+        await installer.createDirectory();
+
+        onStep('Downloading core');
+        await installer.downloadCore();
+
+        onStep(config.useDocker ? 'Starting Docker containers' : 'Configuring database');
+        await installer.configureDatabase();
+
+        if (Object.keys(config.wpConstants).length > 0) {
+            onStep('Setting wp-config constants');
+            await installer.setConstants();
+        }
+
+        onStep('Installing WordPress');
+        await installer.installWordPress();
+
+        onStep('Installing plugins');
+        await installer.installPlugins();
+
+        if (config.selectedPublicThemes.length > 0 || config.selectedLocalThemes.length > 0 || config.activeTheme) {
+            onStep('Installing themes');
+            await installer.installThemes();
+        }
+
+        if (Object.keys(config.wpOptions).length > 0) {
+            onStep('Updating options');
+            await installer.updateOptions();
+        }
+
+        if (config.extraUsers.length > 0) {
+            onStep('Creating users');
+            await installer.createUsers();
+        }
+
+        let url = `http://${config.url}`;
+        if (setupHerd && config.herd !== false && !config.useDocker) {
+            onStep('Setting up Herd');
+            await installer.setupHerd();
+            url = `https://${config.slug}.test`;
+        }
+
+        installer.registerSite();
+        return { name: config.slug, ok: true, url, seconds: elapsed() };
+    } catch (error) {
+        writeLog(`${config.slug} failed: ${error.stack || error.message}`);
+        const rollbackErrors = (await installer.rollback())
+            .filter(result => !result.ok)
+            .map(result => `${result.step}: ${result.error}`);
+        return { name: config.slug, ok: false, error: error.message, rollbackErrors, seconds: elapsed() };
+    }
+}
+
+/**
+ * Create several sites, at most `concurrency` at a time
+ * Docker sites are created one after another, since free host ports are picked when their containers start.
+ * A failed site does not stop the others.
+ * @param {Object[]} configs - Installer configs
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1]
+ * @param {boolean} [options.setupHerd=false]
+ * @param {function(Object): void} [options.onStart] - Called with the config when a site starts
+ * @param {function(Object): void} [options.onFinish] - Called with the result when a site is done
+ * @returns {Promise<Object[]>} - Results (see createSite), in the order of configs
+ */
+export async function createSites(configs, { concurrency = 1, setupHerd = false, onStart = () => {}, onFinish = () => {} } = {}) {
+    const results = new Array(configs.length);
+    let next = 0;
+    let dockerQueue = Promise.resolve();
+
+    const run = async (config) => {
+        onStart(config);
+        const result = await createSite(config, { setupHerd });
+        onFinish(result);
+        return result;
+    };
+
+    const worker = async () => {
+        while (next < configs.length) {
+            const index = next++;
+            const config = configs[index];
+
+            if (config.useDocker) {
+                const queued = dockerQueue.then(() => run(config));
+                dockerQueue = queued.catch(() => {});
+                results[index] = await queued;
+            } else {
+                results[index] = await run(config);
+            }
+        }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, configs.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+}
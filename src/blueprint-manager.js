@@ -0,0 +1,230 @@
+// src/blueprint-manager.js
+import fs from 'fs';
+import path from 'path';
+import { isValidEmail, normalizeDbPrefix } from './validators.js';
+import { getConfigDir } from './paths.js';
+
+const BLUEPRINTS_DIR = path.join(getConfigDir(), 'blueprints');
+
+/**
+ * Keys a blueprint may contain, with their expected type
+ * Create-command settings use the same names as config keys
+ */
+const BLUEPRINT_KEYS = {
+    description: 'string',
+    wpVersion: 'string',
+    locale: 'string',
+    withContent: 'boolean',
+    docker: 'boolean',
+    title: 'string',
+    tld: 'string',
+    dbuser: 'string',
+    dbhost: 'string',
+    dbprefix: 'string',
+    adminUser: 'string',
+    adminPass: 'string',
+    adminEmail: 'string',
+    publicPlugins: 'string[]',
+    localPlugins: 'string[]',
+    publicThemes: 'string[]',
+    localThemes: 'string[]',
+    activeTheme: 'string',
+    options: 'object',
+    users: 'object[]',
+    constants: 'object'
+};
+
+/**
+ * Ensure the blueprints directory exists
+ */
+function ensureBlueprintsDir() {
+    if (!fs.existsSync(BLUEPRINTS_DIR)) {
+        fs.mkdirSync(BLUEPRINTS_DIR, { recursive: true });
+    }
+}
+
+/**
+ * Check a value against a BLUEPRINT_KEYS type
+ * @param {*} value - Value to check
+ * @param {string} type - Expected type ('string', 'boolean', 'object', 'string[]' or 'object[]')
+ * @returns {boolean}
+ */
+export function matchesType(value, type) {
+    if (type === 'string[]') {
+        return Array.isArray(value) && value.every(v => typeof v === 'string');
+    }
+    if (type === 'object[]') {
+        return Array.isArray(value) && value.every(v => v !== null && typeof v === 'object' && !Array.isArray(v));
+    }
+    if (type === 'object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === type;
+}
+
+/**
+ * Get the blueprints directory path (for display purposes)
+ */
+export function getBlueprintsDir() {
+    return BLUEPRINTS_DIR;
+}
+
+/**
+ * Validate a blueprint object
+ * @param {Object} blueprint - Parsed blueprint
+ * @throws {Error} - Listing every problem found
+ */
+export function validateBlueprint(blueprint) {
+    if (blueprint === null || typeof blueprint !== 'object' || Array.isArray(blueprint)) {
+        throw new Error('Blueprint must be a JSON object');
+    }
+
+    const problems = [];
+
+    for (const [key, value] of Object.entries(blueprint)) {
+        const type = BLUEPRINT_KEYS[key];
+        if (!type) {
+            problems.push(`Unknown key "${key}"`);
+        } else if (!matchesType(value, type)) {
+            problems.push(`"${key}" must be of type ${type}`);
+        }
+    }
+
+    if (typeof blueprint.adminEmail === 'string' && !isValidEmail(blueprint.adminEmail)) {
+        problems.push(`Invalid adminEmail: ${blueprint.adminEmail}`);
+    }
+
+    if (typeof blueprint.dbprefix === 'string') {
+        try {
+            normalizeDbPrefix(blueprint.dbprefix);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+
+    if (matchesType(blueprint.users, 'object[]')) {
+        blueprint.users.forEach((user, index) => {
+            if (!user.username) {
+                problems.push(`users[${index}] is missing "username"`);
+            }
+            if (!user.email || !isValidEmail(user.email)) {
+                problems.push(`users[${index}] has an invalid "email"`);
+            }
+        });
+    }
+
+    if (matchesType(blueprint.constants, 'object')) {
+        for (const [name, value] of Object.entries(blueprint.constants)) {
+            if (!/^[A-Z_][A-Z0-9_]*$/.test(name)) {
+                problems.push(`Invalid constant name: ${name}`);
+            }
+            if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                problems.push(`Constant ${name} must be a string, number or boolean`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid blueprint:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    }
+}
+
+/**
+ * Resolve a blueprint name or file path to a file path
+ * Anything that looks like a path (contains a separator or ends in .json) is used as-is
+ * @param {string} nameOrPath - Blueprint name (from the blueprints directory) or path to a JSON file
+ * @returns {string} - Absolute path to the blueprint file
+ */
+export function resolveBlueprintPath(nameOrPath) {
+    if (nameOrPath.includes('/') || nameOrPath.includes(path.sep) || nameOrPath.endsWith('.json')) {
+        return path.resolve(nameOrPath);
+    }
+    return path.join(BLUEPRINTS_DIR, `${nameOrPath}.json`);
+}
+
+/**
+ * Load and validate a blueprint
+ * Relative local plugin/theme paths are resolved against the blueprint file's directory
+ * @param {string} nameOrPath - Blueprint name or path to a JSON file
+ * @returns {Object} - Validated blueprint
+ * @throws {Error} - If the blueprint is missing, unreadable, invalid or references missing ZIPs
+ */
+export function loadBlueprint(nameOrPath) {
+    const blueprintPath = resolveBlueprintPath(nameOrPath);
+
+    if (!fs.existsSync(blueprintPath)) {
+        throw new Error(`Blueprint not found: ${nameOrPath} (looked for ${blueprintPath})`);
+    }
+
+    let blueprint;
+    try {
+        blueprint = JSON.parse(fs.readFileSync(blueprintPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse blueprint ${blueprintPath}: ${error.message}`);
+    }
+
+    validateBlueprint(blueprint);
+
+    const baseDir = path.dirname(blueprintPath);
+    for (const key of ['localPlugins', 'localThemes']) {
+        if (!blueprint[key]) {
+            continue;
+        }
+        blueprint[key] = blueprint[key].map(zipPath => path.resolve(baseDir, zipPath));
+
+        const missing = blueprint[key].filter(zipPath => !fs.existsSync(zipPath));
+        if (missing.length > 0) {
+            throw new Error(`Blueprint ${key} not found:\n${missing.map(p => `  - ${p}`).join('\n')}`);
+        }
+    }
+
+    return blueprint;
+}
+
+/**
+ * List saved blueprints
+ * @returns {Array<{name: string, path: string, description: string|null}>}
+ */
+export function listBlueprints() {
+    if (!fs.existsSync(BLUEPRINTS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(BLUEPRINTS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const blueprintPath = path.join(BLUEPRINTS_DIR, file);
+            let description = null;
+            try {
+                description = JSON.parse(fs.readFileSync(blueprintPath, 'utf8')).description || null;
+            } catch (error) {
+                // Unreadable blueprints are still listed so they can be fixed
+            }
+            return { name: path.basename(file, '.json'), path: blueprintPath, description };
+        });
+}
+
+/**
+ * Save a blueprint to the blueprints directory
+ * @param {string} name - Blueprint name (letters, numbers, dashes and underscores)
+ * @param {Object} blueprint - Blueprint data
+ * @param {boolean} [overwrite=false] - Replace an existing blueprint with the same name
+ * @returns {string} - Path to the saved file
+ * @throws {Error} - If the name or blueprint is invalid, or the blueprint exists and overwrite is false
+ */
+export function saveBlueprint(name, blueprint, overwrite = false) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+        throw new Error(`Invalid blueprint name: ${name}. Only letters, numbers, dashes and underscores allowed.`);
+    }
+
+    validateBlueprint(blueprint);
+
+    const blueprintPath = path.join(BLUEPRINTS_DIR, `${name}.json`);
+    if (fs.existsSync(blueprintPath) && !overwrite) {
+        throw new Error(`Blueprint "${name}" already exists. Use --force to overwrite it.`);
+    }
+
+    ensureBlueprintsDir();
+    fs.writeFileSync(blueprintPath, JSON.stringify(blueprint, null, 2), 'utf8');
+    return blueprintPath;
+}
@@ -0,0 +1,216 @@
+// src/command-runner.js
+import { execa } from 'execa';
+import chalk from 'chalk';
+import { writeLog, truncateOutput } from './log-manager.js';
+
+/**
+ * Flags whose values are never printed (wp config create, wp core install, wp user create/update)
+ */
+export const SECRET_FLAGS = ['--dbpass', '--admin_password', '--user_pass'];
+
+const MASK = '****';
+
+const settings = {
+    verbose: false,
+    dryRun: false
+};
+
+/**
+ * Configure how commands are run for the rest of the process
+ * @param {Object} options
+ * @param {boolean} [options.verbose=false] - Print each command with its cwd, duration and stderr
+ * @param {boolean} [options.dryRun=false] - Print commands instead of running them
+ */
+export function configureRunner({ verbose = false, dryRun = false } = {}) {
+    settings.verbose = verbose;
+    settings.dryRun = dryRun;
+}
+
+/**
+ * Whether commands are only printed, not run
+ * @returns {boolean}
+ */
+export function isDryRun() {
+    return settings.dryRun;
+}
+
+/**
+ * Whether commands are printed as they run (verbose or dry-run)
+ * @returns {boolean}
+ */
+export function isTracing() {
+    return settings.verbose || settings.dryRun;
+}
+
+/**
+ * Replace the values of secret flags (e.g. --dbpass=secret → --dbpass=****)
+ * @param {string[]} args - Command arguments
+ * @returns {string[]}
+ */
+export function maskArgs(args) {
+    return args.map(arg => {
+        const flag = SECRET_FLAGS.find(secretFlag => arg.startsWith(`${secretFlag}=`));
+        return flag ? `${flag}=${MASK}` : arg;
+    });
+}
+
+/**
+ * Quote an argument for display if the shell would split or expand it
+ * @param {string} arg
+ * @returns {string}
+ */
+function quoteArg(arg) {
+    const isMasked = SECRET_FLAGS.some(flag => arg === `${flag}=${MASK}`);
+    if (isMasked || /^[\w@%+=:,./-]+$/.test(arg)) {
+        return arg;
+    }
+    return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Format a command line the way it could be pasted into a shell
+ * @param {string} cmd - Executable
+ * @param {string[]} args - Arguments
+ * @returns {string}
+ */
+export function formatCommand(cmd, args = []) {
+    return [cmd, ...args].map(quoteArg).join(' ');
+}
+
+/**
+ * Get the secret values passed in arguments
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+function getSecrets(args) {
+    return args
+        .map(arg => {
+            const flag = SECRET_FLAGS.find(secretFlag => arg.startsWith(`${secretFlag}=`));
+            return flag ? arg.slice(flag.length + 1) : '';
+        })
+        .filter(secret => secret);
+}
+
+/**
+ * Replace secret values anywhere in a text (error messages and output may echo the command line)
+ * @param {string} text
+ * @param {string[]} secrets
+ * @returns {string}
+ */
+function maskSecrets(text, secrets) {
+    return secrets.reduce((masked, secret) => masked.split(secret).join(MASK), text);
+}
+
+/**
+ * Remove secret values from an execa error, whose message includes the full command line
+ * @param {Error} error
+ * @param {string[]} secrets
+ * @returns {Error} - The same error
+ */
+function maskError(error, secrets) {
+    for (const key of ['message', 'shortMessage', 'command', 'escapedCommand']) {
+        if (typeof error[key] === 'string') {
+            error[key] = maskSecrets(error[key], secrets);
+        }
+    }
+    return error;
+}
+
+/**
+ * Write a finished command to the log file, with its output
+ * @param {string} commandLine - Masked command line
+ * @param {string} cwd
+ * @param {Object} result - execa result or error
+ * @param {number} startedAt - Timestamp the command started
+ * @param {string[]} secrets
+ */
+function logResult(commandLine, cwd, result, startedAt, secrets) {
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    const lines = [`$ ${commandLine}`, `in ${cwd}`, `exit ${result?.exitCode ?? 0} after ${seconds}s`];
+
+    for (const stream of ['stdout', 'stderr']) {
+        const output = typeof result?.[stream] === 'string' ? result[stream].trim() : '';
+        if (output) {
+            lines.push(`${stream}:`, truncateOutput(maskSecrets(output, secrets)));
+        }
+    }
+    writeLog(lines.join('\n'));
+}
+
+/**
+ * Print a trace line (stderr, so JSON on stdout stays parseable)
+ * @param {string} line
+ */
+function log(line) {
+    console.error(line);
+}
+
+/**
+ * Print how a command ended, with its stderr
+ * @param {Object} result - execa result or error
+ * @param {number} startedAt - Timestamp the command started
+ */
+function traceResult(result, startedAt) {
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    const exitCode = result?.exitCode ?? 0;
+    const status = exitCode === 0
+        ? chalk.green(`  ✓ ${seconds}s`)
+        : chalk.red(`  ✗ exit ${exitCode} after ${seconds}s`);
+    log(status);
+
+    const stderr = typeof result?.stderr === 'string' ? result.stderr.trim() : '';
+    if (stderr) {
+        stderr.split('\n').forEach(line => log(chalk.dim(`  │ ${line}`)));
+    }
+}
+
+/**
+ * Run an external command. Every execa call in wpmax goes through here.
+ * Each command is written to the log file with its output (see log-manager.js).
+ * In verbose mode the command line (with secrets masked), cwd, duration and stderr are printed.
+ * In dry-run mode the command is printed and an empty successful result is returned instead.
+ * @param {string} cmd - Executable
+ * @param {string[]} [args=[]] - Arguments
+ * @param {Object} [options] - execa options, plus:
+ * @param {boolean} [options.readOnly=false] - The command only inspects the environment (version checks,
+ *   connection probes), so it also runs in dry-run mode and the plan reflects this machine
+ * @returns {Promise<Object>} - execa result
+ * @throws {Error} - execa error, with secret values masked in its message
+ */
+export async function runCommand(cmd, args = [], options = {}) {
+    const { readOnly = false, ...execaOptions } = options;
+    const commandLine = formatCommand(cmd, maskArgs(args));
+    const cwd = execaOptions.cwd || process.cwd();
+    const secrets = getSecrets(args);
+
+    if (settings.dryRun && !readOnly) {
+        log(`${chalk.cyan('[dry-run]')} ${commandLine}`);
+        log(chalk.dim(`          in ${cwd}`));
+        writeLog(`[dry-run] ${commandLine}\nin ${cwd}`);
+        return { command: commandLine, stdout: '', stderr: '', exitCode: 0 };
+    }
+
+    if (settings.verbose) {
+        log(chalk.dim(`$ ${commandLine}`));
+        log(chalk.dim(`  in ${cwd}`));
+    }
+
+    const startedAt = Date.now();
+    try {
+        const result = Object.keys(execaOptions).length > 0
+            ? await execa(cmd, args, execaOptions)
+            : await execa(cmd, args);
+        if (settings.verbose) {
+            traceResult(result, startedAt);
+        }
+        logResult(commandLine, cwd, result, startedAt, secrets);
+        return result;
+    } catch (error) {
+        const failure = { exitCode: error.exitCode ?? 1, stdout: error.stdout, stderr: error.stderr ?? error.message };
+        if (settings.verbose) {
+            traceResult({ exitCode: failure.exitCode, stderr: error.stderr }, startedAt);
+        }
+        logResult(commandLine, cwd, failure, startedAt, secrets);
+        throw maskError(error, secrets);
+    }
+}
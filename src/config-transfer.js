@@ -0,0 +1,299 @@
+// src/config-transfer.js
+import fs from 'fs';
+import path from 'path';
+import {
+    CONFIG_SCHEMA,
+    toConfigName,
+    parseConfigValue,
+    getConfigLayers,
+    getProfile,
+    listProfiles,
+    createProfile,
+    replaceConfig
+} from './config.js';
+import { listBlueprints, validateBlueprint, saveBlueprint, getBlueprintsDir } from './blueprint-manager.js';
+
+/**
+ * Version of the export file format, bumped when it changes incompatibly
+ */
+export const EXPORT_VERSION = 1;
+
+/**
+ * Keep only config keys (internal values such as the last update check are machine-specific)
+ * @param {Object} values
+ * @returns {Object}
+ */
+function pickConfigKeys(values) {
+    return Object.fromEntries(Object.entries(values).filter(([key]) => CONFIG_SCHEMA[key]));
+}
+
+/**
+ * Read a saved blueprint as stored, without resolving its paths
+ * @param {string} name - Blueprint name
+ * @returns {Object|null} - null if there is no such blueprint
+ */
+function readBlueprintFile(name) {
+    const blueprintPath = path.join(getBlueprintsDir(), `${name}.json`);
+    if (!fs.existsSync(blueprintPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(blueprintPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse blueprint ${blueprintPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Collect the global config, and optionally the profiles and saved blueprints, into one object
+ * @param {Object} [options]
+ * @param {boolean} [options.profiles=false] - Include the config profiles
+ * @param {boolean} [options.blueprints=false] - Include the saved blueprints
+ * @returns {{version: number, exportedAt: string, config: Object, profiles?: Object, blueprints?: Object}}
+ */
+export function exportConfig({ profiles = false, blueprints = false } = {}) {
+    const globalValues = getConfigLayers().find(layer => layer.source === 'global').values;
+    const data = {
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        config: pickConfigKeys(globalValues)
+    };
+
+    if (profiles) {
+        data.profiles = Object.fromEntries(listProfiles().map(profile => [profile.name, pickConfigKeys(profile.values)]));
+    }
+
+    if (blueprints) {
+        data.blueprints = Object.fromEntries(listBlueprints().map(blueprint => [blueprint.name, readBlueprintFile(blueprint.name)]));
+    }
+
+    return data;
+}
+
+/**
+ * Check that a value from an export file is a plain JSON object (not null, an array or a scalar)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isJsonObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Type and validate a set of config values
+ * Path keys pointing to a directory that doesn't exist on this machine (the export may come from
+ * another one) are skipped rather than reported as problems.
+ * @param {*} values - Values from an export file
+ * @param {string} scope - Where the values come from: 'config' or 'profile <name>'
+ * @param {string[]} problems - Problems found are added here
+ * @param {Array<{scope: string, key: string, path: string}>} skipped - Skipped path keys are added here
+ * @returns {Object} - Typed values
+ */
+function parseConfigValues(values, scope, problems, skipped) {
+    if (!isJsonObject(values)) {
+        problems.push(`${scope} must be a JSON object`);
+        return {};
+    }
+
+    const parsed = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (!CONFIG_SCHEMA[key]) {
+            problems.push(`${scope}: unknown key "${key}"`);
+            continue;
+        }
+        if (CONFIG_SCHEMA[key].type === 'path' && typeof value === 'string' && value.trim() !== '' && !fs.existsSync(path.resolve(value))) {
+            skipped.push({ scope, key, path: path.resolve(value) });
+            continue;
+        }
+        try {
+            parsed[key] = parseConfigValue(key, value);
+        } catch (error) {
+            problems.push(`${scope}: ${error.message}`);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Check an export file and type its values
+ * @param {Object} data - Parsed export file
+ * @returns {{config: Object|null, profiles: Object|null, blueprints: Object|null, skipped: Array<{scope: string, key: string, path: string}>}}
+ *   Typed values, null for sections not in the file, and the path keys that were left out because the directory doesn't exist here
+ * @throws {Error} - Listing every problem found
+ */
+export function validateExport(data) {
+    if (!isJsonObject(data)) {
+        throw new Error('Config export must be a JSON object');
+    }
+
+    const problems = [];
+    const skipped = [];
+
+    for (const key of Object.keys(data)) {
+        if (!['version', 'exportedAt', 'config', 'profiles', 'blueprints'].includes(key)) {
+            problems.push(`unknown key "${key}"`);
+        }
+    }
+
+    if (data.version !== undefined && data.version !== EXPORT_VERSION) {
+        problems.push(`unsupported version ${data.version} (this wpmax reads version ${EXPORT_VERSION})`);
+    }
+
+    const config = data.config === undefined ? null : parseConfigValues(data.config, 'config', problems, skipped);
+
+    let profiles = null;
+    if (data.profiles !== undefined && !isJsonObject(data.profiles)) {
+        problems.push('profiles must be a JSON object');
+    } else if (data.profiles !== undefined) {
+        profiles = {};
+        for (const [name, values] of Object.entries(data.profiles)) {
+            if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+                problems.push(`invalid profile name "${name}", only letters, numbers, dashes and underscores allowed`);
+            }
+            profiles[name] = parseConfigValues(values, `profile ${name}`, problems, skipped);
+        }
+    }
+
+    let blueprints = null;
+    if (data.blueprints !== undefined && !isJsonObject(data.blueprints)) {
+        problems.push('blueprints must be a JSON object');
+    } else if (data.blueprints !== undefined) {
+        blueprints = {};
+        for (const [name, blueprint] of Object.entries(data.blueprints)) {
+            if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+                problems.push(`invalid blueprint name "${name}", only letters, numbers, dashes and underscores allowed`);
+            }
+            try {
+                validateBlueprint(blueprint);
+                blueprints[name] = blueprint;
+            } catch (error) {
+                // validateBlueprint lists its problems below an "Invalid blueprint:" line
+                const lines = error.message.split('\n');
+                const details = lines.length > 1 ? lines.slice(1).map(line => line.replace(/^\s+- /, '')) : lines;
+                problems.push(...details.map(detail => `blueprint ${name}: ${detail}`));
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid config export:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    }
+
+    return { config, profiles, blueprints, skipped };
+}
+
+/**
+ * Load and validate a config export file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {{config: Object|null, profiles: Object|null, blueprints: Object|null, skipped: Array<Object>}}
+ * @throws {Error} - If the file is missing, unreadable or invalid
+ */
+export function loadExport(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`File not found: ${absolutePath}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse ${absolutePath}: ${error.message}`);
+    }
+
+    return validateExport(data);
+}
+
+/**
+ * List the keys whose value differs between two objects
+ * @param {string} scope - What changed: 'config', 'profile <name>' or 'blueprint <name>'
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{scope: string, key: string, from: *, to: *}>} - from/to are undefined for added/removed keys
+ */
+function diffValues(scope, before, after) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+        .map(key => ({ scope, key, from: before[key], to: after[key] }));
+}
+
+/**
+ * Keep the current value of keys the import skipped, so replacing doesn't remove them
+ * @param {Object} before - Current values
+ * @param {Object} after - Values to write
+ * @param {string} scope
+ * @param {Array<{scope: string, key: string}>} skipped
+ * @returns {Object}
+ */
+function keepSkipped(before, after, scope, skipped = []) {
+    const kept = { ...after };
+    for (const { key } of skipped.filter(entry => entry.scope === scope)) {
+        if (before[key] !== undefined) {
+            kept[key] = before[key];
+        }
+    }
+    return kept;
+}
+
+/**
+ * Apply a validated config export
+ * By default the file replaces the global config and each profile and blueprint it contains;
+ * with merge, its values are added on top of the existing ones. Sections, profiles and blueprints
+ * that are not in the file are never touched, and neither are skipped path keys.
+ * @param {{config: Object|null, profiles: Object|null, blueprints: Object|null, skipped?: Array<Object>}} data - From loadExport or validateExport
+ * @param {Object} [options]
+ * @param {boolean} [options.merge=false] - Keep values the file doesn't set
+ * @returns {Array<{scope: string, key: string, from: *, to: *}>} - Every value that changed
+ */
+export function importConfig(data, { merge = false } = {}) {
+    const changes = [];
+
+    if (data.config) {
+        const before = pickConfigKeys(getConfigLayers().find(layer => layer.source === 'global').values);
+        const after = merge ? { ...before, ...data.config } : keepSkipped(before, data.config, 'config', data.skipped);
+        changes.push(...diffValues('config', before, after));
+        replaceConfig(after);
+    }
+
+    for (const [name, values] of Object.entries(data.profiles || {})) {
+        const existing = getProfile(name);
+        const before = existing ? pickConfigKeys(existing) : {};
+        const after = merge ? { ...before, ...values } : keepSkipped(before, values, `profile ${name}`, data.skipped);
+        changes.push(...diffValues(`profile ${name}`, before, after));
+        if (existing) {
+            replaceConfig(after, name);
+        } else {
+            createProfile(name, after);
+        }
+    }
+
+    for (const [name, blueprint] of Object.entries(data.blueprints || {})) {
+        const before = readBlueprintFile(name) || {};
+        const after = merge ? { ...before, ...blueprint } : blueprint;
+        changes.push(...diffValues(`blueprint ${name}`, before, after));
+        saveBlueprint(name, after, true);
+    }
+
+    return changes;
+}
+
+/**
+ * Describe a change from importConfig for display
+ * @param {{scope: string, key: string, from: *, to: *}} change
+ * @returns {string}
+ */
+export function formatChange({ scope, key, from, to }) {
+    const format = value => JSON.stringify(value);
+    const keyName = scope.startsWith('blueprint') ? key : toConfigName(key);
+    const name = scope === 'config' ? keyName : `${scope}: ${keyName}`;
+
+    if (from === undefined) {
+        return `+ ${name} = ${format(to)}`;
+    }
+    if (to === undefined) {
+        return `- ${name} (was ${format(from)})`;
+    }
+    return `~ ${name}: ${format(from)} → ${format(to)}`;
+}
@@ -1,61 +1,570 @@
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
+import { getConfigDir } from './paths.js';
+import { readJsonFile, writeJsonFile, withFileLock } from './json-store.js';
+import { isValidEmail, isValidSlug, normalizeDbPrefix } from './validators.js';
 
-const CONFIG_DIR = path.join(os.homedir(), '.config', 'wpmax');
+const CONFIG_DIR = getConfigDir();
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const PROFILES_FILE = path.join(CONFIG_DIR, 'profiles.json');
 
 /**
- * Ensure the config directory exists
+ * Keys accepted by the config command (stored camelCase, typed kebab-case)
+ * type: string, number (whole number), boolean, path (existing directory) or array (comma-separated when set)
+ * default: value used when no layer sets the key (null: not set, see description)
+ * validate: optional, receives the typed value and returns it normalized, throws if it is invalid
  */
-function ensureConfigDir() {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+export const CONFIG_SCHEMA = {
+  defaultPluginsPath: {
+    type: 'path',
+    default: null,
+    description: 'Directory containing local plugin ZIPs'
+  },
+  defaultThemesPath: {
+    type: 'path',
+    default: null,
+    description: 'Directory containing local theme ZIPs'
+  },
+  dbuser: {
+    type: 'string',
+    default: 'root',
+    description: 'Database username'
+  },
+  dbhost: {
+    type: 'string',
+    default: null,
+    description: 'Database host (auto-detected when not set)'
+  },
+  dbprefix: {
+    type: 'string',
+    default: 'wp_',
+    description: 'Table prefix',
+    validate: normalizeDbPrefix
+  },
+  adminUser: {
+    type: 'string',
+    default: 'admin',
+    description: 'Admin username'
+  },
+  adminEmail: {
+    type: 'string',
+    default: 'admin@test.com',
+    description: 'Admin email',
+    validate: (value) => {
+      if (!isValidEmail(value)) {
+        throw new Error(`Invalid email: ${value}`);
+      }
+      return value;
+    }
+  },
+  publicPlugins: {
+    type: 'array',
+    default: [],
+    description: 'WordPress.org plugins installed on new sites',
+    validate: (slugs) => validateSlugs(slugs)
+  },
+  publicThemes: {
+    type: 'array',
+    default: [],
+    description: 'WordPress.org themes installed on new sites',
+    validate: (slugs) => validateSlugs(slugs)
+  },
+  tld: {
+    type: 'string',
+    default: '.test',
+    description: 'TLD of new sites',
+    validate: (value) => {
+      const tld = value.startsWith('.') ? value : `.${value}`;
+      if (!/^(\.[a-z0-9-]+)+$/i.test(tld)) {
+        throw new Error(`Invalid TLD: ${value}. Use letters, numbers and dashes, e.g. .test`);
+      }
+      return tld.toLowerCase();
+    }
+  },
+  locale: {
+    type: 'string',
+    default: 'en_US',
+    description: 'WordPress language of new sites',
+    validate: (value) => {
+      if (!/^[a-z]{2,3}(_[A-Z]{2})?(_[a-z0-9]+)?$/.test(value)) {
+        throw new Error(`Invalid locale: ${value}. Use a WordPress locale such as de_DE or pt_BR.`);
+      }
+      return value;
+    }
+  },
+  trashRetentionDays: {
+    type: 'number',
+    default: 30,
+    description: 'Days deleted sites are kept in the trash'
+  },
+  offline: {
+    type: 'boolean',
+    default: false,
+    description: 'Create sites from the download cache only'
+  }
+};
+
+export const CONFIG_KEYS = Object.keys(CONFIG_SCHEMA);
+
+/**
+ * Keys stored as arrays (set from comma-separated values)
+ */
+const ARRAY_KEYS = CONFIG_KEYS.filter(key => CONFIG_SCHEMA[key].type === 'array');
+
+/**
+ * Project config file names, looked up in the current directory and its parents (the first one found wins)
+ */
+const PROJECT_CONFIG_FILES = ['wpmax.json', '.wpmaxrc'];
+
+/**
+ * Keys holding directories; in a project config they are relative to the file
+ */
+const PATH_KEYS = CONFIG_KEYS.filter(key => CONFIG_SCHEMA[key].type === 'path');
+
+/**
+ * Throw if a plugin or theme list contains an invalid slug
+ * @param {string[]} slugs
+ * @returns {string[]}
+ */
+function validateSlugs(slugs) {
+  const invalid = slugs.find(slug => !isValidSlug(slug));
+  if (invalid) {
+    throw new Error(`Invalid slug: ${invalid}. Use WordPress.org slugs such as query-monitor.`);
   }
+  return slugs;
 }
 
 /**
- * Read the entire config object
- * @returns {Object} Config object with all settings
+ * Convert a key as typed on the command line (admin-user) to the stored key (adminUser)
+ * @param {string} name
+ * @returns {string}
  */
-export function getConfig() {
-  if (!fs.existsSync(CONFIG_FILE)) {
-    return {};
+export function toConfigKey(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Convert a stored key (adminUser) to the name used on the command line (admin-user)
+ * @param {string} key
+ * @returns {string}
+ */
+export function toConfigName(key) {
+  return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+/**
+ * Convert a value to the type of its config key and validate it
+ * Keys outside the schema (e.g. lastUpdateCheck) are returned unchanged.
+ * @param {string} key - Config key
+ * @param {*} value - Value as typed (arrays may be comma-separated)
+ * @returns {*} Typed and normalized value
+ * @throws {Error} If the value is invalid for the key
+ */
+export function parseConfigValue(key, value) {
+  const entry = CONFIG_SCHEMA[key];
+  if (!entry) {
+    return value;
   }
 
-  try {
-    const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading config file:', error.message);
-    return {};
+  const name = toConfigName(key);
+  let parsed;
+
+  if (entry.type === 'array') {
+    parsed = Array.isArray(value)
+      ? value
+      : String(value).split(',').map(v => v.trim()).filter(v => v);
+  } else {
+    const text = String(value).trim();
+    if (text === '') {
+      throw new Error(`${name} can't be empty. Use wpmax config unset ${name} to remove it.`);
+    }
+
+    if (entry.type === 'number') {
+      if (!/^\d+$/.test(text)) {
+        throw new Error(`Invalid value for ${name}: ${value} (expected a whole number)`);
+      }
+      parsed = Number(text);
+    } else if (entry.type === 'boolean') {
+      const booleans = { true: true, yes: true, on: true, 1: true, false: false, no: false, off: false, 0: false };
+      if (!(text.toLowerCase() in booleans)) {
+        throw new Error(`Invalid value for ${name}: ${value} (expected true or false)`);
+      }
+      parsed = booleans[text.toLowerCase()];
+    } else if (entry.type === 'path') {
+      parsed = path.resolve(text);
+      if (!fs.existsSync(parsed)) {
+        throw new Error(`Path does not exist: ${parsed}`);
+      }
+    } else {
+      parsed = text;
+    }
   }
+
+  return entry.validate ? entry.validate(parsed) : parsed;
 }
 
 /**
- * Set a specific config value
- * @param {string} key - Config key (e.g., 'defaultPluginsPath')
- * @param {string} value - Config value (comma-separated for array keys)
+ * Get the built-in default of a config key
+ * @param {string} key - Config key
+ * @returns {*} Default value, null if the key has none
  */
-export function setConfig(key, value) {
-  ensureConfigDir();
+export function getConfigDefault(key) {
+  return CONFIG_SCHEMA[key] ? CONFIG_SCHEMA[key].default : null;
+}
 
-  const config = getConfig();
+/**
+ * Read the global config file (the one config --set writes to)
+ * @returns {Object}
+ */
+function readGlobalConfig() {
+  return readJsonFile(CONFIG_FILE, {});
+}
 
-  // Array keys: store as array
-  const arrayKeys = ['publicPlugins'];
-  if (arrayKeys.includes(key)) {
-    config[key] = value.split(',').map(v => v.trim()).filter(v => v);
-  } else {
-    config[key] = value;
+/**
+ * Find the nearest project config file (wpmax.json or .wpmaxrc)
+ * @param {string} [startDir=process.cwd()] - Directory to start looking in, parents are checked up to the root
+ * @returns {string|null} Path of the file or null if there is none
+ */
+export function findProjectConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of PROJECT_CONFIG_FILES) {
+      const filePath = path.join(dir, name);
+      if (fs.existsSync(filePath)) {
+        return filePath;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
   }
+}
 
+/**
+ * Read a project config file
+ * Keys may be camelCase or kebab-case (admin-user), like the config command. Values are typed and
+ * validated like config --set, with path keys relative to the file.
+ * @param {string} filePath - Path of wpmax.json or .wpmaxrc (JSON in both cases)
+ * @returns {Object}
+ * @throws {Error} If the file can't be parsed or has an unknown key or invalid value, naming the file and key
+ */
+function readProjectConfig(filePath) {
+  let data;
   try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch (error) {
-    console.error('Error writing config file:', error.message);
-    throw error;
+    throw new Error(`Could not parse project config ${filePath}: ${error.message}`);
   }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid project config ${filePath}: expected a JSON object`);
+  }
+
+  const config = {};
+  for (const [key, value] of Object.entries(data)) {
+    const configKey = toConfigKey(key);
+    if (!CONFIG_SCHEMA[configKey]) {
+      throw new Error(`Invalid project config ${filePath}: unknown key "${key}"`);
+    }
+
+    try {
+      config[configKey] = parseConfigValue(configKey, PATH_KEYS.includes(configKey) && typeof value === 'string'
+        ? path.resolve(path.dirname(filePath), value)
+        : value);
+    } catch (error) {
+      throw new Error(`Invalid project config ${filePath}: ${key}: ${error.message}`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Get the environment variable that overrides a config key
+ * @param {string} key - Config key (e.g. 'adminUser')
+ * @returns {string} e.g. WPMAX_ADMIN_USER
+ */
+export function getEnvVarName(key) {
+  return `WPMAX_${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+}
+
+// Warnings already printed by this process (getConfig runs many times per command)
+const printedWarnings = new Set();
+
+/**
+ * Print a config warning to stderr, once per process
+ * @param {string} message
+ */
+function warnOnce(message) {
+  if (!printedWarnings.has(message)) {
+    printedWarnings.add(message);
+    console.error(message);
+  }
+}
+
+/**
+ * Read config overrides from WPMAX_* environment variables
+ * Values are typed and validated like config --set (array keys are comma-separated, path keys relative
+ * to the current directory). Empty variables are ignored, invalid ones are reported and ignored.
+ * @returns {Object}
+ */
+function readEnvConfig() {
+  const config = {};
+  for (const key of CONFIG_KEYS) {
+    const value = process.env[getEnvVarName(key)];
+    if (!value) {
+      continue;
+    }
+    try {
+      config[key] = parseConfigValue(key, value);
+    } catch (error) {
+      warnOnce(`Ignoring ${getEnvVarName(key)}: ${error.message}`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Profile chosen for this run with --profile (takes precedence over WPMAX_PROFILE and profile use)
+ */
+let selectedProfile = null;
+
+/**
+ * Read the profiles file
+ * @returns {{active: string|null, profiles: Object<string, Object>}}
+ */
+function readProfiles() {
+  const data = readJsonFile(PROFILES_FILE, {});
+  return { active: data.active || null, profiles: data.profiles || {} };
+}
+
+/**
+ * Write the profiles file
+ * @param {{active: string|null, profiles: Object<string, Object>}} data
+ */
+function writeProfiles(data) {
+  writeJsonFile(PROFILES_FILE, data);
+}
+
+/**
+ * Get a profile's config values
+ * @param {string} name - Profile name
+ * @returns {Object|null} null if the profile does not exist
+ */
+export function getProfile(name) {
+  return readProfiles().profiles[name] || null;
+}
+
+/**
+ * List all profiles
+ * @returns {Array<{name: string, active: boolean, values: Object}>}
+ */
+export function listProfiles() {
+  const active = getActiveProfile();
+  return Object.entries(readProfiles().profiles)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, values]) => ({ name, active: name === active, values }));
+}
+
+/**
+ * Create a profile
+ * @param {string} name - Profile name (letters, numbers, dashes and underscores)
+ * @param {Object} [values={}] - Initial config values
+ * @throws {Error} If the name is invalid or the profile exists
+ */
+export function createProfile(name, values = {}) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid profile name: ${name}. Only letters, numbers, dashes and underscores allowed.`);
+  }
+
+  withFileLock(PROFILES_FILE, () => {
+    const data = readProfiles();
+    if (data.profiles[name]) {
+      throw new Error(`Profile "${name}" already exists.`);
+    }
+
+    data.profiles[name] = values;
+    writeProfiles(data);
+  });
+}
+
+/**
+ * Delete a profile (and stop using it if it was active)
+ * @param {string} name - Profile name
+ * @throws {Error} If the profile does not exist
+ */
+export function deleteProfile(name) {
+  withFileLock(PROFILES_FILE, () => {
+    const data = readProfiles();
+    if (!data.profiles[name]) {
+      throw new Error(`Profile "${name}" does not exist.`);
+    }
+
+    delete data.profiles[name];
+    if (data.active === name) {
+      data.active = null;
+    }
+    writeProfiles(data);
+  });
+}
+
+/**
+ * Make a profile the default for every run
+ * @param {string|null} name - Profile name, or null to stop using profiles
+ * @throws {Error} If the profile does not exist
+ */
+export function useProfile(name) {
+  withFileLock(PROFILES_FILE, () => {
+    const data = readProfiles();
+    if (name && !data.profiles[name]) {
+      throw new Error(`Profile "${name}" does not exist.`);
+    }
+
+    data.active = name;
+    writeProfiles(data);
+  });
+}
+
+/**
+ * Use a profile for this run only (--profile)
+ * @param {string|null} name - Profile name, null to go back to WPMAX_PROFILE or the active profile
+ * @throws {Error} If the profile does not exist
+ */
+export function selectProfile(name) {
+  if (name && !getProfile(name)) {
+    throw new Error(`Profile "${name}" does not exist. See wpmax config profile list.`);
+  }
+  selectedProfile = name || null;
+}
+
+/**
+ * Get the profile in use: --profile, then WPMAX_PROFILE, then the one set with profile use
+ * @returns {string|null}
+ */
+export function getActiveProfile() {
+  return selectedProfile || process.env.WPMAX_PROFILE || readProfiles().active;
+}
+
+/**
+ * Get the config layers, lowest precedence first: the global config, the project config (if any),
+ * the active profile (if any), then WPMAX_* environment variables (if any are set).
+ * CLI flags take precedence over all of them.
+ * @returns {Array<{source: string, path: string|null, name?: string, values: Object}>} path is null for the environment,
+ *   name is set for the profile
+ */
+export function getConfigLayers() {
+  const layers = [{ source: 'global', path: CONFIG_FILE, values: readGlobalConfig() }];
+
+  const projectFile = findProjectConfig();
+  if (projectFile) {
+    layers.push({ source: 'project', path: projectFile, values: readProjectConfig(projectFile) });
+  }
+
+  const profile = getActiveProfile();
+  if (profile) {
+    const values = getProfile(profile);
+    if (values) {
+      layers.push({ source: 'profile', path: PROFILES_FILE, name: profile, values });
+    } else {
+      warnOnce(`Profile "${profile}" does not exist and is ignored.`);
+    }
+  }
+
+  const envValues = readEnvConfig();
+  if (Object.keys(envValues).length > 0) {
+    layers.push({ source: 'env', path: null, values: envValues });
+  }
+
+  return layers;
+}
+
+/**
+ * Read the entire config object (global config merged with the project config and environment variables)
+ * @returns {Object} Config object with all settings
+ */
+export function getConfig() {
+  return Object.assign({}, ...getConfigLayers().map(layer => layer.values));
+}
+
+/**
+ * Get the layer each config value comes from
+ * @returns {Object<string, {source: string, path: string|null, name?: string}>} Layer by config key
+ */
+export function getConfigSources() {
+  const sources = {};
+  for (const layer of getConfigLayers()) {
+    for (const key of Object.keys(layer.values)) {
+      sources[key] = layer.name
+        ? { source: layer.source, path: layer.path, name: layer.name }
+        : { source: layer.source, path: layer.path };
+    }
+  }
+  return sources;
+}
+
+/**
+ * Read the values config --set/--add/--remove change: the global config or a profile
+ * @param {string|null} profile - Profile name, null for the global config
+ * @returns {Object}
+ * @throws {Error} If the profile does not exist
+ */
+function readConfigTarget(profile) {
+  if (!profile) {
+    return readGlobalConfig();
+  }
+
+  const values = getProfile(profile);
+  if (!values) {
+    throw new Error(`Profile "${profile}" does not exist.`);
+  }
+  return values;
+}
+
+/**
+ * Write the values config --set/--add/--remove changed
+ * @param {Object} config - Values to write
+ * @param {string|null} profile - Profile name, null for the global config
+ */
+function writeConfigTarget(config, profile) {
+  if (profile) {
+    const data = readProfiles();
+    data.profiles[profile] = config;
+    writeProfiles(data);
+    return;
+  }
+
+  writeJsonFile(CONFIG_FILE, config);
+}
+
+/**
+ * Run a read-modify-write of the global config or a profile while holding the file's lock
+ * @param {string|null} profile - Profile name, null for the global config
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+function lockConfigTarget(profile, fn) {
+  return withFileLock(profile ? PROFILES_FILE : CONFIG_FILE, fn);
+}
+
+/**
+ * Set a specific config value
+ * @param {string} key - Config key (e.g., 'defaultPluginsPath')
+ * @param {string} value - Config value (comma-separated for array keys)
+ * @param {string|null} [profile=null] - Write to this profile instead of the global config
+ * @throws {Error} If the value is invalid for the key
+ */
+export function setConfig(key, value, profile = null) {
+  lockConfigTarget(profile, () => {
+    const config = readConfigTarget(profile);
+
+    // Typed and validated by the schema (array keys are split on commas)
+    config[key] = parseConfigValue(key, value);
+
+    writeConfigTarget(config, profile);
+  });
 }
 
 /**
@@ -72,68 +581,114 @@ export function getConfigValue(key) {
  * Add a value to an array config key
  * @param {string} key - Config key
  * @param {string} value - Value to add (can be comma-separated list)
+ * @param {string|null} [profile=null] - Write to this profile instead of the global config
  */
-export function addToConfig(key, value) {
-  ensureConfigDir();
-
-  const config = getConfig();
+export function addToConfig(key, value, profile = null) {
+  lockConfigTarget(profile, () => {
+    const config = readConfigTarget(profile);
 
-  // Get existing array or create new one
-  let currentValue = config[key] || [];
+    // Get existing array or create new one
+    let currentValue = config[key] || [];
 
-  // Ensure it's an array
-  if (!Array.isArray(currentValue)) {
-    currentValue = [];
-  }
+    // Ensure it's an array
+    if (!Array.isArray(currentValue)) {
+      currentValue = [];
+    }
 
-  // Split comma-separated values and add each
-  const newValues = value.split(',').map(v => v.trim()).filter(v => v);
+    // Split comma-separated values and add each
+    const newValues = value.split(',').map(v => v.trim()).filter(v => v);
 
-  // Add only unique values
-  for (const newValue of newValues) {
-    if (!currentValue.includes(newValue)) {
-      currentValue.push(newValue);
+    // Add only unique values
+    for (const newValue of newValues) {
+      if (!currentValue.includes(newValue)) {
+        currentValue.push(newValue);
+      }
     }
-  }
 
-  config[key] = currentValue;
+    config[key] = parseConfigValue(key, currentValue);
 
-  try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error writing config file:', error.message);
-    throw error;
-  }
+    writeConfigTarget(config, profile);
+  });
 }
 
 /**
  * Remove a value from an array config key
  * @param {string} key - Config key
  * @param {string} value - Value to remove (can be comma-separated list)
+ * @param {string|null} [profile=null] - Write to this profile instead of the global config
  */
-export function removeFromConfig(key, value) {
-  ensureConfigDir();
+export function removeFromConfig(key, value, profile = null) {
+  lockConfigTarget(profile, () => {
+    const config = readConfigTarget(profile);
 
-  const config = getConfig();
+    // Get existing array
+    let currentValue = config[key];
 
-  // Get existing array
-  let currentValue = config[key];
+    if (!Array.isArray(currentValue)) {
+      return; // Nothing to remove
+    }
 
-  if (!Array.isArray(currentValue)) {
-    return; // Nothing to remove
-  }
+    // Split comma-separated values and remove each
+    const removeValues = value.split(',').map(v => v.trim()).filter(v => v);
 
-  // Split comma-separated values and remove each
-  const removeValues = value.split(',').map(v => v.trim()).filter(v => v);
+    config[key] = currentValue.filter(item => !removeValues.includes(item));
 
-  config[key] = currentValue.filter(item => !removeValues.includes(item));
+    writeConfigTarget(config, profile);
+  });
+}
 
-  try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error writing config file:', error.message);
-    throw error;
-  }
+/**
+ * Remove a config key, so the next layer (or the default) applies again
+ * @param {string} key - Config key
+ * @param {string|null} [profile=null] - Remove it from this profile instead of the global config
+ * @returns {boolean} false if the key was not set
+ */
+export function unsetConfig(key, profile = null) {
+  return lockConfigTarget(profile, () => {
+    const config = readConfigTarget(profile);
+    if (!(key in config)) {
+      return false;
+    }
+
+    delete config[key];
+    writeConfigTarget(config, profile);
+    return true;
+  });
+}
+
+/**
+ * Remove every config key (internal values such as the last update check are kept)
+ * @param {string|null} [profile=null] - Empty this profile instead of the global config
+ * @returns {string[]} Keys that were removed
+ */
+export function resetConfig(profile = null) {
+  return lockConfigTarget(profile, () => {
+    const config = readConfigTarget(profile);
+    const removed = Object.keys(config).filter(key => CONFIG_SCHEMA[key]);
+    if (removed.length === 0) {
+      return [];
+    }
+
+    removed.forEach(key => delete config[key]);
+    writeConfigTarget(config, profile);
+    return removed;
+  });
+}
+
+/**
+ * Replace every config key with the given values (internal values such as the last update check are kept)
+ * @param {Object} values - Typed config values, e.g. from parseConfigValue
+ * @param {string|null} [profile=null] - Replace the values of this profile instead of the global config
+ */
+export function replaceConfig(values, profile = null) {
+  lockConfigTarget(profile, () => {
+    const config = readConfigTarget(profile);
+    for (const key of Object.keys(config).filter(key => CONFIG_SCHEMA[key])) {
+      delete config[key];
+    }
+
+    writeConfigTarget({ ...config, ...values }, profile);
+  });
 }
 
 /**
@@ -141,22 +696,21 @@ export function removeFromConfig(key, value) {
  * @returns {void}
  */
 export function ensureDefaultConfig() {
-  const config = getConfig();
-  let modified = false;
-
-  // Set default public plugins if not configured
-  if (!config.publicPlugins) {
-    config.publicPlugins = [];
-    modified = true;
+  if (readGlobalConfig().publicPlugins) {
+    return;
   }
 
-  // Save config if modified
-  if (modified) {
-    ensureConfigDir();
-    try {
-      fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
-    } catch (error) {
-      console.error('Error writing config file:', error.message);
+  lockConfigTarget(null, () => {
+    const config = readGlobalConfig();
+
+    // Set default public plugins if not configured
+    if (!config.publicPlugins) {
+      config.publicPlugins = [];
+      try {
+        writeJsonFile(CONFIG_FILE, config);
+      } catch (error) {
+        console.error('Error writing config file:', error.message);
+      }
     }
-  }
-}
\ No newline at end of file
+  });
+}
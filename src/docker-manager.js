@@ -0,0 +1,258 @@
+// src/docker-manager.js
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { runCommand } from './command-runner.js';
+
+export const COMPOSE_FILE = 'docker-compose.yml';
+
+const DB_IMAGE = 'mariadb:11';
+const WEB_IMAGE = 'wordpress:php8.2-apache';
+
+// Compose names the volume <project>_db_data
+const DB_VOLUME = 'db_data';
+
+/**
+ * First ports to try when picking free host ports for a new site
+ */
+export const DEFAULT_WEB_PORT = 8080;
+export const DEFAULT_DB_PORT = 33060;
+
+/**
+ * Checks if Docker with the Compose plugin is available
+ * @returns {Promise<boolean>}
+ */
+export async function isDockerInstalled() {
+    try {
+        await runCommand('docker', ['compose', 'version'], { readOnly: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks if a TCP port is free on the host
+ * @param {number} port - Port to check
+ * @returns {Promise<boolean>}
+ */
+export function isPortFree(port) {
+    return new Promise((resolve) => {
+        const server = net.createServer();
+        server.once('error', () => resolve(false));
+        server.once('listening', () => server.close(() => resolve(true)));
+        server.listen(port, '127.0.0.1');
+    });
+}
+
+/**
+ * Finds the first free port starting at the given port
+ * @param {number} startPort - First port to try
+ * @param {number[]} [exclude=[]] - Ports that must not be returned (e.g. already used by other sites)
+ * @param {number} [maxAttempts=100] - How many ports to try before giving up
+ * @returns {Promise<number>}
+ * @throws {Error} - If no free port is found
+ */
+export async function findFreePort(startPort, exclude = [], maxAttempts = 100) {
+    for (let port = startPort; port < startPort + maxAttempts; port++) {
+        if (exclude.includes(port)) {
+            continue;
+        }
+        if (await isPortFree(port)) {
+            return port;
+        }
+    }
+
+    throw new Error(`Could not find a free port between ${startPort} and ${startPort + maxAttempts - 1}`);
+}
+
+/**
+ * Gets the compose project name of a site, which its containers and volume are named after
+ * @param {string} slug - Site slug
+ * @returns {string}
+ */
+export function getComposeProjectName(slug) {
+    return slug.toLowerCase().replace(/[^a-z0-9_-]/g, '');
+}
+
+/**
+ * Quotes a value for the compose file
+ * JSON strings are valid YAML double-quoted scalars (quotes, backslashes and control characters are
+ * escaped), and $ is doubled so Compose doesn't read it as variable interpolation.
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteComposeValue(value) {
+    return JSON.stringify(String(value)).replace(/\$/g, '$$$$');
+}
+
+/**
+ * Builds the docker-compose.yml content for a site
+ * The web container mounts the site directory, so WordPress files stay on the host
+ * @param {Object} options - Compose options
+ * @param {string} options.slug - Site slug (used as the compose project name)
+ * @param {string} options.dbName - Database name
+ * @param {string} options.dbUser - Database username
+ * @param {string} options.dbPass - Database password (empty for no password)
+ * @param {number} options.webPort - Host port mapped to the web container
+ * @param {number} options.dbPort - Host port mapped to the database container
+ * @returns {string} - YAML content
+ */
+export function generateComposeFile({ slug, dbName, dbUser, dbPass, webPort, dbPort }) {
+    const dbEnv = [`MARIADB_DATABASE: ${quoteComposeValue(dbName)}`];
+
+    if (dbUser === 'root') {
+        dbEnv.push(dbPass
+            ? `MARIADB_ROOT_PASSWORD: ${quoteComposeValue(dbPass)}`
+            : 'MARIADB_ALLOW_EMPTY_ROOT_PASSWORD: "1"');
+    } else {
+        dbEnv.push(
+            `MARIADB_USER: ${quoteComposeValue(dbUser)}`,
+            `MARIADB_PASSWORD: ${quoteComposeValue(dbPass)}`,
+            'MARIADB_RANDOM_ROOT_PASSWORD: "1"'
+        );
+    }
+
+    return [
+        `name: ${getComposeProjectName(slug)}`,
+        '',
+        'services:',
+        '  db:',
+        `    image: ${DB_IMAGE}`,
+        '    restart: unless-stopped',
+        '    environment:',
+        ...dbEnv.map(line => `      ${line}`),
+        '    ports:',
+        `      - "127.0.0.1:${dbPort}:3306"`,
+        '    volumes:',
+        `      - ${DB_VOLUME}:/var/lib/mysql`,
+        '    healthcheck:',
+        '      test: ["CMD", "healthcheck.sh", "--connect", "--innodb_initialized"]',
+        '      interval: 2s',
+        '      timeout: 5s',
+        '      retries: 30',
+        '',
+        '  web:',
+        `    image: ${WEB_IMAGE}`,
+        '    restart: unless-stopped',
+        '    depends_on:',
+        '      db:',
+        '        condition: service_healthy',
+        '    environment:',
+        '      WPMAX_DB_HOST: "db:3306"',
+        '    ports:',
+        `      - "127.0.0.1:${webPort}:80"`,
+        '    volumes:',
+        '      - ./:/var/www/html',
+        '',
+        'volumes:',
+        `  ${DB_VOLUME}:`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Writes docker-compose.yml into the site directory
+ * @param {string} cwd - Site directory
+ * @param {string} content - YAML content
+ * @returns {string} - Path to the written file
+ */
+export function writeComposeFile(cwd, content) {
+    const composePath = path.join(cwd, COMPOSE_FILE);
+    fs.writeFileSync(composePath, content, 'utf8');
+    return composePath;
+}
+
+/**
+ * Moves a stopped site to a new compose project: the database volume is copied to the new project's
+ * volume, then docker-compose.yml gets the new name and the old volume is removed.
+ * Otherwise a new site created with the old name would get this site's containers and database.
+ * @param {string} cwd - Site directory containing docker-compose.yml
+ * @param {string} oldSlug - Current site slug
+ * @param {string} newSlug - New site slug
+ * @returns {Promise<void>}
+ */
+export async function renameComposeProject(cwd, oldSlug, newSlug) {
+    const oldProject = getComposeProjectName(oldSlug);
+    const newProject = getComposeProjectName(newSlug);
+    if (oldProject === newProject) {
+        return;
+    }
+
+    const oldVolume = `${oldProject}_${DB_VOLUME}`;
+    const newVolume = `${newProject}_${DB_VOLUME}`;
+    let hasVolume = true;
+    try {
+        await runCommand('docker', ['volume', 'inspect', oldVolume], { readOnly: true });
+    } catch (error) {
+        // The containers were never started
+        hasVolume = false;
+    }
+
+    // Docker can't rename volumes
+    if (hasVolume) {
+        await runCommand('docker', ['volume', 'create', newVolume]);
+        await runCommand('docker', [
+            'run', '--rm',
+            '-v', `${oldVolume}:/from`,
+            '-v', `${newVolume}:/to`,
+            DB_IMAGE, 'cp', '-a', '/from/.', '/to/'
+        ]);
+    }
+
+    const composePath = path.join(cwd, COMPOSE_FILE);
+    const content = fs.readFileSync(composePath, 'utf8');
+    fs.writeFileSync(composePath, content.replace(/^name: .*$/m, `name: ${newProject}`), 'utf8');
+
+    if (hasVolume) {
+        await runCommand('docker', ['volume', 'rm', oldVolume]);
+    }
+}
+
+/**
+ * Starts the site containers and waits until they are healthy
+ * @param {string} cwd - Site directory containing docker-compose.yml
+ * @returns {Promise<void>}
+ */
+export async function dockerComposeUp(cwd) {
+    await runCommand('docker', ['compose', 'up', '-d', '--wait'], { cwd });
+}
+
+/**
+ * Stops the site containers
+ * @param {string} cwd - Site directory containing docker-compose.yml
+ * @param {boolean} [removeVolumes=false] - Also remove the database volume
+ * @returns {Promise<void>}
+ */
+export async function dockerComposeDown(cwd, removeVolumes = false) {
+    const args = ['compose', 'down'];
+    if (removeVolumes) {
+        args.push('--volumes');
+    }
+    await runCommand('docker', args, { cwd });
+}
+
+/**
+ * Gets the state of each service in the site's compose project
+ * @param {string} cwd - Site directory containing docker-compose.yml
+ * @returns {Promise<Object>} - Map of service name to state (e.g. { db: 'running', web: 'running' })
+ */
+export async function getComposeStatus(cwd) {
+    try {
+        const { stdout } = await runCommand('docker', ['compose', 'ps', '--all', '--format', 'json'], { cwd });
+
+        // Older Compose versions print a JSON array, newer ones print one object per line
+        const trimmed = stdout.trim();
+        const entries = trimmed.startsWith('[')
+            ? JSON.parse(trimmed)
+            : trimmed.split('\n').filter(line => line).map(line => JSON.parse(line));
+
+        const status = {};
+        for (const entry of entries) {
+            status[entry.Service] = entry.State;
+        }
+        return status;
+    } catch (error) {
+        return {};
+    }
+}
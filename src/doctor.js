@@ -1,12 +1,19 @@
 // src/doctor.js
-import { execa } from 'execa';
+import { runCommand } from './command-runner.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { getWpCliCommand } from './wp-cli-manager.js';
 import { detectMySQLConnection } from './mysql-detector.js';
 import { isHerdInstalled } from './herd-manager.js';
+import { isDockerInstalled, getComposeStatus } from './docker-manager.js';
 import { getConfig } from './config.js';
+import { getConfigDir } from './paths.js';
+import { getBackupPath } from './json-store.js';
+import { listAllSites } from './site-registry.js';
+
+// Checks that only warn when they are not ok: WP-CLI is downloaded on first use, config falls back to defaults
+const WARNING_CHECKS = ['wpCli', 'config'];
 
 export class DoctorCheck {
     constructor() {
@@ -30,7 +37,7 @@ export class DoctorCheck {
                 return { ok: false, error: 'Not found' };
             }
 
-            const { stdout } = await execa(phpCmd, [wpCliPath, '--version']);
+            const { stdout } = await runCommand(phpCmd, [wpCliPath, '--version']);
             const version = stdout.match(/WP-CLI (\d+\.\d+\.\d+)/)?.[1] || 'unknown';
             return { ok: true, version };
         } catch (error) {
@@ -48,7 +55,7 @@ export class DoctorCheck {
     async checkPhp() {
         try {
             // Check PHP version
-            const { stdout } = await execa('php', ['--version']);
+            const { stdout } = await runCommand('php', ['--version']);
             const versionMatch = stdout.match(/PHP (\d+\.\d+\.\d+)/);
             const version = versionMatch?.[1];
 
@@ -66,7 +73,7 @@ export class DoctorCheck {
             }
 
             // Check required extensions
-            const { stdout: extensions } = await execa('php', ['-m']);
+            const { stdout: extensions } = await runCommand('php', ['-m']);
             const required = ['mysqli', 'curl', 'json', 'mbstring'];
             const missing = required.filter(ext => !extensions.toLowerCase().includes(ext.toLowerCase()));
 
@@ -93,7 +100,7 @@ export class DoctorCheck {
     async checkMySQL() {
         try {
             // First check if mysql client is available
-            await execa('mysql', ['--version']);
+            await runCommand('mysql', ['--version']);
         } catch (error) {
             this.issues.push({
                 description: 'MySQL client not found',
@@ -121,7 +128,7 @@ export class DoctorCheck {
         try {
             const installed = await isHerdInstalled();
             if (installed) {
-                const { stdout } = await execa('herd', ['--version']);
+                const { stdout } = await runCommand('herd', ['--version']);
                 const version = stdout.trim();
                 return { ok: true, installed: true, version };
             }
@@ -131,6 +138,62 @@ export class DoctorCheck {
         }
     }
 
+    /**
+     * Check if Docker is installed (optional, required only for --docker sites)
+     * Reports registered Docker sites whose containers are not running
+     */
+    async checkDocker() {
+        let dockerSites = [];
+        try {
+            dockerSites = listAllSites().filter(site => site.mode === 'docker');
+        } catch (error) {
+            // Registry not readable/writable - permission problems are reported by checkPermissions
+        }
+
+        let installed = false;
+        let version;
+        try {
+            installed = await isDockerInstalled();
+            if (installed) {
+                const { stdout } = await runCommand('docker', ['compose', 'version', '--short']);
+                version = stdout.trim();
+            }
+        } catch (error) {
+            installed = false;
+        }
+
+        if (!installed) {
+            if (dockerSites.length > 0) {
+                this.issues.push({
+                    description: `Docker not found, but ${dockerSites.length} site${dockerSites.length === 1 ? ' uses' : 's use'} Docker`,
+                    fix: 'Install Docker Desktop or Docker Engine with the Compose plugin'
+                });
+                return { ok: false, installed: false, error: 'Not installed' };
+            }
+            return { ok: true, installed: false };
+        }
+
+        const stoppedSites = [];
+        for (const site of dockerSites) {
+            if (!fs.existsSync(site.path)) {
+                continue;
+            }
+            const status = await getComposeStatus(site.path);
+            if (status.db !== 'running' || status.web !== 'running') {
+                stoppedSites.push(site.name);
+            }
+        }
+
+        if (stoppedSites.length > 0) {
+            this.issues.push({
+                description: `Docker containers not running: ${stoppedSites.join(', ')}`,
+                fix: 'Run "docker compose up -d" in the site directory'
+            });
+        }
+
+        return { ok: true, installed: true, version, dockerSites: dockerSites.length, stoppedSites };
+    }
+
     /**
      * Check write permissions in common directories
      */
@@ -172,7 +235,7 @@ export class DoctorCheck {
     async checkConfig() {
         try {
             const config = getConfig();
-            const configPath = path.join(os.homedir(), '.config', 'wpmax', 'config.json');
+            const configPath = path.join(getConfigDir(), 'config.json');
             const exists = fs.existsSync(configPath);
 
             return {
@@ -184,7 +247,7 @@ export class DoctorCheck {
         } catch (error) {
             this.issues.push({
                 description: 'Config file error',
-                fix: 'Run any wpmax command to regenerate config'
+                fix: `Fix the file named in the error (the previous global config is in ${getBackupPath(path.join(getConfigDir(), 'config.json'))})`
             });
             return { ok: false, error: error.message };
         }
@@ -200,7 +263,7 @@ export class DoctorCheck {
             node: process.version,
             arch: process.arch,
             shell: process.env.SHELL || 'unknown',
-            configPath: path.join(os.homedir(), '.config', 'wpmax')
+            configPath: getConfigDir()
         };
     }
 
@@ -213,6 +276,7 @@ export class DoctorCheck {
             php: await this.checkPhp(),
             mysql: await this.checkMySQL(),
             herd: await this.checkHerd(),
+            docker: await this.checkDocker(),
             permissions: await this.checkPermissions(),
             config: await this.checkConfig(),
             environment: this.getEnvironmentInfo(),
@@ -221,4 +285,17 @@ export class DoctorCheck {
 
         return results;
     }
+
+    /**
+     * Get the names of the checks that failed in a runAllChecks() result
+     * Optional tools that are not installed (Herd, Docker without Docker sites) do not fail, and neither
+     * do checks the text output only warns about (WP-CLI not downloaded yet, config problems).
+     * @param {Object} results - Result of runAllChecks()
+     * @returns {string[]} - e.g. ['mysql', 'permissions']
+     */
+    getFailedChecks(results) {
+        return Object.entries(results)
+            .filter(([name, result]) => !WARNING_CHECKS.includes(name) && result && result.ok === false)
+            .map(([name]) => name);
+    }
 }
\ No newline at end of file
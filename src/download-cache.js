@@ -0,0 +1,433 @@
+// src/download-cache.js
+import fs from 'fs';
+import path from 'path';
+import { runCommand, isDryRun } from './command-runner.js';
+import { getWpCliCommand, isWpCliDownloaded } from './wp-cli-manager.js';
+import { writeLog } from './log-manager.js';
+import { getConfigDir } from './paths.js';
+import { withFileLock } from './json-store.js';
+
+const CACHE_DIR = path.join(getConfigDir(), 'cache');
+const CORE_DIR = path.join(CACHE_DIR, 'core');
+const PLUGINS_DIR = path.join(CACHE_DIR, 'plugins');
+
+// Each cached core is core/<version>-<locale>[-no-content]/ with the files in wordpress/ and a cache.json
+const CORE_FILES_DIR = 'wordpress';
+const METADATA_FILE = 'cache.json';
+
+const VERSION_CHECK_URL = 'https://api.wordpress.org/core/version-check/1.7/';
+const PLUGIN_INFO_URL = 'https://api.wordpress.org/plugins/info/1.2/';
+
+const API_TIMEOUT = 5000;
+const DOWNLOAD_TIMEOUT = 120000;
+
+export const DEFAULT_LOCALE = 'en_US';
+
+// Downloads in progress, so sites created in parallel (create --from) share one download
+const pendingDownloads = new Map();
+let downloadCount = 0;
+
+/**
+ * Run a download once per key at a time; concurrent callers get the same promise
+ * @param {string} key
+ * @param {function(): Promise<*>} download
+ * @returns {Promise<*>}
+ */
+function once(key, download) {
+    if (!pendingDownloads.has(key)) {
+        pendingDownloads.set(key, download().finally(() => pendingDownloads.delete(key)));
+    }
+    return pendingDownloads.get(key);
+}
+
+/**
+ * Get the cache directory path (for display purposes)
+ */
+export function getCacheDir() {
+    return CACHE_DIR;
+}
+
+/**
+ * Fetch a URL, giving up after a timeout
+ * @param {string} url
+ * @param {function(Response): Promise<*>} read - Reads the body (inside the timeout)
+ * @param {number} timeout - Milliseconds
+ * @returns {Promise<*>} - Whatever read returns
+ */
+async function fetchWithTimeout(url, read, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`${url} returned ${response.status}`);
+        }
+        return await read(response);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`${url} timed out`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Download a file. It is written next to the destination first, so an interrupted download never looks cached.
+ * @param {string} url
+ * @param {string} destination
+ */
+async function downloadFile(url, destination) {
+    const data = await fetchWithTimeout(url, response => response.arrayBuffer(), DOWNLOAD_TIMEOUT);
+    const partialPath = `${destination}.${process.pid}.download`;
+
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.writeFileSync(partialPath, Buffer.from(data));
+    withFileLock(CACHE_DIR, () => fs.renameSync(partialPath, destination));
+    writeLog(`Downloaded ${url}\nto ${destination}`);
+}
+
+/**
+ * Get the size of a file or directory in bytes
+ * @param {string} targetPath
+ * @returns {number}
+ */
+function getSize(targetPath) {
+    const stats = fs.statSync(targetPath);
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+    return fs.readdirSync(targetPath).reduce((total, name) => total + getSize(path.join(targetPath, name)), 0);
+}
+
+/**
+ * Get the newest WordPress version from WordPress.org
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @returns {Promise<string|null>} - null if WordPress.org can't be reached
+ */
+export async function getLatestWordPressVersion(locale = DEFAULT_LOCALE) {
+    try {
+        const data = await fetchWithTimeout(`${VERSION_CHECK_URL}?locale=${encodeURIComponent(locale)}`, response => response.json(), API_TIMEOUT);
+        return data.offers?.[0]?.current || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the current version and download link of a plugin on WordPress.org
+ * @param {string} slug - Plugin slug
+ * @returns {Promise<{version: string, downloadLink: string}|null>} - null if the plugin or WordPress.org can't be found
+ */
+export async function getPluginInfo(slug) {
+    const query = `action=plugin_information&request[slug]=${encodeURIComponent(slug)}&request[fields][sections]=0`;
+
+    try {
+        const data = await fetchWithTimeout(`${PLUGIN_INFO_URL}?${query}`, response => response.json(), API_TIMEOUT);
+        if (!data.version || !data.download_link) {
+            return null;
+        }
+        return { version: data.version, downloadLink: data.download_link };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * List cached WordPress core downloads, newest first
+ * @returns {Array<{version: string, locale: string, withContent: boolean, cached_at: string, path: string}>}
+ */
+export function listCachedCore() {
+    if (!fs.existsSync(CORE_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(CORE_DIR)
+        // Downloads in progress and replaced entries start with a dot
+        .filter(name => !name.startsWith('.'))
+        .map(name => {
+            const entryDir = path.join(CORE_DIR, name);
+            try {
+                const metadata = JSON.parse(fs.readFileSync(path.join(entryDir, METADATA_FILE), 'utf8'));
+                return { ...metadata, path: entryDir };
+            } catch (error) {
+                // Interrupted downloads have no metadata
+                return null;
+            }
+        })
+        .filter(entry => entry)
+        .sort((a, b) => (b.cached_at || '').localeCompare(a.cached_at || ''));
+}
+
+/**
+ * List cached plugin ZIPs, newest first
+ * @returns {Array<{slug: string, version: string, cached_at: string, path: string}>}
+ */
+export function listCachedPlugins() {
+    if (!fs.existsSync(PLUGINS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(PLUGINS_DIR)
+        .flatMap(slug => fs.readdirSync(path.join(PLUGINS_DIR, slug))
+            .filter(name => name.endsWith('.zip'))
+            .map(name => {
+                const zipPath = path.join(PLUGINS_DIR, slug, name);
+                return {
+                    slug,
+                    version: name.slice(0, -'.zip'.length),
+                    cached_at: fs.statSync(zipPath).mtime.toISOString(),
+                    path: zipPath
+                };
+            }))
+        .sort((a, b) => b.cached_at.localeCompare(a.cached_at));
+}
+
+/**
+ * List everything in the cache with its size
+ * @returns {{core: Object[], plugins: Object[], totalSize: number}}
+ */
+export function listCache() {
+    const core = listCachedCore().map(entry => ({ ...entry, size: getSize(entry.path) }));
+    const plugins = listCachedPlugins().map(entry => ({ ...entry, size: getSize(entry.path) }));
+    const totalSize = [...core, ...plugins].reduce((total, entry) => total + entry.size, 0);
+    return { core, plugins, totalSize };
+}
+
+/**
+ * Download WordPress core into the cache with WP-CLI
+ * @param {string|null} version - null downloads the latest version
+ * @param {string} locale
+ * @param {boolean} withContent
+ * @returns {Promise<{path: string, version: string, hit: boolean}>}
+ */
+async function downloadCoreToCache(version, locale, withContent) {
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+    const partialDir = path.join(CORE_DIR, `.download-${process.pid}-${++downloadCount}`);
+    const filesDir = path.join(partialDir, CORE_FILES_DIR);
+
+    fs.rmSync(partialDir, { recursive: true, force: true });
+    fs.mkdirSync(filesDir, { recursive: true });
+
+    const args = [wpCliPath, 'core', 'download', `--path=${filesDir}`, '--quiet'];
+    if (!withContent) {
+        args.splice(4, 0, '--skip-content');
+    }
+    if (version) {
+        args.push(`--version=${version}`);
+    }
+    if (locale !== DEFAULT_LOCALE) {
+        args.push(`--locale=${locale}`);
+    }
+
+    try {
+        await runCommand(phpCmd, args);
+    } catch (error) {
+        fs.rmSync(partialDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    // "latest" (or an offline lookup) only tells which version it was after the download
+    const versionFile = fs.readFileSync(path.join(filesDir, 'wp-includes', 'version.php'), 'utf8');
+    const downloadedVersion = versionFile.match(/\$wp_version\s*=\s*'([^']+)'/)?.[1] || version;
+
+    const entryDir = path.join(CORE_DIR, `${downloadedVersion}-${locale}${withContent ? '' : '-no-content'}`);
+    fs.writeFileSync(path.join(partialDir, METADATA_FILE), JSON.stringify({
+        version: downloadedVersion,
+        locale,
+        withContent,
+        cached_at: new Date().toISOString()
+    }, null, 2), 'utf8');
+
+    // A directory can't be renamed over a non-empty one: an existing entry (from another process, or
+    // a re-download) is moved aside and only removed once the new one is in place
+    withFileLock(CACHE_DIR, () => {
+        const previousDir = `${partialDir}-previous`;
+        if (fs.existsSync(entryDir)) {
+            fs.renameSync(entryDir, previousDir);
+        }
+        try {
+            fs.renameSync(partialDir, entryDir);
+        } catch (error) {
+            if (fs.existsSync(previousDir)) {
+                fs.renameSync(previousDir, entryDir);
+            }
+            fs.rmSync(partialDir, { recursive: true, force: true });
+            throw error;
+        }
+        fs.rmSync(previousDir, { recursive: true, force: true });
+    });
+
+    return { path: path.join(entryDir, CORE_FILES_DIR), version: downloadedVersion, hit: false };
+}
+
+/**
+ * Describe a core download for messages (e.g. "WordPress 6.4.2 (de_DE, no content)")
+ * @param {string} version
+ * @param {string} locale
+ * @param {boolean} withContent
+ * @returns {string}
+ */
+function describeCore(version, locale, withContent) {
+    return `WordPress ${version} (${locale}${withContent ? '' : ', no content'})`;
+}
+
+/**
+ * Find a cached core download
+ * @param {string|null} version - null or "latest" finds the newest cached version
+ * @param {string} locale
+ * @param {boolean} withContent
+ * @returns {{path: string, version: string, hit: boolean}|null}
+ */
+function findCachedCore(version, locale, withContent) {
+    const cached = listCachedCore().find(entry =>
+        entry.locale === locale &&
+        entry.withContent === withContent &&
+        (!version || version === 'latest' || entry.version === version)
+    );
+    return cached ? { path: path.join(cached.path, CORE_FILES_DIR), version: cached.version, hit: true } : null;
+}
+
+/**
+ * Get WordPress core from the cache, downloading it first if it isn't cached
+ * "latest" is looked up on WordPress.org; when that fails (or offline), the newest cached version is used.
+ * @param {Object} [options]
+ * @param {string} [options.version='latest'] - WordPress version
+ * @param {string} [options.locale=DEFAULT_LOCALE]
+ * @param {boolean} [options.withContent=false] - Include the default themes and plugins
+ * @param {boolean} [options.offline=false] - Only use the cache
+ * @returns {Promise<{path: string, version: string, hit: boolean}|null>} - Directory with the WordPress files,
+ *   or null if the download can't be cached (dry run, nightly builds)
+ * @throws {Error} - If offline and the version is not cached
+ */
+export async function cacheCore({ version = 'latest', locale = DEFAULT_LOCALE, withContent = false, offline = false } = {}) {
+    if (isDryRun()) {
+        return null;
+    }
+
+    if (offline) {
+        const cached = findCachedCore(version, locale, withContent);
+        if (!cached) {
+            throw new Error(`${describeCore(version, locale, withContent)} is not in the cache (offline mode).`);
+        }
+        return cached;
+    }
+
+    if (version === 'nightly') {
+        return null;
+    }
+
+    let resolvedVersion = version;
+    if (version === 'latest') {
+        resolvedVersion = await getLatestWordPressVersion(locale);
+        if (!resolvedVersion) {
+            const newest = findCachedCore(null, locale, withContent);
+            if (newest) {
+                return newest;
+            }
+        }
+    }
+
+    if (resolvedVersion) {
+        const cached = findCachedCore(resolvedVersion, locale, withContent);
+        if (cached) {
+            return cached;
+        }
+    }
+
+    return once(`core:${resolvedVersion || 'latest'}:${locale}:${withContent}`, () => downloadCoreToCache(resolvedVersion, locale, withContent));
+}
+
+/**
+ * Get a plugin ZIP from the cache, downloading the current version from WordPress.org if it isn't cached
+ * When WordPress.org can't be reached (or offline), the newest cached version is used.
+ * @param {string} slug - Plugin slug
+ * @param {Object} [options]
+ * @param {boolean} [options.offline=false] - Only use the cache
+ * @returns {Promise<{path: string, version: string, hit: boolean}|null>} - Path of the ZIP, or null if the plugin
+ *   isn't cached and can't be downloaded (dry run, unknown slug, offline)
+ */
+export async function cachePlugin(slug, { offline = false } = {}) {
+    if (isDryRun()) {
+        return null;
+    }
+
+    const info = offline ? null : await getPluginInfo(slug);
+    if (!info) {
+        const newest = listCachedPlugins().find(entry => entry.slug === slug);
+        return newest ? { path: newest.path, version: newest.version, hit: true } : null;
+    }
+
+    const zipPath = path.join(PLUGINS_DIR, slug, `${info.version}.zip`);
+    if (fs.existsSync(zipPath)) {
+        return { path: zipPath, version: info.version, hit: true };
+    }
+
+    await once(`plugin:${zipPath}`, () => downloadFile(info.downloadLink, zipPath));
+    return { path: zipPath, version: info.version, hit: false };
+}
+
+/**
+ * List everything a new site needs that can't be installed without a network connection
+ * @param {Object} config - Create config (see WordPressInstaller)
+ * @returns {string[]} - Descriptions of the missing downloads, empty if the site can be created offline
+ */
+export function findMissingDownloads(config) {
+    const locale = config.locale || DEFAULT_LOCALE;
+    const withContent = Boolean(config.withContent);
+    const missing = [];
+
+    if (!isWpCliDownloaded()) {
+        missing.push('WP-CLI (downloaded on the first online run)');
+    }
+
+    if (!findCachedCore(config.wpVersion || 'latest', locale, withContent)) {
+        missing.push(describeCore(config.wpVersion || 'latest', locale, withContent));
+    }
+
+    const cachedSlugs = listCachedPlugins().map(entry => entry.slug);
+    for (const slug of config.selectedPublicPlugins || []) {
+        if (!cachedSlugs.includes(slug)) {
+            missing.push(`Plugin ${slug}`);
+        }
+    }
+
+    // Themes are not cached; only local ZIPs work offline
+    for (const slug of config.selectedPublicThemes || []) {
+        missing.push(`Theme ${slug} (WordPress.org themes are not cached, use a local ZIP)`);
+    }
+
+    for (const zipPath of [...(config.selectedLocalPlugins || []), ...(config.selectedLocalThemes || [])]) {
+        if (!fs.existsSync(zipPath)) {
+            missing.push(`Local ZIP ${zipPath}`);
+        }
+    }
+
+    return missing;
+}
+
+/**
+ * Delete cached downloads
+ * @param {string} [type] - 'core' or 'plugins' (default: both)
+ * @returns {number} - Number of removed entries
+ * @throws {Error} - If the type is unknown
+ */
+export function clearCache(type) {
+    if (type && !['core', 'plugins'].includes(type)) {
+        throw new Error(`Unknown cache type "${type}". Use core or plugins.`);
+    }
+
+    return withFileLock(CACHE_DIR, () => {
+        // Only finished entries are removed, downloads running in other processes keep their partial files
+        const entries = [
+            ...(!type || type === 'core' ? listCachedCore() : []),
+            ...(!type || type === 'plugins' ? listCachedPlugins() : [])
+        ];
+        for (const entry of entries) {
+            fs.rmSync(entry.path, { recursive: true, force: true });
+        }
+        return entries.length;
+    });
+}
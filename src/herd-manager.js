@@ -1,5 +1,5 @@
 // src/herd-manager.js
-import { execa } from 'execa';
+import { runCommand } from './command-runner.js';
 
 /**
  * Checks if Laravel Herd is installed on the system
@@ -7,7 +7,7 @@ import { execa } from 'execa';
  */
 export async function isHerdInstalled() {
     try {
-        await execa('herd', ['--version']);
+        await runCommand('herd', ['--version'], { readOnly: true });
         return true;
     } catch (error) {
         return false;
@@ -17,17 +17,39 @@ export async function isHerdInstalled() {
 /**
  * Runs herd link in the specified directory
  * @param {string} cwd - Directory to run herd link in
+ * @param {string} [name] - Site name (default: directory name)
  * @returns {Promise<void>}
  */
-export async function herdLink(cwd) {
-    await execa('herd', ['link'], { cwd });
+export async function herdLink(cwd, name) {
+    await runCommand('herd', name ? ['link', name] : ['link'], { cwd });
 }
 
 /**
  * Runs herd secure in the specified directory
  * @param {string} cwd - Directory to run herd secure in
+ * @param {string} [name] - Site name (default: directory name)
  * @returns {Promise<void>}
  */
-export async function herdSecure(cwd) {
-    await execa('herd', ['secure'], { cwd });
-}
\ No newline at end of file
+export async function herdSecure(cwd, name) {
+    await runCommand('herd', name ? ['secure', name] : ['secure'], { cwd });
+}
+
+/**
+ * Runs herd unsecure in the specified directory
+ * @param {string} cwd - Directory to run herd unsecure in
+ * @param {string} [name] - Site name (default: directory name)
+ * @returns {Promise<void>}
+ */
+export async function herdUnsecure(cwd, name) {
+    await runCommand('herd', name ? ['unsecure', name] : ['unsecure'], { cwd });
+}
+
+/**
+ * Runs herd unlink in the specified directory
+ * @param {string} cwd - Directory to run herd unlink in
+ * @param {string} [name] - Site name (default: directory name)
+ * @returns {Promise<void>}
+ */
+export async function herdUnlink(cwd, name) {
+    await runCommand('herd', name ? ['unlink', name] : ['unlink'], { cwd });
+}
@@ -1,12 +1,25 @@
 // src/installer.js
-import { execa } from 'execa'; // Better than child_process
+import { runCommand, isDryRun } from './command-runner.js';
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
 import { getWpCliCommand } from './wp-cli-manager.js';
 import { getMySQLConnection } from './mysql-detector.js';
-import { herdLink, herdSecure } from './herd-manager.js';
-import { addSite } from './site-registry.js';
+import { herdLink, herdSecure, herdUnlink, herdUnsecure } from './herd-manager.js';
+import { addSite, listAllSites } from './site-registry.js';
+import { createUser } from './user-manager.js';
+import { changeSiteUrl } from './url-manager.js';
+import { cacheCore, cachePlugin, DEFAULT_LOCALE } from './download-cache.js';
+import {
+    COMPOSE_FILE,
+    generateComposeFile,
+    writeComposeFile,
+    dockerComposeUp,
+    dockerComposeDown,
+    findFreePort,
+    DEFAULT_WEB_PORT,
+    DEFAULT_DB_PORT
+} from './docker-manager.js';
 
 export class WordPressInstaller {
     constructor(config) {
@@ -14,16 +27,57 @@ export class WordPressInstaller {
         this.cwd = path.join(process.cwd(), config.slug);
         this.wpCliCmd = getWpCliCommand();
         this.dbHost = null; // Will be set during configureDatabase
+        this.docker = null; // Will be set during setupDockerCompose
+        this.sideEffects = []; // Everything created so far, in order, so rollback() can undo it
     }
 
     async createDirectory() {
         if (fs.existsSync(this.cwd)) {
             throw new Error(`Directory ${this.config.slug} already exists.`);
         }
-        await execa('mkdir', [this.config.slug]);
+        await runCommand('mkdir', [this.config.slug]);
+        this.sideEffects.push('directory');
     }
 
+    /**
+     * Copies an existing site's files into the new directory (clone).
+     * wp-config.php and docker-compose.yml are skipped; configureDatabase() writes fresh ones.
+     * @param {string} sourcePath - Directory of the site to copy
+     */
+    async copyFiles(sourcePath) {
+        if (fs.existsSync(this.cwd)) {
+            throw new Error(`Directory ${this.config.slug} already exists.`);
+        }
+
+        const skipped = [path.join(sourcePath, 'wp-config.php'), path.join(sourcePath, COMPOSE_FILE)];
+
+        // Tracked before copying, so a partial copy is removed too
+        this.sideEffects.push('directory');
+        fs.cpSync(sourcePath, this.cwd, {
+            recursive: true,
+            filter: (src) => !skipped.includes(src)
+        });
+    }
+
+    /**
+     * Copies WordPress core from the download cache (see download-cache.js), downloading it there first if needed.
+     * Falls back to downloading straight into the site when the download can't be cached.
+     * In offline mode only the cache is used.
+     */
     async downloadCore() {
+        const locale = this.config.locale || DEFAULT_LOCALE;
+        const cached = await cacheCore({
+            version: this.config.wpVersion || 'latest',
+            locale,
+            withContent: Boolean(this.config.withContent),
+            offline: Boolean(this.config.offline)
+        });
+
+        if (cached) {
+            fs.cpSync(cached.path, this.cwd, { recursive: true });
+            return;
+        }
+
         // We run wp commands inside the new directory using { cwd: this.cwd }
         const [phpCmd, wpCliPath] = this.wpCliCmd;
         const args = [wpCliPath, 'core', 'download', '--quiet'];
@@ -38,67 +92,138 @@ export class WordPressInstaller {
             args.push(`--version=${this.config.wpVersion}`);
         }
 
-        await execa(phpCmd, args, { cwd: this.cwd });
+        if (locale !== DEFAULT_LOCALE) {
+            args.push(`--locale=${locale}`);
+        }
+
+        await runCommand(phpCmd, args, { cwd: this.cwd });
     }
 
     /**
-     * FUTURE PROOFING:
-     * This is where you will add logic later to switch between
-     * Local MySQL (current) and Docker Compose.
+     * Creates wp-config.php and the database.
+     * Uses either the local MySQL server (auto-detected) or a per-site Docker Compose stack.
      */
     async configureDatabase() {
         const [phpCmd, wpCliPath] = this.wpCliCmd;
 
         if (this.config.useDocker) {
-            // TODO: Implement Docker Compose generation here later
-            // await this.setupDockerCompose();
+            // Containers create the database themselves; WP-CLI reaches it via the mapped port
+            await this.setupDockerCompose();
         } else {
             // Auto-detect MySQL connection if not provided
-            const mysqlHost = this.config.dbHost || await getMySQLConnection(this.config.dbUser);
+            // Stored for later use in registerSite
+            this.dbHost = this.config.dbHost || await getMySQLConnection(this.config.dbUser);
+        }
+
+        const configArgs = [
+            wpCliPath,
+            'config', 'create',
+            `--dbname=${this.config.dbName}`,
+            `--dbuser=${this.config.dbUser}`,
+            `--dbhost=${this.dbHost}`,
+            `--dbprefix=${this.config.dbPrefix}`,
+            '--quiet'
+        ];
+
+        // Add password if provided, otherwise use --prompt= for no password
+        if (this.config.dbPass) {
+            configArgs.splice(6, 0, `--dbpass=${this.config.dbPass}`);
+        } else {
+            configArgs.splice(6, 0, '--prompt=');
+        }
 
-            // Store for later use in registerSite
-            this.dbHost = mysqlHost;
+        await runCommand(phpCmd, configArgs, { cwd: this.cwd });
 
-            const configArgs = [
+        if (this.config.useDocker) {
+            // Inside the web container the database is reachable as "db", from the host via the mapped port
+            await runCommand(phpCmd, [
                 wpCliPath,
-                'config', 'create',
-                `--dbname=${this.config.dbName}`,
-                `--dbuser=${this.config.dbUser}`,
-                `--dbhost=${mysqlHost}`,
-                `--dbprefix=${this.config.dbPrefix}`,
+                'config', 'set', 'DB_HOST',
+                `getenv('WPMAX_DB_HOST') ?: '${this.dbHost}'`,
+                '--raw',
                 '--quiet'
-            ];
-
-            // Add password if provided, otherwise use --prompt= for no password
-            if (this.config.dbPass) {
-                configArgs.splice(6, 0, `--dbpass=${this.config.dbPass}`);
-            } else {
-                configArgs.splice(6, 0, '--prompt=');
-            }
+            ], { cwd: this.cwd });
+            return;
+        }
 
-            await execa(phpCmd, configArgs, { cwd: this.cwd });
-
-            // Skip database creation if --no-db flag is set
-            if (!this.config.noDb) {
-                try {
-                    await execa(phpCmd, [wpCliPath, 'db', 'create', '--quiet'], { cwd: this.cwd });
-                } catch (error) {
-                    // Check if error is "database exists"
-                    if (error.message.includes('database exists') || error.message.includes('ERROR 1007')) {
-                        // Database exists - drop and recreate it
-                        await execa(phpCmd, [wpCliPath, 'db', 'reset', '--yes', '--quiet'], { cwd: this.cwd });
-                    } else {
-                        // Some other error - re-throw it
-                        throw error;
-                    }
+        // Skip database creation if --no-db flag is set
+        if (!this.config.noDb) {
+            try {
+                await runCommand(phpCmd, [wpCliPath, 'db', 'create', '--quiet'], { cwd: this.cwd });
+            } catch (error) {
+                // Check if error is "database exists"
+                if (error.message.includes('database exists') || error.message.includes('ERROR 1007')) {
+                    // Database exists - drop and recreate it
+                    await runCommand(phpCmd, [wpCliPath, 'db', 'reset', '--yes', '--quiet'], { cwd: this.cwd });
+                } else {
+                    // Some other error - re-throw it
+                    throw error;
                 }
             }
+            this.sideEffects.push('database');
         }
     }
 
+    /**
+     * Generates docker-compose.yml for the site, picks free host ports and starts the containers.
+     * The site URL is switched to the mapped web port, since .test domains don't resolve to containers.
+     */
+    async setupDockerCompose() {
+        // Skip ports already claimed by other Docker sites, even if their containers are stopped
+        const usedPorts = listAllSites()
+            .filter(site => site.docker)
+            .flatMap(site => [site.docker.webPort, site.docker.dbPort]);
+
+        const webPort = await findFreePort(DEFAULT_WEB_PORT, usedPorts);
+        const dbPort = await findFreePort(DEFAULT_DB_PORT, usedPorts);
+
+        const content = generateComposeFile({
+            slug: this.config.slug,
+            dbName: this.config.dbName,
+            dbUser: this.config.dbUser,
+            dbPass: this.config.dbPass,
+            webPort,
+            dbPort
+        });
+        if (!isDryRun()) {
+            writeComposeFile(this.cwd, content);
+        }
+
+        // Tracked before starting, so a half-started stack is torn down too
+        this.sideEffects.push('docker');
+        await dockerComposeUp(this.cwd);
+
+        this.docker = { webPort, dbPort };
+        this.dbHost = `127.0.0.1:${dbPort}`;
+        this.config.url = `localhost:${webPort}`;
+    }
+
+    /**
+     * Copies another site's database into this site's database (clone).
+     * The dump is written inside the new site directory, so rollback removes it with the directory.
+     * @param {string} sourcePath - Directory of the site whose database is copied
+     */
+    async importDatabase(sourcePath) {
+        const [phpCmd, wpCliPath] = this.wpCliCmd;
+        const dumpPath = path.join(this.cwd, '.wpmax-clone.sql');
+
+        await runCommand(phpCmd, [wpCliPath, 'db', 'export', dumpPath, '--quiet'], { cwd: sourcePath });
+        await runCommand(phpCmd, [wpCliPath, 'db', 'import', dumpPath, '--quiet'], { cwd: this.cwd });
+        fs.rmSync(dumpPath, { force: true });
+    }
+
+    /**
+     * Replaces the site's current home URL with a new one (clone)
+     * @param {string} newUrl - Full URL including scheme (e.g. http://my-copy.test)
+     * @returns {Promise<string>} - The URL that was replaced
+     */
+    async replaceSiteUrl(newUrl) {
+        return changeSiteUrl(this.cwd, newUrl);
+    }
+
     async installWordPress() {
         const [phpCmd, wpCliPath] = this.wpCliCmd;
-        await execa(phpCmd, [
+        await runCommand(phpCmd, [
             wpCliPath,
             'core', 'install',
             `--url=${this.config.url}`,
@@ -113,10 +238,14 @@ export class WordPressInstaller {
     async installPlugins() {
         const [phpCmd, wpCliPath] = this.wpCliCmd;
 
-        // 1. Install public plugins from WordPress.org
+        // 1. Install public plugins from WordPress.org (through the download cache when possible)
         if (this.config.selectedPublicPlugins && this.config.selectedPublicPlugins.length > 0) {
             for (const slug of this.config.selectedPublicPlugins) {
-                await execa(phpCmd, [wpCliPath, 'plugin', 'install', slug, '--activate', '--quiet'], { cwd: this.cwd });
+                const cached = await cachePlugin(slug, { offline: Boolean(this.config.offline) });
+                if (!cached && this.config.offline && !isDryRun()) {
+                    throw new Error(`Plugin ${slug} is not in the cache (offline mode).`);
+                }
+                await runCommand(phpCmd, [wpCliPath, 'plugin', 'install', cached ? cached.path : slug, '--activate', '--quiet'], { cwd: this.cwd });
             }
         }
 
@@ -124,18 +253,130 @@ export class WordPressInstaller {
         if (this.config.selectedLocalPlugins && this.config.selectedLocalPlugins.length > 0) {
             for (const pluginPath of this.config.selectedLocalPlugins) {
                 if (fs.existsSync(pluginPath)) {
-                    await execa(phpCmd, [wpCliPath, 'plugin', 'install', pluginPath, '--activate', '--quiet'], { cwd: this.cwd });
+                    await runCommand(phpCmd, [wpCliPath, 'plugin', 'install', pluginPath, '--activate', '--quiet'], { cwd: this.cwd });
                 }
             }
         }
     }
 
+    async installThemes() {
+        const [phpCmd, wpCliPath] = this.wpCliCmd;
+        const themes = [
+            ...(this.config.selectedPublicThemes || []),
+            ...(this.config.selectedLocalThemes || []).filter(themePath => fs.existsSync(themePath))
+        ];
+
+        // Themes from WordPress.org (slugs) and local ZIPs install the same way
+        for (const theme of themes) {
+            const args = [wpCliPath, 'theme', 'install', theme, '--quiet'];
+            if (theme === this.config.activeTheme) {
+                args.splice(4, 0, '--activate');
+            }
+            await runCommand(phpCmd, args, { cwd: this.cwd });
+        }
+
+        // Active theme that is already installed (e.g. a default theme with --with-content)
+        if (this.config.activeTheme && !themes.includes(this.config.activeTheme)) {
+            await runCommand(phpCmd, [wpCliPath, 'theme', 'activate', this.config.activeTheme, '--quiet'], { cwd: this.cwd });
+        }
+    }
+
+    /**
+     * Define wp-config.php constants (e.g. WP_DEBUG)
+     * Non-string values are written as raw PHP (true, 42) instead of quoted strings
+     */
+    async setConstants() {
+        const [phpCmd, wpCliPath] = this.wpCliCmd;
+
+        for (const [name, value] of Object.entries(this.config.wpConstants || {})) {
+            const args = [wpCliPath, 'config', 'set', name, String(value), '--type=constant', '--quiet'];
+            if (typeof value !== 'string') {
+                args.splice(4, 1, JSON.stringify(value));
+                args.splice(5, 0, '--raw');
+            }
+            await runCommand(phpCmd, args, { cwd: this.cwd });
+        }
+    }
+
+    /**
+     * Update WordPress options (wp_options table)
+     * Arrays and objects are stored as serialized values via --format=json
+     */
+    async updateOptions() {
+        const [phpCmd, wpCliPath] = this.wpCliCmd;
+
+        for (const [name, value] of Object.entries(this.config.wpOptions || {})) {
+            const args = [wpCliPath, 'option', 'update', name, String(value), '--quiet'];
+            if (value !== null && typeof value === 'object') {
+                args.splice(4, 1, JSON.stringify(value));
+                args.splice(5, 0, '--format=json');
+            }
+            await runCommand(phpCmd, args, { cwd: this.cwd });
+        }
+    }
+
+    /**
+     * Create additional users besides the admin
+     */
+    async createUsers() {
+        for (const user of this.config.extraUsers || []) {
+            await createUser(
+                user.username,
+                user.email,
+                user.password || 'admin',
+                this.cwd,
+                user.role || 'administrator'
+            );
+        }
+    }
+
     async setupHerd() {
         // Run herd link
         await herdLink(this.cwd);
+        this.sideEffects.push('herdLink');
 
         // Run herd secure
         await herdSecure(this.cwd);
+        this.sideEffects.push('herdSecure');
+    }
+
+    /**
+     * Undo everything this installer created, most recent first.
+     * Each step is attempted even if an earlier one fails.
+     * @returns {Promise<Array<{step: string, ok: boolean, error?: string}>>} Result of each undo step
+     */
+    async rollback() {
+        const [phpCmd, wpCliPath] = this.wpCliCmd;
+        const results = [];
+
+        for (const step of [...this.sideEffects].reverse()) {
+            try {
+                switch (step) {
+                    case 'herdSecure':
+                        await herdUnsecure(this.cwd);
+                        break;
+                    case 'herdLink':
+                        await herdUnlink(this.cwd);
+                        break;
+                    case 'database':
+                        // Needs wp-config.php, so it runs before the directory is removed
+                        await runCommand(phpCmd, [wpCliPath, 'db', 'drop', '--yes', '--quiet'], { cwd: this.cwd });
+                        break;
+                    case 'docker':
+                        await dockerComposeDown(this.cwd, true);
+                        break;
+                    case 'directory':
+                        fs.rmSync(this.cwd, { recursive: true, force: true });
+                        break;
+                }
+                results.push({ step, ok: true });
+            } catch (error) {
+                results.push({ step, ok: false, error: error.message });
+            }
+        }
+
+        this.sideEffects = [];
+        return results;
     }
 
     /**
@@ -151,7 +392,8 @@ export class WordPressInstaller {
             dbUser: this.config.dbUser,
             dbHost: this.dbHost || this.config.dbHost || 'localhost',
             adminUser: this.config.adminUser,
-            adminEmail: this.config.adminEmail
+            adminEmail: this.config.adminEmail,
+            ...(this.docker && { mode: 'docker', docker: this.docker })
         });
     }
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+// src/json-store.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * How long to wait for another wpmax process to release a lock
+ */
+const LOCK_TIMEOUT_MS = 10000;
+
+const LOCK_RETRY_MS = 50;
+
+/**
+ * Lock files this process holds (a locked function may call another one that locks the same file)
+ */
+const heldLocks = new Set();
+
+/**
+ * Block for a moment (the config and registry functions are synchronous)
+ * @param {number} ms
+ */
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Get the backup of a JSON file: the version before the last write
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function getBackupPath(filePath) {
+    return `${filePath}.bak`;
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - Path to the file
+ * @param {*} fallback - Returned if the file does not exist
+ * @returns {*} - Parsed content
+ * @throws {Error} - If the file can't be parsed, with how to recover it
+ */
+export function readJsonFile(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw corruptFileError(filePath, error.message);
+    }
+}
+
+/**
+ * Create the error for a file that can't be used, with how to recover it
+ * @param {string} filePath - Path to the file
+ * @param {string} reason - What is wrong with it
+ * @returns {Error}
+ */
+export function corruptFileError(filePath, reason) {
+    const backupPath = getBackupPath(filePath);
+    const hint = fs.existsSync(backupPath)
+        ? `The previous version is saved in ${backupPath}. Restore it with:\n  cp "${backupPath}" "${filePath}"`
+        : 'Fix the file, or move it away to start over.';
+    return new Error(`${filePath} is corrupt (${reason}).\n${hint}`);
+}
+
+/**
+ * Write a JSON file atomically: the content goes to a temporary file that then replaces the file,
+ * so a crash never leaves half a file behind. The previous version is kept as a backup.
+ * @param {string} filePath - Path to the file
+ * @param {*} data - Content to write
+ */
+export function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+        fs.copyFileSync(filePath, getBackupPath(filePath));
+    }
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Check if the process that created a lock file is gone
+ * The lock file is created before its PID is written, so an empty or unreadable one is still
+ * being taken; it only counts as stale once it is older than LOCK_TIMEOUT_MS.
+ * @param {string} lockPath
+ * @returns {boolean}
+ */
+function isStaleLock(lockPath) {
+    let pid;
+    try {
+        const content = fs.readFileSync(lockPath, 'utf8').trim();
+        pid = /^\d+$/.test(content) ? Number(content) : null;
+        if (!pid) {
+            return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_TIMEOUT_MS;
+        }
+    } catch (error) {
+        // Released while we looked
+        return false;
+    }
+
+    try {
+        process.kill(pid, 0);
+        return false;
+    } catch (error) {
+        return error.code === 'ESRCH';
+    }
+}
+
+/**
+ * Run a function while holding an advisory lock on a file, so two wpmax processes
+ * don't both read, change and write it (and one of the changes gets lost)
+ * Locks left behind by a process that has exited are taken over.
+ * @param {string} filePath - File to lock (the lock is <file>.lock next to it)
+ * @param {Function} fn - Function to run, its return value is returned
+ * @returns {*}
+ * @throws {Error} - If another process holds the lock for longer than LOCK_TIMEOUT_MS
+ */
+export function withFileLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+
+    if (heldLocks.has(lockPath)) {
+        return fn();
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            if (isStaleLock(lockPath)) {
+                fs.rmSync(lockPath, { force: true });
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Another wpmax process is changing ${filePath}. Try again in a moment, or remove ${lockPath} if no wpmax is running.`);
+            }
+            sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    heldLocks.add(lockPath);
+    try {
+        return fn();
+    } finally {
+        heldLocks.delete(lockPath);
+        fs.rmSync(lockPath, { force: true });
+    }
+}
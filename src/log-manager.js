@@ -0,0 +1,164 @@
+// src/log-manager.js
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './paths.js';
+
+const LOGS_DIR = path.join(getConfigDir(), 'logs');
+
+/**
+ * Older logs are pruned when a new one is started
+ */
+export const MAX_LOG_FILES = 50;
+export const LOG_RETENTION_DAYS = 14;
+
+/**
+ * Captured stdout/stderr longer than this is cut in the log (e.g. WP-CLI listing thousands of posts)
+ */
+const MAX_OUTPUT_LENGTH = 20000;
+
+let currentLogPath = null;
+
+/**
+ * Get the logs directory path (for display purposes)
+ */
+export function getLogsDir() {
+    return LOGS_DIR;
+}
+
+/**
+ * Get the log file of this invocation
+ * @returns {string|null} - null if no log was started
+ */
+export function getCurrentLogPath() {
+    return currentLogPath;
+}
+
+/**
+ * Build a sortable timestamp for log file names (e.g. 2026-01-15-143005)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatFileTimestamp(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Cut long command output so a single log stays readable
+ * @param {string} text
+ * @returns {string}
+ */
+export function truncateOutput(text) {
+    if (text.length <= MAX_OUTPUT_LENGTH) {
+        return text;
+    }
+    return `${text.slice(0, MAX_OUTPUT_LENGTH)}\n... (${text.length - MAX_OUTPUT_LENGTH} more characters)`;
+}
+
+/**
+ * Append to the current log. Logging never interrupts a command, so write errors are ignored.
+ * Lines after the first are indented under the timestamp.
+ * @param {string} message
+ */
+export function writeLog(message) {
+    if (!currentLogPath) {
+        return;
+    }
+
+    const now = new Date();
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const time = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}.${pad(now.getMilliseconds(), 3)}`;
+    const text = String(message).split('\n').join(`\n${' '.repeat(time.length + 3)}`);
+
+    try {
+        fs.appendFileSync(currentLogPath, `[${time}] ${text}\n`, 'utf8');
+    } catch {
+        // e.g. the logs directory was removed or is not writable
+    }
+}
+
+/**
+ * Start the log for this invocation: prunes old logs, creates the file and writes a header.
+ * The exit code is appended when the process exits.
+ * @param {string} commandName - e.g. create, snapshot-list
+ * @param {Object} [details]
+ * @param {string[]} [details.argv=process.argv.slice(2)] - Arguments wpmax was run with
+ * @param {string} [details.version] - wpmax version
+ * @param {Date} [details.now=new Date()]
+ * @returns {string|null} - Path of the log file, or null if it could not be created
+ */
+export function startLog(commandName, { argv = process.argv.slice(2), version, now = new Date() } = {}) {
+    try {
+        fs.mkdirSync(LOGS_DIR, { recursive: true });
+        // Leave room for the log that is started now
+        pruneLogs({ maxFiles: MAX_LOG_FILES - 1, now });
+
+        const baseName = `${formatFileTimestamp(now)}-${commandName}`;
+        let logPath = path.join(LOGS_DIR, `${baseName}.log`);
+        if (fs.existsSync(logPath)) {
+            logPath = path.join(LOGS_DIR, `${baseName}-${process.pid}.log`);
+        }
+
+        fs.writeFileSync(logPath, '', 'utf8');
+        currentLogPath = logPath;
+    } catch {
+        currentLogPath = null;
+        return null;
+    }
+
+    writeLog([
+        `wpmax ${argv.join(' ')}`,
+        `version: ${version || 'unknown'}`,
+        `cwd: ${process.cwd()}`,
+        `node: ${process.version} (${process.platform} ${process.arch})`
+    ].join('\n'));
+
+    process.once('exit', (code) => {
+        writeLog(`Exit code ${code}`);
+    });
+
+    return currentLogPath;
+}
+
+/**
+ * Stop writing to the current log (the file is kept)
+ */
+export function stopLog() {
+    currentLogPath = null;
+}
+
+/**
+ * List log files, newest first
+ * @returns {Array<{name: string, path: string, size: number, modified: Date}>}
+ */
+export function listLogs() {
+    if (!fs.existsSync(LOGS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(LOGS_DIR)
+        .filter(name => name.endsWith('.log'))
+        .sort()
+        .reverse()
+        .map(name => {
+            const logPath = path.join(LOGS_DIR, name);
+            const stats = fs.statSync(logPath);
+            return { name, path: logPath, size: stats.size, modified: stats.mtime };
+        });
+}
+
+/**
+ * Delete logs beyond the newest maxFiles and logs older than maxAgeDays
+ * @param {Object} [options]
+ * @param {number} [options.maxFiles=MAX_LOG_FILES]
+ * @param {number} [options.maxAgeDays=LOG_RETENTION_DAYS]
+ * @param {Date} [options.now=new Date()]
+ * @returns {string[]} - Names of the deleted logs
+ */
+export function pruneLogs({ maxFiles = MAX_LOG_FILES, maxAgeDays = LOG_RETENTION_DAYS, now = new Date() } = {}) {
+    const cutoff = now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = listLogs().filter((log, index) => index >= maxFiles || log.modified.getTime() < cutoff);
+    expired.forEach(log => fs.rmSync(log.path, { force: true }));
+    return expired.map(log => log.name);
+}
@@ -1,6 +1,6 @@
 // src/mysql-detector.js
 import fs from 'fs';
-import { execa } from 'execa';
+import { runCommand } from './command-runner.js';
 
 /**
  * Common MySQL socket locations across different installations
@@ -43,7 +43,7 @@ async function testMysqlConnection(socketPath = null, host = null, user = 'root'
 
         args.push(`-u${user}`, '-e', 'SELECT 1', '--silent');
 
-        await execa('mysql', args);
+        await runCommand('mysql', args, { readOnly: true });
         return true;
     } catch (error) {
         return false;
@@ -59,7 +59,7 @@ async function testMysqlConnection(socketPath = null, host = null, user = 'root'
 export async function detectMySQLConnection(user = 'root') {
     // First, check if mysql command is available
     try {
-        await execa('mysql', ['--version']);
+        await runCommand('mysql', ['--version'], { readOnly: true });
     } catch (error) {
         throw new Error('MySQL client is not installed or not in PATH. Please install MySQL.');
     }
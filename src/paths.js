@@ -0,0 +1,15 @@
+// src/paths.js
+import path from 'path';
+import os from 'os';
+
+/**
+ * Get the directory wpmax keeps its state in: config, site registry, blueprints, cache, logs, snapshots and trash
+ * Defaults to ~/.config/wpmax; WPMAX_CONFIG_DIR relocates it (sandboxes, CI, isolated tests).
+ * @returns {string}
+ */
+export function getConfigDir() {
+    if (process.env.WPMAX_CONFIG_DIR) {
+        return path.resolve(process.env.WPMAX_CONFIG_DIR);
+    }
+    return path.join(os.homedir(), '.config', 'wpmax');
+}
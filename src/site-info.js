@@ -1,15 +1,16 @@
 // src/site-info.js
-import { execa } from 'execa';
+import { runCommand } from './command-runner.js';
 import fs from 'fs';
 import { getWpCliCommand } from './wp-cli-manager.js';
 import { getSite } from './site-registry.js';
+import { getComposeStatus } from './docker-manager.js';
 
 /**
  * Get directory size in human-readable format
  */
 async function getDirectorySize(dirPath) {
     try {
-        const { stdout } = await execa('du', ['-sh', dirPath]);
+        const { stdout } = await runCommand('du', ['-sh', dirPath]);
         return stdout.split('\t')[0];
     } catch (error) {
         return 'Unknown';
@@ -19,10 +20,10 @@ async function getDirectorySize(dirPath) {
 /**
  * Get WordPress version
  */
-async function getWordPressVersion(sitePath) {
+export async function getWordPressVersion(sitePath) {
     try {
         const [phpCmd, wpCliPath] = getWpCliCommand();
-        const { stdout } = await execa(phpCmd, [wpCliPath, 'core', 'version'], { cwd: sitePath });
+        const { stdout } = await runCommand(phpCmd, [wpCliPath, 'core', 'version'], { cwd: sitePath });
         return stdout.trim();
     } catch (error) {
         return 'Unknown';
@@ -32,10 +33,10 @@ async function getWordPressVersion(sitePath) {
 /**
  * Get active plugins
  */
-async function getActivePlugins(sitePath) {
+export async function getActivePlugins(sitePath) {
     try {
         const [phpCmd, wpCliPath] = getWpCliCommand();
-        const { stdout } = await execa(phpCmd, [wpCliPath, 'plugin', 'list', '--status=active', '--field=name', '--quiet'], { cwd: sitePath });
+        const { stdout } = await runCommand(phpCmd, [wpCliPath, 'plugin', 'list', '--status=active', '--field=name', '--quiet'], { cwd: sitePath });
         return stdout.trim().split('\n').filter(p => p);
     } catch (error) {
         return [];
@@ -48,7 +49,7 @@ async function getActivePlugins(sitePath) {
 async function getActiveTheme(sitePath) {
     try {
         const [phpCmd, wpCliPath] = getWpCliCommand();
-        const { stdout } = await execa(phpCmd, [wpCliPath, 'theme', 'list', '--status=active', '--field=name', '--quiet'], { cwd: sitePath });
+        const { stdout } = await runCommand(phpCmd, [wpCliPath, 'theme', 'list', '--status=active', '--field=name', '--quiet'], { cwd: sitePath });
         return stdout.trim();
     } catch (error) {
         return 'Unknown';
@@ -63,11 +64,11 @@ async function getDatabaseInfo(sitePath) {
         const [phpCmd, wpCliPath] = getWpCliCommand();
 
         // Get table count
-        const { stdout: tables } = await execa(phpCmd, [wpCliPath, 'db', 'query', 'SHOW TABLES', '--skip-column-names', '--quiet'], { cwd: sitePath });
+        const { stdout: tables } = await runCommand(phpCmd, [wpCliPath, 'db', 'query', 'SHOW TABLES', '--skip-column-names', '--quiet'], { cwd: sitePath });
         const tableCount = tables.trim().split('\n').filter(t => t).length;
 
         // Get database size
-        const { stdout: size } = await execa(phpCmd, [wpCliPath, 'db', 'size', '--human-readable', '--quiet'], { cwd: sitePath });
+        const { stdout: size } = await runCommand(phpCmd, [wpCliPath, 'db', 'size', '--human-readable', '--quiet'], { cwd: sitePath });
 
         return {
             tableCount,
@@ -87,13 +88,13 @@ async function getDatabaseInfo(sitePath) {
 async function getPhpVersion(sitePath) {
     try {
         const [phpCmd, wpCliPath] = getWpCliCommand();
-        const { stdout } = await execa(phpCmd, [wpCliPath, 'cli', 'info', '--format=json', '--quiet'], { cwd: sitePath });
+        const { stdout } = await runCommand(phpCmd, [wpCliPath, 'cli', 'info', '--format=json', '--quiet'], { cwd: sitePath });
         const info = JSON.parse(stdout);
         return info.php_version || 'Unknown';
     } catch (error) {
         // Fallback to system PHP version
         try {
-            const { stdout } = await execa('php', ['--version']);
+            const { stdout } = await runCommand('php', ['--version']);
             const match = stdout.match(/PHP (\d+\.\d+\.\d+)/);
             return match ? match[1] : 'Unknown';
         } catch {
@@ -131,7 +132,7 @@ export async function getFullSiteInfo(siteName) {
         getPhpVersion(site.path)
     ]);
 
-    return {
+    const info = {
         ...site,
         exists: true,
         directorySize,
@@ -141,6 +142,13 @@ export async function getFullSiteInfo(siteName) {
         dbInfo,
         phpVersion
     };
+
+    // Docker sites: include container states
+    if (site.mode === 'docker') {
+        info.containers = await getComposeStatus(site.path);
+    }
+
+    return info;
 }
 
 /**
@@ -0,0 +1,174 @@
+// src/site-mover.js
+import fs from 'fs';
+import path from 'path';
+import { runCommand } from './command-runner.js';
+import { getWpCliCommand } from './wp-cli-manager.js';
+import { isHerdInstalled, herdLink, herdSecure, herdUnlink, herdUnsecure } from './herd-manager.js';
+import { dockerComposeUp, dockerComposeDown, renameComposeProject } from './docker-manager.js';
+import { updateSite } from './site-registry.js';
+import { changeSiteUrl, getHerdName, getHost } from './url-manager.js';
+import { getSnapshotsDir } from './snapshot-manager.js';
+
+/**
+ * Move a directory, falling back to copy + delete across filesystems
+ * @param {string} from - Current directory
+ * @param {string} to - New directory (must not exist)
+ */
+export function moveDirectory(from, to) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    try {
+        fs.renameSync(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        fs.cpSync(from, to, { recursive: true });
+        fs.rmSync(from, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Rename a site's database (MySQL has no RENAME DATABASE, so it is copied and dropped)
+ * wp-config.php is pointed at the new database; on failure it is pointed back.
+ * @param {string} sitePath - Path to the WordPress site
+ * @param {string} oldName - Current database name
+ * @param {string} newName - New database name
+ */
+export async function renameDatabase(sitePath, oldName, newName) {
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+    const dumpPath = path.join(sitePath, '.wpmax-rename.sql');
+    const wp = (args) => runCommand(phpCmd, [wpCliPath, ...args], { cwd: sitePath });
+
+    await wp(['db', 'export', dumpPath, '--quiet']);
+
+    try {
+        await wp(['config', 'set', 'DB_NAME', newName, '--quiet']);
+        await wp(['db', 'create', '--quiet']);
+        await wp(['db', 'import', dumpPath, '--quiet']);
+    } catch (error) {
+        await wp(['config', 'set', 'DB_NAME', oldName, '--quiet']);
+        throw error;
+    } finally {
+        fs.rmSync(dumpPath, { force: true });
+    }
+
+    await wp(['db', 'query', `DROP DATABASE \`${oldName}\``, '--quiet']);
+}
+
+/**
+ * Move a site's directory and update the registry.
+ * Docker containers are stopped and restarted around the move, Herd links are re-created.
+ * @param {Object} site - Site from the registry
+ * @param {string} newPath - New absolute directory path (must not exist)
+ * @returns {Promise<Object>} - Updated site
+ * @throws {Error} - If the target exists or the source directory is missing
+ */
+export async function moveSite(site, newPath) {
+    if (!fs.existsSync(site.path)) {
+        throw new Error(`Site directory does not exist: ${site.path}`);
+    }
+    if (fs.existsSync(newPath)) {
+        throw new Error(`Target already exists: ${newPath}`);
+    }
+
+    const isDocker = site.mode === 'docker';
+    const host = getHost(site.url);
+    const useHerd = !isDocker && host && await isHerdInstalled();
+
+    if (isDocker) {
+        await dockerComposeDown(site.path);
+    }
+    if (useHerd) {
+        // The link may not exist (e.g. Herd was never set up for this site)
+        await herdUnlink(site.path, getHerdName(host)).catch(() => {});
+    }
+
+    moveDirectory(site.path, newPath);
+    updateSite(site.name, { path: newPath });
+
+    if (isDocker) {
+        await dockerComposeUp(newPath);
+    }
+    if (useHerd) {
+        await herdLink(newPath, getHerdName(host));
+    }
+
+    return { ...site, path: newPath };
+}
+
+/**
+ * Rename a site: registry entry, directory, database and URL.
+ * Each step updates the registry as soon as it is done, so a failure halfway leaves the
+ * registry pointing at what is actually on disk.
+ * @param {Object} site - Site from the registry
+ * @param {string} newName - New site name (slug)
+ * @param {Object} [options]
+ * @param {boolean} [options.keepDbName=false] - Keep the current database name
+ * @returns {Promise<Object>} - Updated site
+ */
+export async function renameSite(site, newName, { keepDbName = false } = {}) {
+    const newPath = path.join(path.dirname(site.path), newName);
+    const isDocker = site.mode === 'docker';
+    const oldHost = getHost(site.url);
+
+    // Only URLs derived from the name are renamed ({old}.test → {new}.test); custom URLs are kept
+    const newHost = oldHost && oldHost.startsWith(`${site.name}.`)
+        ? newName + oldHost.slice(site.name.length)
+        : oldHost;
+    const useHerd = !isDocker && oldHost && await isHerdInstalled();
+
+    if (fs.existsSync(newPath)) {
+        throw new Error(`Target already exists: ${newPath}`);
+    }
+
+    // 1. Registry name and directory
+    if (isDocker) {
+        await dockerComposeDown(site.path);
+    }
+    if (useHerd) {
+        await herdUnsecure(site.path, getHerdName(oldHost)).catch(() => {});
+        await herdUnlink(site.path, getHerdName(oldHost)).catch(() => {});
+    }
+
+    moveDirectory(site.path, newPath);
+    updateSite(site.name, { name: newName, path: newPath });
+
+    const snapshotsDir = getSnapshotsDir(site.name);
+    if (fs.existsSync(snapshotsDir)) {
+        moveDirectory(snapshotsDir, getSnapshotsDir(newName));
+    }
+
+    if (isDocker) {
+        await renameComposeProject(newPath, site.name, newName);
+        await dockerComposeUp(newPath);
+    }
+
+    // 2. Database (Docker databases live in the site's own container and keep their name)
+    const newDbName = newName.replace(/-/g, '_');
+    if (!isDocker && !keepDbName && site.dbName && site.dbName !== newDbName) {
+        await renameDatabase(newPath, site.dbName, newDbName);
+        updateSite(newName, { dbName: newDbName });
+    }
+
+    // 3. URL and Herd
+    let url = site.url;
+    if (!isDocker && newHost) {
+        if (useHerd) {
+            await herdLink(newPath, getHerdName(newHost));
+            await herdSecure(newPath, getHerdName(newHost));
+        }
+        if (newHost !== oldHost) {
+            await changeSiteUrl(newPath, `${useHerd ? 'https' : 'http'}://${newHost}`);
+            url = newHost;
+            updateSite(newName, { url });
+        }
+    }
+
+    return {
+        ...site,
+        name: newName,
+        path: newPath,
+        url,
+        dbName: !isDocker && !keepDbName && site.dbName ? newDbName : site.dbName
+    };
+}
@@ -1,35 +1,98 @@
 // src/site-registry.js
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
+import { getConfigDir } from './paths.js';
+import { readJsonFile, writeJsonFile, withFileLock, corruptFileError } from './json-store.js';
+import { isValidSlug } from './validators.js';
 
-const SITES_FILE = path.join(os.homedir(), '.config', 'wpmax', 'sites.json');
+const SITES_FILE = path.join(getConfigDir(), 'sites.json');
 
 /**
- * Ensure the sites file exists
+ * Version of the sites.json format, written to the file
+ * Bump it and add a migration when entries change in a way older code or files don't expect.
  */
-function ensureSitesFile() {
-    const dir = path.dirname(SITES_FILE);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+export const REGISTRY_VERSION = 2;
+
+/**
+ * Migrations by the version they upgrade from; each returns the registry in the next version
+ * Version 1 files (before versioning) have no version field.
+ */
+const MIGRATIONS = {
+    1: data => ({ version: 2, sites: data.sites ?? [] })
+};
+
+/**
+ * Upgrade registry data from an older version of sites.json to the current one
+ * The upgrade happens in memory; the next change to the registry writes it.
+ * @param {Object} data - Parsed sites.json
+ * @returns {{version: number, sites: Array<Object>}}
+ * @throws {Error} - If the file is not a registry, or was written by a newer wpmax
+ */
+export function migrateRegistry(data) {
+    // Anything else would be read as an empty registry and wipe every site on the next write
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw corruptFileError(SITES_FILE, 'expected an object with a "sites" array');
     }
-    if (!fs.existsSync(SITES_FILE)) {
-        fs.writeFileSync(SITES_FILE, JSON.stringify({ sites: [] }, null, 2));
+
+    let registry = data;
+    let version = registry.version ?? 1;
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw corruptFileError(SITES_FILE, `invalid version ${JSON.stringify(version)}`);
+    }
+    if (version > REGISTRY_VERSION) {
+        throw new Error(`${SITES_FILE} was written by a newer wpmax (registry version ${version}, this one reads up to ${REGISTRY_VERSION}). Update with: wpmax update`);
+    }
+
+    while (version < REGISTRY_VERSION) {
+        registry = MIGRATIONS[version](registry);
+        version = registry.version;
     }
+
+    if (!Array.isArray(registry.sites)) {
+        throw corruptFileError(SITES_FILE, '"sites" is not an array');
+    }
+    return registry;
+}
+
+/**
+ * Read every registry entry, including trashed sites
+ * @throws {Error} - If sites.json is corrupt (rather than treating it as empty, which would wipe it on the next write)
+ */
+function readSites() {
+    const data = readJsonFile(SITES_FILE, null);
+    return data === null ? [] : migrateRegistry(data).sites;
+}
+
+/**
+ * Change the registry while holding its lock
+ * @param {Function} change - Gets every registry entry, returns the entries to write
+ */
+function changeSites(change) {
+    withFileLock(SITES_FILE, () => {
+        writeJsonFile(SITES_FILE, { version: REGISTRY_VERSION, sites: change(readSites()) });
+    });
 }
 
 /**
- * Read all sites from the registry
+ * Read all sites from the registry (trashed sites are not included)
  */
 export function listAllSites() {
-    ensureSitesFile();
-    try {
-        const data = fs.readFileSync(SITES_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        return parsed.sites || [];
-    } catch (error) {
-        return [];
-    }
+    return readSites().filter(site => !site.trash);
+}
+
+/**
+ * Read all trashed sites from the registry
+ */
+export function listTrashedSites() {
+    return readSites().filter(site => site.trash);
+}
+
+/**
+ * Get a single trashed site by name
+ */
+export function getTrashedSite(siteName) {
+    return listTrashedSites().find(site => site.name === siteName);
 }
 
 /**
@@ -51,37 +114,186 @@ export function siteExists(siteName) {
  * Add a new site to the registry
  */
 export function addSite(siteData) {
-    ensureSitesFile();
-    const sites = listAllSites();
+    changeSites(sites => {
+        // Remove existing site with same name if it exists (a trashed site with that name stays restorable)
+        const filtered = sites.filter(site => site.name !== siteData.name || site.trash);
 
-    // Remove existing site with same name if it exists
-    const filtered = sites.filter(site => site.name !== siteData.name);
-
-    // Add new site
-    filtered.push({
-        name: siteData.name,
-        path: siteData.path,
-        url: siteData.url,
-        created_at: siteData.created_at || new Date().toISOString(),
-        dbName: siteData.dbName,
-        dbUser: siteData.dbUser,
-        dbHost: siteData.dbHost,
-        adminUser: siteData.adminUser,
-        adminEmail: siteData.adminEmail
+        // Add new site with every field it has (trash state and the external flag of getCurrentSite() are not site data)
+        const { trash, isExternal, ...fields } = siteData;
+        filtered.push({ ...fields, created_at: fields.created_at || new Date().toISOString() });
+        return filtered;
     });
+}
+
+/**
+ * Update fields of a registered site
+ * @param {string} siteName - Name of the site
+ * @param {Object} updates - Fields to change (e.g. { url: 'new.test' }, or { name } to rename)
+ * @throws {Error} - If the site is not in the registry
+ */
+export function updateSite(siteName, updates) {
+    changeSites(sites => {
+        const index = sites.findIndex(site => site.name === siteName && !site.trash);
+        if (index === -1) {
+            throw new Error(`Site "${siteName}" not found in registry.`);
+        }
+
+        // Updated in place, so renaming (updates.name) keeps the site's position
+        sites[index] = { ...sites[index], ...updates };
+        return sites;
+    });
+}
 
-    // Save
-    fs.writeFileSync(SITES_FILE, JSON.stringify({ sites: filtered }, null, 2));
+/**
+ * Lowercase and check tags
+ * @param {string[]} tags
+ * @returns {string[]}
+ * @throws {Error} - If a tag is not made of letters, numbers and dashes
+ */
+function normalizeTags(tags) {
+    return tags.map(tag => {
+        const normalized = tag.trim().toLowerCase();
+        if (!isValidSlug(normalized)) {
+            throw new Error(`Invalid tag: ${tag}. Use letters, numbers and dashes (e.g. client-a).`);
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Change a registered site's tags
+ * @param {string} siteName - Name of the site
+ * @param {Function} change - Gets the current tags, returns the new ones
+ * @returns {string[]} - The site's tags afterwards
+ * @throws {Error} - If the site is not in the registry
+ */
+function changeSiteTags(siteName, change) {
+    let tags;
+    changeSites(sites => {
+        const site = sites.find(entry => entry.name === siteName && !entry.trash);
+        if (!site) {
+            throw new Error(`Site "${siteName}" not found in registry.`);
+        }
+
+        tags = change(site.tags || []);
+        if (tags.length > 0) {
+            site.tags = tags;
+        } else {
+            delete site.tags;
+        }
+        return sites;
+    });
+    return tags;
+}
+
+/**
+ * Tag a site (e.g. with its client or purpose)
+ * @param {string} siteName - Name of the site
+ * @param {string[]} tags - Tags to add, tags the site already has are skipped
+ * @returns {string[]} - The site's tags afterwards
+ * @throws {Error} - If a tag is invalid or the site is not in the registry
+ */
+export function addSiteTags(siteName, tags) {
+    const added = normalizeTags(tags);
+    return changeSiteTags(siteName, current => [...new Set([...current, ...added])]);
+}
+
+/**
+ * Remove tags from a site
+ * @param {string} siteName - Name of the site
+ * @param {string[]} tags - Tags to remove
+ * @returns {string[]} - The site's tags afterwards
+ * @throws {Error} - If the site is not in the registry
+ */
+export function removeSiteTags(siteName, tags) {
+    const removed = tags.map(tag => tag.trim().toLowerCase());
+    return changeSiteTags(siteName, current => current.filter(tag => !removed.includes(tag)));
+}
+
+/**
+ * Set or clear a site's note
+ * @param {string} siteName - Name of the site
+ * @param {string|null} note - Note text, null or empty to remove the note
+ * @throws {Error} - If the site is not in the registry
+ */
+export function setSiteNote(siteName, note) {
+    changeSites(sites => {
+        const site = sites.find(entry => entry.name === siteName && !entry.trash);
+        if (!site) {
+            throw new Error(`Site "${siteName}" not found in registry.`);
+        }
+
+        if (note && note.trim()) {
+            site.note = note.trim();
+        } else {
+            delete site.note;
+        }
+        return sites;
+    });
+}
+
+/**
+ * List the sites that have a tag (trashed sites are not included)
+ * @param {string} tag
+ * @returns {Array<Object>}
+ */
+export function listSitesByTag(tag) {
+    const normalized = tag.trim().toLowerCase();
+    return listAllSites().filter(site => (site.tags || []).includes(normalized));
+}
+
+/**
+ * Mark a site as trashed
+ * Any older trashed site with the same name is replaced.
+ * @param {string} siteName - Name of the site
+ * @param {Object} trash - Trash details ({ path, trashed_at, files, database })
+ */
+export function markSiteTrashed(siteName, trash) {
+    changeSites(allSites => {
+        const sites = allSites.filter(site => !(site.name === siteName && site.trash));
+        const index = sites.findIndex(site => site.name === siteName);
+        if (index === -1) {
+            throw new Error(`Site "${siteName}" not found in registry.`);
+        }
+
+        sites[index] = { ...sites[index], trash };
+        return sites;
+    });
+}
+
+/**
+ * Turn a trashed site back into a regular site
+ * @param {string} siteName - Name of the trashed site
+ */
+export function unmarkSiteTrashed(siteName) {
+    changeSites(sites => {
+        const index = sites.findIndex(site => site.name === siteName && site.trash);
+        if (index === -1) {
+            throw new Error(`Site "${siteName}" is not in the trash.`);
+        }
+        if (sites.some(site => site.name === siteName && !site.trash)) {
+            throw new Error(`A site named "${siteName}" already exists. Rename or delete it first.`);
+        }
+
+        const { trash, ...site } = sites[index];
+        sites[index] = site;
+        return sites;
+    });
+}
+
+/**
+ * Remove a trashed site from the registry for good
+ * @param {string} siteName - Name of the trashed site
+ */
+export function removeTrashedSite(siteName) {
+    changeSites(sites => sites.filter(site => !(site.name === siteName && site.trash)));
 }
 
 /**
  * Remove a site from the registry
  */
 export function removeSite(siteName) {
-    ensureSitesFile();
-    const sites = listAllSites();
-    const filtered = sites.filter(site => site.name !== siteName);
-    fs.writeFileSync(SITES_FILE, JSON.stringify({ sites: filtered }, null, 2));
+    changeSites(sites => sites.filter(site => site.name !== siteName || site.trash));
 }
 
 /**
@@ -0,0 +1,271 @@
+// src/snapshot-manager.js
+import fs from 'fs';
+import path from 'path';
+import { runCommand } from './command-runner.js';
+import { getWpCliCommand } from './wp-cli-manager.js';
+import { getWordPressVersion, getActivePlugins } from './site-info.js';
+import { getConfigDir } from './paths.js';
+
+const SNAPSHOTS_DIR = path.join(getConfigDir(), 'snapshots');
+
+const DATABASE_FILE = 'database.sql';
+const CONTENT_FILE = 'wp-content.tar.gz';
+const METADATA_FILE = 'snapshot.json';
+
+/**
+ * Get the snapshots directory path (for display purposes)
+ * @param {string} [siteName] - Return the directory for a single site
+ */
+export function getSnapshotsDir(siteName) {
+    return siteName ? path.join(SNAPSHOTS_DIR, siteName) : SNAPSHOTS_DIR;
+}
+
+/**
+ * Build a default snapshot label from a date (e.g. 2026-01-15-143005)
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function generateSnapshotLabel(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Format a byte count in human-readable form
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Validate a snapshot label
+ * @param {string} label
+ * @throws {Error} - If the label contains anything but letters, numbers, dots, dashes and underscores
+ */
+function validateLabel(label) {
+    if (!/^[a-zA-Z0-9._-]+$/.test(label) || label.startsWith('.')) {
+        throw new Error(`Invalid snapshot label: ${label}. Only letters, numbers, dots, dashes and underscores allowed.`);
+    }
+}
+
+/**
+ * Create a snapshot of a site's database and, optionally, its wp-content directory
+ * @param {Object} site - Site from the registry
+ * @param {string} [label] - Snapshot label (default: current date and time)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeContent=false] - Also archive wp-content
+ * @param {boolean} [options.overwrite=false] - Replace an existing snapshot with the same label
+ * @returns {Promise<Object>} - Snapshot metadata
+ * @throws {Error} - If the label is invalid or taken, or the export fails
+ */
+export async function createSnapshot(site, label, { includeContent = false, overwrite = false } = {}) {
+    const snapshotLabel = label || generateSnapshotLabel();
+    validateLabel(snapshotLabel);
+
+    const snapshotDir = path.join(SNAPSHOTS_DIR, site.name, snapshotLabel);
+    if (fs.existsSync(snapshotDir) && !overwrite) {
+        throw new Error(`Snapshot "${snapshotLabel}" already exists for ${site.name}. Use --force to overwrite it.`);
+    }
+
+    // Written next to the snapshot first, so a failed export never costs the snapshot it would replace
+    const partialDir = path.join(SNAPSHOTS_DIR, site.name, `.${snapshotLabel}-${process.pid}`);
+    fs.rmSync(partialDir, { recursive: true, force: true });
+    fs.mkdirSync(partialDir, { recursive: true });
+
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+    const databasePath = path.join(partialDir, DATABASE_FILE);
+    const contentPath = path.join(partialDir, CONTENT_FILE);
+
+    let metadata;
+    try {
+        await runCommand(phpCmd, [wpCliPath, 'db', 'export', databasePath, '--quiet'], { cwd: site.path });
+
+        if (includeContent) {
+            await runCommand('tar', ['-czf', contentPath, '-C', site.path, 'wp-content']);
+        }
+
+        const [wpVersion, plugins] = await Promise.all([
+            getWordPressVersion(site.path),
+            getActivePlugins(site.path)
+        ]);
+
+        let size = fs.statSync(databasePath).size;
+        if (includeContent) {
+            size += fs.statSync(contentPath).size;
+        }
+
+        metadata = {
+            label: snapshotLabel,
+            site: site.name,
+            created_at: new Date().toISOString(),
+            wpVersion,
+            plugins,
+            includesContent: includeContent,
+            size
+        };
+
+        fs.writeFileSync(path.join(partialDir, METADATA_FILE), JSON.stringify(metadata, null, 2), 'utf8');
+    } catch (error) {
+        // Don't leave half-written snapshots behind
+        fs.rmSync(partialDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    // A directory can't be renamed over a non-empty one: the old snapshot is moved aside until the new one is in place
+    const previousDir = `${partialDir}-previous`;
+    if (fs.existsSync(snapshotDir)) {
+        fs.renameSync(snapshotDir, previousDir);
+    }
+    try {
+        fs.renameSync(partialDir, snapshotDir);
+    } catch (error) {
+        if (fs.existsSync(previousDir)) {
+            fs.renameSync(previousDir, snapshotDir);
+        }
+        fs.rmSync(partialDir, { recursive: true, force: true });
+        throw error;
+    }
+    fs.rmSync(previousDir, { recursive: true, force: true });
+
+    return metadata;
+}
+
+/**
+ * List snapshots for a site, newest first
+ * @param {string} siteName
+ * @returns {Array<Object>} - Snapshot metadata
+ */
+export function listSnapshots(siteName) {
+    const siteDir = path.join(SNAPSHOTS_DIR, siteName);
+    if (!fs.existsSync(siteDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(siteDir)
+        // Snapshots being written start with a dot (labels can't)
+        .filter(label => !label.startsWith('.'))
+        .map(label => getSnapshot(siteName, label))
+        .filter(snapshot => snapshot)
+        .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Get a single snapshot's metadata
+ * @param {string} siteName
+ * @param {string} label
+ * @returns {Object|null} - Snapshot metadata, or null if it doesn't exist or is unreadable
+ */
+export function getSnapshot(siteName, label) {
+    const metadataPath = path.join(SNAPSHOTS_DIR, siteName, label, METADATA_FILE);
+    if (!fs.existsSync(metadataPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract a wp-content archive into a directory next to the site's wp-content
+ * @param {Object} site - Site from the registry
+ * @param {string} archivePath - Path to wp-content.tar.gz
+ * @returns {Promise<string>} - Directory containing the extracted wp-content
+ * @throws {Error} - If the archive can't be extracted (the directory is removed)
+ */
+async function extractContent(site, archivePath) {
+    const extractDir = path.join(site.path, `.wpmax-restore-${process.pid}`);
+    fs.rmSync(extractDir, { recursive: true, force: true });
+    fs.mkdirSync(extractDir, { recursive: true });
+
+    try {
+        await runCommand('tar', ['-xzf', archivePath, '-C', extractDir]);
+        if (!fs.existsSync(path.join(extractDir, 'wp-content'))) {
+            throw new Error(`${archivePath} does not contain a wp-content directory`);
+        }
+    } catch (error) {
+        fs.rmSync(extractDir, { recursive: true, force: true });
+        throw error;
+    }
+    return extractDir;
+}
+
+/**
+ * Swap an extracted wp-content in for the site's current one
+ * The current directory is only removed once the new one is in place.
+ * @param {Object} site - Site from the registry
+ * @param {string} extractDir - From extractContent
+ */
+function swapContent(site, extractDir) {
+    const contentDir = path.join(site.path, 'wp-content');
+    const previousDir = path.join(extractDir, 'wp-content.previous');
+
+    if (fs.existsSync(contentDir)) {
+        fs.renameSync(contentDir, previousDir);
+    }
+    try {
+        fs.renameSync(path.join(extractDir, 'wp-content'), contentDir);
+    } catch (error) {
+        if (fs.existsSync(previousDir)) {
+            fs.renameSync(previousDir, contentDir);
+        }
+        fs.rmSync(extractDir, { recursive: true, force: true });
+        throw error;
+    }
+    fs.rmSync(extractDir, { recursive: true, force: true });
+}
+
+/**
+ * Restore a site's database (and wp-content, if the snapshot includes it)
+ * The archive is extracted before anything is changed, so a broken archive leaves the site as it was.
+ * @param {Object} site - Site from the registry
+ * @param {string} label - Snapshot label
+ * @param {Object} [options]
+ * @param {boolean} [options.skipContent=false] - Only restore the database
+ * @returns {Promise<Object>} - Restored snapshot metadata
+ * @throws {Error} - If the label is invalid, the snapshot doesn't exist or the import fails
+ */
+export async function restoreSnapshot(site, label, { skipContent = false } = {}) {
+    validateLabel(label);
+
+    const snapshot = getSnapshot(site.name, label);
+    if (!snapshot) {
+        throw new Error(`Snapshot "${label}" not found for ${site.name}. Run: wpmax snapshot list ${site.name}`);
+    }
+
+    const snapshotDir = path.join(SNAPSHOTS_DIR, site.name, label);
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+    const restoreContent = snapshot.includesContent && !skipContent;
+
+    const extractDir = restoreContent ? await extractContent(site, path.join(snapshotDir, CONTENT_FILE)) : null;
+
+    try {
+        // Drop every table first so tables created after the snapshot don't linger
+        await runCommand(phpCmd, [wpCliPath, 'db', 'reset', '--yes', '--quiet'], { cwd: site.path });
+        await runCommand(phpCmd, [wpCliPath, 'db', 'import', path.join(snapshotDir, DATABASE_FILE), '--quiet'], { cwd: site.path });
+    } catch (error) {
+        if (extractDir) {
+            fs.rmSync(extractDir, { recursive: true, force: true });
+        }
+        throw error;
+    }
+
+    if (extractDir) {
+        // Replace wp-content entirely so files added after the snapshot don't linger
+        swapContent(site, extractDir);
+    }
+
+    return snapshot;
+}
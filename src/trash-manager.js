@@ -0,0 +1,221 @@
+// src/trash-manager.js
+import fs from 'fs';
+import path from 'path';
+import { runCommand } from './command-runner.js';
+import { getWpCliCommand } from './wp-cli-manager.js';
+import { dockerComposeUp, dockerComposeDown } from './docker-manager.js';
+import { isHerdInstalled, herdLink, herdSecure, herdUnlink, herdUnsecure } from './herd-manager.js';
+import { getHerdName, getHost } from './url-manager.js';
+import {
+    getSite,
+    listTrashedSites,
+    getTrashedSite,
+    markSiteTrashed,
+    unmarkSiteTrashed,
+    removeTrashedSite
+} from './site-registry.js';
+import { moveDirectory } from './site-mover.js';
+import { getConfigValue } from './config.js';
+import { getConfigDir } from './paths.js';
+
+const TRASH_DIR = path.join(getConfigDir(), 'trash');
+
+const DATABASE_FILE = 'database.sql';
+const FILES_DIR = 'files';
+
+/**
+ * Days a trashed site is kept before it is purged (config key: trash-retention-days)
+ */
+export const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Get the configured retention period in days
+ * @returns {number}
+ */
+export function getRetentionDays() {
+    const days = parseInt(getConfigValue('trashRetentionDays'), 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+/**
+ * Get the trash directory path (for display purposes)
+ */
+export function getTrashDir() {
+    return TRASH_DIR;
+}
+
+/**
+ * Get the date a trashed site will be purged
+ * @param {Object} site - Trashed site from the registry
+ * @param {number} retentionDays
+ * @returns {Date}
+ */
+export function getPurgeDate(site, retentionDays) {
+    const trashedAt = new Date(site.trash.trashed_at);
+    return new Date(trashedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Move a site to the trash instead of deleting it
+ * The database is exported before it is dropped, and the directory is moved, not removed.
+ * Nothing is dropped or moved if the export fails. The Herd link is removed, like on delete.
+ * @param {Object} site - Site from the registry
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFiles=false] - Leave the directory where it is
+ * @param {boolean} [options.keepDb=false] - Leave the database as it is
+ * @returns {Promise<Object>} - Trash details stored in the registry
+ */
+export async function trashSite(site, { keepFiles = false, keepDb = false } = {}) {
+    const trashedAt = new Date();
+    const trashPath = path.join(TRASH_DIR, `${site.name}-${trashedAt.getTime()}`);
+    const dirExists = fs.existsSync(site.path);
+    const isDocker = site.mode === 'docker';
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+
+    fs.mkdirSync(trashPath, { recursive: true });
+
+    let database = false;
+    if (!keepDb && dirExists) {
+        try {
+            if (isDocker) {
+                // The database lives in the container, which may be stopped
+                await dockerComposeUp(site.path);
+            }
+            await runCommand(phpCmd, [wpCliPath, 'db', 'export', path.join(trashPath, DATABASE_FILE), '--quiet'], { cwd: site.path });
+        } catch (error) {
+            fs.rmSync(trashPath, { recursive: true, force: true });
+            throw error;
+        }
+        database = true;
+    }
+
+    if (isDocker && dirExists) {
+        // Removing the volume drops the database
+        await dockerComposeDown(site.path, database).catch(() => {});
+    } else if (database) {
+        await runCommand(phpCmd, [wpCliPath, 'db', 'drop', '--yes', '--quiet'], { cwd: site.path });
+    }
+
+    // The link would point to a directory that is gone; restoring the site re-creates it
+    const host = getHost(site.url);
+    const herd = !isDocker && !keepFiles && dirExists && Boolean(host) && await isHerdInstalled();
+    if (herd) {
+        // The link may not exist (e.g. Herd was never set up for this site)
+        await herdUnsecure(site.path, getHerdName(host)).catch(() => {});
+        await herdUnlink(site.path, getHerdName(host)).catch(() => {});
+    }
+
+    let files = false;
+    if (!keepFiles && dirExists) {
+        moveDirectory(site.path, path.join(trashPath, FILES_DIR));
+        files = true;
+    }
+
+    // A previously trashed site with the same name is replaced
+    const previous = getTrashedSite(site.name);
+    if (previous) {
+        fs.rmSync(previous.trash.path, { recursive: true, force: true });
+    }
+
+    const trash = {
+        path: trashPath,
+        trashed_at: trashedAt.toISOString(),
+        files,
+        database,
+        herd
+    };
+    markSiteTrashed(site.name, trash);
+    return trash;
+}
+
+/**
+ * Restore a trashed site: files back to their original path, database re-imported, Herd re-linked
+ * @param {string} siteName - Name of the trashed site
+ * @returns {Promise<Object>} - Restored site
+ * @throws {Error} - If the site is not in the trash, its path or name is taken, or the import or Herd link fails
+ */
+export async function restoreTrashedSite(siteName) {
+    const site = getTrashedSite(siteName);
+    if (!site) {
+        throw new Error(`Site "${siteName}" is not in the trash.`);
+    }
+
+    const { trash } = site;
+    if (getSite(siteName)) {
+        throw new Error(`A site named "${siteName}" already exists. Rename or delete it first.`);
+    }
+    if (trash.files && fs.existsSync(site.path)) {
+        throw new Error(`Cannot restore ${siteName}: ${site.path} already exists.`);
+    }
+
+    if (trash.files) {
+        moveDirectory(path.join(trash.path, FILES_DIR), site.path);
+    }
+    unmarkSiteTrashed(siteName);
+
+    if (site.mode === 'docker') {
+        // The container creates an empty database on first start
+        await dockerComposeUp(site.path);
+    }
+
+    if (trash.database) {
+        const [phpCmd, wpCliPath] = getWpCliCommand();
+        const dumpPath = path.join(trash.path, DATABASE_FILE);
+
+        try {
+            if (site.mode !== 'docker') {
+                await runCommand(phpCmd, [wpCliPath, 'db', 'create', '--quiet'], { cwd: site.path });
+            }
+            await runCommand(phpCmd, [wpCliPath, 'db', 'import', dumpPath, '--quiet'], { cwd: site.path });
+        } catch (error) {
+            // The files are back; keep the dump so the import can be retried by hand
+            throw new Error(`${error.message}\nThe database dump is kept at ${dumpPath}`);
+        }
+    }
+
+    fs.rmSync(trash.path, { recursive: true, force: true });
+
+    if (trash.herd) {
+        const herdName = getHerdName(getHost(site.url));
+        try {
+            await herdLink(site.path, herdName);
+            await herdSecure(site.path, herdName);
+        } catch (error) {
+            throw new Error(`${siteName} is restored, but Herd could not link it: ${error.message}\nLink it with: cd ${site.path} && herd link ${herdName} && herd secure ${herdName}`);
+        }
+    }
+
+    const { trash: _trash, ...restored } = site;
+    return restored;
+}
+
+/**
+ * Permanently delete a trashed site
+ * @param {Object} site - Trashed site from the registry
+ */
+export function purgeTrashedSite(site) {
+    fs.rmSync(site.trash.path, { recursive: true, force: true });
+    removeTrashedSite(site.name);
+}
+
+/**
+ * Permanently delete every trashed site
+ * @returns {string[]} - Names of the purged sites
+ */
+export function emptyTrash() {
+    const sites = listTrashedSites();
+    sites.forEach(purgeTrashedSite);
+    return sites.map(site => site.name);
+}
+
+/**
+ * Permanently delete trashed sites older than the retention period
+ * @param {number} [retentionDays=DEFAULT_RETENTION_DAYS]
+ * @param {Date} [now=new Date()]
+ * @returns {string[]} - Names of the purged sites
+ */
+export function purgeExpiredTrash(retentionDays = DEFAULT_RETENTION_DAYS, now = new Date()) {
+    const expired = listTrashedSites().filter(site => getPurgeDate(site, retentionDays) <= now);
+    expired.forEach(purgeTrashedSite);
+    return expired.map(site => site.name);
+}
@@ -2,7 +2,7 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { execa } from 'execa';
+import { runCommand } from './command-runner.js';
 import semver from 'semver';
 import { getConfig, setConfig } from './config.js';
 
@@ -92,13 +92,13 @@ export async function checkForUpdate() {
 export async function detectPackageManager() {
     // Check for pnpm first
     try {
-        await execa('pnpm', ['--version']);
+        await runCommand('pnpm', ['--version']);
         return 'pnpm';
     } catch {}
 
     // Check for yarn
     try {
-        await execa('yarn', ['--version']);
+        await runCommand('yarn', ['--version']);
         return 'yarn';
     } catch {}
 
@@ -124,7 +124,7 @@ export async function performUpdate(packageName) {
     }
 
     try {
-        await execa(pm, args, { stdio: 'inherit' });
+        await runCommand(pm, args, { stdio: 'inherit' });
     } catch (error) {
         // Check for permission errors
         if (error.message.includes('EACCES') || error.message.includes('permission denied')) {
@@ -135,10 +135,15 @@ export async function performUpdate(packageName) {
 }
 
 /**
- * Check if we should auto-check for updates (once per day)
+ * Check if we should auto-check for updates (once per day, never offline)
+ * @param {boolean} [offline=false] - Offline mode (--offline or the offline config key)
  * @returns {boolean}
  */
-export function shouldAutoCheck() {
+export function shouldAutoCheck(offline = false) {
+    if (offline) {
+        return false;
+    }
+
     const config = getConfig();
     const lastCheck = config.lastUpdateCheck;
 
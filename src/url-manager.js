@@ -0,0 +1,112 @@
+// src/url-manager.js
+import { runCommand } from './command-runner.js';
+import { getWpCliCommand } from './wp-cli-manager.js';
+import { normalizeUrl } from './validators.js';
+
+/**
+ * Get a WordPress option as a URL without trailing slashes
+ * @param {string} sitePath - Path to the WordPress site
+ * @param {string} option - Option name (home or siteurl)
+ * @returns {Promise<string>}
+ */
+async function getUrlOption(sitePath, option) {
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+    const { stdout } = await runCommand(phpCmd, [wpCliPath, 'option', 'get', option, '--quiet'], { cwd: sitePath });
+    return stdout.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Get a site's current home URL from the database
+ * @param {string} sitePath - Path to the WordPress site
+ * @returns {Promise<string>} - e.g. https://my-site.test
+ */
+export async function getHomeUrl(sitePath) {
+    return getUrlOption(sitePath, 'home');
+}
+
+/**
+ * Strip the protocol and trailing slashes from a registry URL
+ * @param {string|null} url
+ * @returns {string|null}
+ */
+export function getHost(url) {
+    return url ? url.replace(/^https?:\/\//, '').replace(/\/+$/, '') : null;
+}
+
+/**
+ * Turn a URL given on the command line into a host
+ * Bare names get the TLD (my-site → my-site.test), hosts that already have one are kept as they are.
+ * @param {string} url - e.g. my-site, my-site.local or https://my-site.local/
+ * @param {string} tld - TLD for bare names (e.g. .test)
+ * @returns {string} - Host without protocol
+ * @throws {Error} - If the URL isn't a valid host
+ */
+export function resolveHost(url, tld) {
+    const host = getHost(url);
+    return normalizeUrl(host, host.includes('.') ? host.slice(host.lastIndexOf('.')) : tld);
+}
+
+/**
+ * Get the herd site name for a host (the host without its TLD)
+ * @param {string} host - Host without protocol (e.g. my-site.test)
+ * @returns {string} - e.g. my-site
+ */
+export function getHerdName(host) {
+    return host.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * List the search-replace pairs that move every reference to a URL over to a new one
+ * References can use either scheme or none (//my-site.test in themes and page builders); the
+ * ones with a scheme get the new URL's scheme, protocol-relative ones stay protocol-relative.
+ * @param {string} oldUrl - Current home URL (e.g. http://my-site.test)
+ * @param {string} newUrl - New home URL (e.g. https://my-site.local)
+ * @returns {Array<[string, string]>} - [search, replace] pairs, in the order to run them
+ */
+function getUrlReplacements(oldUrl, newUrl) {
+    const oldAddress = oldUrl.replace(/^[a-z]+:/i, '');
+    const newAddress = newUrl.replace(/^[a-z]+:/i, '');
+
+    const pairs = [
+        [`http:${oldAddress}`, newUrl],
+        [`https:${oldAddress}`, newUrl],
+        [oldAddress, newAddress]
+    ];
+    return pairs.filter(([search, replace]) => search !== replace);
+}
+
+/**
+ * Change a site's URL in the database
+ * Search-replaces the current home URL in every table with the site's table prefix (WP-CLI keeps
+ * serialized data intact), once per form of the URL, then sets home and siteurl explicitly.
+ * @param {string} sitePath - Path to the WordPress site
+ * @param {string} newUrl - Full URL including scheme (e.g. https://my-site.test)
+ * @returns {Promise<string>} - The previous home URL
+ */
+export async function changeSiteUrl(sitePath, newUrl) {
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+
+    const oldUrl = await getUrlOption(sitePath, 'home');
+    const oldSiteUrl = await getUrlOption(sitePath, 'siteurl');
+
+    if (oldUrl && oldUrl !== newUrl) {
+        for (const [search, replace] of getUrlReplacements(oldUrl, newUrl)) {
+            await runCommand(phpCmd, [
+                wpCliPath,
+                'search-replace', search, replace,
+                '--all-tables-with-prefix',
+                '--quiet'
+            ], { cwd: sitePath });
+        }
+    }
+
+    // WordPress in a subdirectory keeps its path (e.g. https://my-site.test/wp)
+    const newSiteUrl = oldUrl && oldSiteUrl.startsWith(oldUrl)
+        ? newUrl + oldSiteUrl.slice(oldUrl.length)
+        : newUrl;
+
+    await runCommand(phpCmd, [wpCliPath, 'option', 'update', 'home', newUrl, '--quiet'], { cwd: sitePath });
+    await runCommand(phpCmd, [wpCliPath, 'option', 'update', 'siteurl', newSiteUrl, '--quiet'], { cwd: sitePath });
+
+    return oldUrl;
+}
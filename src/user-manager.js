@@ -1,5 +1,5 @@
 // src/user-manager.js
-import { execa } from 'execa';
+import { runCommand } from './command-runner.js';
 import { getWpCliCommand } from './wp-cli-manager.js';
 
 /**
@@ -12,7 +12,7 @@ export async function userExists(username, sitePath) {
     const [phpCmd, wpCliPath] = getWpCliCommand();
 
     try {
-        await execa(phpCmd, [
+        await runCommand(phpCmd, [
             wpCliPath,
             'user', 'get',
             username,
@@ -37,7 +37,7 @@ export async function userExists(username, sitePath) {
 export async function createUser(username, email, password, sitePath, role = 'administrator') {
     const [phpCmd, wpCliPath] = getWpCliCommand();
 
-    await execa(phpCmd, [
+    await runCommand(phpCmd, [
         wpCliPath,
         'user', 'create',
         username,
@@ -58,7 +58,7 @@ export async function createUser(username, email, password, sitePath, role = 'ad
 export async function updateUserPassword(username, password, sitePath) {
     const [phpCmd, wpCliPath] = getWpCliCommand();
 
-    await execa(phpCmd, [
+    await runCommand(phpCmd, [
         wpCliPath,
         'user', 'update',
         username,
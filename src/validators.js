@@ -1,4 +1,5 @@
 // src/validators.js
+import path from 'path';
 
 /**
  * Validates email format
@@ -12,21 +13,22 @@ export function isValidEmail(email) {
 
 /**
  * Normalizes and validates URL
- * Accepts URLs with or without .test suffix
+ * Accepts URLs with or without the TLD suffix
  * @param {string} url - URL to validate
+ * @param {string} [tld='.test'] - TLD appended when missing
  * @returns {string} - Normalized URL (without protocol)
  * @throws {Error} - If URL format is invalid
  */
-export function normalizeUrl(url) {
+export function normalizeUrl(url, tld = '.test') {
     // Remove protocol if present
     let normalized = url.replace(/^https?:\/\//, '');
 
     // Remove trailing slashes
     normalized = normalized.replace(/\/+$/, '');
 
-    // If URL doesn't end with .test, add it
-    if (!normalized.endsWith('.test')) {
-        normalized = `${normalized}.test`;
+    // If URL doesn't end with the TLD, add it
+    if (!normalized.endsWith(tld)) {
+        normalized = `${normalized}${tld}`;
     }
 
     // Validate format: should be alphanumeric with hyphens, dots allowed
@@ -72,4 +74,37 @@ export function isValidDbName(dbName) {
     // MySQL database name rules: alphanumeric, underscores, max 64 chars
     const dbNameRegex = /^[a-zA-Z0-9_]{1,64}$/;
     return dbNameRegex.test(dbName);
-}
\ No newline at end of file
+}
+
+/**
+ * Validates a WordPress.org plugin or theme slug
+ * @param {string} slug - Slug to validate (e.g. query-monitor)
+ * @returns {boolean}
+ */
+export function isValidSlug(slug) {
+    return /^[a-z0-9][a-z0-9-]*$/.test(slug);
+}
+
+/**
+ * Parses a comma-separated plugin list (--plugins woocommerce,./zips/acf-pro.zip)
+ * Entries ending in .zip are local plugins, everything else is a WordPress.org slug.
+ * @param {string} list - Comma-separated slugs and ZIP paths
+ * @returns {{publicPlugins: string[], localPlugins: string[]}} - ZIP paths are resolved from the current directory
+ * @throws {Error} - If a slug is invalid
+ */
+export function parsePluginList(list) {
+    const publicPlugins = [];
+    const localPlugins = [];
+
+    for (const entry of list.split(',').map(item => item.trim()).filter(Boolean)) {
+        if (entry.toLowerCase().endsWith('.zip')) {
+            localPlugins.push(path.resolve(entry));
+        } else if (isValidSlug(entry)) {
+            publicPlugins.push(entry);
+        } else {
+            throw new Error(`Invalid plugin: ${entry}. Use WordPress.org slugs or paths to ZIP files.`);
+        }
+    }
+
+    return { publicPlugins, localPlugins };
+}
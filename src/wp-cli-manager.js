@@ -3,7 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import https from 'https';
-import { execa } from 'execa';
+import { runCommand } from './command-runner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,6 +39,14 @@ async function downloadWpCli() {
     });
 }
 
+/**
+ * Whether wp-cli.phar has been downloaded (it is fetched on first use)
+ * @returns {boolean}
+ */
+export function isWpCliDownloaded() {
+    return fs.existsSync(WP_CLI_PATH);
+}
+
 /**
  * Ensures wp-cli.phar is available, downloads if needed
  * Returns the command array to use for running WP-CLI
@@ -50,7 +58,7 @@ export async function ensureWpCli() {
 
     // Verify PHP is available
     try {
-        await execa('php', ['--version']);
+        await runCommand('php', ['--version'], { readOnly: true });
     } catch (error) {
         throw new Error('PHP is not installed or not in PATH. WordPress and WP-CLI require PHP to run.');
     }
@@ -64,4 +72,21 @@ export async function ensureWpCli() {
  */
 export function getWpCliCommand() {
     return ['php', WP_CLI_PATH];
-}
\ No newline at end of file
+}
+
+/**
+ * Run a WP-CLI command in a site directory
+ * Output is streamed to the terminal, and a failing command does not throw
+ * @param {string} sitePath - Path to the WordPress site
+ * @param {string[]} args - WP-CLI arguments (e.g. ['plugin', 'list'])
+ * @returns {Promise<number>} - WP-CLI's exit code
+ */
+export async function runWpCli(sitePath, args) {
+    const [phpCmd, wpCliPath] = getWpCliCommand();
+    const result = await runCommand(phpCmd, [wpCliPath, ...args], {
+        cwd: sitePath,
+        stdio: 'inherit',
+        reject: false
+    });
+    return result.exitCode ?? 1;
+}
@@ -22,6 +22,10 @@ export function parseWpConfig(wpConfigPath) {
     const dbUserMatch = content.match(/define\s*\(\s*['"]DB_USER['"]\s*,\s*['"]([^'"]+)['"]\s*\)/);
     const dbUser = dbUserMatch ? dbUserMatch[1] : null;
 
+    // Extract database password (may be empty)
+    const dbPasswordMatch = content.match(/define\s*\(\s*['"]DB_PASSWORD['"]\s*,\s*['"]([^'"]*)['"]\s*\)/);
+    const dbPassword = dbPasswordMatch ? dbPasswordMatch[1] : null;
+
     // Extract database host
     const dbHostMatch = content.match(/define\s*\(\s*['"]DB_HOST['"]\s*,\s*['"]([^'"]+)['"]\s*\)/);
     const dbHost = dbHostMatch ? dbHostMatch[1] : null;
@@ -33,6 +37,7 @@ export function parseWpConfig(wpConfigPath) {
     return {
         dbName,
         dbUser,
+        dbPassword,
         dbHost,
         tablePrefix
     };
@@ -44,21 +49,21 @@ export function parseWpConfig(wpConfigPath) {
  * @returns {Promise<Object>} Site information from database
  */
 export async function getWpSiteInfo(sitePath) {
-    const { execa } = await import('execa');
+    const { runCommand } = await import('./command-runner.js');
     const { getWpCliCommand } = await import('./wp-cli-manager.js');
 
     const [phpCmd, wpCliPath] = getWpCliCommand();
 
     try {
         // Get site URL
-        const { stdout: url } = await execa(phpCmd, [
+        const { stdout: url } = await runCommand(phpCmd, [
             wpCliPath,
             'option', 'get', 'siteurl',
             '--quiet'
         ], { cwd: sitePath });
 
         // Get admin user (get first administrator user)
-        const { stdout: adminUser } = await execa(phpCmd, [
+        const { stdout: adminUser } = await runCommand(phpCmd, [
             wpCliPath,
             'user', 'list',
             '--role=administrator',
@@ -70,7 +75,7 @@ export async function getWpSiteInfo(sitePath) {
         const firstAdmin = adminUser.split('\n')[0] || 'admin';
 
         // Get admin email
-        const { stdout: adminEmail } = await execa(phpCmd, [
+        const { stdout: adminEmail } = await runCommand(phpCmd, [
             wpCliPath,
             'user', 'get', firstAdmin,
             '--field=user_email',
@@ -24,10 +24,24 @@ export function mockFilesystem(files = {}) {
       return storage[filePath];
     }),
 
-    writeFileSync: vi.spyOn(fs, 'writeFileSync').mockImplementation((filePath, content) => {
+    writeFileSync: vi.spyOn(fs, 'writeFileSync').mockImplementation((filePath, content, options) => {
+      if (options?.flag === 'wx' && storage[filePath] !== undefined) {
+        const error = new Error(`EEXIST: file already exists, open '${filePath}'`);
+        error.code = 'EEXIST';
+        throw error;
+      }
       storage[filePath] = content;
     }),
 
+    copyFileSync: vi.spyOn(fs, 'copyFileSync').mockImplementation((from, to) => {
+      storage[to] = storage[from];
+    }),
+
+    renameSync: vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      storage[to] = storage[from];
+      delete storage[from];
+    }),
+
     mkdirSync: vi.spyOn(fs, 'mkdirSync').mockImplementation((dirPath, options) => {
       storage[dirPath] = '__DIR__';
     }),
@@ -228,43 +228,30 @@ describe('Config Command Integration', () => {
   });
 
   describe('ensureDefaultConfig', () => {
-    it('should create config file if it does not exist', async () => {
-      const fs = await import('fs');
-      const mkdirSyncSpy = vi.spyOn(fs.default, 'mkdirSync').mockImplementation(() => {});
-      const existsSyncSpy = vi.spyOn(fs.default, 'existsSync').mockReturnValue(false);
-      const writeFileSyncSpy = vi.spyOn(fs.default, 'writeFileSync').mockImplementation(() => {});
+    it('should create config file if it does not exist', () => {
+      fsMocks = mockFilesystem({});
 
       ensureDefaultConfig();
 
-      expect(mkdirSyncSpy).toHaveBeenCalled();
-      expect(writeFileSyncSpy).toHaveBeenCalled();
-
-      mkdirSyncSpy.mockRestore();
-      existsSyncSpy.mockRestore();
-      writeFileSyncSpy.mockRestore();
+      expect(JSON.parse(fsMocks._storage[configPath])).toEqual({ publicPlugins: [] });
+      expect(fsMocks._storage[`${configPath}.lock`]).toBeUndefined();
     });
 
-    it('should not overwrite existing config', async () => {
-      const fs = await import('fs');
-      const existsSyncSpy = vi.spyOn(fs.default, 'existsSync').mockReturnValue(true);
-      const readFileSyncSpy = vi.spyOn(fs.default, 'readFileSync').mockReturnValue(
-        JSON.stringify({ publicPlugins: ['existing-plugin'] })
-      );
-      const writeFileSyncSpy = vi.spyOn(fs.default, 'writeFileSync').mockImplementation(() => {});
+    it('should not overwrite existing config', () => {
+      fsMocks = mockFilesystem({
+        [configPath]: JSON.stringify({ publicPlugins: ['existing-plugin'] })
+      });
 
       ensureDefaultConfig();
 
-      expect(writeFileSyncSpy).not.toHaveBeenCalled();
-
-      existsSyncSpy.mockRestore();
-      readFileSyncSpy.mockRestore();
-      writeFileSyncSpy.mockRestore();
+      expect(fsMocks.writeFileSync).not.toHaveBeenCalled();
+      expect(JSON.parse(fsMocks._storage[configPath])).toEqual({ publicPlugins: ['existing-plugin'] });
     });
   });
 
   describe('config path handling', () => {
     it('should handle defaultPluginsPath', () => {
-      fsMocks = mockFilesystem({});
+      fsMocks = mockFilesystem({ '/Users/test/plugins': '__DIR__' });
 
       setConfig('defaultPluginsPath', '/Users/test/plugins');
       const config = getConfig();
@@ -273,13 +260,20 @@ describe('Config Command Integration', () => {
     });
 
     it('should handle defaultThemesPath', () => {
-      fsMocks = mockFilesystem({});
+      fsMocks = mockFilesystem({ '/Users/test/themes': '__DIR__' });
 
       setConfig('defaultThemesPath', '/Users/test/themes');
       const config = getConfig();
 
       expect(config.defaultThemesPath).toBe('/Users/test/themes');
     });
+
+    it('should reject paths that do not exist', () => {
+      fsMocks = mockFilesystem({});
+
+      expect(() => setConfig('defaultPluginsPath', '/Users/test/missing')).toThrow('Path does not exist: /Users/test/missing');
+      expect(getConfig().defaultPluginsPath).toBeUndefined();
+    });
   });
 
   describe('config persistence', () => {
@@ -29,6 +29,13 @@ vi.mock('../../src/herd-manager.js', () => ({
   herdSecure: vi.fn()
 }));
 
+// Nothing is cached, so core and plugins are downloaded by WP-CLI
+vi.mock('../../src/download-cache.js', () => ({
+  DEFAULT_LOCALE: 'en_US',
+  cacheCore: vi.fn(async () => null),
+  cachePlugin: vi.fn(async () => null)
+}));
+
 vi.mock('https', () => ({
   default: {
     get: vi.fn()
@@ -525,6 +532,55 @@ describe('Create Command Integration', () => {
     });
   });
 
+  describe('theme installation', () => {
+    it('should install local theme ZIPs and public themes, activating the selected one', async () => {
+      const config = {
+        slug: 'theme-site',
+        dbName: 'theme_site',
+        dbUser: 'root',
+        dbPass: '',
+        dbHost: null,
+        dbPrefix: 'wp_',
+        url: 'theme-site.test',
+        title: 'Theme Site',
+        adminUser: 'admin',
+        adminPass: 'admin',
+        adminEmail: 'admin@test.com',
+        withContent: false,
+        wpVersion: 'latest',
+        useDocker: false,
+        noDb: false,
+        verbose: false,
+        selectedLocalPlugins: [],
+        selectedPublicPlugins: [],
+        selectedLocalThemes: ['/Users/test/themes/agency-theme.zip'],
+        selectedPublicThemes: ['astra'],
+        activeTheme: '/Users/test/themes/agency-theme.zip'
+      };
+
+      fsMocks = mockFilesystem({
+        '/path/to/wp-cli.phar': '__PHAR_FILE__',
+        '/Users/test/themes/agency-theme.zip': '__ZIP_FILE__'
+      });
+
+      execaMock.mockResolvedValue(createExecaResponse('Success'));
+
+      const installer = new WordPressInstaller(config);
+      await installer.installThemes();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'theme', 'install', 'astra', '--quiet'],
+        expect.any(Object)
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'theme', 'install', '/Users/test/themes/agency-theme.zip', '--activate', '--quiet'],
+        expect.any(Object)
+      );
+    });
+  });
+
   describe('Herd integration', () => {
     it('should setup Herd when installed and accepted', async () => {
       const config = {
@@ -27,6 +27,10 @@ vi.mock('../../src/config.js', () => ({
   getConfig: vi.fn(() => ({}))
 }));
 
+vi.mock('../../src/site-registry.js', () => ({
+  listAllSites: vi.fn(() => [])
+}));
+
 describe('Doctor Command Integration', () => {
   let execaMock;
   let detectMySQLMock;
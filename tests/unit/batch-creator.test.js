@@ -0,0 +1,336 @@
+// tests/unit/batch-creator.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import path from 'path';
+import os from 'os';
+import {
+  validateManifest,
+  loadManifest,
+  buildSiteConfig,
+  createSite,
+  createSites
+} from '../../src/batch-creator.js';
+import { mockFilesystem } from '../helpers/mock-filesystem.js';
+
+// Mock modules
+vi.mock('../../src/installer.js', () => ({
+  WordPressInstaller: vi.fn()
+}));
+
+vi.mock('../../src/blueprint-manager.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadBlueprint: vi.fn()
+}));
+
+const MANIFEST_PATH = '/Users/test/batch/sites.json';
+const SITES_FILE = path.join(os.homedir(), '.config', 'wpmax', 'sites.json');
+
+/**
+ * Installer mock whose steps resolve, unless failStep names one that should throw
+ */
+function createInstallerMock(config, failStep = null) {
+  const installer = { config, cwd: `/Users/test/Sites/${config.slug}` };
+  for (const step of [
+    'createDirectory', 'downloadCore', 'configureDatabase', 'setConstants', 'installWordPress',
+    'installPlugins', 'installThemes', 'updateOptions', 'createUsers', 'setupHerd'
+  ]) {
+    installer[step] = vi.fn(async () => {
+      if (step === failStep) {
+        throw new Error(`${step} failed`);
+      }
+    });
+  }
+  installer.registerSite = vi.fn();
+  installer.rollback = vi.fn(async () => [{ step: 'directory', ok: true }]);
+  return installer;
+}
+
+describe('Batch Creator', () => {
+  let fsMocks;
+  let InstallerMock;
+  let loadBlueprintMock;
+
+  beforeEach(async () => {
+    const { WordPressInstaller } = await import('../../src/installer.js');
+    const { loadBlueprint } = await import('../../src/blueprint-manager.js');
+    InstallerMock = WordPressInstaller;
+    loadBlueprintMock = loadBlueprint;
+
+    vi.clearAllMocks();
+    fsMocks = mockFilesystem({});
+    InstallerMock.mockImplementation(function (config) {
+      return createInstallerMock(config);
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('validateManifest', () => {
+    it('should accept valid sites', () => {
+      expect(() => validateManifest([
+        { name: 'demo-1', adminUser: 'trainer', publicPlugins: ['woocommerce'] },
+        { name: 'demo-2', wpVersion: '6.4.2', docker: true }
+      ])).not.toThrow();
+    });
+
+    it('should list every problem', () => {
+      expect(() => validateManifest([
+        { name: 'demo-1', plugins: ['woocommerce'] },
+        { name: 'demo-1', withContent: 'yes' },
+        { adminEmail: 'not-an-email' },
+        { name: 'bad name' },
+        { name: 'demo-3', publicPlugins: ['woocommerce', 'Query Monitor', './acf-pro.zip'], publicThemes: ['Astra'] }
+      ])).toThrow([
+        'Invalid manifest:',
+        '  - demo-1: unknown key "plugins"',
+        '  - demo-1: "withContent" must be of type boolean',
+        '  - demo-1 is defined more than once',
+        '  - sites[2] is missing "name"',
+        '  - sites[2]: invalid adminEmail not-an-email',
+        '  - bad name: invalid name, only letters, numbers, dashes and underscores allowed',
+        '  - demo-3: invalid publicPlugins Query Monitor, ./acf-pro.zip. Use WordPress.org slugs such as query-monitor, and localPlugins/localThemes for ZIP files.',
+        '  - demo-3: invalid publicThemes Astra. Use WordPress.org slugs such as query-monitor, and localPlugins/localThemes for ZIP files.'
+      ].join('\n'));
+    });
+
+    it('should reject sites that would share a database', () => {
+      expect(() => validateManifest([
+        { name: 'my-site' },
+        { name: 'my_site' },
+        { name: 'shop', dbname: 'shared' },
+        { name: 'blog', dbname: 'shared' },
+        { name: 'other', dbname: 'my_other' }
+      ])).toThrow([
+        'Invalid manifest:',
+        '  - my_site: database my_site is also used by my-site. Set a different "dbname".',
+        '  - blog: database shared is also used by shop. Set a different "dbname".'
+      ].join('\n'));
+    });
+
+    it('should reject sites that are already registered or in the trash', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({
+        version: 2,
+        sites: [
+          { name: 'demo-1', path: '/Users/test/Sites/demo-1' },
+          { name: 'demo-2', path: '/Users/test/Sites/demo-2', trash: { deleted_at: '2026-01-01T00:00:00.000Z' } }
+        ]
+      });
+
+      expect(() => validateManifest([{ name: 'demo-1' }, { name: 'demo-2' }, { name: 'demo-3' }])).toThrow([
+        'Invalid manifest:',
+        '  - demo-1 already exists. Run: wpmax info demo-1',
+        '  - demo-2 is in the trash. Restore it with wpmax trash restore demo-2, or empty it with wpmax trash empty demo-2'
+      ].join('\n'));
+    });
+  });
+
+  describe('loadManifest', () => {
+    it('should throw when the file does not exist', () => {
+      expect(() => loadManifest(MANIFEST_PATH)).toThrow(`Manifest not found: ${MANIFEST_PATH}`);
+    });
+
+    it('should throw on invalid JSON', () => {
+      fsMocks._storage[MANIFEST_PATH] = '[{';
+
+      expect(() => loadManifest(MANIFEST_PATH)).toThrow(`Could not parse manifest ${MANIFEST_PATH}`);
+    });
+
+    it('should throw on an empty manifest', () => {
+      fsMocks._storage[MANIFEST_PATH] = '[]';
+
+      expect(() => loadManifest(MANIFEST_PATH)).toThrow('Manifest must be a non-empty array of sites');
+    });
+
+    it('should load an array of sites', () => {
+      fsMocks._storage[MANIFEST_PATH] = JSON.stringify([{ name: 'demo-1' }, { name: 'demo-2' }]);
+
+      expect(loadManifest(MANIFEST_PATH)).toEqual([{ name: 'demo-1' }, { name: 'demo-2' }]);
+    });
+
+    it('should apply defaults to every site', () => {
+      fsMocks._storage[MANIFEST_PATH] = JSON.stringify({
+        defaults: { adminUser: 'trainer', adminPass: 'secret' },
+        sites: [{ name: 'demo-1' }, { name: 'demo-2', adminPass: 'other' }]
+      });
+
+      expect(loadManifest(MANIFEST_PATH)).toEqual([
+        { name: 'demo-1', adminUser: 'trainer', adminPass: 'secret' },
+        { name: 'demo-2', adminUser: 'trainer', adminPass: 'other' }
+      ]);
+    });
+
+    it('should resolve relative ZIP and blueprint paths against the manifest directory', () => {
+      fsMocks._storage[MANIFEST_PATH] = JSON.stringify([
+        { name: 'demo-1', localPlugins: ['zips/premium.zip'], blueprint: './shop.json' },
+        { name: 'demo-2', blueprint: 'shop' }
+      ]);
+
+      const [first, second] = loadManifest(MANIFEST_PATH);
+
+      expect(first.localPlugins).toEqual([path.resolve('/Users/test/batch/zips/premium.zip')]);
+      expect(first.blueprint).toBe(path.resolve('/Users/test/batch/shop.json'));
+      expect(second.blueprint).toBe('shop');
+    });
+  });
+
+  describe('buildSiteConfig', () => {
+    it('should fill in the same defaults as the create command', () => {
+      const config = buildSiteConfig({ name: 'demo-site' });
+
+      expect(config).toMatchObject({
+        slug: 'demo-site',
+        dbName: 'demo_site',
+        dbUser: 'root',
+        dbPass: '',
+        dbHost: null,
+        dbPrefix: 'wp_',
+        url: 'demo-site.test',
+        title: 'Demo Site',
+        adminUser: 'admin',
+        adminPass: 'admin',
+        adminEmail: 'admin@test.com',
+        wpVersion: 'latest',
+        locale: 'en_US',
+        withContent: false,
+        useDocker: false,
+        herd: true,
+        selectedPublicPlugins: [],
+        selectedLocalPlugins: [],
+        activeTheme: null
+      });
+    });
+
+    it('should prefer site values over the blueprint and config', () => {
+      loadBlueprintMock.mockReturnValue({ adminUser: 'blueprint-admin', dbprefix: 'bp_', publicPlugins: ['query-monitor'] });
+
+      const config = buildSiteConfig(
+        { name: 'demo-site', blueprint: 'shop', adminUser: 'trainer', url: 'https://training.test/' },
+        { adminUser: 'config-admin', dbprefix: 'cfg_', tld: '.local', publicPlugins: ['akismet'] }
+      );
+
+      expect(loadBlueprintMock).toHaveBeenCalledWith('shop');
+      expect(config).toMatchObject({
+        adminUser: 'trainer',
+        dbPrefix: 'bp_',
+        url: 'training.test.local',
+        selectedPublicPlugins: ['query-monitor']
+      });
+    });
+
+    it('should preselect configured plugins, themes and local ZIPs', () => {
+      fsMocks._storage['/Users/test/zips'] = '__DIR__';
+      fsMocks._storage['/Users/test/zips/premium.zip'] = 'zip';
+
+      const config = buildSiteConfig(
+        { name: 'demo-site' },
+        { publicPlugins: ['akismet'], defaultPluginsPath: '/Users/test/zips', publicThemes: ['astra'] }
+      );
+
+      expect(config.selectedPublicPlugins).toEqual(['akismet']);
+      expect(config.selectedLocalPlugins).toEqual(['/Users/test/zips/premium.zip']);
+      expect(config.selectedPublicThemes).toEqual(['astra']);
+      expect(config.activeTheme).toBe('astra');
+    });
+
+    it('should throw on invalid values', () => {
+      expect(() => buildSiteConfig({ name: 'demo-site', adminEmail: 'nope' })).toThrow('Invalid admin email: nope');
+      expect(() => buildSiteConfig({ name: 'demo-site', dbname: 'my-db' })).toThrow('Invalid database name: my-db');
+    });
+  });
+
+  describe('createSite', () => {
+    it('should run every step and register the site', async () => {
+      const config = buildSiteConfig({ name: 'demo-site' });
+      const steps = [];
+
+      const result = await createSite(config, { setupHerd: true, onStep: step => steps.push(step) });
+
+      const installer = InstallerMock.mock.results[0].value;
+      expect(steps).toEqual([
+        'Creating directory', 'Downloading core', 'Configuring database',
+        'Installing WordPress', 'Installing plugins', 'Setting up Herd'
+      ]);
+      expect(installer.registerSite).toHaveBeenCalled();
+      expect(result).toMatchObject({ name: 'demo-site', ok: true, url: 'https://demo-site.test' });
+    });
+
+    it('should skip Herd for sites that opt out', async () => {
+      const config = buildSiteConfig({ name: 'demo-site', herd: false });
+
+      const result = await createSite(config, { setupHerd: true });
+
+      expect(InstallerMock.mock.results[0].value.setupHerd).not.toHaveBeenCalled();
+      expect(result.url).toBe('http://demo-site.test');
+    });
+
+    it('should roll back and report a failure', async () => {
+      InstallerMock.mockImplementation(function (config) {
+        return createInstallerMock(config, 'installWordPress');
+      });
+
+      const result = await createSite(buildSiteConfig({ name: 'demo-site' }));
+
+      const installer = InstallerMock.mock.results[0].value;
+      expect(installer.rollback).toHaveBeenCalled();
+      expect(installer.registerSite).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ name: 'demo-site', ok: false, error: 'installWordPress failed', rollbackErrors: [] });
+    });
+  });
+
+  describe('createSites', () => {
+    it('should create sites with at most the given concurrency, keeping the manifest order', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      InstallerMock.mockImplementation(function (config) {
+        const installer = createInstallerMock(config, config.slug === 'demo-2' ? 'downloadCore' : null);
+        installer.createDirectory = vi.fn(async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          running--;
+        });
+        return installer;
+      });
+
+      const configs = ['demo-1', 'demo-2', 'demo-3', 'demo-4'].map(name => buildSiteConfig({ name }));
+      const results = await createSites(configs, { concurrency: 2 });
+
+      expect(maxRunning).toBe(2);
+      expect(results.map(result => `${result.name}:${result.ok}`)).toEqual([
+        'demo-1:true', 'demo-2:false', 'demo-3:true', 'demo-4:true'
+      ]);
+    });
+
+    it('should create Docker sites one at a time', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      InstallerMock.mockImplementation(function (config) {
+        const installer = createInstallerMock(config);
+        installer.configureDatabase = vi.fn(async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          running--;
+        });
+        return installer;
+      });
+
+      const configs = ['demo-1', 'demo-2', 'demo-3'].map(name => buildSiteConfig({ name, docker: true }));
+      const results = await createSites(configs, { concurrency: 3 });
+
+      expect(maxRunning).toBe(1);
+      expect(results.every(result => result.ok)).toBe(true);
+    });
+
+    it('should report progress', async () => {
+      const onStart = vi.fn();
+      const onFinish = vi.fn();
+
+      await createSites([buildSiteConfig({ name: 'demo-1' })], { onStart, onFinish });
+
+      expect(onStart).toHaveBeenCalledWith(expect.objectContaining({ slug: 'demo-1' }));
+      expect(onFinish).toHaveBeenCalledWith(expect.objectContaining({ name: 'demo-1', ok: true }));
+    });
+  });
+});
@@ -0,0 +1,221 @@
+// tests/unit/blueprint-manager.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  getBlueprintsDir,
+  validateBlueprint,
+  resolveBlueprintPath,
+  loadBlueprint,
+  listBlueprints,
+  saveBlueprint
+} from '../../src/blueprint-manager.js';
+import { mockFilesystem, restoreFilesystem } from '../helpers/mock-filesystem.js';
+import path from 'path';
+import os from 'os';
+
+const BLUEPRINTS_DIR = path.join(os.homedir(), '.config', 'wpmax', 'blueprints');
+
+describe('blueprint-manager', () => {
+  let fsMocks;
+
+  beforeEach(() => {
+    fsMocks = mockFilesystem({});
+  });
+
+  afterEach(() => {
+    restoreFilesystem();
+  });
+
+  describe('getBlueprintsDir', () => {
+    it('should return the blueprints directory under the config directory', () => {
+      expect(getBlueprintsDir()).toBe(BLUEPRINTS_DIR);
+    });
+  });
+
+  describe('validateBlueprint', () => {
+    it('should accept a complete blueprint', () => {
+      expect(() => validateBlueprint({
+        description: 'WooCommerce shop',
+        wpVersion: '6.4.2',
+        withContent: false,
+        dbprefix: 'shop_',
+        adminEmail: 'shop@test.com',
+        publicPlugins: ['woocommerce'],
+        localPlugins: ['./zips/acf-pro.zip'],
+        publicThemes: ['storefront'],
+        activeTheme: 'storefront',
+        options: { blogdescription: 'Shop' },
+        users: [{ username: 'editor', email: 'editor@test.com', role: 'editor' }],
+        constants: { WP_DEBUG: true }
+      })).not.toThrow();
+    });
+
+    it('should accept an empty blueprint', () => {
+      expect(() => validateBlueprint({})).not.toThrow();
+    });
+
+    it('should reject non-objects', () => {
+      expect(() => validateBlueprint([])).toThrow('Blueprint must be a JSON object');
+      expect(() => validateBlueprint(null)).toThrow('Blueprint must be a JSON object');
+    });
+
+    it('should reject unknown keys', () => {
+      expect(() => validateBlueprint({ plugins: ['woocommerce'] })).toThrow('Unknown key "plugins"');
+    });
+
+    it('should reject wrong types', () => {
+      expect(() => validateBlueprint({ publicPlugins: 'woocommerce' })).toThrow('"publicPlugins" must be of type string[]');
+      expect(() => validateBlueprint({ withContent: 'yes' })).toThrow('"withContent" must be of type boolean');
+      expect(() => validateBlueprint({ options: [] })).toThrow('"options" must be of type object');
+    });
+
+    it('should reject invalid admin email', () => {
+      expect(() => validateBlueprint({ adminEmail: 'not-an-email' })).toThrow('Invalid adminEmail: not-an-email');
+    });
+
+    it('should reject invalid db prefix', () => {
+      expect(() => validateBlueprint({ dbprefix: 'wp-' })).toThrow('Invalid database prefix format');
+    });
+
+    it('should reject users without username or valid email', () => {
+      expect(() => validateBlueprint({ users: [{ email: 'bad' }] })).toThrow(
+        /users\[0\] is missing "username"[\s\S]*users\[0\] has an invalid "email"/
+      );
+    });
+
+    it('should reject invalid constants', () => {
+      expect(() => validateBlueprint({ constants: { wp_debug: true } })).toThrow('Invalid constant name: wp_debug');
+      expect(() => validateBlueprint({ constants: { WP_DEBUG: [true] } })).toThrow(
+        'Constant WP_DEBUG must be a string, number or boolean'
+      );
+    });
+
+    it('should list every problem at once', () => {
+      expect(() => validateBlueprint({ foo: 1, bar: 2 })).toThrow(/Unknown key "foo"\n.*Unknown key "bar"/);
+    });
+  });
+
+  describe('resolveBlueprintPath', () => {
+    it('should resolve names to the blueprints directory', () => {
+      expect(resolveBlueprintPath('shop')).toBe(path.join(BLUEPRINTS_DIR, 'shop.json'));
+    });
+
+    it('should treat values with a separator as paths', () => {
+      expect(resolveBlueprintPath('./blueprints/shop')).toBe(path.resolve('./blueprints/shop'));
+    });
+
+    it('should treat .json values as paths', () => {
+      expect(resolveBlueprintPath('shop.json')).toBe(path.resolve('shop.json'));
+    });
+  });
+
+  describe('loadBlueprint', () => {
+    it('should load a named blueprint', () => {
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'shop.json')] = JSON.stringify({ publicPlugins: ['woocommerce'] });
+
+      const blueprint = loadBlueprint('shop');
+
+      expect(blueprint).toEqual({ publicPlugins: ['woocommerce'] });
+    });
+
+    it('should throw when the blueprint does not exist', () => {
+      expect(() => loadBlueprint('missing')).toThrow('Blueprint not found: missing');
+    });
+
+    it('should throw on invalid JSON', () => {
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'broken.json')] = '{ invalid';
+
+      expect(() => loadBlueprint('broken')).toThrow('Could not parse blueprint');
+    });
+
+    it('should throw on invalid blueprint', () => {
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'bad.json')] = JSON.stringify({ withContent: 'yes' });
+
+      expect(() => loadBlueprint('bad')).toThrow('Invalid blueprint');
+    });
+
+    it('should resolve local ZIPs relative to the blueprint file', () => {
+      fsMocks._storage['/Users/test/recipes/shop.json'] = JSON.stringify({
+        localPlugins: ['zips/acf-pro.zip'],
+        localThemes: ['/Users/test/themes/agency.zip']
+      });
+      fsMocks._storage['/Users/test/recipes/zips/acf-pro.zip'] = 'zip';
+      fsMocks._storage['/Users/test/themes/agency.zip'] = 'zip';
+
+      const blueprint = loadBlueprint('/Users/test/recipes/shop.json');
+
+      expect(blueprint.localPlugins).toEqual(['/Users/test/recipes/zips/acf-pro.zip']);
+      expect(blueprint.localThemes).toEqual(['/Users/test/themes/agency.zip']);
+    });
+
+    it('should fail fast on missing local ZIPs', () => {
+      fsMocks._storage['/Users/test/recipes/shop.json'] = JSON.stringify({
+        localPlugins: ['zips/acf-pro.zip']
+      });
+
+      expect(() => loadBlueprint('/Users/test/recipes/shop.json')).toThrow(
+        'Blueprint localPlugins not found:\n  - /Users/test/recipes/zips/acf-pro.zip'
+      );
+    });
+  });
+
+  describe('listBlueprints', () => {
+    it('should return empty array when directory does not exist', () => {
+      expect(listBlueprints()).toEqual([]);
+    });
+
+    it('should list JSON files with descriptions', () => {
+      fsMocks._storage[BLUEPRINTS_DIR] = '__DIR__';
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'shop.json')] = JSON.stringify({ description: 'WooCommerce shop' });
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'blog.json')] = JSON.stringify({});
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'notes.txt')] = 'ignored';
+
+      const blueprints = listBlueprints();
+
+      expect(blueprints).toEqual([
+        { name: 'shop', path: path.join(BLUEPRINTS_DIR, 'shop.json'), description: 'WooCommerce shop' },
+        { name: 'blog', path: path.join(BLUEPRINTS_DIR, 'blog.json'), description: null }
+      ]);
+    });
+
+    it('should still list unreadable blueprints', () => {
+      fsMocks._storage[BLUEPRINTS_DIR] = '__DIR__';
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'broken.json')] = '{ invalid';
+
+      expect(listBlueprints()).toEqual([
+        { name: 'broken', path: path.join(BLUEPRINTS_DIR, 'broken.json'), description: null }
+      ]);
+    });
+  });
+
+  describe('saveBlueprint', () => {
+    it('should write the blueprint and create the directory', () => {
+      const result = saveBlueprint('shop', { publicPlugins: ['woocommerce'] });
+
+      expect(result).toBe(path.join(BLUEPRINTS_DIR, 'shop.json'));
+      expect(fsMocks._storage[BLUEPRINTS_DIR]).toBe('__DIR__');
+      expect(JSON.parse(fsMocks._storage[result])).toEqual({ publicPlugins: ['woocommerce'] });
+    });
+
+    it('should reject invalid names', () => {
+      expect(() => saveBlueprint('../shop', {})).toThrow('Invalid blueprint name: ../shop');
+    });
+
+    it('should reject invalid blueprints', () => {
+      expect(() => saveBlueprint('shop', { foo: 1 })).toThrow('Unknown key "foo"');
+    });
+
+    it('should not overwrite without flag', () => {
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'shop.json')] = '{}';
+
+      expect(() => saveBlueprint('shop', {})).toThrow('Blueprint "shop" already exists');
+    });
+
+    it('should overwrite when requested', () => {
+      fsMocks._storage[path.join(BLUEPRINTS_DIR, 'shop.json')] = '{}';
+
+      saveBlueprint('shop', { wpVersion: '6.4.2' }, true);
+
+      expect(JSON.parse(fsMocks._storage[path.join(BLUEPRINTS_DIR, 'shop.json')])).toEqual({ wpVersion: '6.4.2' });
+    });
+  });
+});
@@ -0,0 +1,201 @@
+// tests/unit/command-runner.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  configureRunner,
+  isDryRun,
+  isTracing,
+  maskArgs,
+  formatCommand,
+  runCommand
+} from '../../src/command-runner.js';
+import { createExecaResponse } from '../helpers/mock-execa.js';
+
+// Mock modules
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+vi.mock('../../src/log-manager.js', () => ({
+  writeLog: vi.fn(),
+  truncateOutput: vi.fn(text => text)
+}));
+
+describe('Command Runner', () => {
+  let execaMock;
+  let writeLogMock;
+  let consoleErrorSpy;
+
+  beforeEach(async () => {
+    const { execa } = await import('execa');
+    const { writeLog } = await import('../../src/log-manager.js');
+    execaMock = execa;
+    writeLogMock = writeLog;
+    vi.clearAllMocks();
+
+    execaMock.mockResolvedValue(createExecaResponse('ok'));
+    consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    configureRunner();
+  });
+
+  afterEach(() => {
+    configureRunner();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * All trace output as one string
+   */
+  function traceOutput() {
+    return consoleErrorSpy.mock.calls.map(call => call[0]).join('\n');
+  }
+
+  describe('configureRunner', () => {
+    it('should default to running commands silently', () => {
+      expect(isDryRun()).toBe(false);
+      expect(isTracing()).toBe(false);
+    });
+
+    it('should enable dry-run and tracing', () => {
+      configureRunner({ dryRun: true });
+      expect(isDryRun()).toBe(true);
+      expect(isTracing()).toBe(true);
+
+      configureRunner({ verbose: true });
+      expect(isDryRun()).toBe(false);
+      expect(isTracing()).toBe(true);
+    });
+  });
+
+  describe('maskArgs', () => {
+    it('should mask database, admin and user passwords', () => {
+      expect(maskArgs([
+        'config', 'create', '--dbname=my_site', '--dbpass=secret',
+        '--admin_password=hunter2', '--user_pass=p@ss'
+      ])).toEqual([
+        'config', 'create', '--dbname=my_site', '--dbpass=****',
+        '--admin_password=****', '--user_pass=****'
+      ]);
+    });
+
+    it('should leave other arguments alone', () => {
+      expect(maskArgs(['--dbuser=root', 'password'])).toEqual(['--dbuser=root', 'password']);
+    });
+  });
+
+  describe('formatCommand', () => {
+    it('should join plain arguments', () => {
+      expect(formatCommand('php', ['wp-cli.phar', 'core', 'download', '--quiet']))
+        .toBe('php wp-cli.phar core download --quiet');
+    });
+
+    it('should quote arguments with spaces or quotes', () => {
+      expect(formatCommand('php', ['--title=My Site', "it's"]))
+        .toBe(`php '--title=My Site' 'it'\\''s'`);
+    });
+
+    it('should not quote masked secrets', () => {
+      expect(formatCommand('php', maskArgs(['--dbpass=my secret'])))
+        .toBe('php --dbpass=****');
+    });
+  });
+
+  describe('runCommand', () => {
+    it('should pass the command to execa', async () => {
+      const result = await runCommand('php', ['--version'], { cwd: '/Users/test/Sites/my-site' });
+
+      expect(execaMock).toHaveBeenCalledWith('php', ['--version'], { cwd: '/Users/test/Sites/my-site' });
+      expect(result.stdout).toBe('ok');
+    });
+
+    it('should not pass runner options to execa', async () => {
+      await runCommand('herd', ['--version'], { readOnly: true });
+
+      expect(execaMock).toHaveBeenCalledWith('herd', ['--version']);
+    });
+
+    it('should not print anything by default', async () => {
+      await runCommand('php', ['--version']);
+
+      expect(consoleErrorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should trace command, cwd, duration and stderr in verbose mode', async () => {
+      configureRunner({ verbose: true });
+      execaMock.mockResolvedValue(createExecaResponse('', 'Warning: something'));
+
+      await runCommand('php', ['wp-cli.phar', 'core', 'install', '--admin_password=hunter2'], { cwd: '/Users/test/Sites/my-site' });
+
+      const output = traceOutput();
+      expect(output).toContain('$ php wp-cli.phar core install --admin_password=****');
+      expect(output).toContain('in /Users/test/Sites/my-site');
+      expect(output).toMatch(/✓ \d+\.\ds/);
+      expect(output).toContain('Warning: something');
+      expect(output).not.toContain('hunter2');
+    });
+
+    it('should trace failures with their exit code', async () => {
+      configureRunner({ verbose: true });
+      execaMock.mockRejectedValue(Object.assign(new Error('Command failed'), {
+        exitCode: 1,
+        stderr: 'ERROR 1045: Access denied'
+      }));
+
+      await expect(runCommand('php', ['wp-cli.phar', 'db', 'create'])).rejects.toThrow('Command failed');
+
+      const output = traceOutput();
+      expect(output).toContain('✗ exit 1');
+      expect(output).toContain('ERROR 1045: Access denied');
+    });
+
+    it('should mask secrets in error messages', async () => {
+      execaMock.mockRejectedValue(new Error('Command failed: php wp-cli.phar config create --dbpass=secret'));
+
+      await expect(runCommand('php', ['wp-cli.phar', 'config', 'create', '--dbpass=secret']))
+        .rejects.toThrow('Command failed: php wp-cli.phar config create --dbpass=****');
+    });
+
+    it('should log the masked command with its output', async () => {
+      execaMock.mockResolvedValue(createExecaResponse('Success: Generated wp-config.php file.'));
+
+      await runCommand('php', ['wp-cli.phar', 'config', 'create', '--dbpass=secret'], { cwd: '/Users/test/Sites/my-site' });
+
+      const entry = writeLogMock.mock.calls[0][0];
+      expect(entry).toContain('$ php wp-cli.phar config create --dbpass=****');
+      expect(entry).toContain('in /Users/test/Sites/my-site');
+      expect(entry).toMatch(/exit 0 after \d+\.\ds/);
+      expect(entry).toContain('Success: Generated wp-config.php file.');
+      expect(entry).not.toContain('secret');
+    });
+
+    it('should log failures with their stderr', async () => {
+      execaMock.mockRejectedValue(Object.assign(new Error('Command failed'), {
+        exitCode: 1,
+        stderr: 'ERROR 1045: Access denied'
+      }));
+
+      await expect(runCommand('php', ['wp-cli.phar', 'db', 'create'])).rejects.toThrow('Command failed');
+
+      const entry = writeLogMock.mock.calls[0][0];
+      expect(entry).toContain('exit 1');
+      expect(entry).toContain('ERROR 1045: Access denied');
+    });
+
+    it('should print instead of running in dry-run mode', async () => {
+      configureRunner({ dryRun: true });
+
+      const result = await runCommand('php', ['wp-cli.phar', 'db', 'create', '--quiet'], { cwd: '/Users/test/Sites/my-site' });
+
+      expect(execaMock).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ stdout: '', exitCode: 0 });
+      expect(traceOutput()).toContain('[dry-run] php wp-cli.phar db create --quiet');
+    });
+
+    it('should still run read-only commands in dry-run mode', async () => {
+      configureRunner({ dryRun: true });
+
+      await runCommand('mysql', ['--version'], { readOnly: true });
+
+      expect(execaMock).toHaveBeenCalledWith('mysql', ['--version']);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+// tests/unit/config-transfer.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import os from 'os';
+import {
+  exportConfig,
+  validateExport,
+  loadExport,
+  importConfig,
+  formatChange
+} from '../../src/config-transfer.js';
+import { mockFilesystem, restoreFilesystem } from '../helpers/mock-filesystem.js';
+
+const CONFIG_DIR = path.join(os.homedir(), '.config', 'wpmax');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const PROFILES_FILE = path.join(CONFIG_DIR, 'profiles.json');
+const BLUEPRINTS_DIR = path.join(CONFIG_DIR, 'blueprints');
+const EXPORT_FILE = '/Users/test/wpmax-config.json';
+
+describe('Config Transfer', () => {
+  let fsMocks;
+
+  beforeEach(() => {
+    fsMocks = mockFilesystem({
+      [CONFIG_DIR]: '__DIR__',
+      [CONFIG_FILE]: JSON.stringify({ dbuser: 'john', publicPlugins: ['akismet'], lastUpdateCheck: 123 }),
+      [PROFILES_FILE]: JSON.stringify({ active: 'acme', profiles: { acme: { tld: '.acme' } } }),
+      [BLUEPRINTS_DIR]: '__DIR__',
+      [path.join(BLUEPRINTS_DIR, 'shop.json')]: JSON.stringify({ publicPlugins: ['woocommerce'], localPlugins: ['./premium.zip'] })
+    });
+  });
+
+  afterEach(() => {
+    restoreFilesystem();
+  });
+
+  describe('exportConfig', () => {
+    it('should export the global config without internal values', () => {
+      const data = exportConfig();
+
+      expect(data).toEqual({
+        version: 1,
+        exportedAt: expect.any(String),
+        config: { dbuser: 'john', publicPlugins: ['akismet'] }
+      });
+    });
+
+    it('should include profiles and blueprints as stored', () => {
+      const data = exportConfig({ profiles: true, blueprints: true });
+
+      expect(data.profiles).toEqual({ acme: { tld: '.acme' } });
+      expect(data.blueprints).toEqual({ shop: { publicPlugins: ['woocommerce'], localPlugins: ['./premium.zip'] } });
+    });
+  });
+
+  describe('validateExport', () => {
+    it('should type values', () => {
+      expect(validateExport({ version: 1, config: { offline: 'yes', trashRetentionDays: 7 } })).toEqual({
+        config: { offline: true, trashRetentionDays: 7 },
+        profiles: null,
+        blueprints: null,
+        skipped: []
+      });
+    });
+
+    it('should skip path keys that do not exist on this machine', () => {
+      fsMocks._storage['/Users/test/plugins'] = '__DIR__';
+
+      expect(validateExport({
+        config: { defaultPluginsPath: '/Users/test/plugins', defaultThemesPath: '/Users/other/themes' },
+        profiles: { acme: { defaultPluginsPath: '/Users/other/plugins' } }
+      })).toEqual({
+        config: { defaultPluginsPath: '/Users/test/plugins' },
+        profiles: { acme: {} },
+        blueprints: null,
+        skipped: [
+          { scope: 'config', key: 'defaultThemesPath', path: '/Users/other/themes' },
+          { scope: 'profile acme', key: 'defaultPluginsPath', path: '/Users/other/plugins' }
+        ]
+      });
+    });
+
+    it('should list every problem', () => {
+      expect(() => validateExport({
+        version: 2,
+        settings: {},
+        config: { dbuser: 'john', lastUpdateCheck: 1, adminEmail: 'nope' },
+        profiles: { 'bad name': {}, acme: { publicPlugins: ['Not A Slug'] } },
+        blueprints: { shop: { plugins: [] } }
+      })).toThrow([
+        'Invalid config export:',
+        '  - unknown key "settings"',
+        '  - unsupported version 2 (this wpmax reads version 1)',
+        '  - config: unknown key "lastUpdateCheck"',
+        '  - config: Invalid email: nope',
+        '  - invalid profile name "bad name", only letters, numbers, dashes and underscores allowed',
+        '  - profile acme: Invalid slug: Not A Slug. Use WordPress.org slugs such as query-monitor.',
+        '  - blueprint shop: Unknown key "plugins"'
+      ].join('\n'));
+    });
+
+    it('should reject sections that are not JSON objects', () => {
+      expect(() => validateExport({ config: [], profiles: null, blueprints: 'shop' })).toThrow([
+        'Invalid config export:',
+        '  - config must be a JSON object',
+        '  - profiles must be a JSON object',
+        '  - blueprints must be a JSON object'
+      ].join('\n'));
+      expect(() => validateExport({ profiles: ['acme'] })).toThrow('profiles must be a JSON object');
+    });
+  });
+
+  describe('loadExport', () => {
+    it('should throw when the file does not exist', () => {
+      expect(() => loadExport(EXPORT_FILE)).toThrow(`File not found: ${EXPORT_FILE}`);
+    });
+
+    it('should throw on invalid JSON', () => {
+      fsMocks._storage[EXPORT_FILE] = '{';
+
+      expect(() => loadExport(EXPORT_FILE)).toThrow(`Could not parse ${EXPORT_FILE}`);
+    });
+  });
+
+  describe('importConfig', () => {
+    it('should replace the global config and report the changes', () => {
+      const changes = importConfig(validateExport({ config: { dbuser: 'jane', tld: '.local' } }));
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ dbuser: 'jane', tld: '.local', lastUpdateCheck: 123 });
+      expect(changes).toEqual([
+        { scope: 'config', key: 'dbuser', from: 'john', to: 'jane' },
+        { scope: 'config', key: 'publicPlugins', from: ['akismet'], to: undefined },
+        { scope: 'config', key: 'tld', from: undefined, to: '.local' }
+      ]);
+    });
+
+    it('should keep values the file does not set with merge', () => {
+      const changes = importConfig(validateExport({ config: { tld: '.local' } }), { merge: true });
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({
+        dbuser: 'john', publicPlugins: ['akismet'], tld: '.local', lastUpdateCheck: 123
+      });
+      expect(changes).toEqual([{ scope: 'config', key: 'tld', from: undefined, to: '.local' }]);
+    });
+
+    it('should update and create profiles, and keep the ones not in the file', () => {
+      fsMocks._storage[PROFILES_FILE] = JSON.stringify({
+        active: 'acme',
+        profiles: { acme: { tld: '.acme' }, other: { dbuser: 'other' } }
+      });
+
+      const changes = importConfig(validateExport({ profiles: { acme: { dbuser: 'acme' }, beta: { tld: '.beta' } } }));
+
+      expect(JSON.parse(fsMocks._storage[PROFILES_FILE])).toEqual({
+        active: 'acme',
+        profiles: { acme: { dbuser: 'acme' }, other: { dbuser: 'other' }, beta: { tld: '.beta' } }
+      });
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE]).dbuser).toBe('john');
+      expect(changes.map(formatChange)).toEqual([
+        '- profile acme: tld (was ".acme")',
+        '+ profile acme: dbuser = "acme"',
+        '+ profile beta: tld = ".beta"'
+      ]);
+    });
+
+    it('should save blueprints', () => {
+      const changes = importConfig(validateExport({ blueprints: { shop: { publicPlugins: ['woocommerce', 'query-monitor'] } } }), { merge: true });
+
+      expect(JSON.parse(fsMocks._storage[path.join(BLUEPRINTS_DIR, 'shop.json')])).toEqual({
+        publicPlugins: ['woocommerce', 'query-monitor'],
+        localPlugins: ['./premium.zip']
+      });
+      expect(changes.map(formatChange)).toEqual([
+        '~ blueprint shop: publicPlugins: ["woocommerce"] → ["woocommerce","query-monitor"]'
+      ]);
+    });
+
+    it('should keep the local value of a skipped path key when replacing', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'john', defaultThemesPath: '/Users/test/themes' });
+
+      const changes = importConfig(validateExport({ config: { defaultThemesPath: '/Users/other/themes' } }));
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ defaultThemesPath: '/Users/test/themes' });
+      expect(changes).toEqual([{ scope: 'config', key: 'dbuser', from: 'john', to: undefined }]);
+    });
+
+    it('should round-trip an export', () => {
+      const data = exportConfig({ profiles: true, blueprints: true });
+
+      expect(importConfig(validateExport(JSON.parse(JSON.stringify(data))))).toEqual([]);
+    });
+  });
+});
@@ -6,7 +6,25 @@ import {
   getConfigValue,
   addToConfig,
   removeFromConfig,
-  ensureDefaultConfig
+  ensureDefaultConfig,
+  findProjectConfig,
+  getConfigLayers,
+  getConfigSources,
+  getEnvVarName,
+  getProfile,
+  listProfiles,
+  createProfile,
+  deleteProfile,
+  useProfile,
+  selectProfile,
+  getActiveProfile,
+  parseConfigValue,
+  getConfigDefault,
+  toConfigKey,
+  toConfigName,
+  unsetConfig,
+  resetConfig,
+  CONFIG_SCHEMA
 } from '../../src/config.js';
 import { mockFilesystem, restoreFilesystem } from '../helpers/mock-filesystem.js';
 import path from 'path';
@@ -14,6 +32,7 @@ import os from 'os';
 
 const CONFIG_FILE = path.join(os.homedir(), '.config', 'wpmax', 'config.json');
 const CONFIG_DIR = path.join(os.homedir(), '.config', 'wpmax');
+const PROFILES_FILE = path.join(os.homedir(), '.config', 'wpmax', 'profiles.json');
 
 describe('config', () => {
   let fsMocks;
@@ -43,16 +62,17 @@ describe('config', () => {
       expect(config).toEqual(testConfig);
     });
 
-    it('should return empty object on JSON parse error', () => {
+    it('should throw on JSON parse error instead of treating the config as empty', () => {
       fsMocks._storage[CONFIG_FILE] = 'invalid json';
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
-      const config = getConfig();
+      expect(() => getConfig()).toThrow(`${CONFIG_FILE} is corrupt`);
+    });
 
-      expect(config).toEqual({});
-      expect(consoleSpy).toHaveBeenCalled();
+    it('should not overwrite a corrupt config', () => {
+      fsMocks._storage[CONFIG_FILE] = '{"dbuser": ';
 
-      consoleSpy.mockRestore();
+      expect(() => setConfig('tld', '.local')).toThrow(`${CONFIG_FILE} is corrupt`);
+      expect(fsMocks._storage[CONFIG_FILE]).toBe('{"dbuser": ');
     });
 
     it('should handle empty config file', () => {
@@ -78,6 +98,13 @@ describe('config', () => {
       expect(config.publicPlugins).toEqual(['woocommerce', 'yoast-seo']);
     });
 
+    it('should set array values for publicThemes', () => {
+      setConfig('publicThemes', 'astra,kadence');
+
+      const config = JSON.parse(fsMocks._storage[CONFIG_FILE]);
+      expect(config.publicThemes).toEqual(['astra', 'kadence']);
+    });
+
     it('should trim whitespace in array values', () => {
       setConfig('publicPlugins', 'plugin1 , plugin2 , plugin3');
 
@@ -306,4 +333,360 @@ describe('config', () => {
       expect(fsMocks._storage[CONFIG_DIR]).toBe('__DIR__');
     });
   });
-});
\ No newline at end of file
+
+  describe('project config', () => {
+    const PROJECTS_DIR = '/Users/test/agency';
+    const PROJECT_FILE = path.join(PROJECTS_DIR, 'wpmax.json');
+
+    beforeEach(() => {
+      vi.spyOn(process, 'cwd').mockReturnValue(path.join(PROJECTS_DIR, 'client-a'));
+    });
+
+    it('should find wpmax.json in a parent directory', () => {
+      fsMocks._storage[PROJECT_FILE] = '{}';
+
+      expect(findProjectConfig()).toBe(PROJECT_FILE);
+    });
+
+    it('should prefer the nearest file, and wpmax.json over .wpmaxrc', () => {
+      fsMocks._storage[PROJECT_FILE] = '{}';
+      fsMocks._storage[path.join(PROJECTS_DIR, 'client-a', '.wpmaxrc')] = '{}';
+
+      expect(findProjectConfig()).toBe(path.join(PROJECTS_DIR, 'client-a', '.wpmaxrc'));
+
+      fsMocks._storage[path.join(PROJECTS_DIR, 'client-a', 'wpmax.json')] = '{}';
+      expect(findProjectConfig()).toBe(path.join(PROJECTS_DIR, 'client-a', 'wpmax.json'));
+    });
+
+    it('should return null when there is no project config', () => {
+      expect(findProjectConfig()).toBeNull();
+      expect(getConfigLayers().map(layer => layer.source)).toEqual(['global']);
+    });
+
+    it('should merge the project config over the global config', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'root', tld: '.test' });
+      fsMocks._storage[PROJECT_FILE] = JSON.stringify({ tld: '.agency', 'public-plugins': ['woocommerce'] });
+
+      expect(getConfig()).toEqual({ dbuser: 'root', tld: '.agency', publicPlugins: ['woocommerce'] });
+      expect(getConfigValue('tld')).toBe('.agency');
+    });
+
+    it('should resolve plugin and theme paths from the project file', () => {
+      fsMocks._storage[path.join(PROJECTS_DIR, 'zips')] = '__DIR__';
+      fsMocks._storage['/opt/themes'] = '__DIR__';
+      fsMocks._storage[PROJECT_FILE] = JSON.stringify({ defaultPluginsPath: './zips', defaultThemesPath: '/opt/themes' });
+
+      expect(getConfig()).toEqual({
+        defaultPluginsPath: path.join(PROJECTS_DIR, 'zips'),
+        defaultThemesPath: '/opt/themes'
+      });
+    });
+
+    it('should report the layer of each value', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'root', tld: '.test' });
+      fsMocks._storage[PROJECT_FILE] = JSON.stringify({ tld: '.agency' });
+
+      expect(getConfigSources()).toEqual({
+        dbuser: { source: 'global', path: CONFIG_FILE },
+        tld: { source: 'project', path: PROJECT_FILE }
+      });
+    });
+
+    it('should type values like config --set', () => {
+      fsMocks._storage[PROJECT_FILE] = JSON.stringify({ 'public-plugins': 'woocommerce, query-monitor', offline: 'yes', dbprefix: 'ag' });
+
+      expect(getConfig()).toEqual({ publicPlugins: ['woocommerce', 'query-monitor'], offline: true, dbprefix: 'ag_' });
+    });
+
+    it('should report the file and key of an invalid value', () => {
+      fsMocks._storage[PROJECT_FILE] = JSON.stringify({ tld: '.agency', 'public-plugins': 'Not A Slug' });
+
+      expect(() => getConfig()).toThrow(`Invalid project config ${PROJECT_FILE}: public-plugins: Invalid slug: Not A Slug`);
+    });
+
+    it('should report unknown keys and files that are not a JSON object', () => {
+      fsMocks._storage[PROJECT_FILE] = JSON.stringify({ plugins: ['woocommerce'] });
+      expect(() => getConfig()).toThrow(`Invalid project config ${PROJECT_FILE}: unknown key "plugins"`);
+
+      fsMocks._storage[PROJECT_FILE] = '["tld"]';
+      expect(() => getConfig()).toThrow(`Invalid project config ${PROJECT_FILE}: expected a JSON object`);
+
+      fsMocks._storage[PROJECT_FILE] = '{';
+      expect(() => getConfig()).toThrow(`Could not parse project config ${PROJECT_FILE}`);
+    });
+
+    it('should never write project values to the global config', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ publicPlugins: [] });
+      fsMocks._storage[PROJECT_FILE] = JSON.stringify({ tld: '.agency' });
+
+      setConfig('dbuser', 'john');
+      addToConfig('publicPlugins', 'akismet');
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ publicPlugins: ['akismet'], dbuser: 'john' });
+    });
+  });
+
+  describe('environment overrides', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should map config keys to WPMAX_ variables', () => {
+      expect(getEnvVarName('dbuser')).toBe('WPMAX_DBUSER');
+      expect(getEnvVarName('adminUser')).toBe('WPMAX_ADMIN_USER');
+      expect(getEnvVarName('defaultPluginsPath')).toBe('WPMAX_DEFAULT_PLUGINS_PATH');
+    });
+
+    it('should override the config files', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'root', tld: '.test' });
+      vi.stubEnv('WPMAX_TLD', '.ci');
+      vi.stubEnv('WPMAX_ADMIN_USER', 'ci-admin');
+
+      expect(getConfig()).toEqual({ dbuser: 'root', tld: '.ci', adminUser: 'ci-admin' });
+      expect(getConfigSources().tld).toEqual({ source: 'env', path: null });
+    });
+
+    it('should split array keys and resolve path keys', () => {
+      fsMocks._storage[path.resolve('themes')] = '__DIR__';
+      vi.stubEnv('WPMAX_PUBLIC_PLUGINS', 'woocommerce, query-monitor');
+      vi.stubEnv('WPMAX_DEFAULT_THEMES_PATH', 'themes');
+
+      expect(getConfig()).toEqual({
+        publicPlugins: ['woocommerce', 'query-monitor'],
+        defaultThemesPath: path.resolve('themes')
+      });
+    });
+
+    it('should ignore empty and unknown variables', () => {
+      vi.stubEnv('WPMAX_TLD', '');
+      vi.stubEnv('WPMAX_FOO', 'bar');
+
+      expect(getConfigLayers().map(layer => layer.source)).toEqual(['global']);
+    });
+
+    it('should not write environment values to the config file', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ publicPlugins: [] });
+      vi.stubEnv('WPMAX_TLD', '.ci');
+
+      setConfig('dbuser', 'john');
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ publicPlugins: [], dbuser: 'john' });
+    });
+  });
+
+  describe('profiles', () => {
+    afterEach(() => {
+      selectProfile(null);
+      vi.unstubAllEnvs();
+    });
+
+    it('should create, list and delete profiles', () => {
+      createProfile('client-b', { tld: '.b' });
+      createProfile('client-a');
+
+      expect(listProfiles()).toEqual([
+        { name: 'client-a', active: false, values: {} },
+        { name: 'client-b', active: false, values: { tld: '.b' } }
+      ]);
+
+      deleteProfile('client-b');
+      expect(getProfile('client-b')).toBeNull();
+      expect(listProfiles().map(profile => profile.name)).toEqual(['client-a']);
+    });
+
+    it('should reject invalid and duplicate names', () => {
+      createProfile('acme');
+
+      expect(() => createProfile('acme')).toThrow('Profile "acme" already exists.');
+      expect(() => createProfile('my client')).toThrow('Invalid profile name: my client');
+      expect(() => deleteProfile('missing')).toThrow('Profile "missing" does not exist.');
+      expect(() => useProfile('missing')).toThrow('Profile "missing" does not exist.');
+      expect(() => selectProfile('missing')).toThrow('Profile "missing" does not exist.');
+    });
+
+    it('should apply the active profile over the config files', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'root', tld: '.test' });
+      createProfile('acme', { dbuser: 'acme', adminEmail: 'dev@acme.com' });
+
+      useProfile('acme');
+
+      expect(getActiveProfile()).toBe('acme');
+      expect(getConfig()).toEqual({ dbuser: 'acme', tld: '.test', adminEmail: 'dev@acme.com' });
+      expect(getConfigSources().dbuser).toEqual({ source: 'profile', path: PROFILES_FILE, name: 'acme' });
+    });
+
+    it('should prefer --profile over WPMAX_PROFILE over the active profile', () => {
+      createProfile('a', { tld: '.a' });
+      createProfile('b', { tld: '.b' });
+      createProfile('c', { tld: '.c' });
+      useProfile('a');
+      expect(getConfigValue('tld')).toBe('.a');
+
+      vi.stubEnv('WPMAX_PROFILE', 'b');
+      expect(getConfigValue('tld')).toBe('.b');
+
+      selectProfile('c');
+      expect(getConfigValue('tld')).toBe('.c');
+    });
+
+    it('should let environment variables override the profile', () => {
+      createProfile('acme', { tld: '.acme' });
+      selectProfile('acme');
+      vi.stubEnv('WPMAX_TLD', '.ci');
+
+      expect(getConfigValue('tld')).toBe('.ci');
+    });
+
+    it('should stop using a deleted profile', () => {
+      createProfile('acme');
+      useProfile('acme');
+
+      deleteProfile('acme');
+
+      expect(getActiveProfile()).toBeNull();
+    });
+
+    it('should warn about a missing WPMAX_PROFILE only once', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.stubEnv('WPMAX_PROFILE', 'gone');
+
+      expect(getConfig()).toEqual({});
+      getConfigValue('tld');
+
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+      expect(consoleSpy).toHaveBeenCalledWith('Profile "gone" does not exist and is ignored.');
+      vi.unstubAllEnvs();
+    });
+
+    it('should write values to a profile instead of the global config', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ publicPlugins: [] });
+      createProfile('acme');
+
+      setConfig('dbuser', 'acme', 'acme');
+      addToConfig('publicPlugins', 'woocommerce,akismet', 'acme');
+      removeFromConfig('publicPlugins', 'akismet', 'acme');
+
+      expect(getProfile('acme')).toEqual({ dbuser: 'acme', publicPlugins: ['woocommerce'] });
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ publicPlugins: [] });
+      expect(() => setConfig('dbuser', 'x', 'missing')).toThrow('Profile "missing" does not exist.');
+    });
+  });
+
+  describe('schema', () => {
+    it('should describe every key with a type, default and description', () => {
+      for (const entry of Object.values(CONFIG_SCHEMA)) {
+        expect(['string', 'number', 'boolean', 'path', 'array']).toContain(entry.type);
+        expect(entry).toHaveProperty('default');
+        expect(entry.description).toBeTruthy();
+      }
+      expect(getConfigDefault('dbuser')).toBe('root');
+      expect(getConfigDefault('dbhost')).toBeNull();
+      expect(getConfigDefault('lastUpdateCheck')).toBeNull();
+    });
+
+    it('should convert between stored keys and command line names', () => {
+      expect(toConfigKey('admin-email')).toBe('adminEmail');
+      expect(toConfigName('trashRetentionDays')).toBe('trash-retention-days');
+      expect(toConfigName('dbuser')).toBe('dbuser');
+    });
+
+    it('should type values', () => {
+      expect(parseConfigValue('trashRetentionDays', '14')).toBe(14);
+      expect(parseConfigValue('offline', 'yes')).toBe(true);
+      expect(parseConfigValue('offline', 'FALSE')).toBe(false);
+      expect(parseConfigValue('publicThemes', 'astra, kadence')).toEqual(['astra', 'kadence']);
+      expect(parseConfigValue('lastUpdateCheck', 123)).toBe(123);
+    });
+
+    it('should normalize values with the validators', () => {
+      expect(parseConfigValue('dbprefix', 'shop')).toBe('shop_');
+      expect(parseConfigValue('tld', 'Local')).toBe('.local');
+    });
+
+    it('should reject invalid values', () => {
+      expect(() => parseConfigValue('trashRetentionDays', 'ten')).toThrow('Invalid value for trash-retention-days: ten (expected a whole number)');
+      expect(() => parseConfigValue('offline', 'maybe')).toThrow('Invalid value for offline: maybe (expected true or false)');
+      expect(() => parseConfigValue('adminEmail', 'admin')).toThrow('Invalid email: admin');
+      expect(() => parseConfigValue('dbprefix', 'wp-')).toThrow('Invalid database prefix format: wp-');
+      expect(() => parseConfigValue('publicPlugins', 'woocommerce,Bad Slug')).toThrow('Invalid slug: Bad Slug');
+      expect(() => parseConfigValue('locale', 'german')).toThrow('Invalid locale: german');
+      expect(() => parseConfigValue('tld', '.my_tld')).toThrow('Invalid TLD: .my_tld');
+      expect(() => parseConfigValue('dbuser', '  ')).toThrow("dbuser can't be empty");
+    });
+
+    it('should store typed values and not write invalid ones', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ offline: false });
+
+      setConfig('trashRetentionDays', '7');
+      setConfig('offline', 'true');
+      expect(() => setConfig('adminEmail', 'nope')).toThrow('Invalid email: nope');
+      expect(() => addToConfig('publicPlugins', 'Not A Slug')).toThrow('Invalid slug: Not A Slug');
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ offline: true, trashRetentionDays: 7 });
+    });
+
+    it('should ignore invalid environment values', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.stubEnv('WPMAX_TRASH_RETENTION_DAYS', 'soon');
+      vi.stubEnv('WPMAX_OFFLINE', '1');
+
+      expect(getConfig()).toEqual({ offline: true });
+      expect(consoleSpy).toHaveBeenCalledWith('Ignoring WPMAX_TRASH_RETENTION_DAYS: Invalid value for trash-retention-days: soon (expected a whole number)');
+      vi.unstubAllEnvs();
+    });
+
+    it('should warn about an invalid environment value only once', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.stubEnv('WPMAX_TRASH_RETENTION_DAYS', 'later');
+
+      getConfig();
+      getConfig();
+      getConfigValue('tld');
+
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+      expect(consoleSpy).toHaveBeenCalledWith('Ignoring WPMAX_TRASH_RETENTION_DAYS: Invalid value for trash-retention-days: later (expected a whole number)');
+      vi.unstubAllEnvs();
+    });
+  });
+
+  describe('unsetConfig', () => {
+    it('should remove a key', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'john', tld: '.local' });
+
+      expect(unsetConfig('tld')).toBe(true);
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ dbuser: 'john' });
+    });
+
+    it('should return false for a key that is not set', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'john' });
+
+      expect(unsetConfig('tld')).toBe(false);
+    });
+
+    it('should remove a key from a profile', () => {
+      createProfile('acme', { tld: '.acme', dbuser: 'acme' });
+
+      unsetConfig('tld', 'acme');
+
+      expect(getProfile('acme')).toEqual({ dbuser: 'acme' });
+    });
+  });
+
+  describe('resetConfig', () => {
+    it('should remove every config key but keep internal values', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({ dbuser: 'john', publicPlugins: ['akismet'], lastUpdateCheck: 123 });
+
+      expect(resetConfig()).toEqual(['dbuser', 'publicPlugins']);
+
+      expect(JSON.parse(fsMocks._storage[CONFIG_FILE])).toEqual({ lastUpdateCheck: 123 });
+    });
+
+    it('should empty a profile', () => {
+      createProfile('acme', { tld: '.acme' });
+
+      expect(resetConfig('acme')).toEqual(['tld']);
+      expect(getProfile('acme')).toEqual({});
+    });
+  });
+});
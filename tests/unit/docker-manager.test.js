@@ -0,0 +1,317 @@
+// tests/unit/docker-manager.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import net from 'net';
+import {
+  isDockerInstalled,
+  isPortFree,
+  findFreePort,
+  generateComposeFile,
+  writeComposeFile,
+  dockerComposeUp,
+  dockerComposeDown,
+  renameComposeProject,
+  getComposeStatus
+} from '../../src/docker-manager.js';
+import { mockFilesystem } from '../helpers/mock-filesystem.js';
+import { createExecaResponse } from '../helpers/mock-execa.js';
+
+// Mock execa module
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+const composeOptions = {
+  slug: 'my-site',
+  dbName: 'my_site',
+  dbUser: 'root',
+  dbPass: '',
+  webPort: 8080,
+  dbPort: 33060
+};
+
+describe('Docker Manager', () => {
+  let execaMock;
+
+  beforeEach(async () => {
+    const { execa } = await import('execa');
+    execaMock = execa;
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('isDockerInstalled', () => {
+    it('should return true when docker compose is available', async () => {
+      execaMock.mockResolvedValue(createExecaResponse('Docker Compose version v2.24.6'));
+
+      const result = await isDockerInstalled();
+
+      expect(result).toBe(true);
+      expect(execaMock).toHaveBeenCalledWith('docker', ['compose', 'version']);
+    });
+
+    it('should return false when docker is not installed', async () => {
+      execaMock.mockRejectedValue(new Error('Command not found: docker'));
+
+      const result = await isDockerInstalled();
+
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('isPortFree', () => {
+    it('should return true for a free port', async () => {
+      const result = await isPortFree(0);
+
+      expect(result).toBe(true);
+    });
+
+    it('should return false for a port in use', async () => {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      try {
+        const result = await isPortFree(port);
+        expect(result).toBe(false);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  describe('findFreePort', () => {
+    it('should return the start port when it is free', async () => {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+      await new Promise(resolve => server.close(resolve));
+
+      const result = await findFreePort(port);
+
+      expect(result).toBe(port);
+    });
+
+    it('should skip ports in use', async () => {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      try {
+        const result = await findFreePort(port);
+        expect(result).toBeGreaterThan(port);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it('should skip excluded ports', async () => {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+      await new Promise(resolve => server.close(resolve));
+
+      const result = await findFreePort(port, [port]);
+
+      expect(result).not.toBe(port);
+    });
+
+    it('should throw when no port is free', async () => {
+      await expect(findFreePort(8080, [8080, 8081], 2)).rejects.toThrow(
+        'Could not find a free port between 8080 and 8081'
+      );
+    });
+  });
+
+  describe('generateComposeFile', () => {
+    it('should use the slug as project name', () => {
+      const content = generateComposeFile(composeOptions);
+
+      expect(content).toMatch(/^name: my-site\n/);
+    });
+
+    it('should map database and web ports to localhost', () => {
+      const content = generateComposeFile(composeOptions);
+
+      expect(content).toContain('- "127.0.0.1:33060:3306"');
+      expect(content).toContain('- "127.0.0.1:8080:80"');
+    });
+
+    it('should create the site database', () => {
+      const content = generateComposeFile(composeOptions);
+
+      expect(content).toContain('MARIADB_DATABASE: "my_site"');
+    });
+
+    it('should allow empty root password when no password is given', () => {
+      const content = generateComposeFile(composeOptions);
+
+      expect(content).toContain('MARIADB_ALLOW_EMPTY_ROOT_PASSWORD: "1"');
+      expect(content).not.toContain('MARIADB_ROOT_PASSWORD');
+    });
+
+    it('should set root password when provided', () => {
+      const content = generateComposeFile({ ...composeOptions, dbPass: 'secret' });
+
+      expect(content).toContain('MARIADB_ROOT_PASSWORD: "secret"');
+    });
+
+    it('should create a dedicated user for non-root users', () => {
+      const content = generateComposeFile({ ...composeOptions, dbUser: 'wp', dbPass: 'secret' });
+
+      expect(content).toContain('MARIADB_USER: "wp"');
+      expect(content).toContain('MARIADB_PASSWORD: "secret"');
+      expect(content).toContain('MARIADB_RANDOM_ROOT_PASSWORD: "1"');
+    });
+
+    it('should escape quotes, backslashes and $ in credentials', () => {
+      const content = generateComposeFile({ ...composeOptions, dbUser: 'wp', dbPass: 'p"a\\ss$word' });
+
+      expect(content).toContain('MARIADB_PASSWORD: "p\\"a\\\\ss$$word"');
+    });
+
+    it('should pass the container database host to the web container', () => {
+      const content = generateComposeFile(composeOptions);
+
+      expect(content).toContain('WPMAX_DB_HOST: "db:3306"');
+    });
+
+    it('should mount the site directory into the web container', () => {
+      const content = generateComposeFile(composeOptions);
+
+      expect(content).toContain('- ./:/var/www/html');
+    });
+  });
+
+  describe('writeComposeFile', () => {
+    it('should write docker-compose.yml in the site directory', () => {
+      const fsMocks = mockFilesystem({});
+
+      const result = writeComposeFile('/Users/test/Sites/my-site', 'services: {}');
+
+      expect(result).toBe('/Users/test/Sites/my-site/docker-compose.yml');
+      expect(fsMocks._storage['/Users/test/Sites/my-site/docker-compose.yml']).toBe('services: {}');
+    });
+  });
+
+  describe('dockerComposeUp', () => {
+    it('should start containers detached and wait for them', async () => {
+      execaMock.mockResolvedValue(createExecaResponse(''));
+
+      await dockerComposeUp('/Users/test/Sites/my-site');
+
+      expect(execaMock).toHaveBeenCalledWith('docker', ['compose', 'up', '-d', '--wait'], {
+        cwd: '/Users/test/Sites/my-site'
+      });
+    });
+
+    it('should propagate errors', async () => {
+      execaMock.mockRejectedValue(new Error('Cannot connect to the Docker daemon'));
+
+      await expect(dockerComposeUp('/Users/test/Sites/my-site')).rejects.toThrow(
+        'Cannot connect to the Docker daemon'
+      );
+    });
+  });
+
+  describe('dockerComposeDown', () => {
+    it('should stop containers and keep volumes by default', async () => {
+      execaMock.mockResolvedValue(createExecaResponse(''));
+
+      await dockerComposeDown('/Users/test/Sites/my-site');
+
+      expect(execaMock).toHaveBeenCalledWith('docker', ['compose', 'down'], {
+        cwd: '/Users/test/Sites/my-site'
+      });
+    });
+
+    it('should remove volumes when requested', async () => {
+      execaMock.mockResolvedValue(createExecaResponse(''));
+
+      await dockerComposeDown('/Users/test/Sites/my-site', true);
+
+      expect(execaMock).toHaveBeenCalledWith('docker', ['compose', 'down', '--volumes'], {
+        cwd: '/Users/test/Sites/my-site'
+      });
+    });
+  });
+
+  describe('renameComposeProject', () => {
+    const sitePath = '/Users/test/Sites/new-site';
+    const composePath = `${sitePath}/docker-compose.yml`;
+    let fsMocks;
+
+    beforeEach(() => {
+      fsMocks = mockFilesystem({
+        [composePath]: generateComposeFile({ slug: 'old-site', dbName: 'old_site', dbUser: 'root', dbPass: '', webPort: 8080, dbPort: 33060 })
+      });
+      execaMock.mockResolvedValue(createExecaResponse(''));
+    });
+
+    it('should copy the database volume and rename the project', async () => {
+      await renameComposeProject(sitePath, 'old-site', 'new-site');
+
+      expect(execaMock.mock.calls.map(call => call[1])).toEqual([
+        ['volume', 'inspect', 'old-site_db_data'],
+        ['volume', 'create', 'new-site_db_data'],
+        ['run', '--rm', '-v', 'old-site_db_data:/from', '-v', 'new-site_db_data:/to', 'mariadb:11', 'cp', '-a', '/from/.', '/to/'],
+        ['volume', 'rm', 'old-site_db_data']
+      ]);
+      expect(fsMocks._storage[composePath]).toMatch(/^name: new-site\n/);
+    });
+
+    it('should keep the old volume and name when the copy fails', async () => {
+      execaMock.mockImplementation(async (cmd, args) => {
+        if (args[0] === 'run') {
+          throw new Error('no space left on device');
+        }
+        return createExecaResponse('');
+      });
+
+      await expect(renameComposeProject(sitePath, 'old-site', 'new-site')).rejects.toThrow('no space left on device');
+      expect(execaMock).not.toHaveBeenCalledWith('docker', ['volume', 'rm', 'old-site_db_data'], expect.anything());
+      expect(fsMocks._storage[composePath]).toMatch(/^name: old-site\n/);
+    });
+
+    it('should only rename the project when there is no volume yet', async () => {
+      execaMock.mockRejectedValueOnce(new Error('no such volume'));
+
+      await renameComposeProject(sitePath, 'old-site', 'new-site');
+
+      expect(execaMock).toHaveBeenCalledTimes(1);
+      expect(fsMocks._storage[composePath]).toMatch(/^name: new-site\n/);
+    });
+  });
+
+  describe('getComposeStatus', () => {
+    it('should parse one JSON object per line', async () => {
+      execaMock.mockResolvedValue(createExecaResponse(
+        '{"Service":"db","State":"running"}\n{"Service":"web","State":"exited"}'
+      ));
+
+      const result = await getComposeStatus('/Users/test/Sites/my-site');
+
+      expect(result).toEqual({ db: 'running', web: 'exited' });
+    });
+
+    it('should parse a JSON array', async () => {
+      execaMock.mockResolvedValue(createExecaResponse(
+        '[{"Service":"db","State":"running"},{"Service":"web","State":"running"}]'
+      ));
+
+      const result = await getComposeStatus('/Users/test/Sites/my-site');
+
+      expect(result).toEqual({ db: 'running', web: 'running' });
+    });
+
+    it('should return empty object on failure', async () => {
+      execaMock.mockRejectedValue(new Error('no configuration file provided'));
+
+      const result = await getComposeStatus('/Users/test/Sites/my-site');
+
+      expect(result).toEqual({});
+    });
+  });
+});
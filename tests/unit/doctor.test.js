@@ -23,6 +23,15 @@ vi.mock('../../src/herd-manager.js', () => ({
   isHerdInstalled: vi.fn()
 }));
 
+vi.mock('../../src/docker-manager.js', () => ({
+  isDockerInstalled: vi.fn(),
+  getComposeStatus: vi.fn()
+}));
+
+vi.mock('../../src/site-registry.js', () => ({
+  listAllSites: vi.fn(() => [])
+}));
+
 vi.mock('../../src/config.js', () => ({
   getConfig: vi.fn(() => ({
     defaultPluginsPath: '/Users/test/plugins',
@@ -35,6 +44,9 @@ describe('Doctor', () => {
   let detectMySQLMock;
   let isHerdInstalledMock;
   let getConfigMock;
+  let isDockerInstalledMock;
+  let getComposeStatusMock;
+  let listAllSitesMock;
   let fsMocks;
   let doctor;
 
@@ -43,11 +55,16 @@ describe('Doctor', () => {
     const { detectMySQLConnection } = await import('../../src/mysql-detector.js');
     const { isHerdInstalled } = await import('../../src/herd-manager.js');
     const { getConfig } = await import('../../src/config.js');
+    const { isDockerInstalled, getComposeStatus } = await import('../../src/docker-manager.js');
+    const { listAllSites } = await import('../../src/site-registry.js');
 
     execaMock = execa;
     detectMySQLMock = detectMySQLConnection;
     isHerdInstalledMock = isHerdInstalled;
     getConfigMock = getConfig;
+    isDockerInstalledMock = isDockerInstalled;
+    getComposeStatusMock = getComposeStatus;
+    listAllSitesMock = listAllSites;
 
     vi.clearAllMocks();
 
@@ -269,6 +286,80 @@ describe('Doctor', () => {
     });
   });
 
+  describe('checkDocker', () => {
+    beforeEach(() => {
+      listAllSitesMock.mockReturnValue([]);
+    });
+
+    it('should return installed true with compose version', async () => {
+      isDockerInstalledMock.mockResolvedValue(true);
+      execaMock.mockResolvedValue(createExecaResponse('2.24.6'));
+
+      const result = await doctor.checkDocker();
+
+      expect(result.ok).toBe(true);
+      expect(result.installed).toBe(true);
+      expect(result.version).toBe('2.24.6');
+      expect(execaMock).toHaveBeenCalledWith('docker', ['compose', 'version', '--short']);
+    });
+
+    it('should be optional when no Docker sites are registered', async () => {
+      isDockerInstalledMock.mockResolvedValue(false);
+
+      const result = await doctor.checkDocker();
+
+      expect(result.ok).toBe(true);
+      expect(result.installed).toBe(false);
+      expect(doctor.issues).toHaveLength(0);
+    });
+
+    it('should report an issue when Docker sites exist but Docker is missing', async () => {
+      isDockerInstalledMock.mockResolvedValue(false);
+      listAllSitesMock.mockReturnValue([
+        { name: 'shop', path: '/Users/test/Sites/shop', mode: 'docker' },
+        { name: 'blog', path: '/Users/test/Sites/blog' }
+      ]);
+
+      const result = await doctor.checkDocker();
+
+      expect(result.ok).toBe(false);
+      expect(doctor.issues).toHaveLength(1);
+      expect(doctor.issues[0].description).toBe('Docker not found, but 1 site uses Docker');
+    });
+
+    it('should report Docker sites with stopped containers', async () => {
+      isDockerInstalledMock.mockResolvedValue(true);
+      execaMock.mockResolvedValue(createExecaResponse('2.24.6'));
+      fsMocks = mockFilesystem({
+        '/Users/test/Sites/shop': '__DIR__',
+        '/Users/test/Sites/news': '__DIR__'
+      });
+      listAllSitesMock.mockReturnValue([
+        { name: 'shop', path: '/Users/test/Sites/shop', mode: 'docker' },
+        { name: 'news', path: '/Users/test/Sites/news', mode: 'docker' }
+      ]);
+      getComposeStatusMock.mockImplementation(async (cwd) => (
+        cwd.endsWith('shop') ? { db: 'running', web: 'running' } : { db: 'exited', web: 'exited' }
+      ));
+
+      const result = await doctor.checkDocker();
+
+      expect(result.ok).toBe(true);
+      expect(result.dockerSites).toBe(2);
+      expect(result.stoppedSites).toEqual(['news']);
+      expect(doctor.issues[0].description).toBe('Docker containers not running: news');
+    });
+
+    it('should handle errors gracefully', async () => {
+      isDockerInstalledMock.mockRejectedValue(new Error('Unexpected error'));
+
+      const result = await doctor.checkDocker();
+
+      expect(result.ok).toBe(true);
+      expect(result.installed).toBe(false);
+    });
+  });
+
   describe('checkPermissions', () => {
     it('should return ok when all directories are writable', async () => {
       const fs = await import('fs');
@@ -396,6 +487,7 @@ describe('Doctor', () => {
       expect(results.php).toBeDefined();
       expect(results.mysql).toBeDefined();
       expect(results.herd).toBeDefined();
+      expect(results.docker).toBeDefined();
       expect(results.permissions).toBeDefined();
       expect(results.config).toBeDefined();
       expect(results.environment).toBeDefined();
@@ -417,4 +509,34 @@ describe('Doctor', () => {
       expect(results.mysql.ok).toBe(false);
     });
   });
+
+  describe('getFailedChecks', () => {
+    it('should return the names of checks that are not ok', () => {
+      const results = {
+        wpCli: { ok: true, version: '2.9.0' },
+        php: { ok: false, error: 'Not installed' },
+        herd: { ok: true, installed: false },
+        permissions: { ok: false, failedDirs: ['/Users/test/Sites'] },
+        environment: { os: 'darwin' },
+        issues: []
+      };
+
+      expect(doctor.getFailedChecks(results)).toEqual(['php', 'permissions']);
+    });
+
+    it('should not count checks that only warn', () => {
+      const results = {
+        wpCli: { ok: false, error: 'Not found' },
+        config: { ok: false, error: 'Unexpected token' },
+        mysql: { ok: true, connection: 'socket' },
+        issues: [{ description: 'WP-CLI not found', fix: 'Will be auto-downloaded on first site creation' }]
+      };
+
+      expect(doctor.getFailedChecks(results)).toEqual([]);
+    });
+
+    it('should return an empty array when everything passed', () => {
+      expect(doctor.getFailedChecks({ wpCli: { ok: true }, issues: [] })).toEqual([]);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,396 @@
+// tests/unit/download-cache.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  getCacheDir,
+  getLatestWordPressVersion,
+  getPluginInfo,
+  listCachedCore,
+  listCachedPlugins,
+  cacheCore,
+  cachePlugin,
+  findMissingDownloads,
+  clearCache
+} from '../../src/download-cache.js';
+import { configureRunner } from '../../src/command-runner.js';
+import { mockFilesystem } from '../helpers/mock-filesystem.js';
+import { createExecaResponse } from '../helpers/mock-execa.js';
+
+// Mock modules
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+vi.mock('../../src/wp-cli-manager.js', () => ({
+  getWpCliCommand: vi.fn(() => ['php', '/path/to/wp-cli.phar']),
+  isWpCliDownloaded: vi.fn(() => true)
+}));
+
+const CACHE_DIR = path.join(os.homedir(), '.config', 'wpmax', 'cache');
+const CORE_DIR = path.join(CACHE_DIR, 'core');
+const PLUGINS_DIR = path.join(CACHE_DIR, 'plugins');
+
+/**
+ * Build a fetch response
+ */
+function createFetchResponse(body, ok = true) {
+  return {
+    ok,
+    status: ok ? 200 : 404,
+    json: async () => body,
+    arrayBuffer: async () => new TextEncoder().encode(String(body)).buffer
+  };
+}
+
+describe('Download Cache', () => {
+  let execaMock;
+  let fetchMock;
+  let fsMocks;
+
+  beforeEach(async () => {
+    const { execa } = await import('execa');
+    execaMock = execa;
+    vi.clearAllMocks();
+
+    execaMock.mockResolvedValue(createExecaResponse(''));
+    fetchMock = vi.spyOn(global, 'fetch').mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.wordpress.org'));
+
+    fsMocks = mockFilesystem({});
+    // Directories exist when something is stored below them
+    fsMocks.existsSync.mockImplementation((target) => (
+      Object.keys(fsMocks._storage).some(key => key === target || key.startsWith(`${target}/`))
+    ));
+    // Moves every stored path below the source
+    vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      for (const key of Object.keys(fsMocks._storage)) {
+        if (key === from || key.startsWith(`${from}/`)) {
+          fsMocks._storage[to + key.slice(from.length)] = fsMocks._storage[key];
+          delete fsMocks._storage[key];
+        }
+      }
+    });
+    fsMocks.rmSync.mockImplementation((target) => {
+      for (const key of Object.keys(fsMocks._storage)) {
+        if (key === target || key.startsWith(`${target}/`)) {
+          delete fsMocks._storage[key];
+        }
+      }
+    });
+    vi.spyOn(fs, 'statSync').mockImplementation((target) => ({
+      size: String(fsMocks._storage[target]).length,
+      mtime: new Date('2026-01-15T12:00:00.000Z'),
+      isDirectory: () => fsMocks._storage[target] === '__DIR__'
+    }));
+  });
+
+  afterEach(() => {
+    configureRunner();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Add a cached core download
+   */
+  function addCachedCore(version, locale = 'en_US', withContent = false, cachedAt = '2026-01-15T12:00:00.000Z') {
+    const entryDir = path.join(CORE_DIR, `${version}-${locale}${withContent ? '' : '-no-content'}`);
+    fsMocks._storage[path.join(entryDir, 'wordpress', 'index.php')] = '<?php';
+    fsMocks._storage[path.join(entryDir, 'cache.json')] = JSON.stringify({ version, locale, withContent, cached_at: cachedAt });
+    return entryDir;
+  }
+
+  /**
+   * Simulate wp core download writing version.php into --path
+   */
+  function downloadsVersion(version) {
+    execaMock.mockImplementation(async (cmd, args) => {
+      const pathArg = args.find(arg => arg.startsWith('--path='));
+      if (pathArg) {
+        fsMocks._storage[path.join(pathArg.slice('--path='.length), 'wp-includes', 'version.php')] = `<?php\n$wp_version = '${version}';\n`;
+      }
+      return createExecaResponse('');
+    });
+  }
+
+  describe('getCacheDir', () => {
+    it('should return the cache directory under the config directory', () => {
+      expect(getCacheDir()).toBe(CACHE_DIR);
+    });
+  });
+
+  describe('getLatestWordPressVersion', () => {
+    it('should read the current version from WordPress.org', async () => {
+      fetchMock.mockResolvedValue(createFetchResponse({ offers: [{ current: '6.4.2' }] }));
+
+      expect(await getLatestWordPressVersion('de_DE')).toBe('6.4.2');
+      expect(fetchMock.mock.calls[0][0]).toContain('locale=de_DE');
+    });
+
+    it('should return null when WordPress.org cannot be reached', async () => {
+      expect(await getLatestWordPressVersion()).toBeNull();
+    });
+  });
+
+  describe('getPluginInfo', () => {
+    it('should return the version and download link', async () => {
+      fetchMock.mockResolvedValue(createFetchResponse({
+        version: '8.5.1',
+        download_link: 'https://downloads.wordpress.org/plugin/woocommerce.8.5.1.zip'
+      }));
+
+      expect(await getPluginInfo('woocommerce')).toEqual({
+        version: '8.5.1',
+        downloadLink: 'https://downloads.wordpress.org/plugin/woocommerce.8.5.1.zip'
+      });
+    });
+
+    it('should return null for unknown plugins', async () => {
+      fetchMock.mockResolvedValue(createFetchResponse({ error: 'Plugin not found.' }, false));
+
+      expect(await getPluginInfo('my-private-plugin')).toBeNull();
+    });
+  });
+
+  describe('cacheCore', () => {
+    it('should use a cached version without going online', async () => {
+      const entryDir = addCachedCore('6.4.2');
+
+      const cached = await cacheCore({ version: '6.4.2' });
+
+      expect(cached).toEqual({ path: path.join(entryDir, 'wordpress'), version: '6.4.2', hit: true });
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+
+    it('should keep locales and content variants apart', async () => {
+      addCachedCore('6.4.2', 'en_US', true);
+      downloadsVersion('6.4.2');
+
+      const cached = await cacheCore({ version: '6.4.2', locale: 'de_DE' });
+
+      expect(cached.hit).toBe(false);
+      expect(cached.path).toBe(path.join(CORE_DIR, '6.4.2-de_DE-no-content', 'wordpress'));
+    });
+
+    it('should resolve latest on WordPress.org', async () => {
+      const entryDir = addCachedCore('6.4.2');
+      fetchMock.mockResolvedValue(createFetchResponse({ offers: [{ current: '6.4.2' }] }));
+
+      const cached = await cacheCore();
+
+      expect(cached).toEqual({ path: path.join(entryDir, 'wordpress'), version: '6.4.2', hit: true });
+    });
+
+    it('should use the newest cached version for latest when offline', async () => {
+      addCachedCore('6.3.0', 'en_US', false, '2025-10-01T00:00:00.000Z');
+      const newest = addCachedCore('6.4.2', 'en_US', false, '2026-01-15T00:00:00.000Z');
+
+      const cached = await cacheCore({ version: 'latest' });
+
+      expect(cached).toEqual({ path: path.join(newest, 'wordpress'), version: '6.4.2', hit: true });
+    });
+
+    it('should download into the cache with WP-CLI', async () => {
+      downloadsVersion('6.4.2');
+
+      const cached = await cacheCore({ version: '6.4.2', locale: 'de_DE' });
+
+      expect(execaMock).toHaveBeenCalledWith('php', [
+        '/path/to/wp-cli.phar', 'core', 'download', expect.stringMatching(/^--path=.*\/\.download-\d+-\d+\/wordpress$/),
+        '--skip-content', '--quiet', '--version=6.4.2', '--locale=de_DE'
+      ]);
+
+      const entryDir = path.join(CORE_DIR, '6.4.2-de_DE-no-content');
+      expect(cached).toEqual({ path: path.join(entryDir, 'wordpress'), version: '6.4.2', hit: false });
+      expect(listCachedCore()).toMatchObject([{ version: '6.4.2', locale: 'de_DE', withContent: false, path: entryDir }]);
+    });
+
+    it('should name a latest download after the version it contains', async () => {
+      downloadsVersion('6.5.0');
+
+      const cached = await cacheCore({ version: 'latest', withContent: true });
+
+      expect(execaMock).toHaveBeenCalledWith('php', expect.not.arrayContaining([expect.stringMatching(/^--version/)]));
+      expect(cached.path).toBe(path.join(CORE_DIR, '6.5.0-en_US', 'wordpress'));
+    });
+
+    it('should replace an existing entry only once the new one is complete, under the cache lock', async () => {
+      // Left behind without metadata, e.g. by an older wpmax
+      const entryDir = path.join(CORE_DIR, '6.4.2-en_US-no-content');
+      fsMocks._storage[path.join(entryDir, 'wordpress', 'stale.php')] = '<?php';
+      downloadsVersion('6.4.2');
+
+      await cacheCore({ version: '6.4.2' });
+
+      expect(fsMocks._storage[path.join(entryDir, 'wordpress', 'wp-includes', 'version.php')]).toBeDefined();
+      expect(fsMocks._storage[path.join(entryDir, 'wordpress', 'stale.php')]).toBeUndefined();
+      expect(fsMocks.rmSync).not.toHaveBeenCalledWith(entryDir, expect.anything());
+      expect(fsMocks.writeFileSync).toHaveBeenCalledWith(`${CACHE_DIR}.lock`, String(process.pid), { flag: 'wx' });
+      expect(fsMocks._storage[`${CACHE_DIR}.lock`]).toBeUndefined();
+      expect(Object.keys(fsMocks._storage).some(key => key.includes('.download-'))).toBe(false);
+    });
+
+    it('should share one download between parallel requests', async () => {
+      downloadsVersion('6.4.2');
+
+      const [first, second] = await Promise.all([cacheCore({ version: '6.4.2' }), cacheCore({ version: '6.4.2' })]);
+
+      expect(execaMock).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+    });
+
+    it('should clean up a failed download', async () => {
+      execaMock.mockRejectedValue(new Error('Download failed'));
+
+      await expect(cacheCore({ version: '6.4.2' })).rejects.toThrow('Download failed');
+      expect(Object.keys(fsMocks._storage).some(key => key.includes('.download-'))).toBe(false);
+    });
+
+    it('should only use the cache in offline mode', async () => {
+      const entryDir = addCachedCore('6.4.2');
+
+      expect(await cacheCore({ version: 'latest', offline: true })).toEqual({
+        path: path.join(entryDir, 'wordpress'),
+        version: '6.4.2',
+        hit: true
+      });
+      await expect(cacheCore({ version: '6.5.0', offline: true }))
+        .rejects.toThrow('WordPress 6.5.0 (en_US, no content) is not in the cache (offline mode).');
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+
+    it('should not cache nightly builds or dry runs', async () => {
+      expect(await cacheCore({ version: 'nightly' })).toBeNull();
+
+      configureRunner({ dryRun: true });
+      expect(await cacheCore({ version: '6.4.2' })).toBeNull();
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cachePlugin', () => {
+    const zipPath = path.join(PLUGINS_DIR, 'woocommerce', '8.5.1.zip');
+
+    it('should use the cached ZIP of the current version', async () => {
+      fsMocks._storage[zipPath] = 'zip';
+      fetchMock.mockResolvedValue(createFetchResponse({ version: '8.5.1', download_link: 'https://example.org/woocommerce.zip' }));
+
+      expect(await cachePlugin('woocommerce')).toEqual({ path: zipPath, version: '8.5.1', hit: true });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should download the current version', async () => {
+      fetchMock
+        .mockResolvedValueOnce(createFetchResponse({ version: '8.5.1', download_link: 'https://example.org/woocommerce.zip' }))
+        .mockResolvedValueOnce(createFetchResponse('zip'));
+
+      const cached = await cachePlugin('woocommerce');
+
+      expect(fetchMock).toHaveBeenLastCalledWith('https://example.org/woocommerce.zip', expect.any(Object));
+      expect(cached).toEqual({ path: zipPath, version: '8.5.1', hit: false });
+      expect(fsMocks._storage[zipPath]).toBeDefined();
+    });
+
+    it('should use the newest cached ZIP when offline', async () => {
+      fsMocks._storage[zipPath] = 'zip';
+
+      expect(await cachePlugin('woocommerce')).toEqual({ path: zipPath, version: '8.5.1', hit: true });
+    });
+
+    it('should not look up the current version in offline mode', async () => {
+      fsMocks._storage[zipPath] = 'zip';
+
+      expect(await cachePlugin('woocommerce', { offline: true })).toEqual({ path: zipPath, version: '8.5.1', hit: true });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should return null when the plugin is neither cached nor downloadable', async () => {
+      expect(await cachePlugin('my-private-plugin')).toBeNull();
+    });
+  });
+
+  describe('findMissingDownloads', () => {
+    const config = {
+      wpVersion: 'latest',
+      locale: 'en_US',
+      withContent: false,
+      selectedPublicPlugins: ['woocommerce', 'query-monitor'],
+      selectedLocalPlugins: ['/Users/test/plugins/premium.zip'],
+      selectedPublicThemes: [],
+      selectedLocalThemes: []
+    };
+
+    it('should return nothing when everything is available', () => {
+      addCachedCore('6.4.2');
+      fsMocks._storage[path.join(PLUGINS_DIR, 'woocommerce', '8.5.1.zip')] = 'zip';
+      fsMocks._storage[path.join(PLUGINS_DIR, 'query-monitor', '3.15.0.zip')] = 'zip';
+      fsMocks._storage['/Users/test/plugins/premium.zip'] = 'zip';
+
+      expect(findMissingDownloads(config)).toEqual([]);
+    });
+
+    it('should list everything that would need a download', async () => {
+      const { isWpCliDownloaded } = await import('../../src/wp-cli-manager.js');
+      isWpCliDownloaded.mockReturnValueOnce(false);
+      addCachedCore('6.4.2', 'de_DE');
+      fsMocks._storage[path.join(PLUGINS_DIR, 'woocommerce', '8.5.1.zip')] = 'zip';
+
+      expect(findMissingDownloads({ ...config, selectedPublicThemes: ['astra'] })).toEqual([
+        'WP-CLI (downloaded on the first online run)',
+        'WordPress latest (en_US, no content)',
+        'Plugin query-monitor',
+        'Theme astra (WordPress.org themes are not cached, use a local ZIP)',
+        'Local ZIP /Users/test/plugins/premium.zip'
+      ]);
+    });
+  });
+
+  describe('listCachedPlugins', () => {
+    it('should list every cached version', () => {
+      fsMocks._storage[path.join(PLUGINS_DIR, 'woocommerce', '8.5.1.zip')] = 'zip';
+      fsMocks._storage[path.join(PLUGINS_DIR, 'akismet', '5.3.zip')] = 'zip';
+
+      expect(listCachedPlugins().map(entry => `${entry.slug}@${entry.version}`).sort()).toEqual(['akismet@5.3', 'woocommerce@8.5.1']);
+    });
+  });
+
+  describe('clearCache', () => {
+    it('should only clear the given type', () => {
+      addCachedCore('6.4.2');
+      fsMocks._storage[path.join(PLUGINS_DIR, 'woocommerce', '8.5.1.zip')] = 'zip';
+
+      expect(clearCache('core')).toBe(1);
+      expect(listCachedCore()).toEqual([]);
+      expect(listCachedPlugins()).toHaveLength(1);
+    });
+
+    it('should clear everything by default', () => {
+      addCachedCore('6.4.2');
+      fsMocks._storage[path.join(PLUGINS_DIR, 'woocommerce', '8.5.1.zip')] = 'zip';
+
+      expect(clearCache()).toBe(2);
+      expect(listCachedCore()).toEqual([]);
+      expect(listCachedPlugins()).toEqual([]);
+    });
+
+    it('should keep downloads that are still in progress', () => {
+      addCachedCore('6.4.2');
+      const partialCore = path.join(CORE_DIR, '.download-4242-1', 'wp-load.php');
+      const partialZip = path.join(PLUGINS_DIR, 'woocommerce', '8.5.1.zip.4242.download');
+      fsMocks._storage[partialCore] = '<?php';
+      fsMocks._storage[partialZip] = 'zip';
+
+      expect(clearCache()).toBe(1);
+      expect(fsMocks.rmSync).not.toHaveBeenCalledWith(CORE_DIR, expect.anything());
+      expect(fsMocks.rmSync).not.toHaveBeenCalledWith(PLUGINS_DIR, expect.anything());
+      expect(fsMocks._storage[partialCore]).toBe('<?php');
+      expect(fsMocks._storage[partialZip]).toBe('zip');
+    });
+
+    it('should reject unknown types', () => {
+      expect(() => clearCache('themes')).toThrow('Unknown cache type "themes"');
+    });
+  });
+});
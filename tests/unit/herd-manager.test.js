@@ -1,6 +1,6 @@
 // tests/unit/herd-manager.test.js
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { isHerdInstalled, herdLink, herdSecure } from '../../src/herd-manager.js';
+import { isHerdInstalled, herdLink, herdSecure, herdUnsecure, herdUnlink } from '../../src/herd-manager.js';
 import { createExecaResponse } from '../helpers/mock-execa.js';
 
 // Mock execa module
@@ -67,6 +67,16 @@ describe('Herd Manager', () => {
       await expect(herdLink('/Users/test/Sites/my-site')).rejects.toThrow('Herd link failed');
     });
 
+    it('should link under a custom name', async () => {
+      execaMock.mockResolvedValue(createExecaResponse('Link created'));
+
+      await herdLink('/Users/test/Sites/my-site', 'new-name');
+
+      expect(execaMock).toHaveBeenCalledWith('herd', ['link', 'new-name'], {
+        cwd: '/Users/test/Sites/my-site'
+      });
+    });
+
     it('should work with different directory paths', async () => {
       execaMock.mockResolvedValue(createExecaResponse('Link created'));
 
@@ -107,6 +117,42 @@ describe('Herd Manager', () => {
     });
   });
 
+  describe('herdUnsecure', () => {
+    it('should run herd unsecure in specified directory', async () => {
+      execaMock.mockResolvedValue(createExecaResponse('Unsecured'));
+
+      await herdUnsecure('/Users/test/Sites/my-site');
+
+      expect(execaMock).toHaveBeenCalledWith('herd', ['unsecure'], {
+        cwd: '/Users/test/Sites/my-site'
+      });
+    });
+
+    it('should throw error if herd unsecure fails', async () => {
+      execaMock.mockRejectedValue(new Error('Herd unsecure failed'));
+
+      await expect(herdUnsecure('/Users/test/Sites/my-site')).rejects.toThrow('Herd unsecure failed');
+    });
+  });
+
+  describe('herdUnlink', () => {
+    it('should run herd unlink in specified directory', async () => {
+      execaMock.mockResolvedValue(createExecaResponse('Unlinked'));
+
+      await herdUnlink('/Users/test/Sites/my-site');
+
+      expect(execaMock).toHaveBeenCalledWith('herd', ['unlink'], {
+        cwd: '/Users/test/Sites/my-site'
+      });
+    });
+
+    it('should throw error if herd unlink fails', async () => {
+      execaMock.mockRejectedValue(new Error('Herd unlink failed'));
+
+      await expect(herdUnlink('/Users/test/Sites/my-site')).rejects.toThrow('Herd unlink failed');
+    });
+  });
+
   describe('integration scenarios', () => {
     it('should handle full herd workflow', async () => {
       // Check if Herd is installed
@@ -1,8 +1,10 @@
 // tests/unit/installer.test.js
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { WordPressInstaller } from '../../src/installer.js';
+import { configureRunner } from '../../src/command-runner.js';
 import { mockFilesystem } from '../helpers/mock-filesystem.js';
 import { createExecaResponse } from '../helpers/mock-execa.js';
+import fs from 'fs';
 
 // Mock modules
 vi.mock('execa', () => ({
@@ -19,11 +21,39 @@ vi.mock('../../src/mysql-detector.js', () => ({
 
 vi.mock('../../src/herd-manager.js', () => ({
   herdLink: vi.fn(),
-  herdSecure: vi.fn()
+  herdSecure: vi.fn(),
+  herdUnlink: vi.fn(),
+  herdUnsecure: vi.fn()
 }));
 
 vi.mock('../../src/site-registry.js', () => ({
-  addSite: vi.fn()
+  addSite: vi.fn(),
+  listAllSites: vi.fn(() => [])
+}));
+
+vi.mock('../../src/user-manager.js', () => ({
+  createUser: vi.fn()
+}));
+
+vi.mock('../../src/url-manager.js', () => ({
+  changeSiteUrl: vi.fn(async () => 'https://source-site.test')
+}));
+
+vi.mock('../../src/download-cache.js', () => ({
+  DEFAULT_LOCALE: 'en_US',
+  cacheCore: vi.fn(async () => null),
+  cachePlugin: vi.fn(async () => null)
+}));
+
+vi.mock('../../src/docker-manager.js', () => ({
+  COMPOSE_FILE: 'docker-compose.yml',
+  generateComposeFile: vi.fn(() => 'services: {}'),
+  writeComposeFile: vi.fn(),
+  dockerComposeUp: vi.fn(),
+  dockerComposeDown: vi.fn(),
+  findFreePort: vi.fn(async (start) => start),
+  DEFAULT_WEB_PORT: 8080,
+  DEFAULT_DB_PORT: 33060
 }));
 
 describe('WordPressInstaller', () => {
@@ -31,7 +61,13 @@ describe('WordPressInstaller', () => {
   let getMySQLConnectionMock;
   let herdLinkMock;
   let herdSecureMock;
+  let herdUnlinkMock;
+  let herdUnsecureMock;
   let addSiteMock;
+  let listAllSitesMock;
+  let createUserMock;
+  let dockerMocks;
+  let cacheMocks;
   let fsMocks;
   let installer;
   let testConfig;
@@ -39,16 +75,25 @@ describe('WordPressInstaller', () => {
   beforeEach(async () => {
     const { execa } = await import('execa');
     const { getMySQLConnection } = await import('../../src/mysql-detector.js');
-    const { herdLink, herdSecure } = await import('../../src/herd-manager.js');
-    const { addSite } = await import('../../src/site-registry.js');
+    const { herdLink, herdSecure, herdUnlink, herdUnsecure } = await import('../../src/herd-manager.js');
+    const { addSite, listAllSites } = await import('../../src/site-registry.js');
+    dockerMocks = await import('../../src/docker-manager.js');
+    cacheMocks = await import('../../src/download-cache.js');
+    const { createUser } = await import('../../src/user-manager.js');
+    createUserMock = createUser;
 
     execaMock = execa;
     getMySQLConnectionMock = getMySQLConnection;
     herdLinkMock = herdLink;
     herdSecureMock = herdSecure;
+    herdUnlinkMock = herdUnlink;
+    herdUnsecureMock = herdUnsecure;
     addSiteMock = addSite;
+    listAllSitesMock = listAllSites;
 
     vi.clearAllMocks();
+    cacheMocks.cacheCore.mockResolvedValue(null);
+    cacheMocks.cachePlugin.mockResolvedValue(null);
 
     testConfig = {
       slug: 'test-site',
@@ -85,6 +130,8 @@ describe('WordPressInstaller', () => {
       expect(installer.cwd).toBe('/Users/test/Sites/test-site');
       expect(installer.wpCliCmd).toEqual(['php', '/path/to/wp-cli.phar']);
       expect(installer.dbHost).toBeNull();
+      expect(installer.docker).toBeNull();
+      expect(installer.sideEffects).toEqual([]);
     });
 
     it('should set cwd based on current directory and slug', () => {
@@ -104,6 +151,7 @@ describe('WordPressInstaller', () => {
       await installer.createDirectory();
 
       expect(execaMock).toHaveBeenCalledWith('mkdir', ['test-site']);
+      expect(installer.sideEffects).toEqual(['directory']);
     });
 
     it('should throw error when directory already exists', async () => {
@@ -117,6 +165,56 @@ describe('WordPressInstaller', () => {
         'Directory test-site already exists'
       );
       expect(execaMock).not.toHaveBeenCalled();
+      expect(installer.sideEffects).toEqual([]);
+    });
+  });
+
+  describe('copyFiles', () => {
+    it('should copy the source directory without wp-config.php and docker-compose.yml', async () => {
+      fsMocks = mockFilesystem({});
+      const cpSyncMock = vi.spyOn(fs, 'cpSync').mockImplementation(() => {});
+
+      installer = new WordPressInstaller(testConfig);
+      await installer.copyFiles('/Users/test/Sites/source-site');
+
+      expect(cpSyncMock).toHaveBeenCalledWith(
+        '/Users/test/Sites/source-site',
+        '/Users/test/Sites/test-site',
+        expect.objectContaining({ recursive: true })
+      );
+
+      const { filter } = cpSyncMock.mock.calls[0][2];
+      expect(filter('/Users/test/Sites/source-site/wp-content')).toBe(true);
+      expect(filter('/Users/test/Sites/source-site/wp-config.php')).toBe(false);
+      expect(filter('/Users/test/Sites/source-site/docker-compose.yml')).toBe(false);
+      expect(installer.sideEffects).toEqual(['directory']);
+    });
+
+    it('should throw error when directory already exists', async () => {
+      fsMocks = mockFilesystem({
+        '/Users/test/Sites/test-site': '__DIR__'
+      });
+      const cpSyncMock = vi.spyOn(fs, 'cpSync').mockImplementation(() => {});
+
+      installer = new WordPressInstaller(testConfig);
+
+      await expect(installer.copyFiles('/Users/test/Sites/source-site')).rejects.toThrow(
+        'Directory test-site already exists'
+      );
+      expect(cpSyncMock).not.toHaveBeenCalled();
+      expect(installer.sideEffects).toEqual([]);
+    });
+
+    it('should track the directory even if copying fails', async () => {
+      fsMocks = mockFilesystem({});
+      vi.spyOn(fs, 'cpSync').mockImplementation(() => {
+        throw new Error('ENOSPC: no space left on device');
+      });
+
+      installer = new WordPressInstaller(testConfig);
+
+      await expect(installer.copyFiles('/Users/test/Sites/source-site')).rejects.toThrow('ENOSPC');
+      expect(installer.sideEffects).toEqual(['directory']);
     });
   });
 
@@ -186,6 +284,31 @@ describe('WordPressInstaller', () => {
         { cwd: '/Users/test/Sites/test-site' }
       );
     });
+
+    it('should pass a non-default locale', async () => {
+      installer.config.locale = 'de_DE';
+
+      await installer.downloadCore();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        expect.arrayContaining(['--locale=de_DE']),
+        expect.any(Object)
+      );
+    });
+
+    it('should copy core from the download cache', async () => {
+      const cpSyncSpy = vi.spyOn(fs, 'cpSync').mockImplementation(() => {});
+      cacheMocks.cacheCore.mockResolvedValue({ path: '/cache/core/6.4.2-de_DE/wordpress', version: '6.4.2', hit: true });
+      installer.config.wpVersion = '6.4.2';
+      installer.config.locale = 'de_DE';
+
+      await installer.downloadCore();
+
+      expect(cacheMocks.cacheCore).toHaveBeenCalledWith({ version: '6.4.2', locale: 'de_DE', withContent: false, offline: false });
+      expect(cpSyncSpy).toHaveBeenCalledWith('/cache/core/6.4.2-de_DE/wordpress', '/Users/test/Sites/test-site', { recursive: true });
+      expect(execaMock).not.toHaveBeenCalled();
+    });
   });
 
   describe('configureDatabase', () => {
@@ -289,6 +412,24 @@ describe('WordPressInstaller', () => {
       );
     });
 
+    it('should track the created database', async () => {
+      await installer.configureDatabase();
+
+      expect(installer.sideEffects).toEqual(['database']);
+    });
+
+    it('should not track the database when creation fails', async () => {
+      execaMock.mockImplementation(async (cmd, args) => {
+        if (args[1] === 'db' && args[2] === 'create') {
+          throw new Error('Access denied');
+        }
+        return createExecaResponse('');
+      });
+
+      await expect(installer.configureDatabase()).rejects.toThrow('Access denied');
+      expect(installer.sideEffects).toEqual([]);
+    });
+
     it('should store dbHost for later use', async () => {
       getMySQLConnectionMock.mockResolvedValue('localhost:/tmp/mysql.sock');
 
@@ -310,6 +451,183 @@ describe('WordPressInstaller', () => {
     });
   });
 
+  describe('configureDatabase with Docker', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller({ ...testConfig, useDocker: true });
+      execaMock.mockResolvedValue(createExecaResponse(''));
+      listAllSitesMock.mockReturnValue([]);
+      dockerMocks.findFreePort.mockImplementation(async (start) => start);
+    });
+
+    it('should not auto-detect local MySQL', async () => {
+      await installer.configureDatabase();
+
+      expect(getMySQLConnectionMock).not.toHaveBeenCalled();
+    });
+
+    it('should start containers before creating wp-config', async () => {
+      const callOrder = [];
+      dockerMocks.dockerComposeUp.mockImplementation(async () => {
+        callOrder.push('up');
+      });
+      execaMock.mockImplementation(async (cmd, args) => {
+        callOrder.push(args.slice(1, 3).join(' '));
+        return createExecaResponse('');
+      });
+
+      await installer.configureDatabase();
+
+      expect(callOrder).toEqual(['up', 'config create', 'config set']);
+    });
+
+    it('should point wp-config at the mapped database port', async () => {
+      await installer.configureDatabase();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        expect.arrayContaining(['config', 'create', '--dbhost=127.0.0.1:33060']),
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should make DB_HOST use the container host inside Docker', async () => {
+      await installer.configureDatabase();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        [
+          '/path/to/wp-cli.phar',
+          'config', 'set', 'DB_HOST',
+          "getenv('WPMAX_DB_HOST') ?: '127.0.0.1:33060'",
+          '--raw',
+          '--quiet'
+        ],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should not run db create (the container creates the database)', async () => {
+      await installer.configureDatabase();
+
+      expect(execaMock).not.toHaveBeenCalledWith(
+        'php',
+        expect.arrayContaining(['db', 'create']),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('setupDockerCompose', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller({ ...testConfig, useDocker: true });
+      listAllSitesMock.mockReturnValue([]);
+      dockerMocks.findFreePort.mockImplementation(async (start) => start);
+    });
+
+    it('should write the compose file with the site settings and ports', async () => {
+      await installer.setupDockerCompose();
+
+      expect(dockerMocks.generateComposeFile).toHaveBeenCalledWith({
+        slug: 'test-site',
+        dbName: 'test_site',
+        dbUser: 'root',
+        dbPass: '',
+        webPort: 8080,
+        dbPort: 33060
+      });
+      expect(dockerMocks.writeComposeFile).toHaveBeenCalledWith('/Users/test/Sites/test-site', 'services: {}');
+      expect(dockerMocks.dockerComposeUp).toHaveBeenCalledWith('/Users/test/Sites/test-site');
+    });
+
+    it('should not write the compose file in a dry run', async () => {
+      configureRunner({ dryRun: true });
+
+      try {
+        await installer.setupDockerCompose();
+      } finally {
+        configureRunner();
+      }
+
+      expect(dockerMocks.writeComposeFile).not.toHaveBeenCalled();
+      expect(dockerMocks.dockerComposeUp).toHaveBeenCalledWith('/Users/test/Sites/test-site');
+    });
+
+    it('should skip ports already used by registered Docker sites', async () => {
+      listAllSitesMock.mockReturnValue([
+        { name: 'other', docker: { webPort: 8080, dbPort: 33060 } },
+        { name: 'local-site' }
+      ]);
+
+      await installer.setupDockerCompose();
+
+      expect(dockerMocks.findFreePort).toHaveBeenCalledWith(8080, [8080, 33060]);
+      expect(dockerMocks.findFreePort).toHaveBeenCalledWith(33060, [8080, 33060]);
+    });
+
+    it('should store ports, database host and site URL', async () => {
+      dockerMocks.findFreePort.mockImplementation(async (start) => start + 1);
+
+      await installer.setupDockerCompose();
+
+      expect(installer.docker).toEqual({ webPort: 8081, dbPort: 33061 });
+      expect(installer.dbHost).toBe('127.0.0.1:33061');
+      expect(installer.config.url).toBe('localhost:8081');
+    });
+
+    it('should propagate compose failures', async () => {
+      dockerMocks.dockerComposeUp.mockRejectedValueOnce(new Error('Cannot connect to the Docker daemon'));
+
+      await expect(installer.setupDockerCompose()).rejects.toThrow('Cannot connect to the Docker daemon');
+      expect(installer.docker).toBeNull();
+    });
+
+    it('should track the containers even when startup fails', async () => {
+      dockerMocks.dockerComposeUp.mockRejectedValueOnce(new Error('port is already allocated'));
+
+      await expect(installer.setupDockerCompose()).rejects.toThrow('port is already allocated');
+      expect(installer.sideEffects).toEqual(['docker']);
+    });
+  });
+
+  describe('importDatabase', () => {
+    it('should export the source database and import it into the new site', async () => {
+      fsMocks = mockFilesystem({});
+      execaMock.mockResolvedValue(createExecaResponse(''));
+
+      installer = new WordPressInstaller(testConfig);
+      await installer.importDatabase('/Users/test/Sites/source-site');
+
+      expect(execaMock).toHaveBeenNthCalledWith(
+        1,
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'export', '/Users/test/Sites/test-site/.wpmax-clone.sql', '--quiet'],
+        { cwd: '/Users/test/Sites/source-site' }
+      );
+      expect(execaMock).toHaveBeenNthCalledWith(
+        2,
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'import', '/Users/test/Sites/test-site/.wpmax-clone.sql', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+      expect(fsMocks.rmSync).toHaveBeenCalledWith('/Users/test/Sites/test-site/.wpmax-clone.sql', { force: true });
+    });
+  });
+
+  describe('replaceSiteUrl', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller(testConfig);
+    });
+
+    it('should change the URL in the new site directory', async () => {
+      const { changeSiteUrl } = await import('../../src/url-manager.js');
+
+      const oldUrl = await installer.replaceSiteUrl('http://test-site.test');
+
+      expect(oldUrl).toBe('https://source-site.test');
+      expect(changeSiteUrl).toHaveBeenCalledWith('/Users/test/Sites/test-site', 'http://test-site.test');
+    });
+  });
+
   describe('installWordPress', () => {
     beforeEach(() => {
       installer = new WordPressInstaller(testConfig);
@@ -377,6 +695,35 @@ describe('WordPressInstaller', () => {
       );
     });
 
+    it('should install cached plugin ZIPs instead of downloading', async () => {
+      cacheMocks.cachePlugin.mockImplementation(async (slug) => (
+        slug === 'woocommerce' ? { path: '/cache/plugins/woocommerce/8.5.1.zip', version: '8.5.1', hit: true } : null
+      ));
+      installer.config.selectedPublicPlugins = ['woocommerce', 'my-private-plugin'];
+
+      await installer.installPlugins();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'plugin', 'install', '/cache/plugins/woocommerce/8.5.1.zip', '--activate', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'plugin', 'install', 'my-private-plugin', '--activate', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should fail in offline mode when a plugin is not cached', async () => {
+      installer.config.offline = true;
+      installer.config.selectedPublicPlugins = ['woocommerce'];
+
+      await expect(installer.installPlugins()).rejects.toThrow('Plugin woocommerce is not in the cache (offline mode).');
+      expect(cacheMocks.cachePlugin).toHaveBeenCalledWith('woocommerce', { offline: true });
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+
     it('should install local plugins from ZIP files', async () => {
       const pluginPath = '/Users/test/plugins/premium-plugin.zip';
       fsMocks = mockFilesystem({
@@ -441,6 +788,184 @@ describe('WordPressInstaller', () => {
     });
   });
 
+  describe('installThemes', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller(testConfig);
+      execaMock.mockResolvedValue(createExecaResponse(''));
+    });
+
+    it('should install public themes', async () => {
+      installer.config.selectedPublicThemes = ['astra', 'kadence'];
+
+      await installer.installThemes();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'theme', 'install', 'astra', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'theme', 'install', 'kadence', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should install local theme ZIPs that exist', async () => {
+      fsMocks = mockFilesystem({
+        '/Users/test/themes/agency.zip': 'zip'
+      });
+      installer.config.selectedLocalThemes = ['/Users/test/themes/agency.zip', '/Users/test/themes/missing.zip'];
+
+      await installer.installThemes();
+
+      expect(execaMock).toHaveBeenCalledTimes(1);
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'theme', 'install', '/Users/test/themes/agency.zip', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should activate the selected theme while installing it', async () => {
+      installer.config.selectedPublicThemes = ['astra', 'kadence'];
+      installer.config.activeTheme = 'kadence';
+
+      await installer.installThemes();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'theme', 'install', 'kadence', '--activate', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+      expect(execaMock).not.toHaveBeenCalledWith(
+        'php',
+        expect.arrayContaining(['theme', 'activate']),
+        expect.any(Object)
+      );
+    });
+
+    it('should activate an already installed theme', async () => {
+      installer.config.activeTheme = 'twentytwentyfour';
+
+      await installer.installThemes();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'theme', 'activate', 'twentytwentyfour', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should do nothing when no themes are selected', async () => {
+      await installer.installThemes();
+
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setConstants', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller(testConfig);
+      execaMock.mockResolvedValue(createExecaResponse(''));
+    });
+
+    it('should write string constants as quoted values', async () => {
+      installer.config.wpConstants = { WP_ENVIRONMENT_TYPE: 'local' };
+
+      await installer.setConstants();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'config', 'set', 'WP_ENVIRONMENT_TYPE', 'local', '--type=constant', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should write booleans and numbers as raw PHP', async () => {
+      installer.config.wpConstants = { WP_DEBUG: true, WP_POST_REVISIONS: 5 };
+
+      await installer.setConstants();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'config', 'set', 'WP_DEBUG', 'true', '--raw', '--type=constant', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'config', 'set', 'WP_POST_REVISIONS', '5', '--raw', '--type=constant', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should do nothing without constants', async () => {
+      await installer.setConstants();
+
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateOptions', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller(testConfig);
+      execaMock.mockResolvedValue(createExecaResponse(''));
+    });
+
+    it('should update scalar options', async () => {
+      installer.config.wpOptions = { blogdescription: 'Just a shop', posts_per_page: 12 };
+
+      await installer.updateOptions();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'option', 'update', 'blogdescription', 'Just a shop', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'option', 'update', 'posts_per_page', '12', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should pass structured options as JSON', async () => {
+      installer.config.wpOptions = { woocommerce_store_address: { city: 'Lisbon' } };
+
+      await installer.updateOptions();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'option', 'update', 'woocommerce_store_address', '{"city":"Lisbon"}', '--format=json', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+  });
+
+  describe('createUsers', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller(testConfig);
+    });
+
+    it('should create each extra user in the site directory', async () => {
+      installer.config.extraUsers = [
+        { username: 'editor', email: 'editor@test.com', password: 'secret', role: 'editor' },
+        { username: 'max', email: 'max@test.com' }
+      ];
+
+      await installer.createUsers();
+
+      expect(createUserMock).toHaveBeenCalledWith('editor', 'editor@test.com', 'secret', '/Users/test/Sites/test-site', 'editor');
+      expect(createUserMock).toHaveBeenCalledWith('max', 'max@test.com', 'admin', '/Users/test/Sites/test-site', 'administrator');
+    });
+
+    it('should do nothing without extra users', async () => {
+      await installer.createUsers();
+
+      expect(createUserMock).not.toHaveBeenCalled();
+    });
+  });
+
   describe('setupHerd', () => {
     beforeEach(() => {
       installer = new WordPressInstaller(testConfig);
@@ -468,6 +993,102 @@ describe('WordPressInstaller', () => {
 
       expect(callOrder).toEqual(['link', 'secure']);
     });
+
+    it('should track link and secure separately', async () => {
+      herdSecureMock.mockRejectedValueOnce(new Error('Herd secure failed'));
+
+      await expect(installer.setupHerd()).rejects.toThrow('Herd secure failed');
+      expect(installer.sideEffects).toEqual(['herdLink']);
+    });
+  });
+
+  describe('rollback', () => {
+    beforeEach(() => {
+      installer = new WordPressInstaller(testConfig);
+      execaMock.mockResolvedValue(createExecaResponse(''));
+    });
+
+    it('should do nothing when nothing was created', async () => {
+      const rmSyncSpy = vi.spyOn(fs, 'rmSync').mockImplementation(() => {});
+
+      const results = await installer.rollback();
+
+      expect(results).toEqual([]);
+      expect(execaMock).not.toHaveBeenCalled();
+      expect(rmSyncSpy).not.toHaveBeenCalled();
+    });
+
+    it('should undo side effects in reverse order', async () => {
+      const callOrder = [];
+      herdUnsecureMock.mockImplementation(async () => callOrder.push('unsecure'));
+      herdUnlinkMock.mockImplementation(async () => callOrder.push('unlink'));
+      execaMock.mockImplementation(async (cmd, args) => {
+        callOrder.push(args.slice(1, 3).join(' '));
+        return createExecaResponse('');
+      });
+      vi.spyOn(fs, 'rmSync').mockImplementation(() => callOrder.push('rm'));
+      installer.sideEffects = ['directory', 'database', 'herdLink', 'herdSecure'];
+
+      const results = await installer.rollback();
+
+      expect(callOrder).toEqual(['unsecure', 'unlink', 'db drop', 'rm']);
+      expect(results.map(r => r.step)).toEqual(['herdSecure', 'herdLink', 'database', 'directory']);
+      expect(results.every(r => r.ok)).toBe(true);
+    });
+
+    it('should drop the database from the site directory', async () => {
+      vi.spyOn(fs, 'rmSync').mockImplementation(() => {});
+      installer.sideEffects = ['directory', 'database'];
+
+      await installer.rollback();
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'drop', '--yes', '--quiet'],
+        { cwd: '/Users/test/Sites/test-site' }
+      );
+    });
+
+    it('should remove the directory recursively', async () => {
+      const rmSyncSpy = vi.spyOn(fs, 'rmSync').mockImplementation(() => {});
+      installer.sideEffects = ['directory'];
+
+      await installer.rollback();
+
+      expect(rmSyncSpy).toHaveBeenCalledWith('/Users/test/Sites/test-site', { recursive: true, force: true });
+    });
+
+    it('should tear down Docker containers with their volume', async () => {
+      vi.spyOn(fs, 'rmSync').mockImplementation(() => {});
+      installer.sideEffects = ['directory', 'docker'];
+
+      await installer.rollback();
+
+      expect(dockerMocks.dockerComposeDown).toHaveBeenCalledWith('/Users/test/Sites/test-site', true);
+    });
+
+    it('should continue after a failed step and report it', async () => {
+      const rmSyncSpy = vi.spyOn(fs, 'rmSync').mockImplementation(() => {});
+      execaMock.mockRejectedValue(new Error('Access denied'));
+      installer.sideEffects = ['directory', 'database'];
+
+      const results = await installer.rollback();
+
+      expect(results).toEqual([
+        { step: 'database', ok: false, error: 'Access denied' },
+        { step: 'directory', ok: true }
+      ]);
+      expect(rmSyncSpy).toHaveBeenCalled();
+    });
+
+    it('should clear tracked side effects', async () => {
+      vi.spyOn(fs, 'rmSync').mockImplementation(() => {});
+      installer.sideEffects = ['directory'];
+
+      await installer.rollback();
+
+      expect(installer.sideEffects).toEqual([]);
+    });
   });
 
   describe('registerSite', () => {
@@ -520,6 +1141,29 @@ describe('WordPressInstaller', () => {
       );
     });
 
+    it('should record Docker mode and ports for Docker sites', () => {
+      installer.docker = { webPort: 8080, dbPort: 33060 };
+      installer.dbHost = '127.0.0.1:33060';
+
+      installer.registerSite();
+
+      expect(addSiteMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          dbHost: '127.0.0.1:33060',
+          mode: 'docker',
+          docker: { webPort: 8080, dbPort: 33060 }
+        })
+      );
+    });
+
+    it('should not add Docker fields for local sites', () => {
+      installer.registerSite();
+
+      const callArgs = addSiteMock.mock.calls[0][0];
+      expect(callArgs).not.toHaveProperty('mode');
+      expect(callArgs).not.toHaveProperty('docker');
+    });
+
     it('should include ISO timestamp for created_at', () => {
       installer.registerSite();
 
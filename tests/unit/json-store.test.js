@@ -0,0 +1,151 @@
+// tests/unit/json-store.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import {
+  getBackupPath,
+  readJsonFile,
+  writeJsonFile,
+  withFileLock
+} from '../../src/json-store.js';
+import { mockFilesystem, restoreFilesystem } from '../helpers/mock-filesystem.js';
+
+const DATA_DIR = '/Users/test/.config/wpmax';
+const DATA_FILE = `${DATA_DIR}/sites.json`;
+const LOCK_FILE = `${DATA_FILE}.lock`;
+
+describe('json-store', () => {
+  let fsMocks;
+
+  beforeEach(() => {
+    fsMocks = mockFilesystem({
+      [DATA_DIR]: '__DIR__'
+    });
+  });
+
+  afterEach(() => {
+    restoreFilesystem();
+  });
+
+  describe('readJsonFile', () => {
+    it('should return the fallback when the file does not exist', () => {
+      expect(readJsonFile(DATA_FILE, { sites: [] })).toEqual({ sites: [] });
+    });
+
+    it('should parse the file', () => {
+      fsMocks._storage[DATA_FILE] = JSON.stringify({ sites: [{ name: 'my-site' }] });
+
+      expect(readJsonFile(DATA_FILE, null)).toEqual({ sites: [{ name: 'my-site' }] });
+    });
+
+    it('should throw on a corrupt file, pointing to the backup', () => {
+      fsMocks._storage[DATA_FILE] = '{"sites": [';
+      fsMocks._storage[getBackupPath(DATA_FILE)] = '{"sites": []}';
+
+      expect(() => readJsonFile(DATA_FILE, null)).toThrow(
+        `cp "${DATA_FILE}.bak" "${DATA_FILE}"`
+      );
+    });
+
+    it('should throw on a corrupt file without a backup', () => {
+      fsMocks._storage[DATA_FILE] = '';
+
+      expect(() => readJsonFile(DATA_FILE, null)).toThrow('Fix the file, or move it away to start over.');
+    });
+  });
+
+  describe('writeJsonFile', () => {
+    it('should write through a temporary file', () => {
+      writeJsonFile(DATA_FILE, { sites: [] });
+
+      const tempFile = `${DATA_FILE}.${process.pid}.tmp`;
+      expect(fsMocks.writeFileSync).toHaveBeenCalledWith(tempFile, JSON.stringify({ sites: [] }, null, 2), 'utf8');
+      expect(fsMocks.renameSync).toHaveBeenCalledWith(tempFile, DATA_FILE);
+      expect(fsMocks._storage[tempFile]).toBeUndefined();
+      expect(fsMocks._storage[getBackupPath(DATA_FILE)]).toBeUndefined();
+    });
+
+    it('should keep the previous version as a backup', () => {
+      fsMocks._storage[DATA_FILE] = '{"sites": []}';
+
+      writeJsonFile(DATA_FILE, { sites: [{ name: 'my-site' }] });
+
+      expect(fsMocks._storage[getBackupPath(DATA_FILE)]).toBe('{"sites": []}');
+      expect(JSON.parse(fsMocks._storage[DATA_FILE])).toEqual({ sites: [{ name: 'my-site' }] });
+    });
+
+    it('should leave the file alone when writing fails', () => {
+      fsMocks._storage[DATA_FILE] = '{"sites": []}';
+      fsMocks.renameSync.mockImplementation(() => {
+        throw new Error('ENOSPC: no space left on device');
+      });
+
+      expect(() => writeJsonFile(DATA_FILE, { sites: [] })).toThrow('ENOSPC');
+      expect(fsMocks._storage[DATA_FILE]).toBe('{"sites": []}');
+      expect(fsMocks._storage[`${DATA_FILE}.${process.pid}.tmp`]).toBeUndefined();
+    });
+  });
+
+  describe('withFileLock', () => {
+    it('should hold the lock while the function runs', () => {
+      const result = withFileLock(DATA_FILE, () => {
+        expect(fsMocks._storage[LOCK_FILE]).toBe(String(process.pid));
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(fsMocks._storage[LOCK_FILE]).toBeUndefined();
+    });
+
+    it('should release the lock when the function throws', () => {
+      expect(() => withFileLock(DATA_FILE, () => {
+        throw new Error('failed');
+      })).toThrow('failed');
+
+      expect(fsMocks._storage[LOCK_FILE]).toBeUndefined();
+    });
+
+    it('should let a locked function call another one that locks the same file', () => {
+      const result = withFileLock(DATA_FILE, () => withFileLock(DATA_FILE, () => 'nested'));
+
+      expect(result).toBe('nested');
+      expect(fsMocks._storage[LOCK_FILE]).toBeUndefined();
+    });
+
+    it('should take over a lock left behind by a process that has exited', () => {
+      fsMocks._storage[LOCK_FILE] = '999999999';
+
+      expect(withFileLock(DATA_FILE, () => 'done')).toBe('done');
+    });
+
+    it('should wait for a lock that was just created and has no PID yet', () => {
+      fsMocks._storage[LOCK_FILE] = '';
+      vi.spyOn(fs, 'statSync').mockReturnValue({ mtimeMs: Date.now() });
+      vi.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValue(60000);
+      const fn = vi.fn();
+
+      expect(() => withFileLock(DATA_FILE, fn)).toThrow(`Another wpmax process is changing ${DATA_FILE}`);
+      expect(fn).not.toHaveBeenCalled();
+      expect(fsMocks._storage[LOCK_FILE]).toBe('');
+    });
+
+    it('should take over an empty lock once it is older than the timeout', () => {
+      fsMocks._storage[LOCK_FILE] = '';
+      vi.spyOn(fs, 'statSync').mockReturnValue({ mtimeMs: Date.now() - 60000 });
+
+      expect(withFileLock(DATA_FILE, () => 'done')).toBe('done');
+    });
+
+    it('should give up when another process keeps the lock', () => {
+      // The parent process is alive, and the deadline has passed after the first attempt
+      fsMocks._storage[LOCK_FILE] = String(process.ppid);
+      vi.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValue(60000);
+      const fn = vi.fn();
+
+      expect(() => withFileLock(DATA_FILE, fn)).toThrow(
+        `Another wpmax process is changing ${DATA_FILE}. Try again in a moment, or remove ${LOCK_FILE} if no wpmax is running.`
+      );
+      expect(fn).not.toHaveBeenCalled();
+      expect(fsMocks._storage[LOCK_FILE]).toBe(String(process.ppid));
+    });
+  });
+});
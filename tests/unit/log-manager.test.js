@@ -0,0 +1,200 @@
+// tests/unit/log-manager.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  MAX_LOG_FILES,
+  getLogsDir,
+  getCurrentLogPath,
+  truncateOutput,
+  writeLog,
+  startLog,
+  stopLog,
+  listLogs,
+  pruneLogs
+} from '../../src/log-manager.js';
+import { mockFilesystem } from '../helpers/mock-filesystem.js';
+
+const LOGS_DIR = path.join(os.homedir(), '.config', 'wpmax', 'logs');
+
+describe('Log Manager', () => {
+  let fsMocks;
+  let mtimes;
+
+  beforeEach(() => {
+    fsMocks = mockFilesystem({});
+    mtimes = {};
+
+    vi.spyOn(fs, 'appendFileSync').mockImplementation((filePath, content) => {
+      fsMocks._storage[filePath] = (fsMocks._storage[filePath] || '') + content;
+    });
+    vi.spyOn(fs, 'statSync').mockImplementation((filePath) => ({
+      size: String(fsMocks._storage[filePath] || '').length,
+      mtime: mtimes[filePath] || new Date('2026-01-15T12:00:00')
+    }));
+    // Keep test runs from piling up exit handlers
+    vi.spyOn(process, 'once').mockImplementation(() => process);
+  });
+
+  afterEach(() => {
+    stopLog();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Add a log file with a modification date
+   */
+  function addLog(name, modified, content = '') {
+    const logPath = path.join(LOGS_DIR, name);
+    fsMocks._storage[logPath] = content;
+    mtimes[logPath] = modified;
+    return logPath;
+  }
+
+  describe('getLogsDir', () => {
+    it('should return the logs directory under the config directory', () => {
+      expect(getLogsDir()).toBe(LOGS_DIR);
+    });
+  });
+
+  describe('truncateOutput', () => {
+    it('should keep short output as is', () => {
+      expect(truncateOutput('Success: Installed 1 of 1 plugins.')).toBe('Success: Installed 1 of 1 plugins.');
+    });
+
+    it('should cut long output and note how much was left out', () => {
+      const output = truncateOutput('x'.repeat(20010));
+
+      expect(output.startsWith('x'.repeat(20000))).toBe(true);
+      expect(output).toContain('... (10 more characters)');
+    });
+  });
+
+  describe('startLog', () => {
+    it('should create a timestamped log with a header', () => {
+      const logPath = startLog('create', {
+        argv: ['my-site', '--dbpass', '****'],
+        version: '1.2.0',
+        now: new Date(2026, 0, 15, 14, 30, 5)
+      });
+
+      expect(logPath).toBe(path.join(LOGS_DIR, '2026-01-15-143005-create.log'));
+      expect(getCurrentLogPath()).toBe(logPath);
+      expect(fsMocks.mkdirSync).toHaveBeenCalledWith(LOGS_DIR, { recursive: true });
+
+      const content = fsMocks._storage[logPath];
+      expect(content).toContain('wpmax my-site --dbpass ****');
+      expect(content).toContain('version: 1.2.0');
+      expect(content).toContain(`cwd: ${process.cwd()}`);
+      expect(content).toContain(`node: ${process.version}`);
+    });
+
+    it('should not overwrite a log started in the same second', () => {
+      const now = new Date(2026, 0, 15, 14, 30, 5);
+      addLog('2026-01-15-143005-create.log', now);
+
+      const logPath = startLog('create', { argv: [], now });
+
+      expect(logPath).toBe(path.join(LOGS_DIR, `2026-01-15-143005-create-${process.pid}.log`));
+    });
+
+    it('should write the exit code when the process exits', () => {
+      const logPath = startLog('create', { argv: [] });
+      const [event, handler] = process.once.mock.calls[0];
+
+      handler(1);
+
+      expect(event).toBe('exit');
+      expect(fsMocks._storage[logPath]).toContain('Exit code 1');
+    });
+
+    it('should prune old logs', () => {
+      const now = new Date('2026-02-01T12:00:00');
+      const oldLog = addLog('2026-01-01-120000-create.log', new Date('2026-01-01T12:00:00'));
+
+      startLog('list', { argv: [], now });
+
+      expect(fsMocks.rmSync).toHaveBeenCalledWith(oldLog, { force: true });
+    });
+
+    it('should return null when the logs directory cannot be created', () => {
+      fsMocks.mkdirSync.mockImplementation(() => {
+        throw new Error('EACCES: permission denied');
+      });
+
+      expect(startLog('create', { argv: [] })).toBeNull();
+      expect(getCurrentLogPath()).toBeNull();
+    });
+  });
+
+  describe('writeLog', () => {
+    it('should do nothing before a log is started', () => {
+      writeLog('$ php --version');
+
+      expect(fs.appendFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should prefix messages with the time and indent following lines', () => {
+      const logPath = startLog('create', { argv: [] });
+
+      writeLog('stderr:\nWarning: something');
+
+      expect(fsMocks._storage[logPath]).toMatch(/\[\d{2}:\d{2}:\d{2}\.\d{3}\] stderr:\n {15}Warning: something\n$/);
+    });
+
+    it('should ignore write errors', () => {
+      startLog('create', { argv: [] });
+      fs.appendFileSync.mockImplementation(() => {
+        throw new Error('ENOSPC: no space left on device');
+      });
+
+      expect(() => writeLog('$ php --version')).not.toThrow();
+    });
+  });
+
+  describe('listLogs', () => {
+    it('should return an empty list when there are no logs', () => {
+      expect(listLogs()).toEqual([]);
+    });
+
+    it('should list logs newest first', () => {
+      addLog('2026-01-14-090000-list.log', new Date('2026-01-14T09:00:00'), 'abc');
+      addLog('2026-01-15-143005-create.log', new Date('2026-01-15T14:30:05'));
+      fsMocks._storage[LOGS_DIR] = '__DIR__';
+
+      const logs = listLogs();
+
+      expect(logs.map(log => log.name)).toEqual(['2026-01-15-143005-create.log', '2026-01-14-090000-list.log']);
+      expect(logs[1]).toMatchObject({ path: path.join(LOGS_DIR, '2026-01-14-090000-list.log'), size: 3 });
+    });
+  });
+
+  describe('pruneLogs', () => {
+    beforeEach(() => {
+      fsMocks._storage[LOGS_DIR] = '__DIR__';
+    });
+
+    it('should keep at most maxFiles logs', () => {
+      const now = new Date('2026-01-15T12:00:00');
+      addLog('2026-01-13-120000-create.log', now);
+      addLog('2026-01-14-120000-create.log', now);
+      addLog('2026-01-15-120000-create.log', now);
+
+      expect(pruneLogs({ maxFiles: 2, now })).toEqual(['2026-01-13-120000-create.log']);
+    });
+
+    it('should delete logs older than the retention period', () => {
+      addLog('2026-01-01-120000-create.log', new Date('2026-01-01T12:00:00'));
+      addLog('2026-01-10-120000-create.log', new Date('2026-01-10T12:00:00'));
+
+      const pruned = pruneLogs({ maxAgeDays: 7, now: new Date('2026-01-15T12:00:00') });
+
+      expect(pruned).toEqual(['2026-01-01-120000-create.log']);
+    });
+
+    it('should keep 50 logs by default', () => {
+      expect(MAX_LOG_FILES).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+// tests/unit/paths.test.js
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import path from 'path';
+import os from 'os';
+import { getConfigDir } from '../../src/paths.js';
+
+describe('paths', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('getConfigDir', () => {
+    it('should default to ~/.config/wpmax', () => {
+      vi.stubEnv('WPMAX_CONFIG_DIR', '');
+
+      expect(getConfigDir()).toBe(path.join(os.homedir(), '.config', 'wpmax'));
+    });
+
+    it('should use WPMAX_CONFIG_DIR when set', () => {
+      vi.stubEnv('WPMAX_CONFIG_DIR', '/tmp/wpmax-sandbox');
+
+      expect(getConfigDir()).toBe('/tmp/wpmax-sandbox');
+    });
+
+    it('should resolve a relative WPMAX_CONFIG_DIR from the current directory', () => {
+      vi.stubEnv('WPMAX_CONFIG_DIR', '.wpmax');
+
+      expect(getConfigDir()).toBe(path.resolve('.wpmax'));
+    });
+  });
+});
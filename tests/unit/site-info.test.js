@@ -18,17 +18,24 @@ vi.mock('../../src/site-registry.js', () => ({
   getSite: vi.fn()
 }));
 
+vi.mock('../../src/docker-manager.js', () => ({
+  getComposeStatus: vi.fn()
+}));
+
 describe('Site Info', () => {
   let execaMock;
   let getSiteMock;
+  let getComposeStatusMock;
   let fsMocks;
 
   beforeEach(async () => {
     const { execa } = await import('execa');
     const { getSite } = await import('../../src/site-registry.js');
+    const { getComposeStatus } = await import('../../src/docker-manager.js');
 
     execaMock = execa;
     getSiteMock = getSite;
+    getComposeStatusMock = getComposeStatus;
 
     vi.clearAllMocks();
   });
@@ -283,6 +290,35 @@ describe('Site Info', () => {
       expect(callOrder).toContain('plugins');
       expect(callOrder).toContain('theme');
     });
+
+    it('should include container states for Docker sites', async () => {
+      const testSite = createTestSite('test-site', { mode: 'docker', docker: { webPort: 8080, dbPort: 33060 } });
+      getSiteMock.mockReturnValue(testSite);
+      fsMocks = mockFilesystem({
+        [testSite.path]: '__DIR__'
+      });
+      execaMock.mockResolvedValue(createExecaResponse(''));
+      getComposeStatusMock.mockResolvedValue({ db: 'running', web: 'running' });
+
+      const result = await getFullSiteInfo('test-site');
+
+      expect(getComposeStatusMock).toHaveBeenCalledWith(testSite.path);
+      expect(result.containers).toEqual({ db: 'running', web: 'running' });
+    });
+
+    it('should not query containers for local sites', async () => {
+      const testSite = createTestSite('test-site');
+      getSiteMock.mockReturnValue(testSite);
+      fsMocks = mockFilesystem({
+        [testSite.path]: '__DIR__'
+      });
+      execaMock.mockResolvedValue(createExecaResponse(''));
+
+      const result = await getFullSiteInfo('test-site');
+
+      expect(getComposeStatusMock).not.toHaveBeenCalled();
+      expect(result.containers).toBeUndefined();
+    });
   });
 
   describe('getBasicSiteInfo', () => {
@@ -0,0 +1,280 @@
+// tests/unit/site-mover.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { moveDirectory, renameDatabase, moveSite, renameSite } from '../../src/site-mover.js';
+import { mockFilesystem } from '../helpers/mock-filesystem.js';
+import { createExecaResponse } from '../helpers/mock-execa.js';
+import { createTestSite } from '../helpers/test-data.js';
+
+// Mock modules
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+vi.mock('../../src/wp-cli-manager.js', () => ({
+  getWpCliCommand: vi.fn(() => ['php', '/path/to/wp-cli.phar'])
+}));
+
+vi.mock('../../src/herd-manager.js', () => ({
+  isHerdInstalled: vi.fn(async () => false),
+  herdLink: vi.fn(async () => {}),
+  herdSecure: vi.fn(async () => {}),
+  herdUnlink: vi.fn(async () => {}),
+  herdUnsecure: vi.fn(async () => {})
+}));
+
+vi.mock('../../src/docker-manager.js', () => ({
+  dockerComposeUp: vi.fn(),
+  dockerComposeDown: vi.fn(),
+  renameComposeProject: vi.fn()
+}));
+
+vi.mock('../../src/site-registry.js', () => ({
+  updateSite: vi.fn()
+}));
+
+vi.mock('../../src/url-manager.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  changeSiteUrl: vi.fn(async () => 'http://old-site.test')
+}));
+
+const SNAPSHOTS_DIR = path.join(os.homedir(), '.config', 'wpmax', 'snapshots');
+
+describe('Site Mover', () => {
+  let execaMock;
+  let herdMocks;
+  let dockerMocks;
+  let updateSiteMock;
+  let changeSiteUrlMock;
+  let fsMocks;
+  let renameSyncMock;
+
+  beforeEach(async () => {
+    const { execa } = await import('execa');
+    herdMocks = await import('../../src/herd-manager.js');
+    dockerMocks = await import('../../src/docker-manager.js');
+    const { updateSite } = await import('../../src/site-registry.js');
+    const { changeSiteUrl } = await import('../../src/url-manager.js');
+
+    execaMock = execa;
+    updateSiteMock = updateSite;
+    changeSiteUrlMock = changeSiteUrl;
+
+    vi.clearAllMocks();
+    herdMocks.isHerdInstalled.mockResolvedValue(false);
+    execaMock.mockResolvedValue(createExecaResponse(''));
+
+    fsMocks = mockFilesystem({
+      '/Users/test/Sites/old-site': '__DIR__'
+    });
+    renameSyncMock = vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      fsMocks._storage[to] = fsMocks._storage[from];
+      delete fsMocks._storage[from];
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('moveDirectory', () => {
+    it('should rename the directory and create the parent', () => {
+      moveDirectory('/Users/test/Sites/old-site', '/Users/test/Projects/old-site');
+
+      expect(fsMocks.mkdirSync).toHaveBeenCalledWith('/Users/test/Projects', { recursive: true });
+      expect(renameSyncMock).toHaveBeenCalledWith('/Users/test/Sites/old-site', '/Users/test/Projects/old-site');
+    });
+
+    it('should copy and delete across filesystems', () => {
+      const error = new Error('EXDEV: cross-device link not permitted');
+      error.code = 'EXDEV';
+      renameSyncMock.mockImplementation(() => {
+        throw error;
+      });
+      const cpSyncMock = vi.spyOn(fs, 'cpSync').mockImplementation(() => {});
+
+      moveDirectory('/Users/test/Sites/old-site', '/Volumes/External/old-site');
+
+      expect(cpSyncMock).toHaveBeenCalledWith('/Users/test/Sites/old-site', '/Volumes/External/old-site', { recursive: true });
+      expect(fsMocks.rmSync).toHaveBeenCalledWith('/Users/test/Sites/old-site', { recursive: true, force: true });
+    });
+
+    it('should rethrow other errors', () => {
+      renameSyncMock.mockImplementation(() => {
+        throw new Error('EACCES: permission denied');
+      });
+
+      expect(() => moveDirectory('/Users/test/Sites/old-site', '/root/old-site')).toThrow('EACCES');
+    });
+  });
+
+  describe('renameDatabase', () => {
+    const sitePath = '/Users/test/Sites/new-site';
+    const dumpPath = '/Users/test/Sites/new-site/.wpmax-rename.sql';
+
+    it('should copy the database under the new name and drop the old one', async () => {
+      await renameDatabase(sitePath, 'old_site', 'new_site');
+
+      const calls = execaMock.mock.calls.map(call => call[1].slice(1));
+      expect(calls).toEqual([
+        ['db', 'export', dumpPath, '--quiet'],
+        ['config', 'set', 'DB_NAME', 'new_site', '--quiet'],
+        ['db', 'create', '--quiet'],
+        ['db', 'import', dumpPath, '--quiet'],
+        ['db', 'query', 'DROP DATABASE `old_site`', '--quiet']
+      ]);
+      expect(fsMocks.rmSync).toHaveBeenCalledWith(dumpPath, { force: true });
+    });
+
+    it('should point wp-config back at the old database on failure', async () => {
+      execaMock.mockImplementation(async (cmd, args) => {
+        if (args[1] === 'db' && args[2] === 'create') {
+          throw new Error('ERROR 1044: Access denied');
+        }
+        return createExecaResponse('');
+      });
+
+      await expect(renameDatabase(sitePath, 'old_site', 'new_site')).rejects.toThrow('Access denied');
+
+      expect(execaMock).toHaveBeenLastCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'config', 'set', 'DB_NAME', 'old_site', '--quiet'],
+        { cwd: sitePath }
+      );
+      expect(execaMock).not.toHaveBeenCalledWith('php', expect.arrayContaining(['query']), expect.anything());
+    });
+  });
+
+  describe('moveSite', () => {
+    it('should move the directory and update the registry path', async () => {
+      const site = createTestSite('old-site');
+
+      const result = await moveSite(site, '/Users/test/Projects/old-site');
+
+      expect(renameSyncMock).toHaveBeenCalledWith('/Users/test/Sites/old-site', '/Users/test/Projects/old-site');
+      expect(updateSiteMock).toHaveBeenCalledWith('old-site', { path: '/Users/test/Projects/old-site' });
+      expect(result.path).toBe('/Users/test/Projects/old-site');
+    });
+
+    it('should throw when the target exists', async () => {
+      fsMocks._storage['/Users/test/Projects/old-site'] = '__DIR__';
+
+      await expect(moveSite(createTestSite('old-site'), '/Users/test/Projects/old-site')).rejects.toThrow(
+        'Target already exists'
+      );
+      expect(renameSyncMock).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the site directory is missing', async () => {
+      await expect(moveSite(createTestSite('missing'), '/Users/test/Projects/missing')).rejects.toThrow(
+        'Site directory does not exist'
+      );
+    });
+
+    it('should re-link Herd at the new path', async () => {
+      herdMocks.isHerdInstalled.mockResolvedValue(true);
+
+      await moveSite(createTestSite('old-site'), '/Users/test/Projects/old-site');
+
+      expect(herdMocks.herdUnlink).toHaveBeenCalledWith('/Users/test/Sites/old-site', 'old-site');
+      expect(herdMocks.herdLink).toHaveBeenCalledWith('/Users/test/Projects/old-site', 'old-site');
+    });
+
+    it('should restart Docker containers around the move', async () => {
+      const site = createTestSite('old-site', { mode: 'docker', url: 'localhost:8080' });
+
+      await moveSite(site, '/Users/test/Projects/old-site');
+
+      expect(dockerMocks.dockerComposeDown).toHaveBeenCalledWith('/Users/test/Sites/old-site');
+      expect(dockerMocks.dockerComposeUp).toHaveBeenCalledWith('/Users/test/Projects/old-site');
+      expect(herdMocks.isHerdInstalled).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renameSite', () => {
+    it('should rename the directory, registry entry, database and URL', async () => {
+      const site = createTestSite('old-site');
+
+      const result = await renameSite(site, 'new-site');
+
+      expect(renameSyncMock).toHaveBeenCalledWith('/Users/test/Sites/old-site', '/Users/test/Sites/new-site');
+      expect(updateSiteMock).toHaveBeenCalledWith('old-site', { name: 'new-site', path: '/Users/test/Sites/new-site' });
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'config', 'set', 'DB_NAME', 'new_site', '--quiet'],
+        { cwd: '/Users/test/Sites/new-site' }
+      );
+      expect(updateSiteMock).toHaveBeenCalledWith('new-site', { dbName: 'new_site' });
+      expect(changeSiteUrlMock).toHaveBeenCalledWith('/Users/test/Sites/new-site', 'http://new-site.test');
+      expect(updateSiteMock).toHaveBeenCalledWith('new-site', { url: 'new-site.test' });
+      expect(result).toMatchObject({
+        name: 'new-site',
+        path: '/Users/test/Sites/new-site',
+        url: 'new-site.test',
+        dbName: 'new_site'
+      });
+    });
+
+    it('should keep the database name when requested', async () => {
+      const result = await renameSite(createTestSite('old-site'), 'new-site', { keepDbName: true });
+
+      expect(execaMock).not.toHaveBeenCalled();
+      expect(result.dbName).toBe('old_site');
+    });
+
+    it('should keep custom URLs', async () => {
+      const site = createTestSite('old-site', { url: 'client.example.test' });
+
+      const result = await renameSite(site, 'new-site', { keepDbName: true });
+
+      expect(changeSiteUrlMock).not.toHaveBeenCalled();
+      expect(result.url).toBe('client.example.test');
+    });
+
+    it('should move snapshots to the new name', async () => {
+      fsMocks._storage[path.join(SNAPSHOTS_DIR, 'old-site')] = '__DIR__';
+
+      await renameSite(createTestSite('old-site'), 'new-site', { keepDbName: true });
+
+      expect(renameSyncMock).toHaveBeenCalledWith(
+        path.join(SNAPSHOTS_DIR, 'old-site'),
+        path.join(SNAPSHOTS_DIR, 'new-site')
+      );
+    });
+
+    it('should re-link and secure Herd under the new name', async () => {
+      herdMocks.isHerdInstalled.mockResolvedValue(true);
+
+      await renameSite(createTestSite('old-site'), 'new-site', { keepDbName: true });
+
+      expect(herdMocks.herdUnlink).toHaveBeenCalledWith('/Users/test/Sites/old-site', 'old-site');
+      expect(herdMocks.herdLink).toHaveBeenCalledWith('/Users/test/Sites/new-site', 'new-site');
+      expect(herdMocks.herdSecure).toHaveBeenCalledWith('/Users/test/Sites/new-site', 'new-site');
+      expect(changeSiteUrlMock).toHaveBeenCalledWith('/Users/test/Sites/new-site', 'https://new-site.test');
+    });
+
+    it('should keep database and URL for Docker sites', async () => {
+      const site = createTestSite('old-site', { mode: 'docker', url: 'localhost:8080' });
+
+      const result = await renameSite(site, 'new-site');
+
+      expect(dockerMocks.dockerComposeDown).toHaveBeenCalledWith('/Users/test/Sites/old-site');
+      expect(dockerMocks.renameComposeProject).toHaveBeenCalledWith('/Users/test/Sites/new-site', 'old-site', 'new-site');
+      expect(dockerMocks.renameComposeProject.mock.invocationCallOrder[0])
+        .toBeLessThan(dockerMocks.dockerComposeUp.mock.invocationCallOrder[0]);
+      expect(dockerMocks.dockerComposeUp).toHaveBeenCalledWith('/Users/test/Sites/new-site');
+      expect(execaMock).not.toHaveBeenCalled();
+      expect(changeSiteUrlMock).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ url: 'localhost:8080', dbName: 'old_site' });
+    });
+
+    it('should throw when the target directory exists', async () => {
+      fsMocks._storage['/Users/test/Sites/new-site'] = '__DIR__';
+
+      await expect(renameSite(createTestSite('old-site'), 'new-site')).rejects.toThrow('Target already exists');
+      expect(updateSiteMock).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -6,7 +6,19 @@ import {
   siteExists,
   listAllSites,
   removeSite,
-  getSitesFilePath
+  updateSite,
+  listTrashedSites,
+  getTrashedSite,
+  markSiteTrashed,
+  unmarkSiteTrashed,
+  removeTrashedSite,
+  getSitesFilePath,
+  migrateRegistry,
+  REGISTRY_VERSION,
+  addSiteTags,
+  removeSiteTags,
+  setSiteNote,
+  listSitesByTag
 } from '../../src/site-registry.js';
 import { mockFilesystem, restoreFilesystem } from '../helpers/mock-filesystem.js';
 import { createTestSite } from '../helpers/test-data.js';
@@ -55,11 +67,10 @@ describe('site-registry', () => {
       expect(sites).toEqual(testSites);
     });
 
-    it('should return empty array on JSON parse error', () => {
+    it('should throw on JSON parse error instead of treating the registry as empty', () => {
       fsMocks._storage[SITES_FILE] = 'invalid json';
 
-      const sites = listAllSites();
-      expect(sites).toEqual([]);
+      expect(() => listAllSites()).toThrow(`${SITES_FILE} is corrupt`);
     });
 
     it('should handle missing sites property in JSON', () => {
@@ -144,6 +155,36 @@ describe('site-registry', () => {
       expect(data.sites[1]).toEqual(site2);
     });
 
+    it('should not overwrite a corrupt registry', () => {
+      fsMocks._storage[SITES_FILE] = '{"sites": [';
+
+      expect(() => addSite(createTestSite('my-site'))).toThrow(`${SITES_FILE} is corrupt`);
+      expect(fsMocks._storage[SITES_FILE]).toBe('{"sites": [');
+    });
+
+    it('should keep fields beyond the standard ones', () => {
+      addSite(createTestSite('my-site', { php: '/opt/php83/bin/php', tags: ['client'] }));
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites[0]).toMatchObject({ php: '/opt/php83/bin/php', tags: ['client'] });
+    });
+
+    it('should write the registry version', () => {
+      addSite(createTestSite('my-site'));
+
+      expect(JSON.parse(fsMocks._storage[SITES_FILE]).version).toBe(REGISTRY_VERSION);
+    });
+
+    it('should keep the previous registry as a backup and release the lock', () => {
+      const site1 = createTestSite('site1');
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [site1] });
+
+      addSite(createTestSite('site2'));
+
+      expect(JSON.parse(fsMocks._storage[`${SITES_FILE}.bak`]).sites).toEqual([site1]);
+      expect(fsMocks._storage[`${SITES_FILE}.lock`]).toBeUndefined();
+    });
+
     it('should replace existing site with same name', () => {
       const oldSite = createTestSite('my-site', { path: '/old/path' });
       fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [oldSite] });
@@ -204,6 +245,27 @@ describe('site-registry', () => {
       expect(typeof data.sites[0].created_at).toBe('string');
     });
 
+    it('should store Docker mode and ports', () => {
+      const testSite = createTestSite('my-site', {
+        mode: 'docker',
+        docker: { webPort: 8080, dbPort: 33060 }
+      });
+
+      addSite(testSite);
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites[0].mode).toBe('docker');
+      expect(data.sites[0].docker).toEqual({ webPort: 8080, dbPort: 33060 });
+    });
+
+    it('should omit Docker fields for local sites', () => {
+      addSite(createTestSite('my-site'));
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites[0]).not.toHaveProperty('mode');
+      expect(data.sites[0]).not.toHaveProperty('docker');
+    });
+
     it('should create directory if it does not exist', () => {
       delete fsMocks._storage[SITES_DIR];
 
@@ -214,6 +276,117 @@ describe('site-registry', () => {
     });
   });
 
+  describe('updateSite', () => {
+    it('should update fields and keep the rest', () => {
+      const site1 = createTestSite('site1');
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [site1] });
+
+      updateSite('site1', { url: 'site1.local' });
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites).toHaveLength(1);
+      expect(data.sites[0].url).toBe('site1.local');
+      expect(data.sites[0].created_at).toBe(site1.created_at);
+      expect(data.sites[0].dbName).toBe(site1.dbName);
+    });
+
+    it('should rename a site in place', () => {
+      const site1 = createTestSite('site1');
+      const site2 = createTestSite('site2');
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [site1, site2] });
+
+      updateSite('site1', { name: 'renamed', path: '/Users/test/Sites/renamed' });
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites.map(s => s.name)).toEqual(['renamed', 'site2']);
+      expect(data.sites[0].path).toBe('/Users/test/Sites/renamed');
+    });
+
+    it('should throw for non-existent sites', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [] });
+
+      expect(() => updateSite('nonexistent', { url: 'x.test' })).toThrow('Site "nonexistent" not found in registry');
+    });
+  });
+
+  describe('trash', () => {
+    const trash = { path: '/trash/site1', trashed_at: '2026-01-01T00:00:00.000Z', files: true, database: true };
+
+    it('should hide trashed sites from listAllSites and getSite', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({
+        sites: [createTestSite('site1', { trash }), createTestSite('site2')]
+      });
+
+      expect(listAllSites().map(s => s.name)).toEqual(['site2']);
+      expect(getSite('site1')).toBeUndefined();
+      expect(listTrashedSites().map(s => s.name)).toEqual(['site1']);
+      expect(getTrashedSite('site1').trash).toEqual(trash);
+    });
+
+    it('should mark a site as trashed', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [createTestSite('site1')] });
+
+      markSiteTrashed('site1', trash);
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites).toHaveLength(1);
+      expect(data.sites[0].trash).toEqual(trash);
+    });
+
+    it('should replace an older trashed site with the same name', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({
+        sites: [createTestSite('site1', { trash: { ...trash, path: '/trash/old' } }), createTestSite('site1')]
+      });
+
+      markSiteTrashed('site1', trash);
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites).toHaveLength(1);
+      expect(data.sites[0].trash.path).toBe('/trash/site1');
+    });
+
+    it('should keep trashed sites when adding or removing a site with the same name', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [createTestSite('site1', { trash })] });
+
+      addSite(createTestSite('site1'));
+      expect(getTrashedSite('site1')).toBeDefined();
+      expect(getSite('site1')).toBeDefined();
+
+      removeSite('site1');
+      expect(getTrashedSite('site1')).toBeDefined();
+      expect(getSite('site1')).toBeUndefined();
+    });
+
+    it('should unmark a trashed site', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ sites: [createTestSite('site1', { trash })] });
+
+      unmarkSiteTrashed('site1');
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites[0].trash).toBeUndefined();
+      expect(getSite('site1')).toBeDefined();
+    });
+
+    it('should refuse to unmark when the name is taken', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({
+        sites: [createTestSite('site1', { trash }), createTestSite('site1')]
+      });
+
+      expect(() => unmarkSiteTrashed('site1')).toThrow('A site named "site1" already exists');
+    });
+
+    it('should remove a trashed site for good', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({
+        sites: [createTestSite('site1', { trash }), createTestSite('site2')]
+      });
+
+      removeTrashedSite('site1');
+
+      const data = JSON.parse(fsMocks._storage[SITES_FILE]);
+      expect(data.sites.map(s => s.name)).toEqual(['site2']);
+    });
+  });
+
   describe('removeSite', () => {
     it('should remove site from registry', () => {
       const site1 = createTestSite('site1');
@@ -269,6 +442,135 @@ describe('site-registry', () => {
     });
   });
 
+  describe('tags', () => {
+    beforeEach(() => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({
+        version: REGISTRY_VERSION,
+        sites: [createTestSite('site1'), createTestSite('site2', { tags: ['client-a'] })]
+      });
+    });
+
+    it('should add tags without duplicates, lowercased', () => {
+      expect(addSiteTags('site2', ['Client-A', 'staging'])).toEqual(['client-a', 'staging']);
+
+      expect(getSite('site2').tags).toEqual(['client-a', 'staging']);
+    });
+
+    it('should reject invalid tags', () => {
+      expect(() => addSiteTags('site1', ['client a'])).toThrow('Invalid tag: client a');
+      expect(getSite('site1').tags).toBeUndefined();
+    });
+
+    it('should throw for unknown sites', () => {
+      expect(() => addSiteTags('missing', ['client-a'])).toThrow('Site "missing" not found in registry.');
+    });
+
+    it('should remove tags, and the field with the last one', () => {
+      addSiteTags('site2', ['staging']);
+
+      expect(removeSiteTags('site2', ['staging'])).toEqual(['client-a']);
+      expect(removeSiteTags('site2', ['CLIENT-A'])).toEqual([]);
+      expect(getSite('site2')).not.toHaveProperty('tags');
+    });
+
+    it('should list sites by tag', () => {
+      addSiteTags('site1', ['client-a', 'staging']);
+
+      expect(listSitesByTag('client-a').map(site => site.name)).toEqual(['site1', 'site2']);
+      expect(listSitesByTag('Staging').map(site => site.name)).toEqual(['site1']);
+      expect(listSitesByTag('client-b')).toEqual([]);
+    });
+
+    it('should not list trashed sites', () => {
+      markSiteTrashed('site2', { path: '/trash/site2' });
+
+      expect(listSitesByTag('client-a')).toEqual([]);
+    });
+  });
+
+  describe('setSiteNote', () => {
+    beforeEach(() => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ version: REGISTRY_VERSION, sites: [createTestSite('site1')] });
+    });
+
+    it('should set and clear a note', () => {
+      setSiteNote('site1', '  Staging for ACME  ');
+      expect(getSite('site1').note).toBe('Staging for ACME');
+
+      setSiteNote('site1', null);
+      expect(getSite('site1')).not.toHaveProperty('note');
+    });
+
+    it('should throw for unknown sites', () => {
+      expect(() => setSiteNote('missing', 'text')).toThrow('Site "missing" not found in registry.');
+    });
+  });
+
+  describe('migrateRegistry', () => {
+    it('should upgrade a registry without a version', () => {
+      const site = createTestSite('my-site');
+
+      expect(migrateRegistry({ sites: [site] })).toEqual({ version: 2, sites: [site] });
+      expect(migrateRegistry({})).toEqual({ version: 2, sites: [] });
+    });
+
+    it('should leave a current registry alone', () => {
+      const registry = { version: REGISTRY_VERSION, sites: [createTestSite('my-site')] };
+
+      expect(migrateRegistry(registry)).toBe(registry);
+    });
+
+    it('should refuse a registry from a newer wpmax', () => {
+      expect(() => migrateRegistry({ version: REGISTRY_VERSION + 1, sites: [] })).toThrow(
+        `${SITES_FILE} was written by a newer wpmax (registry version ${REGISTRY_VERSION + 1}, this one reads up to ${REGISTRY_VERSION}). Update with: wpmax update`
+      );
+    });
+
+    it('should refuse an invalid version', () => {
+      expect(() => migrateRegistry({ version: 'two', sites: [] })).toThrow(`${SITES_FILE} is corrupt (invalid version "two")`);
+    });
+
+    it('should refuse a registry that is not an object with a sites array', () => {
+      expect(() => migrateRegistry([createTestSite('my-site')])).toThrow(`${SITES_FILE} is corrupt (expected an object with a "sites" array)`);
+      expect(() => migrateRegistry({ sites: { 'my-site': createTestSite('my-site') } })).toThrow(`${SITES_FILE} is corrupt ("sites" is not an array)`);
+      expect(() => migrateRegistry({ version: REGISTRY_VERSION, sites: 'none' })).toThrow(`${SITES_FILE} is corrupt ("sites" is not an array)`);
+    });
+
+    it('should not touch a malformed registry on read or write', () => {
+      const original = JSON.stringify({ sites: { 'my-site': createTestSite('my-site') } });
+      fsMocks._storage[SITES_FILE] = original;
+
+      expect(() => listAllSites()).toThrow('is corrupt');
+      expect(() => addSite(createTestSite('other'))).toThrow('is corrupt');
+      expect(fsMocks._storage[SITES_FILE]).toBe(original);
+    });
+
+    it('should upgrade the file in memory on read, and write it with the next change', () => {
+      const original = JSON.stringify({ sites: [createTestSite('my-site')] });
+      fsMocks._storage[SITES_FILE] = original;
+
+      expect(listAllSites()).toEqual([createTestSite('my-site')]);
+      expect(fsMocks.writeFileSync).not.toHaveBeenCalled();
+      expect(fsMocks._storage[SITES_FILE]).toBe(original);
+
+      updateSite('my-site', { url: 'new.test' });
+
+      expect(JSON.parse(fsMocks._storage[SITES_FILE])).toEqual({
+        version: 2,
+        sites: [createTestSite('my-site', { url: 'new.test' })]
+      });
+      expect(fsMocks._storage[`${SITES_FILE}.bak`]).toBe(original);
+    });
+
+    it('should not rewrite a current registry on read', () => {
+      fsMocks._storage[SITES_FILE] = JSON.stringify({ version: REGISTRY_VERSION, sites: [] });
+
+      listAllSites();
+
+      expect(fsMocks.writeFileSync).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getSitesFilePath', () => {
     it('should return correct sites file path', () => {
       const filePath = getSitesFilePath();
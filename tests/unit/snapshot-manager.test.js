@@ -0,0 +1,338 @@
+// tests/unit/snapshot-manager.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  getSnapshotsDir,
+  generateSnapshotLabel,
+  formatBytes,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  restoreSnapshot
+} from '../../src/snapshot-manager.js';
+import { mockFilesystem } from '../helpers/mock-filesystem.js';
+import { createExecaResponse } from '../helpers/mock-execa.js';
+import { createTestSite } from '../helpers/test-data.js';
+
+// Mock modules
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+vi.mock('../../src/wp-cli-manager.js', () => ({
+  getWpCliCommand: vi.fn(() => ['php', '/path/to/wp-cli.phar'])
+}));
+
+vi.mock('../../src/site-info.js', () => ({
+  getWordPressVersion: vi.fn(async () => '6.4.2'),
+  getActivePlugins: vi.fn(async () => ['woocommerce', 'akismet'])
+}));
+
+const SNAPSHOTS_DIR = path.join(os.homedir(), '.config', 'wpmax', 'snapshots');
+
+describe('Snapshot Manager', () => {
+  let execaMock;
+  let fsMocks;
+  let site;
+
+  beforeEach(async () => {
+    const { execa } = await import('execa');
+    execaMock = execa;
+    vi.clearAllMocks();
+
+    site = createTestSite('my-site');
+    fsMocks = mockFilesystem({});
+    // Directories exist when something is stored below them, and move and go away with their contents
+    fsMocks.existsSync.mockImplementation((target) => (
+      Object.keys(fsMocks._storage).some(key => key === target || key.startsWith(`${target}/`))
+    ));
+    fsMocks.renameSync.mockImplementation((from, to) => {
+      for (const key of Object.keys(fsMocks._storage)) {
+        if (key === from || key.startsWith(`${from}/`)) {
+          fsMocks._storage[to + key.slice(from.length)] = fsMocks._storage[key];
+          delete fsMocks._storage[key];
+        }
+      }
+    });
+    fsMocks.rmSync.mockImplementation((target) => {
+      for (const key of Object.keys(fsMocks._storage)) {
+        if (key === target || key.startsWith(`${target}/`)) {
+          delete fsMocks._storage[key];
+        }
+      }
+    });
+    vi.spyOn(fs, 'statSync').mockReturnValue({ size: 2048 });
+    execaMock.mockResolvedValue(createExecaResponse(''));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getSnapshotsDir', () => {
+    it('should return the snapshots directory under the config directory', () => {
+      expect(getSnapshotsDir()).toBe(SNAPSHOTS_DIR);
+    });
+
+    it('should return a per-site directory', () => {
+      expect(getSnapshotsDir('my-site')).toBe(path.join(SNAPSHOTS_DIR, 'my-site'));
+    });
+  });
+
+  describe('generateSnapshotLabel', () => {
+    it('should format the date as YYYY-MM-DD-HHMMSS', () => {
+      expect(generateSnapshotLabel(new Date(2026, 0, 5, 9, 3, 7))).toBe('2026-01-05-090307');
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('should format bytes', () => {
+      expect(formatBytes(512)).toBe('512 B');
+      expect(formatBytes(2048)).toBe('2.0 KB');
+      expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+    });
+  });
+
+  describe('createSnapshot', () => {
+    const snapshotDir = path.join(SNAPSHOTS_DIR, 'my-site', 'before-update');
+    const partialDir = path.join(SNAPSHOTS_DIR, 'my-site', `.before-update-${process.pid}`);
+
+    it('should export the database next to the snapshot and move it into place', async () => {
+      execaMock.mockImplementation(async (cmd, args) => {
+        fsMocks._storage[args[3]] = 'dump';
+        return createExecaResponse('');
+      });
+
+      await createSnapshot(site, 'before-update');
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'export', path.join(partialDir, 'database.sql'), '--quiet'],
+        { cwd: site.path }
+      );
+      expect(execaMock).not.toHaveBeenCalledWith('tar', expect.anything());
+      expect(fsMocks._storage[path.join(snapshotDir, 'database.sql')]).toBe('dump');
+      expect(Object.keys(fsMocks._storage).some(key => key.startsWith(partialDir))).toBe(false);
+    });
+
+    it('should write metadata with WordPress version, plugins and size', async () => {
+      const snapshot = await createSnapshot(site, 'before-update');
+
+      expect(snapshot).toMatchObject({
+        label: 'before-update',
+        site: 'my-site',
+        wpVersion: '6.4.2',
+        plugins: ['woocommerce', 'akismet'],
+        includesContent: false,
+        size: 2048
+      });
+      expect(snapshot.created_at).toBeDefined();
+
+      expect(JSON.parse(fsMocks._storage[path.join(snapshotDir, 'snapshot.json')])).toEqual(snapshot);
+    });
+
+    it('should archive wp-content when requested', async () => {
+      const snapshot = await createSnapshot(site, 'full', { includeContent: true });
+
+      expect(execaMock).toHaveBeenCalledWith('tar', [
+        '-czf',
+        path.join(SNAPSHOTS_DIR, 'my-site', `.full-${process.pid}`, 'wp-content.tar.gz'),
+        '-C',
+        site.path,
+        'wp-content'
+      ]);
+      expect(snapshot.includesContent).toBe(true);
+      expect(snapshot.size).toBe(4096);
+    });
+
+    it('should generate a label when none is given', async () => {
+      const snapshot = await createSnapshot(site);
+
+      expect(snapshot.label).toMatch(/^\d{4}-\d{2}-\d{2}-\d{6}$/);
+    });
+
+    it('should reject invalid labels', async () => {
+      await expect(createSnapshot(site, '../escape')).rejects.toThrow('Invalid snapshot label: ../escape');
+    });
+
+    it('should not overwrite an existing snapshot without flag', async () => {
+      fsMocks._storage[snapshotDir] = '__DIR__';
+
+      await expect(createSnapshot(site, 'before-update')).rejects.toThrow(
+        'Snapshot "before-update" already exists for my-site'
+      );
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+
+    it('should overwrite an existing snapshot when requested', async () => {
+      fsMocks._storage[path.join(snapshotDir, 'database.sql')] = 'old dump';
+      execaMock.mockImplementation(async (cmd, args) => {
+        fsMocks._storage[args[3]] = 'new dump';
+        return createExecaResponse('');
+      });
+
+      await createSnapshot(site, 'before-update', { overwrite: true });
+
+      expect(fsMocks._storage[path.join(snapshotDir, 'database.sql')]).toBe('new dump');
+      expect(Object.keys(fsMocks._storage).some(key => key.startsWith(partialDir))).toBe(false);
+    });
+
+    it('should keep the existing snapshot when the overwrite fails', async () => {
+      fsMocks._storage[path.join(snapshotDir, 'database.sql')] = 'old dump';
+      execaMock.mockRejectedValue(new Error('Error establishing a database connection'));
+
+      await expect(createSnapshot(site, 'before-update', { overwrite: true }))
+        .rejects.toThrow('Error establishing a database connection');
+
+      expect(fsMocks._storage[path.join(snapshotDir, 'database.sql')]).toBe('old dump');
+      expect(Object.keys(fsMocks._storage).some(key => key.startsWith(partialDir))).toBe(false);
+    });
+
+    it('should remove the partial snapshot when the export fails', async () => {
+      execaMock.mockRejectedValue(new Error('Error establishing a database connection'));
+
+      await expect(createSnapshot(site, 'broken')).rejects.toThrow('Error establishing a database connection');
+      expect(fsMocks.rmSync).toHaveBeenLastCalledWith(
+        path.join(SNAPSHOTS_DIR, 'my-site', `.broken-${process.pid}`),
+        { recursive: true, force: true }
+      );
+      expect(fsMocks._storage[path.join(SNAPSHOTS_DIR, 'my-site', 'broken')]).toBeUndefined();
+    });
+  });
+
+  describe('listSnapshots', () => {
+    it('should return empty array when the site has no snapshots', () => {
+      expect(listSnapshots('my-site')).toEqual([]);
+    });
+
+    it('should list snapshots newest first and skip unreadable ones', () => {
+      const siteDir = path.join(SNAPSHOTS_DIR, 'my-site');
+      fsMocks._storage[siteDir] = '__DIR__';
+      fsMocks._storage[path.join(siteDir, 'old', 'snapshot.json')] = JSON.stringify({
+        label: 'old', created_at: '2026-01-01T00:00:00.000Z'
+      });
+      fsMocks._storage[path.join(siteDir, 'new', 'snapshot.json')] = JSON.stringify({
+        label: 'new', created_at: '2026-02-01T00:00:00.000Z'
+      });
+      fsMocks._storage[path.join(siteDir, 'broken', 'snapshot.json')] = '{ invalid';
+
+      expect(listSnapshots('my-site').map(s => s.label)).toEqual(['new', 'old']);
+    });
+  });
+
+  describe('getSnapshot', () => {
+    it('should return null for missing snapshots', () => {
+      expect(getSnapshot('my-site', 'missing')).toBeNull();
+    });
+  });
+
+  describe('restoreSnapshot', () => {
+    const snapshotDir = path.join(SNAPSHOTS_DIR, 'my-site', 'before-update');
+
+    it('should throw when the snapshot does not exist', async () => {
+      await expect(restoreSnapshot(site, 'missing')).rejects.toThrow('Snapshot "missing" not found for my-site');
+    });
+
+    it('should reset the database and import the dump', async () => {
+      fsMocks._storage[path.join(snapshotDir, 'snapshot.json')] = JSON.stringify({
+        label: 'before-update', includesContent: false
+      });
+
+      await restoreSnapshot(site, 'before-update');
+
+      expect(execaMock.mock.calls.map(call => call[1].slice(1, 3))).toEqual([['db', 'reset'], ['db', 'import']]);
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'reset', '--yes', '--quiet'],
+        { cwd: site.path }
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'import', path.join(snapshotDir, 'database.sql'), '--quiet'],
+        { cwd: site.path }
+      );
+      expect(execaMock).not.toHaveBeenCalledWith('tar', expect.anything());
+    });
+
+    it('should reject invalid labels before touching the site', async () => {
+      await expect(restoreSnapshot(site, '../other-site/snap')).rejects.toThrow('Invalid snapshot label');
+      expect(execaMock).not.toHaveBeenCalled();
+    });
+
+    describe('with wp-content', () => {
+      const sitePath = createTestSite('my-site').path;
+      const contentDir = path.join(sitePath, 'wp-content');
+      const extractDir = path.join(sitePath, `.wpmax-restore-${process.pid}`);
+
+      beforeEach(() => {
+        fsMocks._storage[path.join(snapshotDir, 'snapshot.json')] = JSON.stringify({
+          label: 'before-update', includesContent: true
+        });
+        fsMocks._storage[contentDir] = 'current';
+      });
+
+      it('should extract next to the site and swap the new wp-content in', async () => {
+        execaMock.mockImplementation(async (command) => {
+          if (command === 'tar') {
+            fsMocks._storage[path.join(extractDir, 'wp-content')] = 'restored';
+          }
+          return createExecaResponse('');
+        });
+
+        await restoreSnapshot(site, 'before-update');
+
+        expect(execaMock).toHaveBeenCalledWith('tar', [
+          '-xzf',
+          path.join(snapshotDir, 'wp-content.tar.gz'),
+          '-C',
+          extractDir
+        ]);
+        expect(fsMocks._storage[contentDir]).toBe('restored');
+        expect(fsMocks.renameSync).toHaveBeenCalledWith(contentDir, path.join(extractDir, 'wp-content.previous'));
+        expect(fsMocks.rmSync).toHaveBeenLastCalledWith(extractDir, { recursive: true, force: true });
+      });
+
+      it('should leave the site untouched when the archive cannot be extracted', async () => {
+        execaMock.mockImplementation(async (command) => {
+          if (command === 'tar') {
+            throw new Error('tar: unexpected end of file');
+          }
+          return createExecaResponse('');
+        });
+
+        await expect(restoreSnapshot(site, 'before-update')).rejects.toThrow('unexpected end of file');
+
+        expect(fsMocks._storage[contentDir]).toBe('current');
+        expect(fsMocks._storage[extractDir]).toBeUndefined();
+        expect(execaMock).not.toHaveBeenCalledWith('php', expect.anything(), expect.anything());
+      });
+
+      it('should keep the current wp-content when the database import fails', async () => {
+        execaMock.mockImplementation(async (command, args) => {
+          if (command === 'tar') {
+            fsMocks._storage[path.join(extractDir, 'wp-content')] = 'restored';
+          }
+          if (args.includes('import')) {
+            throw new Error('ERROR 1064');
+          }
+          return createExecaResponse('');
+        });
+
+        await expect(restoreSnapshot(site, 'before-update')).rejects.toThrow('ERROR 1064');
+
+        expect(fsMocks._storage[contentDir]).toBe('current');
+        expect(fsMocks._storage[extractDir]).toBeUndefined();
+      });
+
+      it('should only restore the database when skipContent is set', async () => {
+        await restoreSnapshot(site, 'before-update', { skipContent: true });
+
+        expect(execaMock).toHaveBeenCalledTimes(2);
+        expect(execaMock).not.toHaveBeenCalledWith('tar', expect.anything());
+        expect(fsMocks._storage[contentDir]).toBe('current');
+      });
+    });
+  });
+});
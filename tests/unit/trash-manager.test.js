@@ -0,0 +1,375 @@
+// tests/unit/trash-manager.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import path from 'path';
+import os from 'os';
+import {
+  DEFAULT_RETENTION_DAYS,
+  getRetentionDays,
+  getTrashDir,
+  getPurgeDate,
+  trashSite,
+  restoreTrashedSite,
+  purgeTrashedSite,
+  emptyTrash,
+  purgeExpiredTrash
+} from '../../src/trash-manager.js';
+import { mockFilesystem } from '../helpers/mock-filesystem.js';
+import { createExecaResponse } from '../helpers/mock-execa.js';
+import { createTestSite } from '../helpers/test-data.js';
+
+// Mock modules
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+vi.mock('../../src/wp-cli-manager.js', () => ({
+  getWpCliCommand: vi.fn(() => ['php', '/path/to/wp-cli.phar'])
+}));
+
+vi.mock('../../src/docker-manager.js', () => ({
+  dockerComposeUp: vi.fn(),
+  dockerComposeDown: vi.fn(async () => {})
+}));
+
+vi.mock('../../src/site-registry.js', () => ({
+  getSite: vi.fn(),
+  listTrashedSites: vi.fn(() => []),
+  getTrashedSite: vi.fn(),
+  markSiteTrashed: vi.fn(),
+  unmarkSiteTrashed: vi.fn(),
+  removeTrashedSite: vi.fn()
+}));
+
+vi.mock('../../src/herd-manager.js', () => ({
+  isHerdInstalled: vi.fn(async () => false),
+  herdLink: vi.fn(async () => {}),
+  herdSecure: vi.fn(async () => {}),
+  herdUnlink: vi.fn(async () => {}),
+  herdUnsecure: vi.fn(async () => {})
+}));
+
+vi.mock('../../src/site-mover.js', () => ({
+  moveDirectory: vi.fn()
+}));
+
+vi.mock('../../src/config.js', () => ({
+  getConfigValue: vi.fn()
+}));
+
+const TRASH_DIR = path.join(os.homedir(), '.config', 'wpmax', 'trash');
+
+/**
+ * Build a trashed registry entry
+ */
+function createTrashedSite(name, trashOverrides = {}) {
+  return createTestSite(name, {
+    trash: {
+      path: path.join(TRASH_DIR, `${name}-1700000000000`),
+      trashed_at: '2026-01-01T00:00:00.000Z',
+      files: true,
+      database: true,
+      ...trashOverrides
+    }
+  });
+}
+
+describe('Trash Manager', () => {
+  let execaMock;
+  let registry;
+  let moveDirectoryMock;
+  let dockerMocks;
+  let getConfigValueMock;
+  let herdMocks;
+  let fsMocks;
+
+  beforeEach(async () => {
+    const { execa } = await import('execa');
+    registry = await import('../../src/site-registry.js');
+    dockerMocks = await import('../../src/docker-manager.js');
+    herdMocks = await import('../../src/herd-manager.js');
+    const { moveDirectory } = await import('../../src/site-mover.js');
+    const { getConfigValue } = await import('../../src/config.js');
+
+    execaMock = execa;
+    moveDirectoryMock = moveDirectory;
+    getConfigValueMock = getConfigValue;
+
+    vi.clearAllMocks();
+    registry.listTrashedSites.mockReturnValue([]);
+    registry.getTrashedSite.mockReturnValue(undefined);
+    registry.getSite.mockReturnValue(undefined);
+    herdMocks.isHerdInstalled.mockResolvedValue(false);
+    execaMock.mockResolvedValue(createExecaResponse(''));
+
+    fsMocks = mockFilesystem({
+      '/Users/test/Sites/my-site': '__DIR__'
+    });
+    vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getTrashDir', () => {
+    it('should return the trash directory under the config directory', () => {
+      expect(getTrashDir()).toBe(TRASH_DIR);
+    });
+  });
+
+  describe('getRetentionDays', () => {
+    it('should default to 30 days', () => {
+      expect(getRetentionDays()).toBe(DEFAULT_RETENTION_DAYS);
+      expect(DEFAULT_RETENTION_DAYS).toBe(30);
+    });
+
+    it('should read trash-retention-days from config', () => {
+      getConfigValueMock.mockReturnValue('7');
+
+      expect(getRetentionDays()).toBe(7);
+      expect(getConfigValueMock).toHaveBeenCalledWith('trashRetentionDays');
+    });
+
+    it('should ignore invalid values', () => {
+      getConfigValueMock.mockReturnValue('forever');
+
+      expect(getRetentionDays()).toBe(DEFAULT_RETENTION_DAYS);
+    });
+  });
+
+  describe('getPurgeDate', () => {
+    it('should add the retention period to the trash date', () => {
+      const site = createTrashedSite('my-site');
+
+      expect(getPurgeDate(site, 7).toISOString()).toBe('2026-01-08T00:00:00.000Z');
+    });
+  });
+
+  describe('trashSite', () => {
+    it('should export and drop the database, then move the directory', async () => {
+      const site = createTestSite('my-site');
+
+      const trash = await trashSite(site);
+
+      const trashPath = trash.path;
+      expect(trashPath.startsWith(path.join(TRASH_DIR, 'my-site-'))).toBe(true);
+      expect(execaMock).toHaveBeenNthCalledWith(
+        1,
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'export', path.join(trashPath, 'database.sql'), '--quiet'],
+        { cwd: site.path }
+      );
+      expect(execaMock).toHaveBeenNthCalledWith(
+        2,
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'drop', '--yes', '--quiet'],
+        { cwd: site.path }
+      );
+      expect(moveDirectoryMock).toHaveBeenCalledWith(site.path, path.join(trashPath, 'files'));
+      expect(registry.markSiteTrashed).toHaveBeenCalledWith('my-site', trash);
+      expect(trash).toMatchObject({ files: true, database: true, herd: false });
+    });
+
+    it('should remove the Herd link before moving the directory', async () => {
+      herdMocks.isHerdInstalled.mockResolvedValue(true);
+      const site = createTestSite('my-site');
+
+      const trash = await trashSite(site);
+
+      expect(herdMocks.herdUnsecure).toHaveBeenCalledWith(site.path, 'my-site');
+      expect(herdMocks.herdUnlink).toHaveBeenCalledWith(site.path, 'my-site');
+      expect(herdMocks.herdUnlink.mock.invocationCallOrder[0]).toBeLessThan(moveDirectoryMock.mock.invocationCallOrder[0]);
+      expect(trash.herd).toBe(true);
+    });
+
+    it('should keep the Herd link when the files are kept', async () => {
+      herdMocks.isHerdInstalled.mockResolvedValue(true);
+
+      const trash = await trashSite(createTestSite('my-site'), { keepFiles: true });
+
+      expect(herdMocks.herdUnlink).not.toHaveBeenCalled();
+      expect(trash.herd).toBe(false);
+    });
+
+    it('should not drop or move anything when the export fails', async () => {
+      execaMock.mockRejectedValue(new Error('Error establishing a database connection'));
+
+      await expect(trashSite(createTestSite('my-site'))).rejects.toThrow('Error establishing a database connection');
+
+      expect(execaMock).toHaveBeenCalledTimes(1);
+      expect(moveDirectoryMock).not.toHaveBeenCalled();
+      expect(registry.markSiteTrashed).not.toHaveBeenCalled();
+    });
+
+    it('should keep the database when requested', async () => {
+      const trash = await trashSite(createTestSite('my-site'), { keepDb: true });
+
+      expect(execaMock).not.toHaveBeenCalled();
+      expect(trash).toMatchObject({ files: true, database: false });
+    });
+
+    it('should keep the files when requested', async () => {
+      const trash = await trashSite(createTestSite('my-site'), { keepFiles: true });
+
+      expect(moveDirectoryMock).not.toHaveBeenCalled();
+      expect(trash).toMatchObject({ files: false, database: true });
+    });
+
+    it('should only trash the registry entry when the directory is gone', async () => {
+      const trash = await trashSite(createTestSite('missing-site'));
+
+      expect(execaMock).not.toHaveBeenCalled();
+      expect(moveDirectoryMock).not.toHaveBeenCalled();
+      expect(trash).toMatchObject({ files: false, database: false });
+    });
+
+    it('should export Docker databases before removing the volume', async () => {
+      const site = createTestSite('my-site', { mode: 'docker' });
+
+      await trashSite(site);
+
+      expect(dockerMocks.dockerComposeUp).toHaveBeenCalledWith(site.path);
+      expect(execaMock).toHaveBeenCalledWith('php', expect.arrayContaining(['db', 'export']), { cwd: site.path });
+      expect(execaMock).not.toHaveBeenCalledWith('php', expect.arrayContaining(['drop']), expect.anything());
+      expect(dockerMocks.dockerComposeDown).toHaveBeenCalledWith(site.path, true);
+    });
+
+    it('should replace an older trashed site with the same name', async () => {
+      const previous = createTrashedSite('my-site');
+      registry.getTrashedSite.mockReturnValue(previous);
+
+      await trashSite(createTestSite('my-site'));
+
+      expect(fsMocks.rmSync).toHaveBeenCalledWith(previous.trash.path, { recursive: true, force: true });
+    });
+  });
+
+  describe('restoreTrashedSite', () => {
+    it('should throw when the site is not in the trash', async () => {
+      await expect(restoreTrashedSite('nope')).rejects.toThrow('Site "nope" is not in the trash');
+    });
+
+    it('should throw when a site with the same name exists', async () => {
+      registry.getTrashedSite.mockReturnValue(createTrashedSite('other-site'));
+      registry.getSite.mockReturnValue(createTestSite('other-site'));
+
+      await expect(restoreTrashedSite('other-site')).rejects.toThrow('A site named "other-site" already exists');
+      expect(moveDirectoryMock).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the original path is taken', async () => {
+      registry.getTrashedSite.mockReturnValue(createTrashedSite('my-site'));
+
+      await expect(restoreTrashedSite('my-site')).rejects.toThrow('/Users/test/Sites/my-site already exists');
+      expect(moveDirectoryMock).not.toHaveBeenCalled();
+    });
+
+    it('should move files back and re-import the database', async () => {
+      const site = createTrashedSite('old-site');
+      registry.getTrashedSite.mockReturnValue(site);
+
+      const restored = await restoreTrashedSite('old-site');
+
+      expect(moveDirectoryMock).toHaveBeenCalledWith(path.join(site.trash.path, 'files'), site.path);
+      expect(registry.unmarkSiteTrashed).toHaveBeenCalledWith('old-site');
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'create', '--quiet'],
+        { cwd: site.path }
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'db', 'import', path.join(site.trash.path, 'database.sql'), '--quiet'],
+        { cwd: site.path }
+      );
+      expect(fsMocks.rmSync).toHaveBeenCalledWith(site.trash.path, { recursive: true, force: true });
+      expect(restored.trash).toBeUndefined();
+    });
+
+    it('should re-link Herd when it was unlinked on trash', async () => {
+      const site = createTrashedSite('old-site', { herd: true });
+      registry.getTrashedSite.mockReturnValue(site);
+
+      await restoreTrashedSite('old-site');
+
+      expect(herdMocks.herdLink).toHaveBeenCalledWith(site.path, 'old-site');
+      expect(herdMocks.herdSecure).toHaveBeenCalledWith(site.path, 'old-site');
+    });
+
+    it('should not link Herd for sites trashed without a Herd link', async () => {
+      registry.getTrashedSite.mockReturnValue(createTrashedSite('old-site'));
+
+      await restoreTrashedSite('old-site');
+
+      expect(herdMocks.herdLink).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed Herd link after restoring everything else', async () => {
+      const site = createTrashedSite('old-site', { herd: true });
+      registry.getTrashedSite.mockReturnValue(site);
+      herdMocks.herdLink.mockRejectedValueOnce(new Error('herd: command not found'));
+
+      await expect(restoreTrashedSite('old-site')).rejects.toThrow('old-site is restored, but Herd could not link it: herd: command not found');
+      expect(registry.unmarkSiteTrashed).toHaveBeenCalledWith('old-site');
+      expect(fsMocks.rmSync).toHaveBeenCalledWith(site.trash.path, { recursive: true, force: true });
+    });
+
+    it('should keep the dump when the import fails', async () => {
+      const site = createTrashedSite('old-site');
+      registry.getTrashedSite.mockReturnValue(site);
+      execaMock.mockRejectedValue(new Error('ERROR 1045: Access denied'));
+
+      await expect(restoreTrashedSite('old-site')).rejects.toThrow(
+        `The database dump is kept at ${path.join(site.trash.path, 'database.sql')}`
+      );
+      expect(fsMocks.rmSync).not.toHaveBeenCalled();
+    });
+
+    it('should start Docker containers before importing', async () => {
+      const site = createTrashedSite('old-site');
+      site.mode = 'docker';
+      registry.getTrashedSite.mockReturnValue(site);
+
+      await restoreTrashedSite('old-site');
+
+      expect(dockerMocks.dockerComposeUp).toHaveBeenCalledWith(site.path);
+      expect(execaMock).not.toHaveBeenCalledWith('php', expect.arrayContaining(['create']), expect.anything());
+      expect(execaMock).toHaveBeenCalledWith('php', expect.arrayContaining(['import']), { cwd: site.path });
+    });
+  });
+
+  describe('purgeTrashedSite', () => {
+    it('should remove the trash directory and registry entry', () => {
+      const site = createTrashedSite('old-site');
+
+      purgeTrashedSite(site);
+
+      expect(fsMocks.rmSync).toHaveBeenCalledWith(site.trash.path, { recursive: true, force: true });
+      expect(registry.removeTrashedSite).toHaveBeenCalledWith('old-site');
+    });
+  });
+
+  describe('emptyTrash', () => {
+    it('should purge every trashed site', () => {
+      registry.listTrashedSites.mockReturnValue([createTrashedSite('a'), createTrashedSite('b')]);
+
+      expect(emptyTrash()).toEqual(['a', 'b']);
+      expect(registry.removeTrashedSite).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('purgeExpiredTrash', () => {
+    it('should only purge sites older than the retention period', () => {
+      registry.listTrashedSites.mockReturnValue([
+        createTrashedSite('old', { trashed_at: '2026-01-01T00:00:00.000Z' }),
+        createTrashedSite('recent', { trashed_at: '2026-01-25T00:00:00.000Z' })
+      ]);
+
+      const purged = purgeExpiredTrash(30, new Date('2026-02-01T00:00:00.000Z'));
+
+      expect(purged).toEqual(['old']);
+      expect(registry.removeTrashedSite).toHaveBeenCalledWith('old');
+      expect(registry.removeTrashedSite).not.toHaveBeenCalledWith('recent');
+    });
+  });
+});
@@ -102,6 +102,12 @@ describe('updater', () => {
       expect(result).toBe(true);
     });
 
+    it('should never check in offline mode', () => {
+      fsMocks._storage[CONFIG_FILE] = JSON.stringify({});
+
+      expect(shouldAutoCheck(true)).toBe(false);
+    });
+
     it('should return true when last check was over 24 hours ago', () => {
       const twoDaysAgo = Date.now() - (2 * 24 * 60 * 60 * 1000);
       fsMocks._storage[CONFIG_FILE] = JSON.stringify({
@@ -0,0 +1,148 @@
+// tests/unit/url-manager.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { changeSiteUrl, getHerdName, getHomeUrl, resolveHost } from '../../src/url-manager.js';
+import { createExecaResponse } from '../helpers/mock-execa.js';
+
+// Mock modules
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+vi.mock('../../src/wp-cli-manager.js', () => ({
+  getWpCliCommand: vi.fn(() => ['php', '/path/to/wp-cli.phar'])
+}));
+
+const SITE_PATH = '/Users/test/Sites/my-site';
+
+/**
+ * Mock `wp option get` responses; every other command succeeds
+ */
+function mockOptions(execaMock, { home, siteurl }) {
+  execaMock.mockImplementation(async (cmd, args) => {
+    if (args[1] === 'option' && args[2] === 'get') {
+      return createExecaResponse(args[3] === 'home' ? home : siteurl);
+    }
+    return createExecaResponse('');
+  });
+}
+
+describe('URL Manager', () => {
+  let execaMock;
+
+  beforeEach(async () => {
+    const { execa } = await import('execa');
+    execaMock = execa;
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getHerdName', () => {
+    it('should strip the TLD', () => {
+      expect(getHerdName('my-site.test')).toBe('my-site');
+      expect(getHerdName('sub.domain.local')).toBe('sub.domain');
+    });
+  });
+
+  describe('resolveHost', () => {
+    it('should add the TLD to bare names', () => {
+      expect(resolveHost('my-site', '.test')).toBe('my-site.test');
+    });
+
+    it('should keep hosts that already have a TLD', () => {
+      expect(resolveHost('my-site.local', '.test')).toBe('my-site.local');
+      expect(resolveHost('https://shop.example.com/', '.test')).toBe('shop.example.com');
+    });
+
+    it('should reject invalid hosts', () => {
+      expect(() => resolveHost('my site', '.test')).toThrow('Invalid URL format');
+    });
+  });
+
+  describe('getHomeUrl', () => {
+    it('should return the home URL without trailing slashes', async () => {
+      mockOptions(execaMock, { home: 'https://my-site.test/', siteurl: 'https://my-site.test/' });
+
+      expect(await getHomeUrl(SITE_PATH)).toBe('https://my-site.test');
+    });
+  });
+
+  describe('changeSiteUrl', () => {
+    it('should search-replace every form of the old home URL in the tables with the site prefix', async () => {
+      mockOptions(execaMock, { home: 'http://my-site.test', siteurl: 'http://my-site.test' });
+
+      const oldUrl = await changeSiteUrl(SITE_PATH, 'https://my-site.local');
+
+      expect(oldUrl).toBe('http://my-site.test');
+      const searchReplaces = execaMock.mock.calls
+        .map(call => call[1])
+        .filter(args => args[1] === 'search-replace');
+      expect(searchReplaces).toEqual([
+        ['/path/to/wp-cli.phar', 'search-replace', 'http://my-site.test', 'https://my-site.local', '--all-tables-with-prefix', '--quiet'],
+        ['/path/to/wp-cli.phar', 'search-replace', 'https://my-site.test', 'https://my-site.local', '--all-tables-with-prefix', '--quiet'],
+        ['/path/to/wp-cli.phar', 'search-replace', '//my-site.test', '//my-site.local', '--all-tables-with-prefix', '--quiet']
+      ]);
+      expect(execaMock).toHaveBeenCalledWith('php', expect.anything(), { cwd: SITE_PATH });
+    });
+
+    it('should update home and siteurl', async () => {
+      mockOptions(execaMock, { home: 'http://my-site.test/', siteurl: 'http://my-site.test/' });
+
+      await changeSiteUrl(SITE_PATH, 'https://my-site.local');
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'option', 'update', 'home', 'https://my-site.local', '--quiet'],
+        { cwd: SITE_PATH }
+      );
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'option', 'update', 'siteurl', 'https://my-site.local', '--quiet'],
+        { cwd: SITE_PATH }
+      );
+    });
+
+    it('should keep the subdirectory of siteurl', async () => {
+      mockOptions(execaMock, { home: 'http://my-site.test', siteurl: 'http://my-site.test/wp' });
+
+      await changeSiteUrl(SITE_PATH, 'https://my-site.local');
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        ['/path/to/wp-cli.phar', 'option', 'update', 'siteurl', 'https://my-site.local/wp', '--quiet'],
+        { cwd: SITE_PATH }
+      );
+    });
+
+    it('should skip search-replace when the URL is unchanged', async () => {
+      mockOptions(execaMock, { home: 'http://my-site.test', siteurl: 'http://my-site.test' });
+
+      await changeSiteUrl(SITE_PATH, 'http://my-site.test');
+
+      expect(execaMock).not.toHaveBeenCalledWith('php', expect.arrayContaining(['search-replace']), expect.anything());
+    });
+
+    it('should only update the scheme when the host is unchanged', async () => {
+      mockOptions(execaMock, { home: 'http://my-site.test', siteurl: 'http://my-site.test' });
+
+      await changeSiteUrl(SITE_PATH, 'https://my-site.test');
+
+      const searchReplaces = execaMock.mock.calls
+        .map(call => call[1])
+        .filter(args => args[1] === 'search-replace');
+      expect(searchReplaces).toEqual([
+        ['/path/to/wp-cli.phar', 'search-replace', 'http://my-site.test', 'https://my-site.test', '--all-tables-with-prefix', '--quiet']
+      ]);
+    });
+
+    it('should propagate WP-CLI errors', async () => {
+      execaMock.mockRejectedValue(new Error('Error establishing a database connection'));
+
+      await expect(changeSiteUrl(SITE_PATH, 'http://my-site.local')).rejects.toThrow(
+        'Error establishing a database connection'
+      );
+    });
+  });
+});
@@ -1,10 +1,13 @@
 // tests/unit/validators.test.js
 import { describe, it, expect } from 'vitest';
+import path from 'path';
 import {
   isValidEmail,
   normalizeUrl,
   normalizeDbPrefix,
-  isValidDbName
+  isValidDbName,
+  isValidSlug,
+  parsePluginList
 } from '../../src/validators.js';
 
 describe('validators', () => {
@@ -62,6 +65,12 @@ describe('validators', () => {
       expect(normalizeUrl('sub.domain.test')).toBe('sub.domain.test');
     });
 
+    it('should use a custom TLD', () => {
+      expect(normalizeUrl('my-site', '.local')).toBe('my-site.local');
+      expect(normalizeUrl('my-site.local', '.local')).toBe('my-site.local');
+      expect(normalizeUrl('https://my-site.local/', '.local')).toBe('my-site.local');
+    });
+
     it('should accept alphanumeric and hyphens', () => {
       expect(normalizeUrl('my-site-123')).toBe('my-site-123.test');
       expect(normalizeUrl('site123')).toBe('site123.test');
@@ -145,4 +154,39 @@ describe('validators', () => {
       expect(isValidDbName('')).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('isValidSlug', () => {
+    it('should accept WordPress.org slugs', () => {
+      expect(isValidSlug('woocommerce')).toBe(true);
+      expect(isValidSlug('contact-form-7')).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidSlug('Yoast')).toBe(false);
+      expect(isValidSlug('-plugin')).toBe(false);
+      expect(isValidSlug('my plugin')).toBe(false);
+      expect(isValidSlug('')).toBe(false);
+    });
+  });
+
+  describe('parsePluginList', () => {
+    it('should split slugs and ZIP paths', () => {
+      expect(parsePluginList('woocommerce, query-monitor,./zips/acf-pro.zip')).toEqual({
+        publicPlugins: ['woocommerce', 'query-monitor'],
+        localPlugins: [path.resolve('zips/acf-pro.zip')]
+      });
+    });
+
+    it('should keep absolute ZIP paths', () => {
+      expect(parsePluginList('/plugins/Premium.ZIP').localPlugins).toEqual(['/plugins/Premium.ZIP']);
+    });
+
+    it('should return empty lists for an empty string', () => {
+      expect(parsePluginList('')).toEqual({ publicPlugins: [], localPlugins: [] });
+    });
+
+    it('should reject invalid slugs', () => {
+      expect(() => parsePluginList('woocommerce,My Plugin')).toThrow('Invalid plugin: My Plugin');
+    });
+  });
+});
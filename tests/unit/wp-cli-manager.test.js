@@ -1,6 +1,6 @@
 // tests/unit/wp-cli-manager.test.js
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { ensureWpCli, getWpCliCommand } from '../../src/wp-cli-manager.js';
+import { ensureWpCli, getWpCliCommand, runWpCli } from '../../src/wp-cli-manager.js';
 import { mockFilesystem } from '../helpers/mock-filesystem.js';
 import { createExecaResponse } from '../helpers/mock-execa.js';
 import path from 'path';
@@ -47,6 +47,36 @@ describe('WP-CLI Manager', () => {
     });
   });
 
+  describe('runWpCli', () => {
+    it('should run WP-CLI in the site directory with streamed output', async () => {
+      execaMock.mockResolvedValue(createExecaResponse(''));
+
+      await runWpCli('/Users/test/Sites/my-site', ['plugin', 'list', '--status=active']);
+
+      expect(execaMock).toHaveBeenCalledWith(
+        'php',
+        [expect.stringContaining('wp-cli.phar'), 'plugin', 'list', '--status=active'],
+        { cwd: '/Users/test/Sites/my-site', stdio: 'inherit', reject: false }
+      );
+    });
+
+    it('should return the WP-CLI exit code', async () => {
+      execaMock.mockResolvedValue(createExecaResponse('', 'Error: not a registered wp command', 1));
+
+      const result = await runWpCli('/Users/test/Sites/my-site', ['foo']);
+
+      expect(result).toBe(1);
+    });
+
+    it('should return 1 when the process did not exit normally', async () => {
+      execaMock.mockResolvedValue({ stdout: '', stderr: '', exitCode: undefined, failed: true });
+
+      const result = await runWpCli('/Users/test/Sites/my-site', ['plugin', 'list']);
+
+      expect(result).toBe(1);
+    });
+  });
+
   describe('ensureWpCli', () => {
     it('should return command if wp-cli.phar already exists', async () => {
       fsMocks = mockFilesystem({